@@ -0,0 +1,98 @@
+/**
+ * Authentication types of the tedious driver and the settings each one
+ * uses. "default" is a SQL Server login. For the managed identity types,
+ * clientId selects a user-assigned identity.
+ */
+const AUTHENTICATION_FIELDS = {
+  default: { required: ["user", "password"], optional: [] },
+  ntlm: { required: ["domain", "user", "password"], optional: [] },
+  "azure-active-directory-default": { required: [], optional: ["clientId"] },
+  "azure-active-directory-service-principal-secret": {
+    required: ["clientId", "clientSecret", "tenantId"],
+    optional: [],
+  },
+  "azure-active-directory-msi-vm": { required: [], optional: ["clientId"] },
+  "azure-active-directory-msi-app-service": {
+    required: [],
+    optional: ["clientId"],
+  },
+  "azure-active-directory-access-token": { required: ["token"], optional: [] },
+};
+
+const AUTHENTICATION_TYPES = Object.keys(AUTHENTICATION_FIELDS);
+
+/**
+ * Settings that hold credentials, of which each type uses its own
+ */
+const CREDENTIAL_FIELDS = [
+  "user",
+  "password",
+  "domain",
+  "clientId",
+  "clientSecret",
+  "tenantId",
+  "token",
+];
+
+/**
+ * Credentials that are never reported
+ */
+const SECRET_FIELDS = new Set(["password", "clientSecret", "token"]);
+
+/**
+ * Returns the credential settings an authentication type uses.
+ * @param {string} type - One of AUTHENTICATION_TYPES.
+ * @returns {Array<string>} Required settings first, then optional ones.
+ */
+function getAuthenticationFields(type) {
+  const { required, optional } = AUTHENTICATION_FIELDS[type];
+  return [...required, ...optional];
+}
+
+/**
+ * Builds the mssql driver config for a validated database config, moving
+ * the credentials into the driver's { type, options } authentication object.
+ * @param {Object} config - A config validated by dbConnectionSchema.
+ * @returns {Object} The config to pass to sql.ConnectionPool.
+ */
+function toDriverConfig(config) {
+  const settings = { ...config };
+  for (const field of ["authenticationType", ...CREDENTIAL_FIELDS]) {
+    delete settings[field];
+  }
+
+  const type = config.authenticationType || "default";
+  const options = {};
+  for (const field of getAuthenticationFields(type)) {
+    if (config[field] !== undefined) {
+      // The driver calls the login name userName
+      options[field === "user" ? "userName" : field] = config[field];
+    }
+  }
+  return { ...settings, authentication: { type, options } };
+}
+
+/**
+ * Describes how a database authenticates, without its secrets.
+ * @param {Object} config - A config validated by dbConnectionSchema.
+ * @returns {Object} The type and its user, domain, clientId and tenantId, as used.
+ */
+function describeAuthentication(config) {
+  const type = config.authenticationType || "default";
+  const description = { type };
+  for (const field of getAuthenticationFields(type)) {
+    if (!SECRET_FIELDS.has(field) && config[field] !== undefined) {
+      description[field] = config[field];
+    }
+  }
+  return description;
+}
+
+module.exports = {
+  AUTHENTICATION_TYPES,
+  AUTHENTICATION_FIELDS,
+  CREDENTIAL_FIELDS,
+  getAuthenticationFields,
+  toDriverConfig,
+  describeAuthentication,
+};
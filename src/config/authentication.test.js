@@ -0,0 +1,44 @@
+const { toDriverConfig, describeAuthentication } = require("./authentication");
+
+describe("toDriverConfig", () => {
+  it("should move credentials into the driver's authentication object", () => {
+    const config = {
+      server: "sql01",
+      database: "Ops",
+      authenticationType: "ntlm",
+      domain: "CORP",
+      user: "svc",
+      password: "secret",
+    };
+
+    expect(toDriverConfig(config)).toEqual({
+      server: "sql01",
+      database: "Ops",
+      authentication: {
+        type: "ntlm",
+        options: { domain: "CORP", userName: "svc", password: "secret" },
+      },
+    });
+  });
+});
+
+describe("describeAuthentication", () => {
+  it("should report the type and identity without secrets", () => {
+    expect(
+      describeAuthentication({
+        authenticationType: "azure-active-directory-service-principal-secret",
+        clientId: "app",
+        clientSecret: "secret",
+        tenantId: "tenant",
+      }),
+    ).toEqual({
+      type: "azure-active-directory-service-principal-secret",
+      clientId: "app",
+      tenantId: "tenant",
+    });
+    expect(describeAuthentication({ user: "sa", password: "secret" })).toEqual({
+      type: "default",
+      user: "sa",
+    });
+  });
+});
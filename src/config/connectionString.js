@@ -0,0 +1,150 @@
+const { parseSqlConnectionString } = require("@tediousjs/connection-string");
+
+/**
+ * Authentication keyword values, without spaces and in lower case, mapped
+ * to the driver's authentication types.
+ */
+const AUTHENTICATION_KEYWORDS = {
+  sqlpassword: "default",
+  activedirectorydefault: "azure-active-directory-default",
+  activedirectoryserviceprincipal:
+    "azure-active-directory-service-principal-secret",
+  activedirectorymanagedidentity: "azure-active-directory-msi-vm",
+  activedirectorymsi: "azure-active-directory-msi-vm",
+};
+
+/**
+ * Splits a Data Source such as "tcp:host\instance,1433" into server,
+ * instance name and port.
+ */
+function parseDataSource(dataSource) {
+  if (/^np:/i.test(dataSource)) {
+    throw new Error("Named pipes are not supported");
+  }
+  let server = dataSource.replace(/^tcp:/i, "");
+  let port;
+  const portMatch = /^(.*),\s*(\d+)$/.exec(server);
+  if (portMatch) {
+    server = portMatch[1];
+    port = parseInt(portMatch[2], 10);
+  }
+  let instanceName;
+  const instanceMatch = /^(.*)\\(.*)$/.exec(server);
+  if (instanceMatch) {
+    server = instanceMatch[1];
+    instanceName = instanceMatch[2].trim();
+  }
+  server = server.trim();
+  if (/^(\.|\(\.\)|\(local\)|\(localdb\))$/i.test(server)) {
+    server = "localhost";
+  }
+  return { server, port, instanceName };
+}
+
+/**
+ * Converts an ADO.NET style connection string into connection settings in
+ * the shape of dbConnectionSchema, e.g.
+ * "Server=tcp:sql.example.com,1433;Database=Sales;User ID=CORP\\svc;Password=...".
+ * A User ID with a domain selects NTLM. For Active Directory Service
+ * Principal, User ID and Password are the client ID and secret; for Active
+ * Directory Managed Identity, User ID is the client ID of a user-assigned
+ * identity. Keywords without a counterpart, such as Persist Security Info,
+ * are ignored.
+ * @param {string} connectionString - The connection string.
+ * @returns {Object} Partial connection settings.
+ * @throws {Error} If the string cannot be parsed or asks for something unsupported.
+ */
+function parseConnectionString(connectionString) {
+  const entries = parseSqlConnectionString(connectionString, true, true);
+  const settings = { options: {}, pool: {} };
+
+  if (entries["data source"]) {
+    const { server, port, instanceName } = parseDataSource(
+      String(entries["data source"]),
+    );
+    Object.assign(settings, { server, port });
+    settings.options.instanceName = instanceName;
+  }
+  settings.database = entries["initial catalog"] || undefined;
+  settings.password = entries.password || undefined;
+
+  const userId = entries["user id"] ? String(entries["user id"]) : undefined;
+  const domainUser = userId && /^(.*)\\(.*)$/.exec(userId);
+  if (domainUser) {
+    settings.authenticationType = "ntlm";
+    settings.domain = domainUser[1];
+    settings.user = domainUser[2];
+  } else {
+    settings.user = userId;
+  }
+
+  const integrated = entries["integrated security"];
+  if (
+    (integrated === true || String(integrated).toLowerCase() === "sspi") &&
+    !domainUser
+  ) {
+    throw new Error(
+      "Integrated Security is not supported. For Windows authentication, give a DOMAIN\\user User ID and its Password",
+    );
+  }
+
+  if (entries.authentication) {
+    const keyword = String(entries.authentication)
+      .replace(/[\s-]/g, "")
+      .toLowerCase();
+    const type = AUTHENTICATION_KEYWORDS[keyword];
+    if (!type) {
+      throw new Error(
+        `Authentication '${entries.authentication}' is not supported. Use one of: Sql Password, Active Directory Default, Active Directory Service Principal, Active Directory Managed Identity`,
+      );
+    }
+    settings.authenticationType = type;
+    if (type === "azure-active-directory-service-principal-secret") {
+      settings.clientId = settings.user;
+      settings.clientSecret = settings.password;
+      settings.user = undefined;
+      settings.password = undefined;
+    } else if (type === "azure-active-directory-msi-vm") {
+      settings.clientId = settings.user;
+      settings.user = undefined;
+    }
+  }
+  if (entries["tenant id"]) {
+    settings.tenantId = String(entries["tenant id"]);
+  }
+
+  if (entries.encrypt !== undefined) {
+    const encrypt = String(entries.encrypt).toLowerCase();
+    settings.options.encrypt =
+      encrypt === "strict"
+        ? "strict"
+        : ["true", "yes", "mandatory"].includes(encrypt);
+  }
+  if (entries.trustservercertificate !== undefined) {
+    settings.options.trustServerCertificate =
+      entries.trustservercertificate === true;
+  }
+  settings.options.serverName = entries.hostnameincertificate || undefined;
+  settings.options.appName = entries["application name"] || undefined;
+  if (entries.applicationintent) {
+    settings.options.readOnlyIntent =
+      String(entries.applicationintent).toLowerCase() === "readonly";
+  }
+  if (entries.multisubnetfailover !== undefined) {
+    settings.options.multiSubnetFailover = entries.multisubnetfailover === true;
+  }
+
+  // Timeouts are given in seconds
+  if (entries["connection timeout"] !== undefined) {
+    settings.connectionTimeout = Number(entries["connection timeout"]) * 1000;
+  }
+  if (entries["command timeout"] !== undefined) {
+    settings.requestTimeout = Number(entries["command timeout"]) * 1000;
+  }
+  settings.pool.max = entries["max pool size"];
+  settings.pool.min = entries["min pool size"];
+
+  return settings;
+}
+
+module.exports = { parseConnectionString };
@@ -0,0 +1,62 @@
+const { parseConnectionString } = require("./connectionString");
+
+describe("parseConnectionString", () => {
+  it("should read the server, database, TLS and pool settings", () => {
+    expect(
+      parseConnectionString(
+        "Server=tcp:sql.example.com\\BI,1444;Database=Sales;User ID=app;Password='a;b';Encrypt=strict;HostNameInCertificate=sql.internal;Connect Timeout=20;Max Pool Size=5;Application Name=mcp;Persist Security Info=False",
+      ),
+    ).toMatchObject({
+      server: "sql.example.com",
+      port: 1444,
+      database: "Sales",
+      user: "app",
+      password: "a;b",
+      connectionTimeout: 20000,
+      pool: { max: 5 },
+      options: {
+        instanceName: "BI",
+        encrypt: "strict",
+        serverName: "sql.internal",
+        appName: "mcp",
+      },
+    });
+  });
+
+  it("should map domain users and Authentication keywords to authentication types", () => {
+    expect(
+      parseConnectionString("Server=.;User ID=CORP\\svc;Password=pw"),
+    ).toMatchObject({
+      server: "localhost",
+      authenticationType: "ntlm",
+      domain: "CORP",
+      user: "svc",
+    });
+    expect(
+      parseConnectionString(
+        "Server=x;User ID=app-id;Password=secret;Authentication=Active Directory Service Principal;Tenant Id=tenant",
+      ),
+    ).toMatchObject({
+      authenticationType: "azure-active-directory-service-principal-secret",
+      clientId: "app-id",
+      clientSecret: "secret",
+      tenantId: "tenant",
+      user: undefined,
+      password: undefined,
+    });
+    expect(
+      parseConnectionString("Server=x;Authentication=ActiveDirectoryDefault"),
+    ).toMatchObject({ authenticationType: "azure-active-directory-default" });
+  });
+
+  it("should refuse what the driver cannot do", () => {
+    expect(() =>
+      parseConnectionString("Server=x;Integrated Security=SSPI"),
+    ).toThrow(/Integrated Security is not supported/);
+    expect(() =>
+      parseConnectionString(
+        "Server=x;Authentication=Active Directory Password",
+      ),
+    ).toThrow(/Authentication 'Active Directory Password' is not supported/);
+  });
+});
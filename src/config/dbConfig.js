@@ -1,7 +1,17 @@
-const { dbConfigs, getDbConfig, getConnectionStatus } = require("./index");
+const {
+  dbConfigs,
+  getDbConfig,
+  getConnectionStatus,
+  accessPolicies,
+  getAccessPolicy,
+  serializationConfig,
+} = require("./index");
 
 module.exports = {
   getDbConfig,
   dbConfigs,
   getConnectionStatus,
+  accessPolicies,
+  getAccessPolicy,
+  serializationConfig,
 };
@@ -1,51 +1,196 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
 const { z } = require("zod");
+const {
+  CATEGORIES,
+  DEFAULT_ALLOWED_CATEGORIES,
+} = require("../validation/queryClassifier");
+const {
+  AUTHENTICATION_TYPES,
+  AUTHENTICATION_FIELDS,
+  CREDENTIAL_FIELDS,
+  getAuthenticationFields,
+} = require("./authentication");
+const { parseConnectionString } = require("./connectionString");
+const {
+  getPrincipalDenialReason,
+  scopePolicyToPrincipal,
+  accessDeniedError,
+} = require("../modules/policy");
 
 /**
  * Schema for database connection configuration validation
- * Used for both single and multi-database configurations
- */
-const dbConnectionSchema = z.object({
-  server: z.string().min(1, { message: "Server name is required" }),
-  port: z.number().optional(),
-  user: z.string().min(1, { message: "Username is required" }),
-  password: z.string().min(1, { message: "Password is required" }),
-  database: z.string().min(1, { message: "Database name is required" }),
-  options: z.object({
-    encrypt: z.boolean(),
-    trustServerCertificate: z.boolean(),
-  }),
-  connectionTimeout: z.number().optional().default(30000),
-  requestTimeout: z.number().optional().default(30000),
-  pool: z
-    .object({
-      max: z.number().optional().default(10),
-      min: z.number().optional().default(0),
-      idleTimeoutMillis: z.number().optional().default(30000),
-    })
-    .optional()
-    .default({
-      max: 10,
-      min: 0,
-      idleTimeoutMillis: 30000,
-    }),
+ * Used for both single and multi-database configurations, and for the
+ * database entries of a config file, so unknown settings are rejected
+ */
+const dbConnectionSchema = z
+  .object({
+    server: z.string().min(1, { message: "Server name is required" }),
+    port: z.number().optional(),
+    authenticationType: z.enum(AUTHENTICATION_TYPES).default("default"),
+    // Credentials; each authentication type uses its own, see AUTHENTICATION_FIELDS
+    user: z.string().min(1, { message: "Username is required" }).optional(),
+    password: z.string().min(1, { message: "Password is required" }).optional(),
+    domain: z.string().min(1).optional(),
+    clientId: z.string().min(1).optional(),
+    clientSecret: z.string().min(1).optional(),
+    tenantId: z.string().min(1).optional(),
+    token: z.string().min(1).optional(),
+    database: z.string().min(1, { message: "Database name is required" }),
+    options: z
+      .object({
+        // "strict" uses TDS 8.0, where TLS starts before the login
+        encrypt: z.union([z.boolean(), z.literal("strict")]),
+        trustServerCertificate: z.boolean(),
+        // Host name to verify the server certificate against, if not server
+        serverName: z.string().min(1).optional(),
+        cryptoCredentialsDetails: z
+          .object({
+            minVersion: z.enum(["TLSv1.2", "TLSv1.3"]).optional(),
+            // PEM certificates of the certificate authorities to trust
+            ca: z.string().min(1).optional(),
+          })
+          .strict()
+          .optional(),
+        // Shown as program_name in sys.dm_exec_sessions
+        appName: z.string().min(1).max(128).optional(),
+        instanceName: z.string().min(1).optional(),
+        readOnlyIntent: z.boolean().optional(),
+        multiSubnetFailover: z.boolean().optional(),
+      })
+      .strict(),
+    connectionTimeout: z.number().int().positive().optional().default(30000),
+    // Also the longest timeoutMs a query may ask for
+    requestTimeout: z.number().int().positive().optional().default(30000),
+    pool: z
+      .object({
+        max: z.number().int().positive().optional().default(10),
+        min: z.number().int().min(0).optional().default(0),
+        idleTimeoutMillis: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .default(30000),
+      })
+      .strict()
+      .optional()
+      .default({
+        max: 10,
+        min: 0,
+        idleTimeoutMillis: 30000,
+      }),
+  })
+  .strict()
+  .superRefine((config, ctx) => {
+    const { required } = AUTHENTICATION_FIELDS[config.authenticationType];
+    for (const field of required) {
+      if (config[field] === undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [field],
+          message:
+            field === "user"
+              ? "Username is required"
+              : field === "password"
+                ? "Password is required"
+                : `${field} is required for ${config.authenticationType} authentication`,
+        });
+      }
+    }
+  })
+  .transform((config) => {
+    // Drop credentials the type does not use, e.g. a global MSSQL_USER under managed identity
+    const used = getAuthenticationFields(config.authenticationType);
+    const unused = CREDENTIAL_FIELDS.filter((field) => !used.includes(field));
+    return Object.fromEntries(
+      Object.entries(config).filter(([key]) => !unused.includes(key)),
+    );
+  });
+
+/**
+ * Rows returned per result set when a policy does not set maxRows
+ */
+const DEFAULT_MAX_ROWS = 1000;
+
+/**
+ * Categories that never write, used to keep read-only policies read-only
+ */
+const READONLY_SAFE_CATEGORIES = ["control", "read"];
+
+/**
+ * Schema for a database access policy.
+ * Table rules are "schema.table" or "table" (any schema), case-insensitive.
+ * Empty allow lists allow everything that is not denied, except for
+ * allowedProcedures: only listed procedures can be run with execute_procedure.
+ */
+const accessPolicySchema = z
+  .object({
+    mode: z.enum(["readonly", "readwrite"]).default("readwrite"),
+    allowedSchemas: z.array(z.string().min(1)).default([]),
+    deniedSchemas: z.array(z.string().min(1)).default([]),
+    allowedTables: z.array(z.string().min(1)).default([]),
+    deniedTables: z.array(z.string().min(1)).default([]),
+    allowedCategories: z.array(z.enum(CATEGORIES)).optional(),
+    crossDatabaseAccess: z.boolean().default(false),
+    allowedProcedures: z.array(z.string().min(1)).default([]),
+    maxRows: z.number().int().positive().default(DEFAULT_MAX_ROWS),
+  })
+  .superRefine((policy, ctx) => {
+    const writeCategories = (policy.allowedCategories || []).filter(
+      (category) => !READONLY_SAFE_CATEGORIES.includes(category),
+    );
+    if (policy.mode === "readonly" && writeCategories.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["allowedCategories"],
+        message: `Read-only policies cannot allow ${writeCategories.join(", ")}`,
+      });
+    }
+  })
+  .transform((policy) => ({
+    ...policy,
+    allowedCategories:
+      policy.allowedCategories || DEFAULT_ALLOWED_CATEGORIES[policy.mode],
+  }));
+
+/**
+ * Schema for the limits on concurrent queries against one database.
+ * Queries beyond maxConcurrentQueries wait in a queue of at most
+ * maxQueuedQueries, for at most queueTimeoutMs.
+ */
+const queryLimitsSchema = z.object({
+  maxConcurrentQueries: z.number().int().positive().default(10),
+  maxQueuedQueries: z.number().int().min(0).default(100),
+  queueTimeoutMs: z.number().int().positive().default(30000),
 });
 
 /**
  * Parses and validates the input using the provided schema
  * @param {Object} schema - Zod schema to use for validation
  * @param {any} data - Data to validate
+ * @param {Object} [source] - Where the data was read from, for error messages
+ * @param {string} source.file - The config file
+ * @param {Array<string>} [source.path] - Path of the data within the file
  * @returns {Object} Parsed and validated data
  * @throws {Error} If validation fails
  */
-function validate(schema, data) {
+function validate(schema, data, source) {
   try {
     return schema.parse(data);
   } catch (error) {
     if (error.errors && error.errors.length > 0) {
       const messages = error.errors
-        .map((err) => `${err.path.join(".")}: ${err.message}`)
+        .map(
+          (err) =>
+            `${[...(source?.path || []), ...err.path].join(".")}: ${err.message}`,
+        )
         .join(", ");
-      throw new Error(`[config] Validation failed: ${messages}`);
+      throw new Error(
+        source
+          ? `[config] Invalid config file ${source.file}: ${messages}`
+          : `[config] Validation failed: ${messages}`,
+      );
     }
     throw new Error("[config] Validation failed");
   }
@@ -56,13 +201,15 @@ function validate(schema, data) {
  * Returns appropriate configuration mode string
  */
 function detectConfigMode() {
-  // Check for multi-database mode by looking for any MSSQL_*_DATABASE environment variables
+  // Check for multi-database mode by looking for any MSSQL_*_DATABASE or MSSQL_*_CONNECTION_STRING environment variables
   const hasMultiDb = Object.keys(process.env).some((envKey) =>
-    envKey.match(/^MSSQL_(.+)_DATABASE$/),
+    envKey.match(/^MSSQL_(.+)_(DATABASE|CONNECTION_STRING)$/),
   );
 
   const hasSingleDb = Boolean(
-    process.env.MSSQL_SERVER || process.env.MSSQL_DATABASE,
+    process.env.MSSQL_SERVER ||
+    process.env.MSSQL_DATABASE ||
+    process.env.MSSQL_CONNECTION_STRING,
   );
 
   if (hasMultiDb) {
@@ -77,106 +224,384 @@ function detectConfigMode() {
 }
 
 /**
- * Loads single database configuration from environment variables
- * @returns {Object} Validated configuration object
+ * Reads a comma-separated list from the environment
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>|undefined} Trimmed, non-empty entries
  */
-function loadSingleDatabaseConfig() {
-  const config = {
-    server: process.env.MSSQL_SERVER || "localhost",
-    port: process.env.MSSQL_PORT
-      ? parseInt(process.env.MSSQL_PORT, 10)
-      : undefined,
-    user: process.env.MSSQL_USER,
-    password: process.env.MSSQL_PASSWORD,
-    database: process.env.MSSQL_DATABASE,
+function parseList(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Loads the access policy for a database from environment variables.
+ * Each setting is read from `${prefix}<NAME>` and falls back to MSSQL_<NAME>;
+ * the mode falls back to the global IS_READONLY flag.
+ * @param {string} prefix - Environment prefix, e.g. "MSSQL_MAINDB_" or "MSSQL_"
+ * @returns {Object} Validated access policy
+ */
+function loadAccessPolicy(prefix) {
+  const env = (name) =>
+    process.env[`${prefix}${name}`] ?? process.env[`MSSQL_${name}`];
+  const readonly = env("READONLY") ?? process.env.IS_READONLY;
+  const maxRows = env("MAX_ROWS");
+
+  const policy = {
+    mode: readonly === "true" ? "readonly" : "readwrite",
+    allowedSchemas: parseList(env("ALLOWED_SCHEMAS")),
+    deniedSchemas: parseList(env("DENIED_SCHEMAS")),
+    allowedTables: parseList(env("ALLOWED_TABLES")),
+    deniedTables: parseList(env("DENIED_TABLES")),
+    allowedCategories: parseList(env("ALLOWED_CATEGORIES")),
+    crossDatabaseAccess: env("CROSS_DATABASE_ACCESS") === "true",
+    allowedProcedures: parseList(env("ALLOWED_PROCEDURES")),
+    maxRows: maxRows ? parseInt(maxRows, 10) : undefined,
+  };
+
+  return validate(accessPolicySchema, policy);
+}
+
+/**
+ * Loads the concurrent query limits for a database from environment
+ * variables, with the same prefix fallback as loadAccessPolicy().
+ * @param {string} prefix - Environment prefix, e.g. "MSSQL_MAINDB_" or "MSSQL_"
+ * @returns {Object} Validated query limits
+ */
+function loadQueryLimits(prefix) {
+  const env = (name) =>
+    process.env[`${prefix}${name}`] ?? process.env[`MSSQL_${name}`];
+  const toInt = (value) => (value ? parseInt(value, 10) : undefined);
+
+  return validate(queryLimitsSchema, {
+    maxConcurrentQueries: toInt(env("MAX_CONCURRENT_QUERIES")),
+    maxQueuedQueries: toInt(env("MAX_QUEUED_QUERIES")),
+    queueTimeoutMs: toInt(env("QUEUE_TIMEOUT_MS")),
+  });
+}
+
+/**
+ * Connection settings used when neither the config file nor the environment sets them
+ */
+const CONNECTION_DEFAULTS = {
+  server: "localhost",
+  options: {
+    encrypt: false,
+    trustServerCertificate: true,
+  },
+  connectionTimeout: 30000,
+  requestTimeout: 30000,
+  pool: {
+    max: 10,
+    min: 0,
+    idleTimeoutMillis: 30000,
+  },
+};
+
+/**
+ * Reads the connection settings set in the environment under a prefix.
+ * A ${prefix}CONNECTION_STRING is read first, so the other variables
+ * override its values. Settings that are not set are left undefined, so
+ * they do not override other sources in mergeConnectionSettings().
+ * @param {string} prefix - Environment prefix, e.g. "MSSQL_MAINDB_" or "MSSQL_"
+ * @returns {Object} Partial connection settings
+ * @throws {Error} If the connection string is invalid
+ */
+function readConnectionEnv(prefix) {
+  const env = (name) => process.env[`${prefix}${name}`] || undefined;
+  const toInt = (value) => (value ? parseInt(value, 10) : undefined);
+  const encrypt = env("ENCRYPT");
+  const trustServerCertificate = env("TRUST_SERVER_CERTIFICATE");
+
+  let connectionString;
+  try {
+    connectionString =
+      env("CONNECTION_STRING") &&
+      parseConnectionString(env("CONNECTION_STRING"));
+  } catch (error) {
+    throw new Error(
+      `[config] Invalid ${prefix}CONNECTION_STRING: ${error.message}`,
+    );
+  }
+
+  return mergeConnectionSettings(connectionString, {
+    server: env("SERVER"),
+    port: toInt(env("PORT")),
+    authenticationType: env("AUTH_TYPE"),
+    user: env("USER"),
+    password: env("PASSWORD"),
+    domain: env("DOMAIN"),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    tenantId: env("TENANT_ID"),
+    token: env("ACCESS_TOKEN"),
+    database: env("DATABASE"),
     options: {
-      encrypt: process.env.MSSQL_ENCRYPT === "true",
+      encrypt:
+        encrypt === undefined
+          ? undefined
+          : encrypt === "strict"
+            ? "strict"
+            : encrypt === "true",
       trustServerCertificate:
-        process.env.MSSQL_TRUST_SERVER_CERTIFICATE !== "false",
+        trustServerCertificate === undefined
+          ? undefined
+          : trustServerCertificate !== "false",
+      appName: env("APP_NAME"),
     },
-    connectionTimeout: 30000,
-    requestTimeout: 30000,
+    connectionTimeout: toInt(env("CONNECTION_TIMEOUT_MS")),
+    requestTimeout: toInt(env("REQUEST_TIMEOUT_MS")),
     pool: {
-      max: 10,
-      min: 0,
-      idleTimeoutMillis: 30000,
+      max: toInt(env("POOL_MAX")),
+      min: toInt(env("POOL_MIN")),
+      idleTimeoutMillis: toInt(env("POOL_IDLE_TIMEOUT_MS")),
     },
-  };
+  });
+}
+
+/**
+ * Merges layers of connection settings; later layers win. Nested objects
+ * such as options and pool are merged key by key, and undefined values are skipped.
+ * @param {...Object} layers - Partial connection settings, lowest precedence first
+ * @returns {Object} The merged settings
+ */
+function mergeConnectionSettings(...layers) {
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const merged = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value === undefined) {
+        continue;
+      }
+      merged[key] =
+        isObject(value) && isObject(merged[key])
+          ? mergeConnectionSettings(merged[key], value)
+          : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Returns the config file named by the --config flag or MSSQL_CONFIG_FILE.
+ * The flag takes precedence.
+ * @param {Array<string>} [argv] - Command line arguments
+ * @returns {string|undefined} The file path, if any
+ */
+function getConfigFilePath(argv = process.argv) {
+  const index = argv.findIndex(
+    (arg) => arg === "--config" || arg.startsWith("--config="),
+  );
+  if (index === -1) {
+    return process.env.MSSQL_CONFIG_FILE || undefined;
+  }
+  const file = argv[index].startsWith("--config=")
+    ? argv[index].slice("--config=".length)
+    : argv[index + 1];
+  if (!file || file.startsWith("--")) {
+    throw new Error("[config] --config needs a file path");
+  }
+  return file;
+}
 
-  if (!config.user || !config.password || !config.database) {
+/**
+ * Schema for the config file. Each database entry holds connection settings
+ * in the shape of dbConnectionSchema; they are checked against it once
+ * merged with the defaults and the environment.
+ */
+const configFileSchema = z
+  .object({
+    defaultDatabase: z.string().min(1).optional(),
+    defaults: z.record(z.any()).optional(),
+    databases: z.record(
+      z.string().regex(/^[A-Za-z0-9_]+$/, {
+        message:
+          "Database keys can only contain letters, digits and underscores",
+      }),
+      z.record(z.any()),
+    ),
+  })
+  .strict()
+  .superRefine((config, ctx) => {
+    const seen = new Set();
+    for (const key of Object.keys(config.databases)) {
+      if (seen.has(key.toLowerCase())) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["databases", key],
+          message: "Database keys are case-insensitive and must be unique",
+        });
+      }
+      seen.add(key.toLowerCase());
+    }
+  });
+
+/**
+ * Reads and validates a JSON or YAML config file. Files ending in .json are
+ * parsed as JSON, anything else as YAML.
+ * @param {string} file - The file path
+ * @returns {Object} The validated file contents
+ * @throws {Error} If the file cannot be read, parsed or validated
+ */
+function readConfigFile(file) {
+  let raw;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    raw = /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(
+      `[config] Cannot read config file ${file}: ${error.message}`,
+    );
+  }
+  return validate(configFileSchema, raw ?? {}, { file });
+}
+
+/**
+ * Whether merged connection settings authenticate with a SQL Server login,
+ * and whether they have its user and password
+ */
+const isSqlLogin = (config) =>
+  (config.authenticationType || "default") === "default";
+const hasSqlLogin = (config) => Boolean(config.user && config.password);
+
+/**
+ * Loads single database configuration from environment variables
+ * @returns {Object} Validated configuration object
+ */
+function loadSingleDatabaseConfig() {
+  const config = mergeConnectionSettings(
+    CONNECTION_DEFAULTS,
+    readConnectionEnv("MSSQL_"),
+  );
+
+  if (!config.database || (isSqlLogin(config) && !hasSqlLogin(config))) {
     throw new Error(
       "[config] Missing required database credentials. Please set MSSQL_USER, MSSQL_PASSWORD, and MSSQL_DATABASE.",
     );
   }
 
-  return { maindb: validate(dbConnectionSchema, config) };
+  return {
+    dbConfigs: { maindb: validate(dbConnectionSchema, config) },
+    accessPolicies: { maindb: loadAccessPolicy("MSSQL_") },
+    queryLimits: { maindb: loadQueryLimits("MSSQL_") },
+  };
 }
 
 /**
- * Loads multi-database configurations from environment variables
- * @returns {Object} Object with database keys as keys and validated configurations as values
+ * Validates a database of the config file, layered between the settings
+ * below the file and the database's environment variables. A
+ * connectionString in the entry is read first, so the entry's other
+ * settings override its values.
+ * @param {string} file - The config file path
+ * @param {Object} fileConfig - The file contents, from readConfigFile()
+ * @param {string} fileKey - The database key as written in the file
+ * @param {Object} base - Settings the file overrides
+ * @param {Object} overrides - Settings that override the file
+ * @returns {Object} Validated configuration object
+ * @throws {Error} Naming the file and field, if the settings are invalid
  */
-function loadMultiDatabaseConfigs() {
+function loadFileDatabaseConfig(file, fileConfig, fileKey, base, overrides) {
+  const path = ["databases", fileKey];
+  const { connectionString, ...entry } = fileConfig.databases[fileKey];
+  let parsed;
+  try {
+    parsed =
+      connectionString === undefined
+        ? undefined
+        : parseConnectionString(String(connectionString));
+  } catch (error) {
+    throw new Error(
+      `[config] Invalid config file ${file}: ${[...path, "connectionString"].join(".")}: ${error.message}`,
+    );
+  }
+  return validate(
+    dbConnectionSchema,
+    mergeConnectionSettings(
+      base,
+      fileConfig.defaults,
+      parsed,
+      entry,
+      overrides,
+    ),
+    { file, path },
+  );
+}
+
+/**
+ * Loads multi-database configurations from environment variables and, when
+ * given, a config file. Each database's settings are layered, lowest first:
+ * defaults, MSSQL_* variables, the file's defaults, the file's entry for the
+ * database and MSSQL_<KEY>_* variables.
+ * @param {string} [file] - The config file path
+ * @param {Object} [fileConfig] - The file contents, from readConfigFile()
+ * @returns {Object} dbConfigs, accessPolicies and queryLimits, each keyed by database key
+ */
+function loadMultiDatabaseConfigs(file, fileConfig) {
   const dbConfigs = {};
+  const accessPolicies = {};
+  const queryLimits = {};
   const errors = [];
 
-  // Find all database configurations (any env var ending with _DATABASE)
-  for (const [envKey, value] of Object.entries(process.env)) {
-    const match = envKey.match(/^MSSQL_(.+)_DATABASE$/);
+  // Database keys mapped to the <KEY> of their MSSQL_<KEY>_* variables
+  const envKeys = new Map();
+  const fileKeys = new Map();
+  for (const key of Object.keys(fileConfig?.databases || {})) {
+    envKeys.set(key.toLowerCase(), key.toUpperCase());
+    fileKeys.set(key.toLowerCase(), key);
+  }
+  // Find all database configurations (any env var ending with _DATABASE or _CONNECTION_STRING)
+  for (const envKey of Object.keys(process.env)) {
+    const match = envKey.match(/^MSSQL_(.+)_(DATABASE|CONNECTION_STRING)$/);
     if (match) {
-      try {
-        const dbKey = match[1].toLowerCase();
-        const prefix = `MSSQL_${match[1]}_`;
-
-        const server =
-          process.env[`${prefix}SERVER`] ||
-          process.env.MSSQL_SERVER ||
-          "localhost";
-        const port = process.env[`${prefix}PORT`]
-          ? parseInt(process.env[`${prefix}PORT`], 10)
-          : undefined;
-        const user = process.env[`${prefix}USER`] || process.env.MSSQL_USER;
-        const password =
-          process.env[`${prefix}PASSWORD`] || process.env.MSSQL_PASSWORD;
-        const database = value;
-        const encrypt =
-          (process.env[`${prefix}ENCRYPT`] || process.env.MSSQL_ENCRYPT) ===
-          "true";
-        const trustServerCertificate =
-          (process.env[`${prefix}TRUST_SERVER_CERTIFICATE`] ||
-            process.env.MSSQL_TRUST_SERVER_CERTIFICATE) !== "false";
-
-        if (user && password && database) {
-          const config = {
-            server,
-            user,
-            password,
-            database,
-            options: {
-              encrypt,
-              trustServerCertificate,
-            },
-            connectionTimeout: 30000,
-            requestTimeout: 30000,
-            pool: {
-              max: 10,
-              min: 0,
-              idleTimeoutMillis: 30000,
-            },
-          };
-
-          if (port) {
-            config.port = port;
-          }
-          dbConfigs[dbKey] = validate(dbConnectionSchema, config);
-        } else {
+      envKeys.set(match[1].toLowerCase(), match[1]);
+    }
+  }
+
+  // MSSQL_DATABASE names the single database, not a default for the others
+  const globalSettings = {
+    ...readConnectionEnv("MSSQL_"),
+    database: undefined,
+  };
+
+  for (const [dbKey, envKey] of envKeys) {
+    const prefix = `MSSQL_${envKey}_`;
+    const fileKey = fileKeys.get(dbKey);
+    try {
+      if (fileKey) {
+        // Databases in the file must be valid; a mistake stops the server from starting
+        dbConfigs[dbKey] = loadFileDatabaseConfig(
+          file,
+          fileConfig,
+          fileKey,
+          mergeConnectionSettings(CONNECTION_DEFAULTS, globalSettings),
+          readConnectionEnv(prefix),
+        );
+      } else {
+        const config = mergeConnectionSettings(
+          CONNECTION_DEFAULTS,
+          globalSettings,
+          readConnectionEnv(prefix),
+        );
+        if (!config.database || (isSqlLogin(config) && !hasSqlLogin(config))) {
           errors.push(
             `[config] Incomplete configuration for database ${dbKey}. Missing user, password, or database name.`,
           );
+          continue;
         }
-      } catch (error) {
-        errors.push(`[config] ${error.message}`);
+        dbConfigs[dbKey] = validate(dbConnectionSchema, config);
+      }
+      accessPolicies[dbKey] = loadAccessPolicy(prefix);
+      queryLimits[dbKey] = loadQueryLimits(prefix);
+    } catch (error) {
+      if (fileKey) {
+        throw error;
       }
+      errors.push(`[config] ${error.message}`);
     }
   }
 
@@ -190,13 +615,215 @@ function loadMultiDatabaseConfigs() {
     console.warn("Configuration warnings:", errors.join("; "));
   }
 
-  return dbConfigs;
+  const defaultKey = fileConfig?.defaultDatabase?.toLowerCase();
+  if (defaultKey) {
+    if (!dbConfigs[defaultKey]) {
+      throw new Error(
+        `[config] Invalid config file ${file}: defaultDatabase: '${fileConfig.defaultDatabase}' is not a configured database. Available: ${Object.keys(dbConfigs).join(", ")}`,
+      );
+    }
+    // The first database is the one used when a call gives no dbKey
+    const first = (configs) => ({
+      [defaultKey]: configs[defaultKey],
+      ...configs,
+    });
+    return {
+      dbConfigs: first(dbConfigs),
+      accessPolicies: first(accessPolicies),
+      queryLimits: first(queryLimits),
+    };
+  }
+
+  return { dbConfigs, accessPolicies, queryLimits };
+}
+
+/**
+ * Live schema context a prompt template can ask for.
+ * table_schema needs a "table" argument and query_plan a "query" argument.
+ */
+const PROMPT_CONTEXTS = [
+  "tables",
+  "views",
+  "procedures",
+  "table_schema",
+  "relationships",
+  "query_plan",
+];
+
+/**
+ * Schema for a custom prompt template.
+ * "{{name}}" placeholders in the template are replaced with argument values.
+ */
+const promptTemplateSchema = z.object({
+  name: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/, {
+    message:
+      "Prompt name can only contain alphanumeric characters, underscores and hyphens",
+  }),
+  description: z.string().optional(),
+  arguments: z
+    .array(
+      z.object({
+        name: z.string().regex(/^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/, {
+          message:
+            "Argument name must start with a letter or underscore and contain only alphanumeric characters and underscores",
+        }),
+        description: z.string().optional(),
+        required: z.boolean().default(false),
+      }),
+    )
+    .default([]),
+  template: z.string().min(1, { message: "Prompt template cannot be empty" }),
+  context: z.array(z.enum(PROMPT_CONTEXTS)).default([]),
+});
+
+/**
+ * Loads custom prompt templates from the JSON file named by MSSQL_PROMPTS_FILE.
+ * An unreadable or invalid file is reported and ignored.
+ * @returns {Array<Object>} Validated prompt templates
+ */
+function loadPromptTemplates() {
+  const file = process.env.MSSQL_PROMPTS_FILE;
+  if (!file) {
+    return [];
+  }
+  try {
+    return validate(
+      z.array(promptTemplateSchema),
+      JSON.parse(fs.readFileSync(file, "utf8")),
+    );
+  } catch (error) {
+    console.warn(
+      `[config] Ignoring prompt templates in ${file}: ${error.message}`,
+    );
+    return [];
+  }
+}
+
+/**
+ * Schema for an HTTP API key. The secret is given either as "key" or as the
+ * hex SHA-256 digest of the key in "keySha256", so the file need not hold it.
+ * Omitted "databases" and "tools" scopes allow every database and tool;
+ * "tools" also takes "resources" and "prompts" for those endpoints.
+ * rateLimitPerMinute overrides MSSQL_RATE_LIMIT_PER_MINUTE for the key.
+ */
+const apiKeySchema = z
+  .object({
+    name: z.string().min(1, { message: "API key name is required" }),
+    key: z
+      .string()
+      .min(16, { message: "API keys must be at least 16 characters" })
+      .optional(),
+    keySha256: z
+      .string()
+      .regex(/^[0-9a-fA-F]{64}$/, {
+        message: "keySha256 must be a hex SHA-256 digest",
+      })
+      .optional(),
+    databases: z.array(z.string().min(1)).optional(),
+    access: z.enum(["readonly", "readwrite"]).default("readonly"),
+    tools: z.array(z.string().min(1)).optional(),
+    rateLimitPerMinute: z.number().int().min(0).optional(),
+  })
+  .refine((apiKey) => Boolean(apiKey.key) !== Boolean(apiKey.keySha256), {
+    message: "Set exactly one of key or keySha256",
+  });
+
+/**
+ * Loads HTTP authentication settings. API keys are read from the JSON file
+ * named by MSSQL_API_KEYS_FILE; without it the HTTP server is unauthenticated.
+ * Unlike prompt templates, an invalid key file stops the server from starting.
+ * @returns {{ apiKeys: Array<Object>, publicHealth: boolean }} Validated settings
+ */
+function loadAuthConfig() {
+  const file = process.env.MSSQL_API_KEYS_FILE;
+  const publicHealth = process.env.MSSQL_AUTH_PUBLIC_HEALTH === "true";
+  if (!file) {
+    return { apiKeys: [], publicHealth };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `[config] Cannot read API keys from ${file}: ${error.message}`,
+    );
+  }
+  const apiKeys = validate(z.array(apiKeySchema).min(1), raw);
+  const names = apiKeys.map((apiKey) => apiKey.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(
+      `[config] Duplicate API key name '${duplicate}' in ${file}`,
+    );
+  }
+  return { apiKeys, publicHealth };
 }
 
 /**
- * Main configuration loader - auto-detects mode and loads appropriate configurations
+ * Schema for audit log settings. Without a file, entries are only kept in
+ * memory for get_audit_log.
+ */
+const auditConfigSchema = z.object({
+  file: z.string().min(1).optional(),
+  maxBytes: z
+    .number()
+    .int()
+    .positive()
+    .default(10 * 1024 * 1024),
+  maxFiles: z.number().int().positive().default(5),
+  redactParameters: z.boolean().default(false),
+  recentEntries: z.number().int().min(0).default(1000),
+});
+
+/**
+ * Loads audit log settings from MSSQL_AUDIT_* environment variables.
+ * @returns {Object} Validated audit settings
+ */
+function loadAuditConfig() {
+  const toInt = (value) => (value ? parseInt(value, 10) : undefined);
+  return validate(auditConfigSchema, {
+    file: process.env.MSSQL_AUDIT_LOG_FILE || undefined,
+    maxBytes: toInt(process.env.MSSQL_AUDIT_LOG_MAX_BYTES),
+    maxFiles: toInt(process.env.MSSQL_AUDIT_LOG_MAX_FILES),
+    redactParameters: process.env.MSSQL_AUDIT_REDACT_PARAMETERS === "true",
+    recentEntries: toInt(process.env.MSSQL_AUDIT_RECENT_ENTRIES),
+  });
+}
+
+/**
+ * Schema for how binary values are written in results: hex or base64, and
+ * the bytes kept before a value is cut.
+ */
+const serializationConfigSchema = z.object({
+  binaryEncoding: z.enum(["hex", "base64"]).default("hex"),
+  maxBinaryBytes: z.number().int().positive().default(1024),
+});
+
+/**
+ * Loads result serialization settings from environment variables.
+ * @returns {Object} Validated serialization settings
+ */
+function loadSerializationConfig() {
+  return validate(serializationConfigSchema, {
+    binaryEncoding: process.env.MSSQL_BINARY_ENCODING || undefined,
+    maxBinaryBytes: process.env.MSSQL_MAX_BINARY_BYTES
+      ? parseInt(process.env.MSSQL_MAX_BINARY_BYTES, 10)
+      : undefined,
+  });
+}
+
+/**
+ * Main configuration loader - uses the config file when one is given, otherwise
+ * auto-detects mode and loads appropriate configurations
+ * @returns {Object} dbConfigs, accessPolicies and queryLimits, each keyed by database key
  */
 function loadDatabaseConfigs() {
+  const file = getConfigFilePath();
+  if (file) {
+    return loadMultiDatabaseConfigs(file, readConfigFile(file));
+  }
+
   const mode = detectConfigMode();
 
   if (mode === "multi") {
@@ -207,7 +834,39 @@ function loadDatabaseConfigs() {
 }
 
 // Load the configurations once when the module is imported
-const dbConfigs = loadDatabaseConfigs();
+const { dbConfigs, accessPolicies, queryLimits } = loadDatabaseConfigs();
+const promptTemplates = loadPromptTemplates();
+const authConfig = loadAuthConfig();
+const auditConfig = loadAuditConfig();
+const serializationConfig = loadSerializationConfig();
+// Requests per minute per client; 0 disables rate limiting
+const rateLimitPerMinute = process.env.MSSQL_RATE_LIMIT_PER_MINUTE
+  ? validate(
+      z.number().int().min(0),
+      parseInt(process.env.MSSQL_RATE_LIMIT_PER_MINUTE, 10),
+    )
+  : 0;
+// Time allowed for each database's health check
+const healthCheckTimeoutMs = process.env.MSSQL_HEALTH_CHECK_TIMEOUT_MS
+  ? validate(
+      z.number().int().positive(),
+      parseInt(process.env.MSSQL_HEALTH_CHECK_TIMEOUT_MS, 10),
+    )
+  : 5000;
+// Time running queries get to finish when the server shuts down
+const shutdownGraceMs = process.env.MSSQL_SHUTDOWN_GRACE_MS
+  ? validate(
+      z.number().int().min(0),
+      parseInt(process.env.MSSQL_SHUTDOWN_GRACE_MS, 10),
+    )
+  : 10000;
+// Time an MCP session over HTTP may go without requests before it is closed; 0 never closes it
+const sessionIdleTimeoutMs = process.env.MSSQL_SESSION_IDLE_TIMEOUT_MS
+  ? validate(
+      z.number().int().min(0),
+      parseInt(process.env.MSSQL_SESSION_IDLE_TIMEOUT_MS, 10),
+    )
+  : 1800000;
 const connectionStatus = {};
 
 // Initialize connection status for all databases
@@ -215,7 +874,10 @@ Object.keys(dbConfigs).forEach((dbKey) => {
   connectionStatus[dbKey] = {
     lastConnected: null,
     lastError: null,
+    lastErrorAt: null,
     status: "initialized",
+    failures: 0,
+    nextRetryAt: null,
   };
 });
 
@@ -240,6 +902,26 @@ function getDbConfig(dbKey) {
   return dbConfigs[firstKey];
 }
 
+/**
+ * Returns the access policy for the given dbKey, with the same fallback as getDbConfig.
+ * When an API key principal is given, the policy is narrowed to its access.
+ * Throws if not found, or if the principal may not use the database.
+ */
+function getAccessPolicy(dbKey, principal) {
+  const key = dbKey ? dbKey.toLowerCase() : Object.keys(accessPolicies)[0];
+  if (!accessPolicies[key]) {
+    throw new Error(
+      `[config] Invalid dbKey '${dbKey}'. Available: ${Object.keys(accessPolicies).join(", ")}`,
+    );
+  }
+
+  const reason = getPrincipalDenialReason(principal, { dbKey: key });
+  if (reason) {
+    throw accessDeniedError(reason);
+  }
+  return scopePolicyToPrincipal(accessPolicies[key], principal);
+}
+
 /**
  * Get database connection status
  * @returns {Object} Connection status for all databases
@@ -250,16 +932,22 @@ function getConnectionStatus() {
 
 /**
  * Updates the connection status for a specific database
+ * @param {string} dbKey - The database key.
+ * @param {string} status - "connecting", "connected", "error" or "closed".
+ * @param {Error} [error] - The error that caused the status.
+ * @param {Object} [retry] - failures since the last connect, and nextRetryAt.
  */
-function updateConnectionStatus(dbKey, status, error = null) {
-  if (connectionStatus[dbKey]) {
+function updateConnectionStatus(dbKey, status, error = null, retry = {}) {
+  const previous = connectionStatus[dbKey];
+  if (previous) {
+    const now = new Date().toISOString();
     connectionStatus[dbKey] = {
-      lastConnected:
-        status === "connected"
-          ? new Date().toISOString()
-          : connectionStatus[dbKey].lastConnected,
-      lastError: error ? error.message : connectionStatus[dbKey].lastError,
+      lastConnected: status === "connected" ? now : previous.lastConnected,
+      lastError: error ? error.message : previous.lastError,
+      lastErrorAt: error ? now : previous.lastErrorAt,
       status: status,
+      failures: retry.failures ?? previous.failures,
+      nextRetryAt: retry.nextRetryAt ?? null,
     };
   }
 }
@@ -267,10 +955,30 @@ function updateConnectionStatus(dbKey, status, error = null) {
 module.exports = {
   getDbConfig,
   dbConfigs,
+  getAccessPolicy,
+  accessPolicies,
+  accessPolicySchema,
+  queryLimits,
+  queryLimitsSchema,
+  rateLimitPerMinute,
+  healthCheckTimeoutMs,
+  shutdownGraceMs,
+  sessionIdleTimeoutMs,
+  promptTemplates,
+  promptTemplateSchema,
+  authConfig,
+  apiKeySchema,
+  auditConfig,
+  auditConfigSchema,
+  serializationConfig,
+  serializationConfigSchema,
+  PROMPT_CONTEXTS,
   connectionStatus,
   getConnectionStatus,
   updateConnectionStatus,
   validate,
   dbConnectionSchema,
+  configFileSchema,
+  getConfigFilePath,
   detectConfigMode,
 };
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("config file", () => {
+  const originalEnv = process.env;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+    process.env = {};
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Loads the config module afresh with MSSQL_CONFIG_FILE pointing at the contents
+  function loadConfig(name, contents, env = {}) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    process.env = { MSSQL_CONFIG_FILE: file, ...env };
+    let config;
+    jest.isolateModules(() => {
+      config = require("./index");
+    });
+    return { config, file };
+  }
+
+  it("should layer file settings between defaults and database env vars", () => {
+    const { config } = loadConfig(
+      "mssql.yaml",
+      [
+        "defaultDatabase: reporting",
+        "defaults:",
+        "  server: sql.example.com",
+        "  user: app",
+        "  options: { encrypt: true, trustServerCertificate: false }",
+        "databases:",
+        "  sales:",
+        "    database: Sales",
+        "    pool: { max: 25 }",
+        "  reporting:",
+        "    database: Reporting",
+        "    requestTimeout: 120000",
+        "    options: { appName: mcp-reporting }",
+      ].join("\n"),
+      {
+        MSSQL_PASSWORD: "global-secret",
+        MSSQL_SALES_SERVER: "sales.example.com",
+      },
+    );
+
+    expect(Object.keys(config.dbConfigs)).toEqual(["reporting", "sales"]);
+    expect(config.dbConfigs.sales).toMatchObject({
+      server: "sales.example.com",
+      user: "app",
+      password: "global-secret",
+      database: "Sales",
+      options: { encrypt: true, trustServerCertificate: false },
+      requestTimeout: 30000,
+      pool: { max: 25, min: 0, idleTimeoutMillis: 30000 },
+    });
+    expect(config.dbConfigs.reporting).toMatchObject({
+      server: "sql.example.com",
+      requestTimeout: 120000,
+      options: { appName: "mcp-reporting" },
+    });
+    expect(config.getDbConfig().database).toBe("Reporting");
+  });
+
+  it("should name the file and field of an invalid setting", () => {
+    expect(() =>
+      loadConfig(
+        "mssql.json",
+        JSON.stringify({
+          databases: {
+            main: {
+              server: "sql",
+              user: "app",
+              password: "secret",
+              database: "Main",
+              pool: { max: "ten" },
+              option: {},
+            },
+          },
+        }),
+      ),
+    ).toThrow(
+      /Invalid config file .*mssql\.json: databases\.main\.pool\.max: Expected number, received string, databases\.main: Unrecognized key\(s\) in object: 'option'/,
+    );
+  });
+
+  it("should accept Azure AD, NTLM and connection string authentication", () => {
+    const { config } = loadConfig(
+      "mssql.yaml",
+      [
+        "databases:",
+        "  azure:",
+        "    server: db.database.windows.net",
+        "    database: Sales",
+        "    authenticationType: azure-active-directory-default",
+        "  onprem:",
+        "    connectionString: Server=sql01;Database=Ops;User ID=CORP\\svc",
+      ].join("\n"),
+      { MSSQL_USER: "sa", MSSQL_ONPREM_PASSWORD: "secret" },
+    );
+
+    // Credentials the type does not use are dropped
+    expect(config.dbConfigs.azure).not.toHaveProperty("user");
+    expect(config.dbConfigs.azure.authenticationType).toBe(
+      "azure-active-directory-default",
+    );
+    expect(config.dbConfigs.onprem).toMatchObject({
+      server: "sql01",
+      database: "Ops",
+      authenticationType: "ntlm",
+      domain: "CORP",
+      user: "svc",
+      password: "secret",
+    });
+  });
+
+  it("should require the credentials of the authentication type", () => {
+    expect(() =>
+      loadConfig(
+        "mssql.yaml",
+        [
+          "databases:",
+          "  azure:",
+          "    server: db.database.windows.net",
+          "    database: Sales",
+          "    authenticationType: azure-active-directory-service-principal-secret",
+          "    clientId: app",
+        ].join("\n"),
+      ),
+    ).toThrow(
+      /databases\.azure\.clientSecret: clientSecret is required for azure-active-directory-service-principal-secret authentication/,
+    );
+  });
+
+  it("should report unreadable files and unknown default databases", () => {
+    expect(() => loadConfig("mssql.yaml", "databases: [")).toThrow(
+      /Cannot read config file .*mssql\.yaml/,
+    );
+    expect(() =>
+      loadConfig(
+        "mssql.yaml",
+        "defaultDatabase: other\ndatabases:\n  main: { server: s, user: u, password: p, database: d }",
+      ),
+    ).toThrow(/defaultDatabase: 'other' is not a configured database/);
+  });
+});
@@ -0,0 +1,560 @@
+/**
+ * Catalog queries for a single table. Each SELECT is one result set, in the
+ * order describeTableDetails() expects them.
+ * Expects @schemaName and @tableName to be bound.
+ */
+const TABLE_DETAILS_QUERY = `
+  DECLARE @objectId int = OBJECT_ID(QUOTENAME(@schemaName) + N'.' + QUOTENAME(@tableName));
+
+  SELECT
+    CAST(ep.value AS nvarchar(max)) AS description,
+    (SELECT SUM(p.rows) FROM sys.partitions p
+      WHERE p.object_id = @objectId AND p.index_id IN (0, 1)) AS approximate_row_count
+  FROM (SELECT 1 AS one) AS t
+  LEFT JOIN sys.extended_properties ep
+    ON ep.class = 1 AND ep.major_id = @objectId AND ep.minor_id = 0 AND ep.name = N'MS_Description';
+
+  SELECT
+    c.name,
+    TYPE_NAME(c.system_type_id) AS system_type,
+    TYPE_NAME(c.user_type_id) AS user_type,
+    CASE
+      WHEN c.max_length = -1 THEN -1
+      WHEN TYPE_NAME(c.system_type_id) IN (N'nchar', N'nvarchar') THEN c.max_length / 2
+      ELSE c.max_length
+    END AS max_length,
+    c.precision,
+    c.scale,
+    c.is_nullable,
+    c.collation_name,
+    dc.definition AS default_definition,
+    c.is_identity,
+    CAST(idc.seed_value AS bigint) AS identity_seed,
+    CAST(idc.increment_value AS bigint) AS identity_increment,
+    cc.definition AS computed_definition,
+    cc.is_persisted,
+    CAST(ep.value AS nvarchar(max)) AS description
+  FROM sys.columns c
+  LEFT JOIN sys.default_constraints dc ON dc.object_id = c.default_object_id
+  LEFT JOIN sys.identity_columns idc
+    ON idc.object_id = c.object_id AND idc.column_id = c.column_id
+  LEFT JOIN sys.computed_columns cc
+    ON cc.object_id = c.object_id AND cc.column_id = c.column_id
+  LEFT JOIN sys.extended_properties ep
+    ON ep.class = 1 AND ep.major_id = c.object_id AND ep.minor_id = c.column_id AND ep.name = N'MS_Description'
+  WHERE c.object_id = @objectId
+  ORDER BY c.column_id;
+
+  SELECT
+    i.name,
+    i.type_desc,
+    i.is_primary_key,
+    i.is_unique,
+    i.is_unique_constraint,
+    i.filter_definition,
+    c.name AS column_name,
+    ic.is_descending_key,
+    ic.is_included_column
+  FROM sys.indexes i
+  JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+  JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+  WHERE i.object_id = @objectId AND i.type > 0 AND i.is_hypothetical = 0
+  ORDER BY i.index_id, ic.is_included_column, ic.key_ordinal, ic.index_column_id;
+
+  SELECT
+    fk.name,
+    pc.name AS column_name,
+    OBJECT_SCHEMA_NAME(fk.referenced_object_id) AS referenced_schema,
+    OBJECT_NAME(fk.referenced_object_id) AS referenced_table,
+    rc.name AS referenced_column,
+    fk.delete_referential_action_desc,
+    fk.update_referential_action_desc,
+    fk.is_disabled,
+    fk.is_not_trusted
+  FROM sys.foreign_keys fk
+  JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+  JOIN sys.columns pc
+    ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+  JOIN sys.columns rc
+    ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+  WHERE fk.parent_object_id = @objectId
+  ORDER BY fk.name, fkc.constraint_column_id;
+
+  SELECT
+    cc.name,
+    cc.definition,
+    COL_NAME(cc.parent_object_id, cc.parent_column_id) AS column_name,
+    cc.is_disabled,
+    cc.is_not_trusted
+  FROM sys.check_constraints cc
+  WHERE cc.parent_object_id = @objectId
+  ORDER BY cc.name;
+
+  SELECT
+    t.name,
+    t.is_disabled,
+    t.is_instead_of_trigger,
+    te.type_desc AS event
+  FROM sys.triggers t
+  JOIN sys.trigger_events te ON te.object_id = t.object_id
+  WHERE t.parent_id = @objectId
+  ORDER BY t.name, te.type;
+`;
+
+const LENGTH_TYPES = new Set([
+  "char",
+  "varchar",
+  "nchar",
+  "nvarchar",
+  "binary",
+  "varbinary",
+]);
+const PRECISION_SCALE_TYPES = new Set(["decimal", "numeric"]);
+const SCALE_TYPES = new Set(["datetime2", "datetimeoffset", "time"]);
+
+/**
+ * Builds a column's type declaration, e.g. "nvarchar(50)", "decimal(18,2)" or "varbinary(MAX)".
+ * @param {Object} column - A row of the columns result set.
+ * @returns {string} The declaration.
+ */
+function formatColumnType(column) {
+  const type = column.system_type;
+  if (LENGTH_TYPES.has(type)) {
+    return `${type}(${column.max_length === -1 ? "MAX" : column.max_length})`;
+  }
+  if (PRECISION_SCALE_TYPES.has(type)) {
+    return `${type}(${column.precision},${column.scale})`;
+  }
+  if (SCALE_TYPES.has(type)) {
+    return `${type}(${column.scale})`;
+  }
+  return type;
+}
+
+/**
+ * Groups rows that share a name, keeping the first row and all rows of each group.
+ * @param {Array<Object>} rows - Rows in result order.
+ * @returns {Array<{ first: Object, rows: Array<Object> }>} The groups.
+ */
+function groupByName(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.name)) {
+      groups.set(row.name, { first: row, rows: [] });
+    }
+    groups.get(row.name).rows.push(row);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Assembles the result sets of TABLE_DETAILS_QUERY into a table description.
+ * @param {Array<Array<Object>>} recordsets - The query's result sets.
+ * @returns {Object} description, approximateRowCount, columns, primaryKey, foreignKeys,
+ *   uniqueConstraints, checkConstraints, indexes and triggers.
+ */
+function describeTableDetails(recordsets) {
+  const [
+    [table = {}],
+    columnRows,
+    indexRows,
+    foreignKeyRows,
+    checkRows,
+    triggerRows,
+  ] = recordsets;
+
+  const columns = columnRows.map((column) => ({
+    name: column.name,
+    type: formatColumnType(column),
+    userType:
+      column.user_type !== column.system_type ? column.user_type : undefined,
+    nullable: column.is_nullable,
+    maxLength: LENGTH_TYPES.has(column.system_type)
+      ? column.max_length
+      : undefined,
+    precision: column.precision,
+    scale: column.scale,
+    default: column.default_definition ?? null,
+    identity: column.is_identity
+      ? {
+          seed: Number(column.identity_seed),
+          increment: Number(column.identity_increment),
+        }
+      : null,
+    computed: column.computed_definition
+      ? {
+          definition: column.computed_definition,
+          persisted: column.is_persisted,
+        }
+      : null,
+    collation: column.collation_name ?? null,
+    description: column.description ?? null,
+  }));
+
+  const indexes = groupByName(indexRows).map(({ first, rows }) => ({
+    name: first.name,
+    type: first.type_desc,
+    unique: first.is_unique,
+    primaryKey: first.is_primary_key,
+    uniqueConstraint: first.is_unique_constraint,
+    keyColumns: rows
+      .filter((row) => !row.is_included_column)
+      .map((row) => ({
+        name: row.column_name,
+        descending: row.is_descending_key,
+      })),
+    includedColumns: rows
+      .filter((row) => row.is_included_column)
+      .map((row) => row.column_name),
+    filter: first.filter_definition ?? null,
+  }));
+
+  const keyOf = (index) => ({
+    name: index.name,
+    columns: index.keyColumns.map((column) => column.name),
+  });
+  const primaryKeyIndex = indexes.find((index) => index.primaryKey);
+
+  return {
+    description: table.description ?? null,
+    approximateRowCount:
+      table.approximate_row_count == null
+        ? null
+        : Number(table.approximate_row_count),
+    columns,
+    primaryKey: primaryKeyIndex ? keyOf(primaryKeyIndex) : null,
+    foreignKeys: groupByName(foreignKeyRows).map(({ first, rows }) => ({
+      name: first.name,
+      columns: rows.map((row) => row.column_name),
+      referencedTable: `${first.referenced_schema}.${first.referenced_table}`,
+      referencedColumns: rows.map((row) => row.referenced_column),
+      onDelete: first.delete_referential_action_desc,
+      onUpdate: first.update_referential_action_desc,
+      disabled: first.is_disabled,
+      trusted: !first.is_not_trusted,
+    })),
+    uniqueConstraints: indexes
+      .filter((index) => index.uniqueConstraint)
+      .map(keyOf),
+    checkConstraints: checkRows.map((check) => ({
+      name: check.name,
+      definition: check.definition,
+      column: check.column_name ?? null,
+      disabled: check.is_disabled,
+      trusted: !check.is_not_trusted,
+    })),
+    indexes,
+    triggers: groupByName(triggerRows).map(({ first, rows }) => ({
+      name: first.name,
+      events: rows.map((row) => row.event),
+      insteadOf: first.is_instead_of_trigger,
+      disabled: first.is_disabled,
+    })),
+  };
+}
+
+/**
+ * Loads keys, constraints, indexes, triggers, row count and descriptions for a table.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {{ schema: string, name: string }} table - The resolved table.
+ * @returns {Promise<Object>} See describeTableDetails().
+ */
+async function loadTableDetails(pool, table) {
+  const result = await pool
+    .request()
+    .input("schemaName", table.schema)
+    .input("tableName", table.name)
+    .query(TABLE_DETAILS_QUERY);
+  return describeTableDetails(result.recordsets);
+}
+
+/**
+ * sys.objects type codes of each kind of programmable object
+ */
+const OBJECT_TYPES = {
+  view: ["V"],
+  procedure: ["P", "PC"],
+  function: ["FN", "IF", "TF", "FS", "FT"],
+};
+
+const ALL_OBJECT_TYPES = Object.values(OBJECT_TYPES).flat();
+
+/**
+ * Builds a SQL list of type codes. The codes are constants, never user input.
+ * @param {Array<string>} types - sys.objects type codes.
+ * @returns {string} e.g. "N'P', N'PC'".
+ */
+function typeList(types) {
+  return types.map((type) => `N'${type}'`).join(", ");
+}
+
+/**
+ * Lists the user-defined views, procedures or functions of a database.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {string} kind - "view", "procedure" or "function".
+ * @param {string|null} [schema] - Only list objects in this schema.
+ * @returns {Promise<Array<Object>>} schema, name, type, description, created and modified per object.
+ */
+async function listObjects(pool, kind, schema = null) {
+  const result = await pool.request().input("schemaName", schema).query(`
+    SELECT
+      s.name AS schema_name,
+      o.name,
+      o.type_desc,
+      o.create_date,
+      o.modify_date,
+      CAST(ep.value AS nvarchar(max)) AS description
+    FROM sys.objects o
+    JOIN sys.schemas s ON s.schema_id = o.schema_id
+    LEFT JOIN sys.extended_properties ep
+      ON ep.class = 1 AND ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.name = N'MS_Description'
+    WHERE o.type IN (${typeList(OBJECT_TYPES[kind])})
+      AND o.is_ms_shipped = 0
+      AND (@schemaName IS NULL OR s.name = @schemaName)
+    ORDER BY s.name, o.name
+  `);
+  return result.recordset.map((row) => ({
+    schema: row.schema_name,
+    name: row.name,
+    type: row.type_desc,
+    description: row.description ?? null,
+    created: row.create_date,
+    modified: row.modify_date,
+  }));
+}
+
+/**
+ * Finds the views, procedures and functions with a name, in one schema or in all of them.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {{ schema: string|null, name: string }} object - The parsed object name.
+ * @returns {Promise<Array<Object>>} Matching sys.objects rows with their module text.
+ */
+async function findObjects(pool, object) {
+  const result = await pool
+    .request()
+    .input("schemaName", object.schema)
+    .input("objectName", object.name).query(`
+      SELECT
+        o.object_id,
+        s.name AS schema_name,
+        o.name,
+        o.type,
+        o.type_desc,
+        o.create_date,
+        o.modify_date,
+        m.definition,
+        CAST(OBJECTPROPERTY(o.object_id, 'IsEncrypted') AS bit) AS is_encrypted,
+        CAST(ep.value AS nvarchar(max)) AS description
+      FROM sys.objects o
+      JOIN sys.schemas s ON s.schema_id = o.schema_id
+      LEFT JOIN sys.sql_modules m ON m.object_id = o.object_id
+      LEFT JOIN sys.extended_properties ep
+        ON ep.class = 1 AND ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.name = N'MS_Description'
+      WHERE o.name = @objectName
+        AND (@schemaName IS NULL OR s.name = @schemaName)
+        AND o.type IN (${typeList(ALL_OBJECT_TYPES)})
+        AND o.is_ms_shipped = 0
+      ORDER BY s.name
+    `);
+  return result.recordset;
+}
+
+/**
+ * Parameters of the object @objectId, in declaration order
+ */
+const PARAMETERS_QUERY = `
+  SELECT
+    p.parameter_id,
+    p.name,
+    TYPE_NAME(p.system_type_id) AS system_type,
+    TYPE_NAME(p.user_type_id) AS user_type,
+    CASE
+      WHEN p.max_length = -1 THEN -1
+      WHEN TYPE_NAME(p.system_type_id) IN (N'nchar', N'nvarchar') THEN p.max_length / 2
+      ELSE p.max_length
+    END AS max_length,
+    p.precision,
+    p.scale,
+    p.is_output,
+    p.is_readonly
+  FROM sys.parameters p
+  WHERE p.object_id = @objectId
+  ORDER BY p.parameter_id;
+`;
+
+/**
+ * Loads the parameters of a procedure or function from sys.parameters.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {number} objectId - The object's id.
+ * @returns {Promise<Array<Object>>} The sys.parameters rows.
+ */
+async function loadParameters(pool, objectId) {
+  const result = await pool
+    .request()
+    .input("objectId", objectId)
+    .query(PARAMETERS_QUERY);
+  return result.recordset;
+}
+
+/**
+ * Maps a sys.parameters row to a parameter description.
+ * parameter_id 0 is a scalar function's return value.
+ */
+function describeParameter(row) {
+  let direction = "IN";
+  if (row.parameter_id === 0) direction = "RETURN";
+  else if (row.is_output) direction = "OUTPUT";
+  return {
+    name: row.name || null,
+    type: formatColumnType(row),
+    userType: row.user_type !== row.system_type ? row.user_type : undefined,
+    direction,
+    readonly: row.is_readonly || undefined,
+  };
+}
+
+/**
+ * Loads the parameters, result columns and module text of a view, procedure or function.
+ * Procedure result columns come from sys.dm_exec_describe_first_result_set_for_object,
+ * which cannot describe every procedure (e.g. ones that use temporary tables);
+ * resultColumnsError says why when it fails.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {Object} object - A row from findObjects().
+ * @returns {Promise<Object>} The object description.
+ */
+async function loadObjectDefinition(pool, object) {
+  const result = await pool.request().input("objectId", object.object_id)
+    .query(`
+      ${PARAMETERS_QUERY}
+
+      SELECT
+        c.name,
+        TYPE_NAME(c.system_type_id) AS system_type,
+        CASE
+          WHEN c.max_length = -1 THEN -1
+          WHEN TYPE_NAME(c.system_type_id) IN (N'nchar', N'nvarchar') THEN c.max_length / 2
+          ELSE c.max_length
+        END AS max_length,
+        c.precision,
+        c.scale,
+        c.is_nullable
+      FROM sys.columns c
+      WHERE c.object_id = @objectId
+      ORDER BY c.column_id;
+    `);
+  const [parameterRows, columnRows] = result.recordsets;
+
+  const parameters = parameterRows.map(describeParameter);
+  const returnValue = parameters.find((p) => p.direction === "RETURN");
+
+  let resultColumns = columnRows.map((column) => ({
+    name: column.name,
+    type: formatColumnType(column),
+    nullable: column.is_nullable,
+  }));
+  let resultColumnsError;
+  if (OBJECT_TYPES.procedure.includes(object.type)) {
+    const described = await pool.request().input("objectId", object.object_id)
+      .query(`
+        SELECT name, system_type_name, is_nullable, error_message
+        FROM sys.dm_exec_describe_first_result_set_for_object(@objectId, 0)
+        ORDER BY column_ordinal
+      `);
+    const errorRow = described.recordset.find((row) => row.error_message);
+    if (errorRow) {
+      resultColumns = null;
+      resultColumnsError = errorRow.error_message;
+    } else {
+      resultColumns = described.recordset.map((row) => ({
+        name: row.name,
+        type: row.system_type_name,
+        nullable: row.is_nullable,
+      }));
+    }
+  } else if (returnValue) {
+    // Scalar functions return a value, not a result set
+    resultColumns = null;
+  }
+
+  return {
+    object: `${object.schema_name}.${object.name}`,
+    schema: object.schema_name,
+    name: object.name,
+    type: object.type_desc,
+    description: object.description ?? null,
+    created: object.create_date,
+    modified: object.modify_date,
+    parameters: parameters.filter((p) => p.direction !== "RETURN"),
+    returnType: returnValue ? returnValue.type : undefined,
+    resultColumns,
+    resultColumnsError,
+    encrypted: Boolean(object.is_encrypted),
+    definition: object.definition ?? null,
+  };
+}
+
+/**
+ * Loads every foreign key of a database, one row per key column.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @returns {Promise<Array<Object>>} Key name, referencing and referenced schema,
+ *   table and column, nullability of the referencing column and the referential actions.
+ */
+async function loadForeignKeys(pool) {
+  const result = await pool.request().query(`
+    SELECT
+      fk.name,
+      OBJECT_SCHEMA_NAME(fk.parent_object_id) AS parent_schema,
+      OBJECT_NAME(fk.parent_object_id) AS parent_table,
+      pc.name AS parent_column,
+      pc.is_nullable AS parent_nullable,
+      OBJECT_SCHEMA_NAME(fk.referenced_object_id) AS referenced_schema,
+      OBJECT_NAME(fk.referenced_object_id) AS referenced_table,
+      rc.name AS referenced_column,
+      fk.delete_referential_action_desc,
+      fk.update_referential_action_desc
+    FROM sys.foreign_keys fk
+    JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+    JOIN sys.columns pc
+      ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+    JOIN sys.columns rc
+      ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+    ORDER BY parent_schema, parent_table, fk.name, fkc.constraint_column_id
+  `);
+  return result.recordset;
+}
+
+/**
+ * Loads the columns of a table in column order, with the position of each
+ * primary key column.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {string} quotedTable - The bracket-quoted table name. An unqualified
+ *   name resolves like it does in a query.
+ * @returns {Promise<Array<Object>>} name and primary_key_ordinal (null outside the key).
+ */
+async function loadTableColumns(pool, quotedTable) {
+  const result = await pool.request().input("table", quotedTable).query(`
+    SELECT c.name, ic.key_ordinal AS primary_key_ordinal
+    FROM sys.columns c
+    LEFT JOIN sys.indexes i
+      ON i.object_id = c.object_id AND i.is_primary_key = 1
+    LEFT JOIN sys.index_columns ic
+      ON ic.object_id = i.object_id AND ic.index_id = i.index_id AND ic.column_id = c.column_id
+    WHERE c.object_id = OBJECT_ID(@table)
+    ORDER BY c.column_id
+  `);
+  return result.recordset;
+}
+
+module.exports = {
+  TABLE_DETAILS_QUERY,
+  OBJECT_TYPES,
+  formatColumnType,
+  describeTableDetails,
+  loadTableDetails,
+  listObjects,
+  findObjects,
+  loadParameters,
+  loadObjectDefinition,
+  loadForeignKeys,
+  loadTableColumns,
+};
@@ -0,0 +1,141 @@
+const { describeTableDetails, formatColumnType } = require("./catalog");
+
+describe("formatColumnType", () => {
+  it("should include lengths, precision and scale where they apply", () => {
+    expect(formatColumnType({ system_type: "nvarchar", max_length: 50 })).toBe(
+      "nvarchar(50)",
+    );
+    expect(formatColumnType({ system_type: "varbinary", max_length: -1 })).toBe(
+      "varbinary(MAX)",
+    );
+    expect(
+      formatColumnType({ system_type: "decimal", precision: 18, scale: 2 }),
+    ).toBe("decimal(18,2)");
+    expect(formatColumnType({ system_type: "datetime2", scale: 3 })).toBe(
+      "datetime2(3)",
+    );
+    expect(formatColumnType({ system_type: "int", max_length: 4 })).toBe("int");
+  });
+});
+
+describe("describeTableDetails", () => {
+  const index = (name, column, extra = {}) => ({
+    name,
+    type_desc: "NONCLUSTERED",
+    is_primary_key: false,
+    is_unique: false,
+    is_unique_constraint: false,
+    filter_definition: null,
+    column_name: column,
+    is_descending_key: false,
+    is_included_column: false,
+    ...extra,
+  });
+
+  const details = describeTableDetails([
+    [{ description: "Customer orders", approximate_row_count: "1200" }],
+    [
+      {
+        name: "Id",
+        system_type: "int",
+        user_type: "int",
+        max_length: 4,
+        precision: 10,
+        scale: 0,
+        is_nullable: false,
+        is_identity: true,
+        identity_seed: "1",
+        identity_increment: "1",
+      },
+      {
+        name: "Total",
+        system_type: "decimal",
+        user_type: "Money4",
+        precision: 19,
+        scale: 4,
+        is_nullable: true,
+        default_definition: "((0))",
+        computed_definition: null,
+      },
+    ],
+    [
+      index("PK_Orders", "Id", {
+        type_desc: "CLUSTERED",
+        is_primary_key: true,
+        is_unique: true,
+      }),
+      index("IX_Orders_Customer", "CustomerId"),
+      index("IX_Orders_Customer", "Total", { is_included_column: true }),
+      index("UQ_Orders_Number", "Number", {
+        is_unique: true,
+        is_unique_constraint: true,
+      }),
+    ],
+    [
+      {
+        name: "FK_Orders_Customers",
+        column_name: "CustomerId",
+        referenced_schema: "sales",
+        referenced_table: "Customers",
+        referenced_column: "Id",
+        delete_referential_action_desc: "CASCADE",
+        update_referential_action_desc: "NO_ACTION",
+        is_disabled: false,
+        is_not_trusted: false,
+      },
+    ],
+    [
+      {
+        name: "CK_Orders_Total",
+        definition: "([Total]>=(0))",
+        column_name: "Total",
+        is_disabled: false,
+        is_not_trusted: true,
+      },
+    ],
+    [
+      { name: "TR_Orders_Audit", event: "INSERT", is_disabled: false },
+      { name: "TR_Orders_Audit", event: "UPDATE", is_disabled: false },
+    ],
+  ]);
+
+  it("should describe columns", () => {
+    expect(details.description).toBe("Customer orders");
+    expect(details.approximateRowCount).toBe(1200);
+    expect(details.columns[0]).toMatchObject({
+      name: "Id",
+      type: "int",
+      nullable: false,
+      identity: { seed: 1, increment: 1 },
+      computed: null,
+    });
+    expect(details.columns[1]).toMatchObject({
+      type: "decimal(19,4)",
+      userType: "Money4",
+      default: "((0))",
+      identity: null,
+    });
+  });
+
+  it("should group keys, indexes, constraints and triggers", () => {
+    expect(details.primaryKey).toEqual({ name: "PK_Orders", columns: ["Id"] });
+    expect(details.uniqueConstraints).toEqual([
+      { name: "UQ_Orders_Number", columns: ["Number"] },
+    ]);
+    expect(details.indexes[1]).toMatchObject({
+      name: "IX_Orders_Customer",
+      keyColumns: [{ name: "CustomerId", descending: false }],
+      includedColumns: ["Total"],
+    });
+    expect(details.foreignKeys).toEqual([
+      expect.objectContaining({
+        columns: ["CustomerId"],
+        referencedTable: "sales.Customers",
+        referencedColumns: ["Id"],
+        onDelete: "CASCADE",
+      }),
+    ]);
+    expect(details.checkConstraints[0].trusted).toBe(false);
+    expect(details.triggers[0].events).toEqual(["INSERT", "UPDATE"]);
+  });
+});
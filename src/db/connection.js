@@ -1,34 +1,218 @@
 const sql = require("mssql");
-const { dbConfigs } = require("../config");
+const { dbConfigs, updateConnectionStatus } = require("../config");
+const { toDriverConfig } = require("../config/authentication");
+const { installExactValueReader } = require("./driverValues");
 
+// Decimals, money and datetimeoffset offsets are read exactly (see driverValues.js)
+installExactValueReader();
+
+// Delay before the first reconnect attempt, doubled after each failure
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+
+// Connected pools, connects in progress, and failures since the last connect, by dbKey
 const pools = {};
+const pendingConnects = {};
+const failures = {};
+
+// Default schema of each database's login, by dbKey
+const defaultSchemas = {};
+
+// Set by closeAllPools; no pool is opened after that
+let closed = false;
 
 /**
- * Get a connection pool for the given dbKey.
- * If a pool doesn't exist, it will be created.
+ * Resolves a dbKey to its configured key, case-insensitively.
+ * Without a dbKey, the default (first) database is used.
  * @param {string} [dbKey] - The database key.
- * @returns {Promise<sql.ConnectionPool>} A promise that resolves to a connection pool.
+ * @returns {string} The configured key.
+ * @throws {Error} If no database is configured or the key is unknown.
  */
-async function getPool(dbKey) {
-  const config = dbConfigs[dbKey] || Object.values(dbConfigs)[0];
-  if (!config) {
+function resolveDbKey(dbKey) {
+  const keys = Object.keys(dbConfigs);
+  if (keys.length === 0) {
     throw new Error("No database configuration found.");
   }
+  if (!dbKey) {
+    return keys[0];
+  }
+  const key = dbKey.toLowerCase();
+  if (!dbConfigs[key]) {
+    throw new Error(`Unknown dbKey '${dbKey}'. Available: ${keys.join(", ")}`);
+  }
+  return key;
+}
+
+/**
+ * Returns how long to wait after the given number of consecutive failures.
+ * @param {number} count - Consecutive failures, at least 1.
+ * @returns {number} Milliseconds.
+ */
+function getReconnectDelay(count) {
+  return Math.min(
+    RECONNECT_BASE_DELAY_MS * 2 ** (count - 1),
+    RECONNECT_MAX_DELAY_MS,
+  );
+}
+
+/**
+ * Records a failed connect or a broken pool and schedules the next attempt.
+ */
+function recordFailure(key, error) {
+  const count = (failures[key]?.count || 0) + 1;
+  const retryAt = Date.now() + getReconnectDelay(count);
+  failures[key] = { count, retryAt, error };
+  updateConnectionStatus(key, "error", error, {
+    failures: count,
+    nextRetryAt: new Date(retryAt).toISOString(),
+  });
+}
+
+/**
+ * Drops a pool from the cache, so the next getPool builds a new one.
+ */
+function evictPool(key, pool) {
+  if (pools[key] === pool) {
+    delete pools[key];
+  }
+  pool.close().catch((error) => {
+    console.error(`Error closing pool for ${key}: ${error.message}`);
+  });
+}
+
+/**
+ * Connects a new pool for the given key and caches it.
+ */
+async function connectPool(key) {
+  const pool = new sql.ConnectionPool(toDriverConfig(dbConfigs[key]));
 
-  const poolKey = dbKey || "default";
+  // Without a listener, the pool's error events would crash the process.
+  // The pool is only broken once it has no connection left and cannot
+  // create one; other errors are reported by the request that hit them.
+  pool.on("error", (error) => {
+    console.error(`Connection error for ${key}: ${error.message}`);
+    if (pools[key] === pool && !pool.healthy) {
+      recordFailure(key, error);
+      evictPool(key, pool);
+    }
+  });
 
-  if (!pools[poolKey]) {
-    const pool = new sql.ConnectionPool(config);
-    const close = pool.close.bind(pool);
-    pool.close = (...args) => {
-      delete pools[poolKey];
-      return close(...args);
-    };
+  const close = pool.close.bind(pool);
+  pool.close = (...args) => {
+    if (pools[key] === pool) {
+      delete pools[key];
+      updateConnectionStatus(key, "closed");
+    }
+    return close(...args);
+  };
+
+  updateConnectionStatus(key, "connecting");
+  try {
     await pool.connect();
-    pools[poolKey] = pool;
+  } catch (error) {
+    recordFailure(key, error);
+    evictPool(key, pool);
+    throw error;
+  }
+
+  delete failures[key];
+  pools[key] = pool;
+  updateConnectionStatus(key, "connected", null, { failures: 0 });
+  return pool;
+}
+
+/**
+ * Get a connection pool for the given dbKey.
+ * If a pool doesn't exist, it will be created. Concurrent callers share one
+ * connect. After a failed connect or a broken pool, new connects are refused
+ * until an exponential backoff has passed.
+ * @param {string} [dbKey] - The database key; the default database if omitted.
+ * @returns {Promise<sql.ConnectionPool>} A promise that resolves to a connection pool.
+ * @throws {Error} If the dbKey is unknown, the database is backing off, the
+ *   connect fails, or the pools have been closed.
+ */
+async function getPool(dbKey) {
+  const key = resolveDbKey(dbKey);
+  if (closed) {
+    throw new Error("Connection pools are closed: the server is shutting down");
+  }
+
+  if (pools[key]) {
+    return pools[key];
+  }
+  if (pendingConnects[key]) {
+    return pendingConnects[key];
   }
 
-  return pools[poolKey];
+  const failure = failures[key];
+  if (failure && Date.now() < failure.retryAt) {
+    const seconds = Math.ceil((failure.retryAt - Date.now()) / 1000);
+    throw new Error(
+      `Database '${key}' is unavailable, retrying in ${seconds}s. Last error: ${failure.error.message}`,
+    );
+  }
+
+  pendingConnects[key] = connectPool(key).finally(() => {
+    delete pendingConnects[key];
+  });
+  return pendingConnects[key];
+}
+
+/**
+ * Returns the default schema of the login used for a dbKey, which SQL Server
+ * searches first for unqualified object names. It is read once per database.
+ * @param {string} [dbKey] - The database key; the default database if omitted.
+ * @returns {Promise<string>} The schema name, dbo if the user has none.
+ * @throws {Error} As for getPool, or if the query fails.
+ */
+async function getDefaultSchema(dbKey) {
+  const key = resolveDbKey(dbKey);
+  if (!defaultSchemas[key]) {
+    const pool = await getPool(key);
+    const result = await pool
+      .request()
+      .query("SELECT SCHEMA_NAME() AS default_schema");
+    defaultSchemas[key] = result.recordset[0]?.default_schema || "dbo";
+  }
+  return defaultSchemas[key];
+}
+
+/**
+ * Closes every pool, including those still connecting, and refuses to open
+ * new ones. Closing a pool waits for the requests it is running.
+ * @param {number} timeoutMs - How long to wait for the pools to close.
+ * @returns {Promise<boolean>} True if every pool closed in time.
+ */
+async function closeAllPools(timeoutMs) {
+  closed = true;
+  const closing = [
+    ...Object.values(pools).map((pool) => pool.close()),
+    ...Object.values(pendingConnects).map((connect) =>
+      connect.then(
+        (pool) => pool.close(),
+        // The connect failed, so there is nothing to close
+        () => {},
+      ),
+    ),
+  ];
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  const allClosed = Promise.allSettled(closing).then((results) =>
+    results.every((result) => result.status === "fulfilled"),
+  );
+  try {
+    return await Promise.race([allClosed, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
-module.exports = { getPool };
+module.exports = {
+  getPool,
+  resolveDbKey,
+  getDefaultSchema,
+  closeAllPools,
+};
@@ -0,0 +1,150 @@
+const sql = require("mssql");
+const { updateConnectionStatus } = require("../config");
+const { getPool, getDefaultSchema, closeAllPools } = require("./connection");
+
+jest.mock("mssql", () => {
+  const { EventEmitter } = require("events");
+  class ConnectionPool extends EventEmitter {
+    constructor(config) {
+      super();
+      this.config = config;
+      this.healthy = true;
+      this.connect = jest.fn(() => ConnectionPool.connect(this));
+      // getPool wraps close, so calls are recorded on closed
+      this.closed = jest.fn().mockResolvedValue();
+      this.close = () => this.closed();
+      this.query = jest.fn();
+      this.request = () => ({ query: this.query });
+      ConnectionPool.instances.push(this);
+    }
+  }
+  ConnectionPool.instances = [];
+  ConnectionPool.connect = jest.fn();
+  return { ConnectionPool };
+});
+jest.mock("../config", () => ({
+  dbConfigs: {
+    maindb: { server: "main", user: "sa", password: "secret" },
+    reportingdb: { server: "reporting", user: "sa", password: "secret" },
+  },
+  updateConnectionStatus: jest.fn(),
+}));
+
+describe("getPool", () => {
+  const { ConnectionPool } = sql;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    ConnectionPool.instances.length = 0;
+    ConnectionPool.connect.mockReset();
+    updateConnectionStatus.mockClear();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("should share one connect between concurrent callers and cache the pool", async () => {
+    ConnectionPool.connect.mockResolvedValue();
+
+    const [first, second] = await Promise.all([
+      getPool("maindb"),
+      getPool("MainDB"),
+    ]);
+
+    expect(first).toBe(second);
+    expect(await getPool()).toBe(first);
+    expect(ConnectionPool.instances).toHaveLength(1);
+    expect(first.config.authentication.options.userName).toBe("sa");
+    expect(updateConnectionStatus).toHaveBeenLastCalledWith(
+      "maindb",
+      "connected",
+      null,
+      { failures: 0 },
+    );
+  });
+
+  it("should refuse unknown database keys", async () => {
+    await expect(getPool("salesdb")).rejects.toThrow(
+      "Unknown dbKey 'salesdb'. Available: maindb, reportingdb",
+    );
+  });
+
+  it("should back off exponentially after failed connects", async () => {
+    ConnectionPool.connect.mockRejectedValue(new Error("Login failed"));
+
+    await expect(getPool("reportingdb")).rejects.toThrow("Login failed");
+    expect(updateConnectionStatus).toHaveBeenLastCalledWith(
+      "reportingdb",
+      "error",
+      expect.any(Error),
+      { failures: 1, nextRetryAt: expect.any(String) },
+    );
+    await expect(getPool("reportingdb")).rejects.toThrow(
+      "Database 'reportingdb' is unavailable, retrying in 1s. Last error: Login failed",
+    );
+
+    jest.advanceTimersByTime(1000);
+    await expect(getPool("reportingdb")).rejects.toThrow("Login failed");
+    await expect(getPool("reportingdb")).rejects.toThrow("retrying in 2s");
+    expect(ConnectionPool.instances).toHaveLength(2);
+    expect(ConnectionPool.instances[0].closed).toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2000);
+    ConnectionPool.connect.mockResolvedValue();
+    const pool = await getPool("reportingdb");
+    expect(pool).toBe(ConnectionPool.instances[2]);
+  });
+
+  it("should evict and rebuild a pool that can no longer connect", async () => {
+    ConnectionPool.connect.mockResolvedValue();
+    const pool = await getPool("maindb");
+
+    // A transient error on a healthy pool keeps it
+    pool.emit("error", new Error("Timeout"));
+    expect(await getPool("maindb")).toBe(pool);
+
+    pool.healthy = false;
+    pool.emit("error", new Error("Connection refused"));
+    expect(pool.closed).toHaveBeenCalled();
+    expect(updateConnectionStatus).toHaveBeenLastCalledWith(
+      "maindb",
+      "error",
+      expect.objectContaining({ message: "Connection refused" }),
+      expect.objectContaining({ failures: 1 }),
+    );
+
+    jest.advanceTimersByTime(1000);
+    const rebuilt = await getPool("maindb");
+    expect(rebuilt).not.toBe(pool);
+  });
+
+  it("should read the login's default schema once per database", async () => {
+    ConnectionPool.connect.mockResolvedValue();
+    jest.advanceTimersByTime(60000);
+    const pool = await getPool("reportingdb");
+    pool.query.mockResolvedValue({ recordset: [{ default_schema: "hr" }] });
+
+    expect(await getDefaultSchema("reportingdb")).toBe("hr");
+    expect(await getDefaultSchema("ReportingDB")).toBe("hr");
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query).toHaveBeenCalledWith(
+      "SELECT SCHEMA_NAME() AS default_schema",
+    );
+  });
+
+  // Runs last: no pool can be opened afterwards
+  it("should close every pool on shutdown and open no new ones", async () => {
+    ConnectionPool.connect.mockResolvedValue();
+    const pool = await getPool("maindb");
+
+    expect(await closeAllPools(1000)).toBe(true);
+    expect(pool.closed).toHaveBeenCalled();
+    expect(updateConnectionStatus).toHaveBeenLastCalledWith("maindb", "closed");
+    await expect(getPool("maindb")).rejects.toThrow(
+      "Connection pools are closed",
+    );
+  });
+});
@@ -0,0 +1,120 @@
+const path = require("path");
+
+/**
+ * The driver's value parser, as mssql loads it. tedious reads decimal,
+ * numeric and money values into doubles, which lose digits past about 15
+ * significant ones, and skips the offset of datetimeoffset values.
+ */
+const valueParser = require(
+  require.resolve("tedious/lib/value-parser", {
+    paths: [path.dirname(require.resolve("mssql"))],
+  }),
+);
+
+// Scale of money, which the wire format does not carry
+const MONEY_SCALE = 4;
+
+/**
+ * Writes an unscaled integer as decimal text with the given scale,
+ * e.g. 12345n with scale 2 as "123.45".
+ */
+function formatScaled(unscaled, scale) {
+  const negative = unscaled < 0n;
+  const digits = (negative ? -unscaled : unscaled)
+    .toString()
+    .padStart(scale + 1, "0");
+  const text =
+    scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+  return negative ? `-${text}` : text;
+}
+
+/**
+ * Reads the unsigned little-endian integer in buf[start, end).
+ */
+function readUnsignedLE(buf, start, end) {
+  let value = 0n;
+  for (let index = end - 1; index >= start; index -= 1) {
+    value = (value << 8n) | BigInt(buf[index]);
+  }
+  return value;
+}
+
+/**
+ * Reads the exact value of a column the driver has just parsed, from the
+ * same bytes (MS-TDS 2.2.5.5.1): decimals and money as strings with their
+ * scale, and datetimeoffset dates with an offsetMinutes property beside the
+ * driver's nanosecondsDelta. Other values are left as the driver read them.
+ * @param {Buffer} buf - The buffer the driver read from.
+ * @param {number} offset - Where the value starts.
+ * @param {Object} metadata - The column's metadata.
+ * @param {*} value - The driver's value, not null.
+ * @returns {*} The exact value.
+ */
+function readExactValue(buf, offset, metadata, value) {
+  switch (metadata.type.name) {
+    case "DecimalN":
+    case "NumericN": {
+      // Length, sign (1 for positive), then the unscaled magnitude
+      const dataLength = buf.readUInt8(offset);
+      const magnitude = readUnsignedLE(
+        buf,
+        offset + 2,
+        offset + 1 + dataLength,
+      );
+      return formatScaled(
+        buf.readUInt8(offset + 1) === 1 ? magnitude : -magnitude,
+        metadata.scale,
+      );
+    }
+    case "Money":
+    case "MoneyN": {
+      // High then low 32 bits of the value in ten-thousandths. smallmoney
+      // (4 bytes) fits a double exactly.
+      const start = metadata.type.name === "MoneyN" ? offset + 1 : offset;
+      if (metadata.type.name === "MoneyN" && buf.readUInt8(offset) !== 8) {
+        return value;
+      }
+      const high = BigInt(buf.readInt32LE(start));
+      const low = BigInt(buf.readUInt32LE(start + 4));
+      return formatScaled((high << 32n) + low, MONEY_SCALE);
+    }
+    case "DateTimeOffset": {
+      // The offset in minutes follows the UTC date and time
+      const dataLength = buf.readUInt8(offset);
+      Object.defineProperty(value, "offsetMinutes", {
+        value: buf.readInt16LE(offset + 1 + dataLength - 2),
+      });
+      return value;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Makes the driver read decimal, numeric and money columns and output
+ * parameters exactly, as strings, and keep the offset of datetimeoffset
+ * values (see readExactValue). The driver looks readValue up on the module
+ * for every value, so wrapping it covers rows and output parameters alike.
+ * Calling it again has no effect.
+ */
+function installExactValueReader() {
+  if (valueParser.readValue.exact) {
+    return;
+  }
+  const { readValue } = valueParser;
+  const exactReadValue = (buf, offset, metadata, options) => {
+    const result = readValue(buf, offset, metadata, options);
+    if (result.value !== null) {
+      result.value = readExactValue(buf, +offset, metadata, result.value);
+    }
+    return result;
+  };
+  exactReadValue.exact = true;
+  valueParser.readValue = exactReadValue;
+}
+
+module.exports = {
+  readExactValue,
+  installExactValueReader,
+};
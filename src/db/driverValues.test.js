@@ -0,0 +1,70 @@
+const { TYPE } = require("tedious/lib/data-type");
+const valueParser = require("tedious/lib/value-parser");
+const { installExactValueReader } = require("./driverValues");
+
+const metadata = (name, extra = {}) => ({
+  type: Object.values(TYPE).find((type) => type.name === name),
+  ...extra,
+});
+
+// Encodes an unsigned integer in little-endian bytes
+function littleEndian(value, bytes) {
+  const buffer = Buffer.alloc(bytes);
+  for (let index = 0; index < bytes; index += 1) {
+    buffer[index] = Number((value >> BigInt(8 * index)) & 255n);
+  }
+  return buffer;
+}
+
+describe("installExactValueReader", () => {
+  beforeAll(() => {
+    installExactValueReader();
+    installExactValueReader();
+  });
+
+  it("should read decimals exactly, with their sign and scale", () => {
+    const buffer = Buffer.concat([
+      Buffer.from([17, 0]),
+      littleEndian(123456789012345671234567891n, 16),
+    ]);
+    const { value, offset } = valueParser.readValue(
+      buffer,
+      0,
+      metadata("DecimalN", { precision: 38, scale: 10 }),
+      {},
+    );
+
+    expect(value).toBe("-12345678901234567.1234567891");
+    expect(offset).toBe(18);
+  });
+
+  it("should read money exactly", () => {
+    const buffer = Buffer.alloc(9);
+    buffer.writeUInt8(8, 0);
+    buffer.writeInt32LE(0x7fffffff, 1);
+    buffer.writeUInt32LE(0xffffffff, 5);
+
+    expect(valueParser.readValue(buffer, 0, metadata("MoneyN"), {}).value).toBe(
+      "922337203685477.5807",
+    );
+  });
+
+  it("should keep the offset of datetimeoffset values", () => {
+    // 08:30 UTC on 2024-03-01 at +02:00, scale 7
+    const buffer = Buffer.concat([
+      Buffer.from([10]),
+      littleEndian(BigInt((8 * 3600 + 30 * 60) * 1e7), 5),
+      littleEndian(738945n, 3),
+      littleEndian(120n, 2),
+    ]);
+    const { value } = valueParser.readValue(
+      buffer,
+      0,
+      metadata("DateTimeOffset", { scale: 7 }),
+      { useUTC: true },
+    );
+
+    expect(value.toISOString()).toBe("2024-03-01T08:30:00.000Z");
+    expect(value.offsetMinutes).toBe(120);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Output formats for rows, and the MIME type each is served as.
+ * json_compact is JSON with column names listed once and rows as arrays,
+ * which takes far fewer tokens than an object per row.
+ */
+const FORMAT_MIME_TYPES = {
+  json: "application/json",
+  json_compact: "application/json",
+  ndjson: "application/x-ndjson",
+  csv: "text/csv",
+  tsv: "text/tab-separated-values",
+  markdown: "text/markdown",
+};
+
+const OUTPUT_FORMATS = Object.keys(FORMAT_MIME_TYPES);
+
+/**
+ * Converts a value to text for the delimited and markdown formats.
+ * Dates become ISO 8601 and binary values 0x-prefixed hex, as SQL Server writes them.
+ * @param {any} value - A column value.
+ * @returns {string} The text, empty for NULL.
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? "" : value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `0x${value.toString("hex").toUpperCase()}`;
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break (RFC 4180).
+ */
+function escapeCsv(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes tabs, line breaks and backslashes, which TSV cannot hold.
+ */
+function escapeTsv(text) {
+  return text.replace(
+    /[\\\t\r\n]/g,
+    (char) => ({ "\\": "\\\\", "\t": "\\t", "\r": "\\r", "\n": "\\n" })[char],
+  );
+}
+
+/**
+ * Escapes pipes and line breaks, which would end a markdown table cell.
+ */
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, "\\|").replace(/\r?\n|\r/g, "<br>");
+}
+
+/**
+ * Renders rows in an output format.
+ * @param {Array<string>} columns - Column names, in result order.
+ * @param {Array<Object>} rows - Rows keyed by column name.
+ * @param {string} format - One of OUTPUT_FORMATS.
+ * @returns {string} The formatted rows. csv, tsv and markdown start with a header row.
+ */
+function formatRows(columns, rows, format) {
+  const cells = (row) => columns.map((column) => formatCell(row[column]));
+
+  switch (format) {
+    case "json":
+      return JSON.stringify(rows, null, 2);
+    case "json_compact":
+      return JSON.stringify({
+        columns,
+        rows: rows.map((row) => columns.map((column) => row[column])),
+      });
+    case "ndjson":
+      return rows.map((row) => JSON.stringify(row)).join("\n");
+    case "csv":
+      return [columns, ...rows.map(cells)]
+        .map((line) => line.map(escapeCsv).join(","))
+        .join("\r\n");
+    case "tsv":
+      return [columns, ...rows.map(cells)]
+        .map((line) => line.map(escapeTsv).join("\t"))
+        .join("\n");
+    case "markdown": {
+      const line = (values) => `| ${values.map(escapeMarkdown).join(" | ")} |`;
+      return [
+        line(columns),
+        `| ${columns.map(() => "---").join(" | ")} |`,
+        ...rows.map((row) => line(cells(row))),
+      ].join("\n");
+    }
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+}
+
+/**
+ * Renders the result sets of a normalized result in a text format.
+ * Result sets are separated by a blank line.
+ * @param {Array<Object>} resultSets - resultSets from normalizeResult().
+ * @param {string} format - One of OUTPUT_FORMATS other than json and json_compact.
+ * @returns {string} The formatted result sets.
+ */
+function formatResultSets(resultSets, format) {
+  return resultSets
+    .map((resultSet) =>
+      formatRows(
+        resultSet.columns.map((column) => column.name),
+        resultSet.rows,
+        format,
+      ),
+    )
+    .join(format === "csv" ? "\r\n\r\n" : "\n\n");
+}
+
+/**
+ * Shrinks a normalized result set for json_compact: column names instead of
+ * column descriptions, and each row as an array in column order.
+ * @param {Object} resultSet - A result set from normalizeResult().
+ * @returns {Object} The compact result set.
+ */
+function compactResultSet(resultSet) {
+  const columns = resultSet.columns.map((column) => column.name);
+  return {
+    ...resultSet,
+    columns,
+    rows: resultSet.rows.map((row) => columns.map((column) => row[column])),
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FORMAT_MIME_TYPES,
+  formatCell,
+  formatRows,
+  formatResultSets,
+  compactResultSet,
+};
@@ -0,0 +1,75 @@
+const { formatRows, formatResultSets, compactResultSet } = require("./formats");
+
+const columns = ["Id", "Note", "Created", "Hash"];
+const rows = [
+  {
+    Id: 1,
+    Note: 'Line one\r\nsaid "hi", | then\ttab',
+    Created: new Date("2024-03-01T10:30:00.000Z"),
+    Hash: Buffer.from([0xde, 0xad]),
+  },
+  { Id: 2, Note: null, Created: null, Hash: null },
+];
+
+describe("formatRows", () => {
+  it("should write RFC 4180 CSV with CRLF line endings", () => {
+    expect(formatRows(columns, rows, "csv")).toBe(
+      [
+        "Id,Note,Created,Hash",
+        '1,"Line one\r\nsaid ""hi"", | then\ttab",2024-03-01T10:30:00.000Z,0xDEAD',
+        "2,,,",
+      ].join("\r\n"),
+    );
+  });
+
+  it("should escape tabs and line breaks in TSV", () => {
+    expect(formatRows(columns, rows, "tsv").split("\n")[1]).toBe(
+      '1\tLine one\\r\\nsaid "hi", | then\\ttab\t2024-03-01T10:30:00.000Z\t0xDEAD',
+    );
+  });
+
+  it("should write markdown tables with escaped pipes and line breaks", () => {
+    expect(formatRows(columns, rows, "markdown").split("\n")).toEqual([
+      "| Id | Note | Created | Hash |",
+      "| --- | --- | --- | --- |",
+      '| 1 | Line one<br>said "hi", \\| then\ttab | 2024-03-01T10:30:00.000Z | 0xDEAD |',
+      "| 2 |  |  |  |",
+    ]);
+  });
+
+  it("should write one JSON object per line for ndjson", () => {
+    const lines = formatRows(["Id"], [{ Id: 1 }, { Id: 2 }], "ndjson");
+    expect(lines.split("\n").map((line) => JSON.parse(line))).toEqual([
+      { Id: 1 },
+      { Id: 2 },
+    ]);
+  });
+
+  it("should list column names once in compact JSON", () => {
+    expect(
+      JSON.parse(
+        formatRows(["Id", "Name"], [{ Id: 1, Name: "a" }], "json_compact"),
+      ),
+    ).toEqual({ columns: ["Id", "Name"], rows: [[1, "a"]] });
+  });
+
+  it("should write the header even without rows", () => {
+    expect(formatRows(["Id", "Name"], [], "csv")).toBe("Id,Name");
+  });
+});
+
+describe("formatResultSets", () => {
+  it("should separate result sets with a blank line", () => {
+    const resultSets = [
+      { columns: [{ name: "Id" }], rows: [{ Id: 1 }] },
+      { columns: [{ name: "Name" }], rows: [{ Name: "a" }] },
+    ];
+
+    expect(formatResultSets(resultSets, "tsv")).toBe("Id\n1\n\nName\na");
+    expect(compactResultSet({ index: 1, ...resultSets[1] })).toEqual({
+      index: 1,
+      columns: ["Name"],
+      rows: [["a"]],
+    });
+  });
+});
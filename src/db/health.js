@@ -0,0 +1,170 @@
+const { getPool } = require("./connection");
+const {
+  getConnectionStatus,
+  healthCheckTimeoutMs = 5000,
+} = require("../config");
+
+/**
+ * Server and database details for a health check. Updateability also
+ * catches readable secondaries of an availability group, which are not
+ * marked is_read_only.
+ */
+const SERVER_INFO_QUERY = `
+  SELECT
+    CAST(SERVERPROPERTY('ServerName') AS nvarchar(128)) AS server_name,
+    CAST(SERVERPROPERTY('ProductVersion') AS nvarchar(128)) AS product_version,
+    CAST(SERVERPROPERTY('ProductLevel') AS nvarchar(128)) AS product_level,
+    CAST(SERVERPROPERTY('Edition') AS nvarchar(128)) AS edition,
+    CAST(SERVERPROPERTY('EngineEdition') AS int) AS engine_edition,
+    d.name AS database_name,
+    d.state_desc,
+    d.user_access_desc,
+    d.is_read_only,
+    CAST(DATABASEPROPERTYEX(d.name, 'Updateability') AS nvarchar(60)) AS updateability
+  FROM sys.databases d
+  WHERE d.database_id = DB_ID();
+`;
+
+/**
+ * Waits for a promise until the deadline has passed.
+ */
+async function waitBefore(promise, deadline, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(timeoutError(timeoutMs)),
+      Math.max(deadline - Date.now(), 0),
+    );
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Creates the error for a check that ran out of time.
+ */
+function timeoutError(timeoutMs) {
+  const error = new Error(`Health check timed out after ${timeoutMs} ms`);
+  error.code = "ETIMEOUT";
+  return error;
+}
+
+/**
+ * Describes the pool's connections: open, idle, in use, and requests
+ * waiting for one.
+ */
+function describePool(pool) {
+  return {
+    size: pool.size,
+    available: pool.available,
+    borrowed: pool.borrowed,
+    pending: pool.pending,
+  };
+}
+
+/**
+ * Checks a database by getting its pool and running SELECT 1 on it, then
+ * reads the server version and the database's state. The database is
+ * healthy when both succeed within the timeout and it is ONLINE.
+ * @param {string} dbKey - A configured database key.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Time allowed for the whole check.
+ *   Defaults to MSSQL_HEALTH_CHECK_TIMEOUT_MS.
+ * @returns {Promise<Object>} status ("ok" or "error"), latencyMs of the
+ *   SELECT 1 round trip, server, database, pool, the connection status and,
+ *   when unhealthy, error.
+ */
+async function checkDatabase(dbKey, options = {}) {
+  const { timeoutMs = healthCheckTimeoutMs } = options;
+  const deadline = Date.now() + timeoutMs;
+  const check = {
+    status: "error",
+    latencyMs: null,
+    server: null,
+    database: null,
+    pool: null,
+  };
+
+  // The whole probe races the deadline: cancelling a request does not stop
+  // one that is still waiting for a connection from a full pool
+  let pool = null;
+  let current = null;
+  let stopped = false;
+  const query = async (text) => {
+    if (stopped) throw timeoutError(timeoutMs);
+    current = pool.request();
+    try {
+      return await current.query(text);
+    } finally {
+      current = null;
+    }
+  };
+  const probe = async () => {
+    pool = await getPool(dbKey);
+    const started = Date.now();
+    await query("SELECT 1 AS ok");
+    const latencyMs = Date.now() - started;
+    const result = await query(SERVER_INFO_QUERY);
+    return { latencyMs, info: result.recordset[0] };
+  };
+
+  try {
+    const { latencyMs, info } = await waitBefore(probe(), deadline, timeoutMs);
+    check.latencyMs = latencyMs;
+    check.server = {
+      name: info.server_name,
+      version: info.product_version,
+      level: info.product_level,
+      edition: info.edition,
+      engineEdition: info.engine_edition,
+    };
+    check.database = {
+      name: info.database_name,
+      state: info.state_desc,
+      userAccess: info.user_access_desc,
+      readOnly: info.is_read_only || info.updateability === "READ_ONLY",
+    };
+
+    if (info.state_desc === "ONLINE") {
+      check.status = "ok";
+    } else {
+      check.error = {
+        message: `Database '${info.database_name}' is ${info.state_desc}`,
+      };
+    }
+  } catch (error) {
+    stopped = true;
+    current?.cancel();
+    check.error = { message: error.message, number: error.number };
+  }
+  if (pool) {
+    check.pool = describePool(pool);
+  }
+
+  check.connection = getConnectionStatus()[dbKey] ?? null;
+  return check;
+}
+
+/**
+ * Checks the given databases side by side.
+ * @param {Array<string>} dbKeys - Configured database keys.
+ * @param {Object} [options] - As for checkDatabase.
+ * @returns {Promise<Object>} status ("ok" when every database is) and the
+ *   check of each database by key.
+ */
+async function checkHealth(dbKeys, options = {}) {
+  const checks = await Promise.all(
+    dbKeys.map((dbKey) => checkDatabase(dbKey, options)),
+  );
+  return {
+    status: checks.every((check) => check.status === "ok") ? "ok" : "error",
+    databases: Object.fromEntries(
+      dbKeys.map((dbKey, index) => [dbKey, checks[index]]),
+    ),
+  };
+}
+
+module.exports = { checkDatabase, checkHealth };
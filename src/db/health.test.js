@@ -0,0 +1,92 @@
+const { getPool } = require("./connection");
+const { checkDatabase } = require("./health");
+
+jest.mock("./connection");
+jest.mock("../config", () => ({
+  getConnectionStatus: () => ({
+    maindb: { status: "connected", lastError: null },
+  }),
+}));
+
+/**
+ * Mocks a pool whose requests answer with the given database state, or
+ * never answer when it is null.
+ */
+function mockPool(state) {
+  const cancel = jest.fn();
+  return {
+    cancel,
+    request: () => ({
+      cancel,
+      query: (query) =>
+        state === null
+          ? new Promise((_resolve, reject) => {
+              cancel.mockImplementation(() => reject(new Error("Canceled.")));
+            })
+          : Promise.resolve({
+              recordset: query.includes("SERVERPROPERTY")
+                ? [
+                    {
+                      database_name: "Main",
+                      state_desc: state,
+                      is_read_only: false,
+                      updateability: "READ_ONLY",
+                    },
+                  ]
+                : [{ ok: 1 }],
+            }),
+    }),
+  };
+}
+
+describe("checkDatabase", () => {
+  it("should fail databases that are not ONLINE and flag read-only ones", async () => {
+    getPool.mockResolvedValue(mockPool("RESTORING"));
+
+    const check = await checkDatabase("maindb", { timeoutMs: 1000 });
+
+    expect(check).toMatchObject({
+      status: "error",
+      database: { name: "Main", state: "RESTORING", readOnly: true },
+      error: { message: "Database 'Main' is RESTORING" },
+      connection: { status: "connected" },
+    });
+  });
+
+  it("should cancel a probe that outlives the timeout", async () => {
+    const pool = mockPool(null);
+    getPool.mockResolvedValue(pool);
+
+    const check = await checkDatabase("maindb", { timeoutMs: 20 });
+
+    expect(pool.cancel).toHaveBeenCalled();
+    expect(check).toMatchObject({
+      status: "error",
+      latencyMs: null,
+      error: { message: "Health check timed out after 20 ms" },
+    });
+  });
+
+  it("should time out while waiting for a connection from a full pool", async () => {
+    // mssql cannot cancel a request that has no connection yet
+    const pool = {
+      size: 1,
+      available: 0,
+      borrowed: 1,
+      pending: 1,
+      request: () => ({
+        cancel: jest.fn(),
+        query: () => new Promise(() => {}),
+      }),
+    };
+    getPool.mockResolvedValue(pool);
+
+    const check = await checkDatabase("maindb", { timeoutMs: 20 });
+
+    expect(check).toMatchObject({
+      status: "error",
+      error: { message: "Health check timed out after 20 ms" },
+      pool: { pending: 1 },
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Quotes an identifier for use in T-SQL text, escaping closing brackets.
+ * @param {string} identifier - The raw identifier.
+ * @returns {string} The bracket-quoted identifier.
+ */
+function quoteIdentifier(identifier) {
+  return `[${identifier.replace(/]/g, "]]")}]`;
+}
+
+/**
+ * Quotes a table name, schema-qualified when a schema is given.
+ * @param {{ schema: string|null, name: string }} table - Parsed table name.
+ * @returns {string} e.g. "[sales].[Order Details]".
+ */
+function quoteTableName(table) {
+  return table.schema
+    ? `${quoteIdentifier(table.schema)}.${quoteIdentifier(table.name)}`
+    : quoteIdentifier(table.name);
+}
+
+/**
+ * Formats a table name for messages and output.
+ * @param {{ schema: string|null, name: string }} table - Parsed table name.
+ * @returns {string} e.g. "sales.Orders".
+ */
+function formatTableName(table) {
+  return table.schema ? `${table.schema}.${table.name}` : table.name;
+}
+
+module.exports = {
+  quoteIdentifier,
+  quoteTableName,
+  formatTableName,
+};
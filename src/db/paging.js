@@ -0,0 +1,221 @@
+const { tokenize } = require("../validation/queryClassifier");
+const { continuationTokenPayloadSchema, validate } = require("../validation");
+
+/**
+ * Cancels a request once timeoutMs has passed or the signal is aborted.
+ * Call start() once the request has been started and release() once it is
+ * done; stoppedBy() then tells whether it was stopped, and with what error.
+ */
+function watchForStop(request, { timeoutMs, signal }) {
+  let stoppedBy = null;
+  let timer = null;
+
+  // Cancelling makes the driver end the request with an error and "done",
+  // after which the connection goes back to the pool
+  const stop = (error) => {
+    if (!stoppedBy) {
+      stoppedBy = error;
+      request.cancel();
+    }
+  };
+  const onAbort = () => {
+    // A shutdown aborts with an Error that says so
+    const error = new Error(
+      signal.reason instanceof Error
+        ? signal.reason.message
+        : "Query was cancelled by the client",
+    );
+    error.code = "ECANCEL";
+    stop(error);
+  };
+
+  return {
+    start() {
+      if (timeoutMs !== undefined) {
+        timer = setTimeout(() => {
+          const error = new Error(
+            `Query timed out after ${timeoutMs} ms and was cancelled`,
+          );
+          error.code = "ETIMEOUT";
+          stop(error);
+        }, timeoutMs);
+      }
+      signal?.addEventListener("abort", onAbort);
+      if (signal?.aborted) {
+        onAbort();
+      }
+    },
+    release() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+    stoppedBy: () => stoppedBy,
+  };
+}
+
+/**
+ * Runs a query in streaming mode so that rows beyond the cap are counted
+ * but never buffered.
+ * @param {sql.Request} request - The request, with parameters already bound.
+ * @param {string} query - The SQL text.
+ * @param {Object} options
+ * @param {number} options.maxRows - Rows kept per result set.
+ * @param {number} [options.resultSet] - Only keep rows of this result set.
+ * @param {number} [options.offset=0] - Rows of the kept result set(s) to skip.
+ * @param {number} [options.timeoutMs] - Cancel the query after this long.
+ * @param {AbortSignal} [options.signal] - Cancels the query when aborted.
+ * @returns {Promise<Object>} A result shaped like mssql's ({ recordsets, rowsAffected }),
+ *   where each recordset also carries totalRows and the rowsAffected count of
+ *   the statement that returned it (null if it reported none).
+ * @throws {Error} With code "ETIMEOUT" when the query timed out, or "ECANCEL"
+ *   when it was cancelled through the signal.
+ */
+function streamQuery(request, query, options) {
+  const { maxRows, resultSet, offset = 0 } = options;
+
+  return new Promise((resolve, reject) => {
+    const recordsets = [];
+    const rowsAffected = [];
+    let firstError = null;
+    let current = null;
+    const watch = watchForStop(request, options);
+
+    request.stream = true;
+    request.on("recordset", (columns) => {
+      current = [];
+      current.columns = columns;
+      current.totalRows = 0;
+      current.rowsAffected = null;
+      recordsets.push(current);
+    });
+    request.on("row", (row) => {
+      const index = current.totalRows++;
+      const wanted =
+        resultSet === undefined || resultSet === recordsets.length - 1;
+      if (wanted && index >= offset && index < offset + maxRows) {
+        current.push(row);
+      }
+    });
+    request.on("rowsaffected", (count) => {
+      rowsAffected.push(count);
+      // The driver reports a statement's count before the next result set
+      // starts; for a statement that returned rows, it counts those rows.
+      // Other counts belong to statements without a result set.
+      if (current?.rowsAffected === null && count === current.totalRows) {
+        current.rowsAffected = count;
+      }
+    });
+    request.on("error", (error) => {
+      firstError = firstError || error;
+    });
+    request.on("done", () => {
+      watch.release();
+      if (watch.stoppedBy()) {
+        reject(watch.stoppedBy());
+      } else if (firstError) {
+        reject(firstError);
+      } else {
+        resolve({ recordsets, rowsAffected });
+      }
+    });
+
+    // Results arrive through the events above
+    request.query(query, () => {});
+    watch.start();
+  });
+}
+
+/**
+ * Runs a request without streaming, e.g. a procedure call, with the same
+ * timeout and cancellation as streamQuery.
+ * @param {sql.Request} request - The request, with parameters already bound.
+ * @param {Function} run - Starts the request and returns its promise, e.g.
+ *   () => request.execute(name).
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Cancel the request after this long.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {Promise<Object>} The result of run.
+ * @throws {Error} As streamQuery does.
+ */
+async function runCancellable(request, run, options = {}) {
+  const watch = watchForStop(request, options);
+  try {
+    const running = run();
+    watch.start();
+    return await running;
+  } catch (error) {
+    throw watch.stoppedBy() || error;
+  } finally {
+    watch.release();
+  }
+}
+
+/**
+ * Rewrites a single SELECT that ends with a top-level ORDER BY to fetch one page
+ * with OFFSET/FETCH. Returns null when the query cannot be rewritten safely.
+ * @param {string} query - The SQL text of a single read statement.
+ * @returns {string|null} The rewritten query using @mcp_offset and @mcp_fetch.
+ */
+function buildOffsetFetchQuery(query) {
+  const tokens = tokenize(query);
+  if (tokens[tokens.length - 1]?.value === ";") tokens.pop();
+  if (tokens[0]?.type !== "word" || tokens[0].upper !== "SELECT") return null;
+
+  let depth = 0;
+  let hasOrderBy = false;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === "(") depth++;
+    if (token.value === ")") depth--;
+    if (token.value === ";") return null;
+    if (depth !== 0 || token.type !== "word") continue;
+
+    // OFFSET, FOR XML/JSON, OPTION hints, SELECT INTO and TOP cannot be combined with a new OFFSET
+    if (["OFFSET", "FOR", "OPTION", "INTO", "TOP"].includes(token.upper)) {
+      return null;
+    }
+    if (token.upper === "ORDER" && tokens[i + 1]?.upper === "BY") {
+      hasOrderBy = true;
+    }
+  }
+
+  if (!hasOrderBy) return null;
+  return `${query.slice(0, tokens[tokens.length - 1].end)} OFFSET @mcp_offset ROWS FETCH NEXT @mcp_fetch ROWS ONLY`;
+}
+
+/**
+ * Encodes what is needed to fetch the next page of a result set.
+ * The token is not a credential: every page request runs the full validation
+ * and policy checks again.
+ * @param {Object} payload - dbKey, query, parameters, resultSet, offset and pageSize.
+ * @returns {string} An opaque base64url token.
+ */
+function encodeContinuationToken(payload) {
+  return Buffer.from(JSON.stringify({ v: 1, ...payload })).toString(
+    "base64url",
+  );
+}
+
+/**
+ * Decodes and validates a continuation token.
+ * @param {string} token - Token from encodeContinuationToken().
+ * @returns {Object} The payload.
+ * @throws {Error} If the token is malformed.
+ */
+function decodeContinuationToken(token) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid continuation token");
+  }
+  return validate(continuationTokenPayloadSchema, payload);
+}
+
+module.exports = {
+  streamQuery,
+  runCancellable,
+  buildOffsetFetchQuery,
+  encodeContinuationToken,
+  decodeContinuationToken,
+};
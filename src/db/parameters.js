@@ -0,0 +1,228 @@
+const sql = require("mssql");
+const { parseSqlType } = require("../validation");
+const { formatColumnType } = require("./catalog");
+const { serializeValue } = require("./serialize");
+
+const DATE_TYPES = new Set([
+  "Date",
+  "DateTime",
+  "DateTime2",
+  "DateTimeOffset",
+  "SmallDateTime",
+]);
+const BINARY_TYPES = new Set(["Binary", "VarBinary", "Image"]);
+const INTEGER_TYPES = new Set(["TinyInt", "SmallInt", "Int"]);
+const FLOAT_TYPES = new Set(["Float", "Real"]);
+const DECIMAL_TYPES = new Set(["Decimal", "Numeric"]);
+const BIT_VALUES = new Map([
+  ["true", true],
+  ["false", false],
+  ["1", true],
+  ["0", false],
+]);
+
+/**
+ * Builds an mssql type from a parsed type declaration.
+ * @param {{ name: string, args: Array<number|string> }} type - Parsed type (see parseSqlType).
+ * @returns {Object} The mssql type instance.
+ */
+function toMssqlType(type) {
+  const factory = sql.TYPES[type.name];
+  const args = type.args.map((arg) => (arg === "MAX" ? sql.MAX : arg));
+  return factory(...args);
+}
+
+/**
+ * Converts JSON-friendly values to what the driver expects for the given type:
+ * ISO strings become Dates, 0x-prefixed hex strings become Buffers, numeric
+ * strings become numbers and "true"/"false"/1/0 become bits.
+ * @param {any} value - The parameter value.
+ * @param {Object} [type] - Parsed type declaration.
+ * @returns {any} The coerced value.
+ */
+function coerceValue(value, type) {
+  if (!type || value === null) {
+    return value;
+  }
+  if (type.name === "Bit" && typeof value !== "boolean") {
+    const bit = BIT_VALUES.get(String(value).toLowerCase());
+    if (bit === undefined) {
+      throw new Error(`Value '${value}' is not a valid Bit`);
+    }
+    return bit;
+  }
+  if (INTEGER_TYPES.has(type.name) || FLOAT_TYPES.has(type.name)) {
+    const number = typeof value === "string" ? Number(value) : value;
+    const valid = INTEGER_TYPES.has(type.name)
+      ? Number.isInteger(number)
+      : Number.isFinite(number);
+    if (typeof number !== "number" || value === "" || !valid) {
+      throw new Error(`Value '${value}' is not a valid ${type.name}`);
+    }
+    return number;
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (DATE_TYPES.has(type.name)) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Value '${value}' is not a valid ${type.name}`);
+    }
+    return date;
+  }
+  if (BINARY_TYPES.has(type.name) && /^0x([0-9a-fA-F]{2})*$/.test(value)) {
+    return Buffer.from(value.slice(2), "hex");
+  }
+  return value;
+}
+
+/**
+ * Binds validated parameters to an mssql request with request.input().
+ * Parameters without an explicit type let the driver infer one from the value.
+ * @param {sql.Request} request - The request to bind to.
+ * @param {Array<Object>} parameters - Parameters validated by sqlParametersSchema.
+ * @returns {sql.Request} The same request, for chaining.
+ */
+function bindParameters(request, parameters = []) {
+  for (const param of parameters) {
+    try {
+      const value = coerceValue(param.value, param.type);
+      if (param.type) {
+        request.input(param.name, toMssqlType(param.type), value);
+      } else {
+        request.input(param.name, value);
+      }
+    } catch (error) {
+      throw new Error(`Invalid parameter '@${param.name}': ${error.message}`);
+    }
+  }
+  return request;
+}
+
+/**
+ * Declares OUTPUT parameters on an mssql request with request.output().
+ * @param {sql.Request} request - The request to bind to.
+ * @param {Array<Object>} parameters - { name, value, type } per OUTPUT parameter;
+ *   value is the initial value and may be undefined.
+ * @returns {sql.Request} The same request, for chaining.
+ */
+function bindOutputParameters(request, parameters = []) {
+  for (const param of parameters) {
+    try {
+      const value = coerceValue(param.value ?? null, param.type);
+      if (param.type) {
+        request.output(param.name, toMssqlType(param.type), value);
+      } else {
+        request.output(param.name, sql.NVarChar(sql.MAX), value);
+      }
+    } catch (error) {
+      throw new Error(`Invalid parameter '@${param.name}': ${error.message}`);
+    }
+  }
+  return request;
+}
+
+/**
+ * Matches procedure arguments to the procedure's sys.parameters metadata.
+ * Declared parameter types take precedence over types given by the caller;
+ * types the driver has no equivalent for fall back to the caller's type, or are inferred.
+ * @param {Array<Object>} metadata - sys.parameters rows (see loadProcedureParameters()).
+ * @param {Array<Object>} inputs - Input parameters validated by sqlParametersSchema.
+ * @param {Array<Object>} outputs - OUTPUT parameters validated by outputParametersSchema.
+ * @returns {{ inputs: Array<Object>, outputs: Array<Object> }} Parameters ready for
+ *   bindParameters() and bindOutputParameters().
+ * @throws {Error} If an argument does not match a parameter of the procedure.
+ */
+function buildProcedureParameters(metadata, inputs = [], outputs = []) {
+  const declared = new Map(
+    metadata.map((row) => [row.name.replace(/^@/, "").toLowerCase(), row]),
+  );
+  const describe = (name, param) => {
+    const row = declared.get(name.toLowerCase());
+    if (!row) {
+      const known = metadata.map((meta) => meta.name).join(", ") || "none";
+      throw new Error(
+        `Procedure has no parameter '@${name}'. Parameters: ${known}`,
+      );
+    }
+    if (row.is_readonly) {
+      throw new Error(
+        `Parameter '@${name}' is table-valued, which is not supported`,
+      );
+    }
+    let type;
+    try {
+      type = parseSqlType(formatColumnType(row));
+    } catch {
+      type = param.type;
+    }
+    return { row, type };
+  };
+
+  const outputNames = new Set(outputs.map((param) => param.name.toLowerCase()));
+  const boundInputs = [];
+  const initialValues = new Map();
+  for (const param of inputs) {
+    const { row, type } = describe(param.name, param);
+    if (outputNames.has(param.name.toLowerCase())) {
+      initialValues.set(param.name.toLowerCase(), param.value);
+    } else {
+      boundInputs.push({
+        name: row.name.replace(/^@/, ""),
+        value: param.value,
+        type,
+      });
+    }
+  }
+
+  const boundOutputs = outputs.map((param) => {
+    const { row, type } = describe(param.name, param);
+    if (!row.is_output) {
+      throw new Error(`Parameter '@${param.name}' is not an OUTPUT parameter`);
+    }
+    return {
+      name: row.name.replace(/^@/, ""),
+      value: initialValues.get(param.name.toLowerCase()),
+      type,
+    };
+  });
+
+  return { inputs: boundInputs, outputs: boundOutputs };
+}
+
+/**
+ * Serializes the values of OUTPUT parameters with serializeValue(), using
+ * each parameter's declared type the way a result column's type is used.
+ * @param {Object} output - result.output from the driver, keyed by parameter name.
+ * @param {Array<Object>} [parameters] - The bound OUTPUT parameters with parsed types.
+ * @param {Object} [options] - Options for serializeValue().
+ * @returns {Object} The serialized values, keyed by parameter name.
+ */
+function serializeOutputParameters(output, parameters = [], options = {}) {
+  const types = new Map(
+    parameters.map((param) => [param.name.toLowerCase(), param.type]),
+  );
+  return Object.fromEntries(
+    Object.entries(output).map(([name, value]) => {
+      const type = types.get(name.toLowerCase());
+      const column = type
+        ? {
+            type: type.name.toLowerCase(),
+            scale: DECIMAL_TYPES.has(type.name)
+              ? (type.args[1] ?? 0)
+              : type.args[0],
+          }
+        : undefined;
+      return [name, serializeValue(value, column, options)];
+    }),
+  );
+}
+
+module.exports = {
+  bindParameters,
+  bindOutputParameters,
+  serializeOutputParameters,
+  buildProcedureParameters,
+  toMssqlType,
+};
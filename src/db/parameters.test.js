@@ -0,0 +1,89 @@
+const { bindParameters, buildProcedureParameters } = require("./parameters");
+
+const param = (name, system_type, extra = {}) => ({
+  name,
+  system_type,
+  user_type: system_type,
+  max_length: 4,
+  precision: 10,
+  scale: 0,
+  is_output: false,
+  is_readonly: false,
+  ...extra,
+});
+
+describe("buildProcedureParameters", () => {
+  const metadata = [
+    param("@CustomerId", "int"),
+    param("@Since", "datetime2", { scale: 7 }),
+    param("@Total", "decimal", { precision: 18, scale: 2, is_output: true }),
+  ];
+
+  it("should type arguments from the procedure's declaration", () => {
+    const { inputs, outputs } = buildProcedureParameters(
+      metadata,
+      [
+        { name: "customerid", value: "42" },
+        { name: "Total", value: 0 },
+      ],
+      [{ name: "total" }],
+    );
+
+    expect(inputs).toEqual([
+      { name: "CustomerId", value: "42", type: { name: "Int", args: [] } },
+    ]);
+    expect(outputs).toEqual([
+      { name: "Total", value: 0, type: { name: "Decimal", args: [18, 2] } },
+    ]);
+  });
+
+  it("should reject unknown and non-OUTPUT parameters", () => {
+    expect(() =>
+      buildProcedureParameters(metadata, [{ name: "Region", value: "EU" }]),
+    ).toThrow(/no parameter '@Region'. Parameters: @CustomerId/);
+    expect(() =>
+      buildProcedureParameters(metadata, [], [{ name: "Since" }]),
+    ).toThrow(/not an OUTPUT parameter/);
+  });
+
+  it("should refuse table-valued parameters", () => {
+    expect(() =>
+      buildProcedureParameters(
+        [param("@Ids", "IdList", { is_readonly: true })],
+        [{ name: "Ids", value: "1,2" }],
+      ),
+    ).toThrow(/table-valued/);
+  });
+});
+
+describe("bindParameters", () => {
+  const bind = (value, type) => {
+    const request = { input: jest.fn() };
+    bindParameters(request, [{ name: "p", value, type }]);
+    return request.input.mock.calls[0][2];
+  };
+
+  it("should coerce numeric strings and bits to the declared type", () => {
+    expect(bind("42", { name: "Int", args: [] })).toBe(42);
+    expect(bind("false", { name: "Bit", args: [] })).toBe(false);
+    expect(bind(1, { name: "Bit", args: [] })).toBe(true);
+  });
+
+  it("should reject values that do not fit the declared type", () => {
+    expect(() => bind("4.5", { name: "Int", args: [] })).toThrow(
+      /Invalid parameter '@p': Value '4.5' is not a valid Int/,
+    );
+    expect(() => bind("yes", { name: "Bit", args: [] })).toThrow(
+      /not a valid Bit/,
+    );
+  });
+
+  it.each(["constructor", "toString", "__proto__", "hasOwnProperty"])(
+    "should reject the object property name %s as a Bit",
+    (value) => {
+      expect(() => bind(value, { name: "Bit", args: [] })).toThrow(
+        /not a valid Bit/,
+      );
+    },
+  );
+});
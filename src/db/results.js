@@ -0,0 +1,100 @@
+const { serializeRows } = require("./serialize");
+
+/**
+ * Describes the columns of an mssql recordset in result order.
+ * @param {Object} columns - recordset.columns, keyed by column name.
+ * @returns {Array<Object>} Column name, SQL type, length, precision, scale, nullable and identity.
+ *   CLR types such as hierarchyid are named by their type name rather than "udt".
+ */
+function describeColumns(columns = {}) {
+  return Object.values(columns)
+    .sort((a, b) => a.index - b.index)
+    .map((column) => ({
+      name: column.name,
+      type: column.udt?.name || column.type?.declaration || null,
+      length: column.length,
+      precision: column.precision,
+      scale: column.scale,
+      nullable: column.nullable,
+      identity: column.identity,
+    }));
+}
+
+/**
+ * Collects the PRINT and informational messages a request emits.
+ * Must be called before the request is executed.
+ * @param {sql.Request} request - The request to listen on.
+ * @returns {Array<Object>} Array that fills with { message, number, state, class, lineNumber, procName }.
+ */
+function collectMessages(request) {
+  const messages = [];
+  request.on("info", (info) => {
+    messages.push({
+      message: info.message,
+      number: info.number,
+      state: info.state,
+      class: info.class,
+      lineNumber: info.lineNumber,
+      procName: info.procName || undefined,
+    });
+  });
+  return messages;
+}
+
+/**
+ * Normalizes an mssql result into every result set with its columns,
+ * every rowsAffected count and the collected messages. Values are
+ * serialized with serializeValue().
+ * Each result set also carries the rowsAffected count of its statement, when
+ * the result came from streamQuery(). mssql's own results only list the
+ * counts of all statements, including those without a result set, so a
+ * count cannot be matched to a result set there and is null, as it is
+ * under SET NOCOUNT ON.
+ * @param {Object} result - The mssql query result.
+ * @param {Array<Object>} [messages] - Messages from collectMessages().
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Maximum rows kept per result set.
+ * @param {Object} [options.serialization] - Options for serializeValue().
+ * @returns {Object} The normalized result.
+ */
+function normalizeResult(result, messages = [], options = {}) {
+  const recordsets = result.recordsets || [];
+  const rowsAffected = result.rowsAffected || [];
+
+  const resultSets = recordsets.map((recordset, index) => {
+    // Streamed recordsets (see streamQuery) hold only the kept rows and count the rest
+    const rowCount = recordset.totalRows ?? recordset.length;
+    const columns = describeColumns(recordset.columns);
+    const rows = serializeRows(
+      options.maxRows !== undefined
+        ? recordset.slice(0, options.maxRows)
+        : recordset,
+      columns,
+      options.serialization,
+    );
+    const resultSet = {
+      index,
+      columns,
+      rowCount,
+      rowsAffected: recordset.rowsAffected ?? null,
+      rows,
+    };
+    if (rows.length < rowCount) {
+      resultSet.truncated = true;
+    }
+    return resultSet;
+  });
+
+  return {
+    rowsAffected,
+    totalRowsAffected: rowsAffected.reduce((sum, count) => sum + count, 0),
+    resultSets,
+    messages,
+  };
+}
+
+module.exports = {
+  describeColumns,
+  collectMessages,
+  normalizeResult,
+};
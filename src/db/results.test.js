@@ -0,0 +1,100 @@
+const { EventEmitter } = require("events");
+const sql = require("mssql");
+const { collectMessages, normalizeResult } = require("./results");
+
+// Builds an array shaped like an mssql recordset
+function recordset(rows, columns) {
+  const set = [...rows];
+  set.columns = columns;
+  return set;
+}
+
+describe("normalizeResult", () => {
+  const result = {
+    recordsets: [
+      recordset([{ Id: 1 }, { Id: 2 }], {
+        Id: { index: 0, name: "Id", type: sql.Int, nullable: false },
+      }),
+      recordset([{ Name: "a" }], {
+        Name: {
+          index: 0,
+          name: "Name",
+          type: sql.NVarChar,
+          length: 50,
+          nullable: true,
+        },
+      }),
+    ],
+    rowsAffected: [2, 3, 1],
+  };
+
+  it("should return every result set with its columns and row count", () => {
+    const normalized = normalizeResult(result);
+
+    expect(normalized.rowsAffected).toEqual([2, 3, 1]);
+    expect(normalized.totalRowsAffected).toBe(6);
+    expect(normalized.resultSets).toHaveLength(2);
+    expect(normalized.resultSets[1]).toMatchObject({
+      index: 1,
+      rowCount: 1,
+      rows: [{ Name: "a" }],
+      columns: [{ name: "Name", type: "nvarchar", length: 50, nullable: true }],
+    });
+  });
+
+  it("should keep a streamed result set's own rowsAffected count", () => {
+    const streamed = recordset([{ Id: 1 }], result.recordsets[0].columns);
+    streamed.rowsAffected = 1;
+    const normalized = normalizeResult({
+      recordsets: [streamed, result.recordsets[1]],
+      rowsAffected: [5, 1, 1],
+    });
+
+    expect(normalized.resultSets[0].rowsAffected).toBe(1);
+    // mssql's own results cannot tell which count belongs to a result set
+    expect(normalized.resultSets[1].rowsAffected).toBe(null);
+  });
+
+  it("should cap each result set at maxRows", () => {
+    const normalized = normalizeResult(result, [], { maxRows: 1 });
+
+    expect(normalized.resultSets[0].rows).toEqual([{ Id: 1 }]);
+    expect(normalized.resultSets[0].rowCount).toBe(2);
+    expect(normalized.resultSets[0].truncated).toBe(true);
+    expect(normalized.resultSets[1].truncated).toBeUndefined();
+  });
+
+  it("should serialize values and name CLR types by their type name", () => {
+    const normalized = normalizeResult({
+      recordsets: [
+        recordset([{ Price: 2.5, Node: Buffer.from([0x58]) }], {
+          Price: { index: 0, name: "Price", type: sql.Decimal, scale: 2 },
+          Node: {
+            index: 1,
+            name: "Node",
+            type: sql.UDT,
+            udt: { name: "hierarchyid" },
+          },
+        }),
+      ],
+    });
+
+    expect(normalized.resultSets[0].rows).toEqual([
+      { Price: "2.50", Node: "0x58" },
+    ]);
+    expect(normalized.resultSets[0].columns[1].type).toBe("hierarchyid");
+  });
+});
+
+describe("collectMessages", () => {
+  it("should collect info events emitted by the request", () => {
+    const request = new EventEmitter();
+    const messages = collectMessages(request);
+
+    request.emit("info", { message: "hello", number: 0, lineNumber: 1 });
+
+    expect(messages).toEqual([
+      expect.objectContaining({ message: "hello", number: 0, lineNumber: 1 }),
+    ]);
+  });
+});
@@ -0,0 +1,298 @@
+const DECIMAL_TYPES = new Set(["decimal", "numeric", "money", "smallmoney"]);
+const SPATIAL_TYPES = new Set(["geography", "geometry"]);
+
+// Scale of money and smallmoney, which the driver does not report
+const MONEY_SCALE = 4;
+
+// Spatial shape types (MS-SSCLRT 2.1.4) and their WKT names
+const SHAPE_TYPES = {
+  1: "POINT",
+  2: "LINESTRING",
+  3: "POLYGON",
+  4: "MULTIPOINT",
+  5: "MULTILINESTRING",
+  6: "MULTIPOLYGON",
+  7: "GEOMETRYCOLLECTION",
+  11: "FULLGLOBE",
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, "0");
+
+/**
+ * Writes the fractional seconds of a driver date with the column's scale.
+ * The driver keeps sub-millisecond digits in a nanosecondsDelta property.
+ */
+function formatFraction(date, scale) {
+  if (scale === 0) {
+    return "";
+  }
+  const ticks =
+    date.getUTCMilliseconds() * 10000 +
+    Math.round((date.nanosecondsDelta || 0) * 1e7);
+  return `.${pad(ticks, 7).slice(0, scale)}`;
+}
+
+/**
+ * Writes a date or time value as ISO 8601. The driver reads date and time
+ * types as UTC, so their UTC fields are the values stored in the column.
+ * @param {Date} date - The value from the driver.
+ * @param {string|null} type - The column's SQL type.
+ * @param {number} [scale] - The column's fractional seconds precision.
+ * @returns {string} The ISO 8601 text.
+ */
+function serializeDate(date, type, scale) {
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  const day = `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+  switch (type) {
+    case "date":
+      return day;
+    case "time":
+      return `${time}${formatFraction(date, scale ?? 7)}`;
+    case "smalldatetime":
+      return `${day}T${time}`;
+    case "datetime":
+      return `${day}T${time}${formatFraction(date, 3)}`;
+    case "datetime2":
+      return `${day}T${time}${formatFraction(date, scale ?? 7)}`;
+    case "datetimeoffset":
+      return serializeDateTimeOffset(date, scale);
+    default:
+      return date.toISOString();
+  }
+}
+
+/**
+ * Writes a datetimeoffset value as ISO 8601 in its stored offset, e.g.
+ * "2024-03-01T10:30:00.0000000+02:00". The driver reads the UTC instant;
+ * the offset comes from offsetMinutes (see db/driverValues.js). Without it
+ * the value is written in UTC with "Z".
+ */
+function serializeDateTimeOffset(date, scale) {
+  const { offsetMinutes } = date;
+  if (typeof offsetMinutes !== "number") {
+    return `${serializeDate(date, "datetime2", scale)}Z`;
+  }
+  const local = new Date(date.getTime() + offsetMinutes * 60000);
+  Object.defineProperty(local, "nanosecondsDelta", {
+    value: date.nanosecondsDelta,
+  });
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const minutes = Math.abs(offsetMinutes);
+  return `${serializeDate(local, "datetime2", scale)}${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Writes binary data as 0x-prefixed hex or base64. Values longer than
+ * maxBinaryBytes are cut and end with "...(<n> bytes)".
+ * @param {Buffer} buffer - The value from the driver.
+ * @param {Object} options - binaryEncoding and maxBinaryBytes.
+ * @returns {string} The encoded value.
+ */
+function serializeBinary(buffer, { binaryEncoding, maxBinaryBytes }) {
+  const kept =
+    buffer.length > maxBinaryBytes
+      ? buffer.subarray(0, maxBinaryBytes)
+      : buffer;
+  const text =
+    binaryEncoding === "base64"
+      ? kept.toString("base64")
+      : `0x${kept.toString("hex").toUpperCase()}`;
+  return kept.length < buffer.length
+    ? `${text}...(${buffer.length} bytes)`
+    : text;
+}
+
+/**
+ * Writes a number in plain notation, with no more digits than it needs to
+ * read back the same, e.g. 1e-7 as "0.0000001".
+ */
+function formatPlainNumber(number) {
+  const [mantissa, exponent = "0"] = String(number).split("e");
+  const shift = Number(exponent);
+  if (shift === 0) {
+    return mantissa;
+  }
+  const negative = mantissa.startsWith("-");
+  const [whole, fraction = ""] = mantissa.replace("-", "").split(".");
+  const digits = whole + fraction;
+  const point = whole.length + shift;
+  const text =
+    point <= 0
+      ? `0.${"0".repeat(-point)}${digits}`
+      : point >= digits.length
+        ? digits + "0".repeat(point - digits.length)
+        : `${digits.slice(0, point)}.${digits.slice(point)}`;
+  return negative ? `-${text}` : text;
+}
+
+/**
+ * Writes a decimal type. The driver's exact string (see db/driverValues.js)
+ * is kept as it is. A number is written with the digits it holds, and
+ * trailing zeros up to the column's scale, never with digits beyond those.
+ */
+function serializeDecimal(value, type, scale) {
+  if (typeof value !== "number") {
+    return String(value);
+  }
+  const text = formatPlainNumber(value);
+  const digits = scale ?? (type.endsWith("money") ? MONEY_SCALE : undefined);
+  const fraction = text.split(".")[1] ?? "";
+  if (digits === undefined || fraction.length >= digits) {
+    return text;
+  }
+  return `${text}${fraction ? "" : "."}${"0".repeat(digits - fraction.length)}`;
+}
+
+/**
+ * Writes a spatial value parsed by the driver as Extended WKT, e.g.
+ * "SRID=4326;POINT (-122.35 47.65)". Shapes with arcs, which WKT cannot
+ * write without curve types, are returned as the driver parsed them.
+ * @param {Object} value - { srid, points, figures, shapes, segments } from the driver.
+ * @returns {string|Object} The Extended WKT, or the parsed value.
+ */
+function serializeSpatial(value) {
+  const { srid, points = [], figures = [], shapes = [], segments = [] } = value;
+  if (segments.length > 0 || shapes.some((shape) => !SHAPE_TYPES[shape.type])) {
+    return value;
+  }
+
+  // Geography points carry lat and lng; WKT writes longitude first
+  const coordinate = (point) =>
+    [
+      point.lng ?? point.x,
+      point.lat ?? point.y,
+      ...(point.z !== null || point.m !== null ? [point.z ?? "NULL"] : []),
+      ...(point.m !== null ? [point.m] : []),
+    ].join(" ");
+
+  const figurePoints = (index) => {
+    const end =
+      index + 1 < figures.length
+        ? figures[index + 1].pointOffset
+        : points.length;
+    return points.slice(figures[index].pointOffset, end);
+  };
+
+  // A shape's figures run up to the first figure of the next shape that has any
+  const shapeFigures = (index) => {
+    const start = shapes[index].figureOffset;
+    if (start === -1) {
+      return [];
+    }
+    const next = shapes
+      .slice(index + 1)
+      .find((shape) => shape.figureOffset !== -1);
+    const end = next ? next.figureOffset : figures.length;
+    return Array.from({ length: end - start }, (_, offset) => start + offset);
+  };
+
+  const ring = (figure) =>
+    `(${figurePoints(figure).map(coordinate).join(", ")})`;
+
+  const body = (index) => {
+    const { type } = shapes[index];
+    const children = () =>
+      shapes
+        .map((shape, child) => (shape.parentOffset === index ? child : -1))
+        .filter((child) => child !== -1);
+    const list = (items) => (items.length ? `(${items.join(", ")})` : "EMPTY");
+
+    switch (type) {
+      case 1: {
+        const [figure] = shapeFigures(index);
+        const [point] = figure === undefined ? [] : figurePoints(figure);
+        return point ? `(${coordinate(point)})` : "EMPTY";
+      }
+      case 2: {
+        const [figure] = shapeFigures(index);
+        return figure === undefined ? "EMPTY" : ring(figure);
+      }
+      case 3:
+        return list(shapeFigures(index).map(ring));
+      case 4:
+      case 5:
+      case 6:
+        return list(children().map(body));
+      case 7:
+        return list(children().map(text));
+      default:
+        return "";
+    }
+  };
+
+  const text = (index) => {
+    const name = SHAPE_TYPES[shapes[index].type];
+    return name === "FULLGLOBE" ? name : `${name} ${body(index)}`;
+  };
+
+  const wkt = shapes.length > 0 ? text(0) : "GEOMETRYCOLLECTION EMPTY";
+  return `SRID=${srid};${wkt}`;
+}
+
+/**
+ * Converts a value from the driver to a stable JSON representation:
+ * decimals and bigints as strings, dates as ISO 8601, binary as hex or
+ * base64 and spatial values as Extended WKT.
+ * @param {any} value - A column or output parameter value.
+ * @param {Object} [column] - The column from describeColumns(); without it
+ *   the representation is chosen from the value alone.
+ * @param {Object} [options] - binaryEncoding ("hex" or "base64") and
+ *   maxBinaryBytes, from serializationConfig.
+ * @returns {any} The JSON-safe value.
+ */
+function serializeValue(value, column = {}, options = {}) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const { binaryEncoding = "hex", maxBinaryBytes = 1024 } = options;
+  const { type = null, scale } = column;
+
+  if (Array.isArray(value)) {
+    // mssql collects columns that share a name into an array
+    return value.map((item) => serializeValue(item, {}, options));
+  }
+  if (value instanceof Date) {
+    return serializeDate(value, type, scale);
+  }
+  if (Buffer.isBuffer(value)) {
+    return serializeBinary(value, { binaryEncoding, maxBinaryBytes });
+  }
+  if (typeof value === "bigint" || type === "bigint") {
+    return String(value);
+  }
+  if (type && DECIMAL_TYPES.has(type)) {
+    return serializeDecimal(value, type, scale);
+  }
+  if ((type === null || SPATIAL_TYPES.has(type)) && value.shapes) {
+    return serializeSpatial(value);
+  }
+  return value;
+}
+
+/**
+ * Serializes every value of some rows with serializeValue().
+ * @param {Array<Object>} rows - Rows keyed by column name.
+ * @param {Array<Object>} columns - The columns from describeColumns().
+ * @param {Object} [options] - See serializeValue().
+ * @returns {Array<Object>} New rows with serialized values.
+ */
+function serializeRows(rows, columns, options) {
+  const byName = new Map(columns.map((column) => [column.name, column]));
+  return rows.map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([name, value]) => [
+        name,
+        serializeValue(value, byName.get(name), options),
+      ]),
+    ),
+  );
+}
+
+module.exports = {
+  serializeValue,
+  serializeRows,
+};
@@ -0,0 +1,134 @@
+const { PARSERS } = require("mssql/lib/udt");
+const { serializeValue, serializeRows } = require("./serialize");
+
+// Builds a date the way the driver does, with sub-millisecond digits alongside
+function driverDate(iso, nanosecondsDelta = 0) {
+  const date = new Date(iso);
+  Object.defineProperty(date, "nanosecondsDelta", { value: nanosecondsDelta });
+  return date;
+}
+
+// Encodes a geography point as SQL Server stores it (MS-SSCLRT 2.1.5)
+function geographyPoint(lat, lng) {
+  const buffer = Buffer.alloc(22);
+  buffer.writeInt32LE(4326, 0);
+  buffer.writeUInt8(1, 4);
+  buffer.writeUInt8(0x0c, 5);
+  buffer.writeDoubleLE(lat, 6);
+  buffer.writeDoubleLE(lng, 14);
+  return buffer;
+}
+
+describe("serializeValue", () => {
+  it("should write decimals and bigints as strings", () => {
+    expect(serializeValue(12.5, { type: "decimal", scale: 2 })).toBe("12.50");
+    expect(serializeValue(3, { type: "money" })).toBe("3.0000");
+    expect(serializeValue("9007199254740993", { type: "bigint" })).toBe(
+      "9007199254740993",
+    );
+    expect(serializeValue(42n)).toBe("42");
+  });
+
+  it("should not add digits a decimal does not hold", () => {
+    expect(
+      serializeValue("12345678901234567.1234567891", {
+        type: "decimal",
+        scale: 10,
+      }),
+    ).toBe("12345678901234567.1234567891");
+    expect(serializeValue(0.1, { type: "decimal", scale: 20 })).toBe(
+      "0.10000000000000000000",
+    );
+    expect(serializeValue(1e-7, { type: "decimal", scale: 7 })).toBe(
+      "0.0000001",
+    );
+  });
+
+  it("should write datetimeoffset values in their offset", () => {
+    const value = driverDate("2024-03-01T08:30:00.123Z", 0.0004567);
+    Object.defineProperty(value, "offsetMinutes", { value: -330 });
+
+    expect(serializeValue(value, { type: "datetimeoffset", scale: 7 })).toBe(
+      "2024-03-01T03:00:00.1234567-05:30",
+    );
+  });
+
+  it("should write dates with the column's type and scale", () => {
+    const value = driverDate("2024-03-01T10:30:00.123Z", 0.0004567);
+
+    expect(serializeValue(value, { type: "date" })).toBe("2024-03-01");
+    expect(serializeValue(value, { type: "datetime2", scale: 7 })).toBe(
+      "2024-03-01T10:30:00.1234567",
+    );
+    expect(serializeValue(value, { type: "datetime2", scale: 0 })).toBe(
+      "2024-03-01T10:30:00",
+    );
+    expect(serializeValue(value, { type: "time", scale: 3 })).toBe(
+      "10:30:00.123",
+    );
+    expect(serializeValue(value, { type: "datetimeoffset", scale: 2 })).toBe(
+      "2024-03-01T10:30:00.12Z",
+    );
+    expect(serializeValue(value)).toBe("2024-03-01T10:30:00.123Z");
+  });
+
+  it("should write binary as hex or base64 and cut long values", () => {
+    const bytes = Buffer.from([0xde, 0xad, 0xbe, 0xef, 0x01]);
+
+    expect(serializeValue(bytes.subarray(0, 2))).toBe("0xDEAD");
+    expect(
+      serializeValue(bytes, { type: "varbinary" }, { maxBinaryBytes: 4 }),
+    ).toBe("0xDEADBEEF...(5 bytes)");
+    expect(
+      serializeValue(bytes, undefined, {
+        binaryEncoding: "base64",
+        maxBinaryBytes: 10,
+      }),
+    ).toBe("3q2+7wE=");
+  });
+
+  it("should write spatial values as Extended WKT", () => {
+    const point = PARSERS.geography(geographyPoint(47.65, -122.35));
+
+    expect(serializeValue(point, { type: "geography" })).toBe(
+      "SRID=4326;POINT (-122.35 47.65)",
+    );
+
+    const polygon = {
+      srid: 0,
+      points: [
+        { x: 0, y: 0, z: null, m: null },
+        { x: 4, y: 0, z: null, m: null },
+        { x: 4, y: 4, z: null, m: null },
+        { x: 0, y: 0, z: null, m: null },
+        { x: 9, y: 9, z: null, m: null },
+      ],
+      figures: [
+        { attribute: 2, pointOffset: 0 },
+        { attribute: 1, pointOffset: 4 },
+      ],
+      shapes: [
+        { parentOffset: -1, figureOffset: 0, type: 7 },
+        { parentOffset: 0, figureOffset: 0, type: 3 },
+        { parentOffset: 0, figureOffset: 1, type: 1 },
+      ],
+      segments: [],
+    };
+    expect(serializeValue(polygon, { type: "geometry" })).toBe(
+      "SRID=0;GEOMETRYCOLLECTION (POLYGON ((0 0, 4 0, 4 4, 0 0)), POINT (9 9))",
+    );
+  });
+});
+
+describe("serializeRows", () => {
+  it("should serialize each value with its column", () => {
+    const columns = [
+      { name: "Price", type: "decimal", scale: 2 },
+      { name: "Name", type: "nvarchar" },
+    ];
+
+    expect(serializeRows([{ Price: 1.1, Name: "a" }], columns)).toEqual([
+      { Price: "1.10", Name: "a" },
+    ]);
+  });
+});
@@ -0,0 +1,300 @@
+const { bindParameters } = require("./parameters");
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/**
+ * Decodes the XML entities of an attribute value.
+ * @param {string} value - The raw attribute value.
+ * @returns {string} The decoded value.
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === "#") {
+      return String.fromCodePoint(
+        entity[1] === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10),
+      );
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Parses the subset of XML that showplans use (elements and attributes,
+ * no text content of interest) into a tree. Namespace prefixes are dropped.
+ * @param {string} xml - The XML text.
+ * @returns {{ name: string, attributes: Object, children: Array<Object> }} The root element.
+ * @throws {Error} If the XML is not well formed.
+ */
+function parseXml(xml) {
+  const root = { name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  const tagPattern =
+    /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([\w.:-]+)([^>]*?)(\/?)>/g;
+  const attributePattern = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  for (const [, closing, tagName, rawAttributes, selfClosing] of xml.matchAll(
+    tagPattern,
+  )) {
+    if (!tagName) continue;
+    const name = tagName.replace(/^[\w.-]+:/, "");
+    if (closing) {
+      if (stack.pop().name !== name || stack.length === 0) {
+        throw new Error(`Malformed plan XML near </${tagName}>`);
+      }
+      continue;
+    }
+
+    const attributes = {};
+    for (const [, key, doubleQuoted, singleQuoted] of rawAttributes.matchAll(
+      attributePattern,
+    )) {
+      attributes[key.replace(/^[\w.-]+:/, "")] = decodeEntities(
+        doubleQuoted ?? singleQuoted,
+      );
+    }
+    const element = { name, attributes, children: [] };
+    stack[stack.length - 1].children.push(element);
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  if (stack.length !== 1 || root.children.length !== 1) {
+    throw new Error("Malformed plan XML");
+  }
+  return root.children[0];
+}
+
+/**
+ * Finds descendants of an element by name, in document order.
+ * @param {Object} element - The element to search under.
+ * @param {string} name - The element name.
+ * @param {Object} [options]
+ * @param {string} [options.stopAt] - Do not descend into elements with this name.
+ * @returns {Array<Object>} The matching elements.
+ */
+function findAll(element, name, options = {}) {
+  const found = [];
+  for (const child of element.children) {
+    if (child.name === name) found.push(child);
+    if (child.name !== options.stopAt) {
+      found.push(...findAll(child, name, options));
+    }
+  }
+  return found;
+}
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+/**
+ * Classifies an operator's data access.
+ * @param {string} physicalOp - e.g. "Clustered Index Seek".
+ * @returns {string|undefined} "seek", "scan", "lookup" or undefined.
+ */
+function accessTypeOf(physicalOp) {
+  if (/Lookup/.test(physicalOp)) return "lookup";
+  if (/Seek/.test(physicalOp)) return "seek";
+  if (/Scan/.test(physicalOp)) return "scan";
+  return undefined;
+}
+
+/**
+ * Joins the bracketed parts of a showplan Object or MissingIndex element.
+ * @param {Object} attributes - Element attributes.
+ * @param {Array<string>} keys - Attribute names, outermost first.
+ * @returns {string} e.g. "[db].[dbo].[Orders].[IX_Orders_Date]".
+ */
+function objectName(attributes, keys) {
+  return keys
+    .map((key) => attributes[key])
+    .filter(Boolean)
+    .join(".");
+}
+
+/**
+ * Describes the RelOp operators of a statement, depth first.
+ * @param {Object} element - The element to search under.
+ * @param {number} depth - Nesting depth of the operators found.
+ * @returns {Array<Object>} Operators.
+ */
+function describeOperators(element, depth = 0) {
+  const operators = [];
+  for (const relOp of findAll(element, "RelOp", { stopAt: "RelOp" })) {
+    const { attributes } = relOp;
+    const object = findAll(relOp, "Object", { stopAt: "RelOp" })[0];
+    const warnings = findAll(relOp, "Warnings", { stopAt: "RelOp" })[0];
+    operators.push({
+      nodeId: toNumber(attributes.NodeId),
+      depth,
+      physicalOp: attributes.PhysicalOp,
+      logicalOp: attributes.LogicalOp,
+      accessType: accessTypeOf(attributes.PhysicalOp),
+      object: object
+        ? objectName(object.attributes, [
+            "Database",
+            "Schema",
+            "Table",
+            "Index",
+          ])
+        : undefined,
+      estimatedRows: toNumber(attributes.EstimateRows),
+      estimatedSubtreeCost: toNumber(attributes.EstimatedTotalSubtreeCost),
+      parallel: attributes.Parallel === "1" || attributes.Parallel === "true",
+      warnings: warnings ? describeWarnings(warnings) : undefined,
+    });
+    operators.push(...describeOperators(relOp, depth + 1));
+  }
+  return operators;
+}
+
+/**
+ * Describes a Warnings element: flag attributes and child warnings.
+ * Implicit conversions are reported separately by describeStatement().
+ * @param {Object} warnings - The Warnings element.
+ * @returns {Array<Object>} { type, ...details } per warning.
+ */
+function describeWarnings(warnings) {
+  const described = Object.entries(warnings.attributes)
+    .filter(([, value]) => value === "true" || value === "1")
+    .map(([type]) => ({ type }));
+  for (const child of warnings.children) {
+    if (child.name === "PlanAffectingConvert") continue;
+    described.push({ type: child.name, ...child.attributes });
+  }
+  return described;
+}
+
+/**
+ * Summarizes one StmtSimple element of a showplan.
+ * @param {Object} statement - The StmtSimple element.
+ * @returns {Object} The statement summary.
+ */
+function describeStatement(statement) {
+  const { attributes } = statement;
+  const operators = describeOperators(statement);
+
+  const missingIndexes = findAll(statement, "MissingIndexGroup").map(
+    (group) => {
+      const index = findAll(group, "MissingIndex")[0];
+      const columns = (usage) =>
+        findAll(index, "ColumnGroup")
+          .filter((columnGroup) => columnGroup.attributes.Usage === usage)
+          .flatMap((columnGroup) =>
+            columnGroup.children.map((column) => column.attributes.Name),
+          );
+      const table = objectName(index.attributes, [
+        "Database",
+        "Schema",
+        "Table",
+      ]);
+      const keyColumns = [...columns("EQUALITY"), ...columns("INEQUALITY")];
+      const includeColumns = columns("INCLUDE");
+      return {
+        impact: toNumber(group.attributes.Impact),
+        table,
+        equalityColumns: columns("EQUALITY"),
+        inequalityColumns: columns("INEQUALITY"),
+        includeColumns,
+        createStatement: `CREATE NONCLUSTERED INDEX [IX_missing] ON ${table} (${keyColumns.join(", ")})${
+          includeColumns.length > 0
+            ? ` INCLUDE (${includeColumns.join(", ")})`
+            : ""
+        }`,
+      };
+    },
+  );
+
+  const conversions = new Map();
+  for (const convert of findAll(statement, "PlanAffectingConvert")) {
+    conversions.set(convert.attributes.Expression, {
+      expression: convert.attributes.Expression,
+      issue: convert.attributes.ConvertIssue,
+    });
+  }
+  for (const scalar of findAll(statement, "ScalarOperator")) {
+    for (const [expression] of (scalar.attributes.ScalarString || "").matchAll(
+      /CONVERT_IMPLICIT\((?:[^()]|\([^()]*\))*\)/g,
+    )) {
+      if (!conversions.has(expression)) {
+        conversions.set(expression, { expression });
+      }
+    }
+  }
+
+  const statementWarnings = findAll(statement, "Warnings", {
+    stopAt: "RelOp",
+  }).flatMap(describeWarnings);
+
+  return {
+    text: attributes.StatementText,
+    type: attributes.StatementType,
+    estimatedRows: toNumber(attributes.StatementEstRows),
+    estimatedCost: toNumber(attributes.StatementSubTreeCost),
+    optimizationLevel: attributes.StatementOptmLevel,
+    scans: operators.filter((op) => op.accessType === "scan").length,
+    seeks: operators.filter((op) => op.accessType === "seek").length,
+    lookups: operators.filter((op) => op.accessType === "lookup").length,
+    operators,
+    missingIndexes,
+    implicitConversions: [...conversions.values()],
+    warnings: [
+      ...statementWarnings,
+      ...operators.flatMap((op) =>
+        (op.warnings || []).map((warning) => ({
+          nodeId: op.nodeId,
+          ...warning,
+        })),
+      ),
+    ],
+  };
+}
+
+/**
+ * Summarizes showplan XML documents: operators with estimated rows and cost,
+ * scans, seeks and lookups, missing index suggestions, implicit conversions and warnings.
+ * @param {Array<string>} plans - One showplan XML document per batch.
+ * @returns {Array<Object>} One summary per statement.
+ */
+function summarizeShowplan(plans) {
+  return plans.flatMap((xml) =>
+    findAll(parseXml(xml), "StmtSimple").map(describeStatement),
+  );
+}
+
+/**
+ * Compiles a query under SET SHOWPLAN_XML ON, which returns the estimated plan
+ * without running the query. The SET statements and the query share a
+ * connection through a transaction that is always rolled back.
+ * @param {sql.ConnectionPool} pool - The connection pool.
+ * @param {string} query - The SQL text.
+ * @param {Array<Object>} [parameters] - Parameters validated by sqlParametersSchema.
+ * @returns {Promise<Array<string>>} One showplan XML document per batch.
+ */
+async function captureShowplan(pool, query, parameters = []) {
+  const transaction = pool.transaction();
+  await transaction.begin();
+  try {
+    await transaction.request().batch("SET SHOWPLAN_XML ON");
+    try {
+      const result = await bindParameters(
+        transaction.request(),
+        parameters,
+      ).query(query);
+      return (result.recordsets || []).flatMap((recordset) =>
+        recordset.map((row) => Object.values(row)[0]),
+      );
+    } finally {
+      await transaction.request().batch("SET SHOWPLAN_XML OFF");
+    }
+  } finally {
+    await transaction.rollback();
+  }
+}
+
+module.exports = {
+  parseXml,
+  summarizeShowplan,
+  captureShowplan,
+};
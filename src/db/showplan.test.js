@@ -0,0 +1,95 @@
+const { parseXml, summarizeShowplan } = require("./showplan");
+
+const PLAN = `<?xml version="1.0" encoding="utf-16"?>
+<ShowPlanXML xmlns="http://schemas.microsoft.com/sqlserver/2004/07/showplan" Version="1.564">
+  <BatchSequence><Batch><Statements>
+    <StmtSimple StatementText="SELECT Id FROM dbo.Orders WHERE Code = @code" StatementType="SELECT" StatementSubTreeCost="0.75" StatementEstRows="12" StatementOptmLevel="FULL">
+      <QueryPlan>
+        <Warnings><PlanAffectingConvert ConvertIssue="Seek Plan" Expression="CONVERT_IMPLICIT(nvarchar(20),[o].[Code],0)=[@code]" /></Warnings>
+        <MissingIndexes>
+          <MissingIndexGroup Impact="87.5">
+            <MissingIndex Database="[main]" Schema="[dbo]" Table="[Orders]">
+              <ColumnGroup Usage="EQUALITY"><Column Name="[Code]" ColumnId="3" /></ColumnGroup>
+              <ColumnGroup Usage="INCLUDE"><Column Name="[Total]" ColumnId="4" /></ColumnGroup>
+            </MissingIndex>
+          </MissingIndexGroup>
+        </MissingIndexes>
+        <RelOp NodeId="0" PhysicalOp="Nested Loops" LogicalOp="Inner Join" EstimateRows="12" EstimatedTotalSubtreeCost="0.75" Parallel="0">
+          <NestedLoops>
+            <RelOp NodeId="1" PhysicalOp="Clustered Index Scan" LogicalOp="Clustered Index Scan" EstimateRows="12" EstimatedTotalSubtreeCost="0.5" Parallel="0">
+              <Warnings NoJoinPredicate="true" />
+              <IndexScan><Object Database="[main]" Schema="[dbo]" Table="[Orders]" Index="[PK_Orders]" Alias="[o]" /></IndexScan>
+            </RelOp>
+            <RelOp NodeId="2" PhysicalOp="Index Seek" LogicalOp="Index Seek" EstimateRows="1" EstimatedTotalSubtreeCost="0.2" Parallel="0">
+              <IndexScan><Object Database="[main]" Schema="[dbo]" Table="[Customers]" Index="[IX_Customers_Id]" />
+                <Predicate><ScalarOperator ScalarString="CONVERT_IMPLICIT(int,[c].[Ref],0)&gt;(5)" /></Predicate>
+              </IndexScan>
+            </RelOp>
+          </NestedLoops>
+        </RelOp>
+      </QueryPlan>
+    </StmtSimple>
+  </Statements></Batch></BatchSequence>
+</ShowPlanXML>`;
+
+describe("parseXml", () => {
+  it("should build an element tree and decode attribute entities", () => {
+    const root = parseXml("<a x=\"1 &lt; 2\"><b/><c y='&#65;'></c></a>");
+
+    expect(root.attributes.x).toBe("1 < 2");
+    expect(root.children.map((child) => child.name)).toEqual(["b", "c"]);
+    expect(root.children[1].attributes.y).toBe("A");
+  });
+
+  it("should reject unbalanced XML", () => {
+    expect(() => parseXml("<a><b></a>")).toThrow(/Malformed plan XML/);
+  });
+});
+
+describe("summarizeShowplan", () => {
+  const [statement] = summarizeShowplan([PLAN]);
+
+  it("should list operators with estimates and access types", () => {
+    expect(statement).toMatchObject({
+      type: "SELECT",
+      estimatedRows: 12,
+      estimatedCost: 0.75,
+      scans: 1,
+      seeks: 1,
+      lookups: 0,
+    });
+    expect(statement.operators[1]).toMatchObject({
+      nodeId: 1,
+      depth: 1,
+      accessType: "scan",
+      object: "[main].[dbo].[Orders].[PK_Orders]",
+      estimatedRows: 12,
+      estimatedSubtreeCost: 0.5,
+      warnings: [{ type: "NoJoinPredicate" }],
+    });
+  });
+
+  it("should report missing indexes, implicit conversions and warnings", () => {
+    expect(statement.missingIndexes).toEqual([
+      {
+        impact: 87.5,
+        table: "[main].[dbo].[Orders]",
+        equalityColumns: ["[Code]"],
+        inequalityColumns: [],
+        includeColumns: ["[Total]"],
+        createStatement:
+          "CREATE NONCLUSTERED INDEX [IX_missing] ON [main].[dbo].[Orders] ([Code]) INCLUDE ([Total])",
+      },
+    ]);
+    expect(statement.implicitConversions).toEqual([
+      {
+        expression: "CONVERT_IMPLICIT(nvarchar(20),[o].[Code],0)=[@code]",
+        issue: "Seek Plan",
+      },
+      { expression: "CONVERT_IMPLICIT(int,[c].[Ref],0)" },
+    ]);
+    expect(statement.warnings).toEqual([
+      { nodeId: 1, type: "NoJoinPredicate" },
+    ]);
+  });
+});
@@ -1,11 +1,20 @@
 require("dotenv").config();
 const { startServer } = require("./server");
+const { closeSessions } = require("./server/mcpTransport");
+const { handleShutdown } = require("./modules/shutdown");
 
 // Start the server
-startServer();
+const httpServer = startServer();
 
-// Handle SIGINT (Ctrl+C) to gracefully shut down the server
-process.on("SIGINT", function () {
-  console.log("Received SIGINT. Exiting...");
-  process.exit();
+// On SIGINT (Ctrl+C) or SIGTERM, stop listening, let running queries finish,
+// then close the pools, the MCP sessions and the remaining connections
+handleShutdown({
+  stopIntake: () => {
+    httpServer.close();
+    httpServer.closeIdleConnections();
+  },
+  close: async () => {
+    await closeSessions();
+    httpServer.closeAllConnections();
+  },
 });
@@ -0,0 +1,259 @@
+const fs = require("fs");
+const { auditConfig = {}, dbConfigs } = require("../config");
+
+const REDACTED = "[redacted]";
+
+/**
+ * The latest audit entries, oldest first, for get_audit_log.
+ * @type {Array<Object>}
+ */
+const recentEntries = [];
+const recentLimit = auditConfig.recentEntries ?? 1000;
+
+/**
+ * Creates a sink that appends entries as JSON Lines to a file. When the file
+ * would grow past maxBytes it is rotated: file -> file.1 -> file.2 ...,
+ * keeping at most maxFiles old files.
+ * @param {Object} options
+ * @param {string} options.file - The log file path.
+ * @param {number} options.maxBytes - Size at which the file is rotated.
+ * @param {number} options.maxFiles - Rotated files to keep.
+ * @returns {{ write: Function }} The sink.
+ */
+function createFileSink({ file, maxBytes, maxFiles }) {
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const rotate = () => {
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      if (fs.existsSync(`${file}.${index}`)) {
+        fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+    }
+    fs.renameSync(file, `${file}.1`);
+    size = 0;
+  };
+
+  return {
+    write(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) {
+        rotate();
+      }
+      // Synchronous appends keep entries in order and on disk before the call returns
+      fs.appendFileSync(file, line, { mode: 0o600 });
+      size += bytes;
+    },
+  };
+}
+
+let sink = auditConfig.file ? createFileSink(auditConfig) : null;
+
+/**
+ * Replaces where audit entries are written, e.g. with a sink that ships them
+ * to a log service. A sink is an object with a write(entry) method; null
+ * keeps entries in memory only.
+ * @param {{ write: Function }|null} newSink - The sink.
+ */
+function setAuditSink(newSink) {
+  sink = newSink;
+}
+
+/**
+ * Returns parameters with their values replaced when MSSQL_AUDIT_REDACT_PARAMETERS is set.
+ * @param {Array<Object>|Object} [parameters] - Parameters as the caller passed them.
+ * @returns {Array<Object>|Object|undefined} The parameters to log.
+ */
+function redactParameters(parameters) {
+  if (!auditConfig.redactParameters || parameters === undefined) {
+    return parameters;
+  }
+  if (Array.isArray(parameters)) {
+    return parameters.map((param) =>
+      param && typeof param === "object"
+        ? { ...param, value: REDACTED }
+        : REDACTED,
+    );
+  }
+  if (parameters && typeof parameters === "object") {
+    return Object.fromEntries(
+      Object.keys(parameters).map((name) => [name, REDACTED]),
+    );
+  }
+  return REDACTED;
+}
+
+/**
+ * Adds an entry to the audit log. Failures to write are reported but never
+ * fail the call being audited.
+ * @param {Object} entry - The entry, without a timestamp.
+ */
+function recordAuditEntry(entry) {
+  const stamped = { timestamp: new Date().toISOString(), ...entry };
+  recentEntries.push(stamped);
+  if (recentEntries.length > recentLimit) {
+    recentEntries.splice(0, recentEntries.length - recentLimit);
+  }
+  try {
+    sink?.write(stamped);
+  } catch (error) {
+    console.error(`Failed to write audit entry: ${error.message}`);
+  }
+}
+
+/**
+ * Summarizes a tool response for the audit log: the verdict, row counts and any error.
+ * @param {Object|string} response - A tool response, or the text a resource read returned.
+ * @returns {Object} status, reason, rowCounts, rowsAffected and error.
+ */
+function summarizeResponse(response) {
+  if (typeof response === "string") {
+    return { status: "allowed" };
+  }
+  let payload;
+  try {
+    payload = JSON.parse(response.content[0].text);
+  } catch {
+    payload = {};
+  }
+
+  if (response.isError) {
+    // Blocked by the classifier or denied by the access policy
+    if (payload.blockedStatements !== undefined || payload.code === "denied") {
+      return { status: "blocked", reason: payload.error };
+    }
+    return {
+      status: "error",
+      error: {
+        message: payload.error,
+        number: payload.errorNumber,
+        code: payload.code,
+      },
+    };
+  }
+
+  const rowCounts = payload.resultSets
+    ? payload.resultSets.map((resultSet) => resultSet.rowCount)
+    : payload.resultSet
+      ? [payload.resultSet.rows.length]
+      : undefined;
+  return {
+    status: "allowed",
+    rowCounts,
+    rowsAffected: payload.rowsAffected,
+  };
+}
+
+/**
+ * Wraps a tool so every call is recorded in the audit log.
+ * @param {string} tool - The tool name, e.g. "execute_sql".
+ * @param {Function} fn - The tool function.
+ * @param {Function} describeCall - Maps the tool's arguments to
+ *   { dbKey, query, parameters, options, database }; options carries the
+ *   caller's principal, sessionId and transport. database is false for tools
+ *   that do not query a database, so no dbKey is logged.
+ * @returns {Function} The audited tool, with the same signature.
+ */
+function audited(tool, fn, describeCall) {
+  return async function (...args) {
+    const {
+      dbKey,
+      query,
+      parameters,
+      options = {},
+      database = true,
+    } = describeCall(...args);
+    const defaultDbKey = database ? Object.keys(dbConfigs)[0] : undefined;
+    const started = Date.now();
+    let response;
+    let thrown;
+    try {
+      response = await fn(...args);
+      return response;
+    } catch (error) {
+      thrown = error;
+      throw error;
+    } finally {
+      const summary = !thrown
+        ? summarizeResponse(response)
+        : thrown.code === "EPOLICY"
+          ? { status: "blocked", reason: thrown.message }
+          : {
+              status: "error",
+              error: {
+                message: thrown.message,
+                number: thrown.number,
+                code: thrown.code,
+              },
+            };
+      recordAuditEntry({
+        caller: options.principal?.name ?? null,
+        sessionId: options.sessionId ?? null,
+        transport: options.transport || "stdio",
+        tool,
+        dbKey: dbKey ? dbKey.toLowerCase() : (defaultDbKey ?? null),
+        query,
+        parameters: redactParameters(parameters),
+        ...summary,
+        durationMs: Date.now() - started,
+      });
+    }
+  };
+}
+
+/**
+ * Returns the latest audit entries recorded by this process, newest first.
+ * @param {Object} [filters]
+ * @param {number} [filters.limit=100] - Maximum entries to return.
+ * @param {string} [filters.caller] - Only calls by this API key.
+ * @param {string} [filters.tool] - Only calls of this tool.
+ * @param {string} [filters.dbKey] - Only calls against this database.
+ * @param {string} [filters.status] - "allowed", "blocked" or "error".
+ * @param {string} [filters.since] - Only entries at or after this ISO
+ *   timestamp, which may have any offset and precision.
+ * @param {Function} [filters.include] - Only entries for which it returns
+ *   true. Applied before the limit, like the other filters.
+ * @returns {Array<Object>} The entries.
+ * @throws {Error} If since is not a timestamp.
+ */
+function getRecentAuditEntries(filters = {}) {
+  const {
+    limit = 100,
+    caller,
+    tool,
+    dbKey,
+    status,
+    since,
+    include = () => true,
+  } = filters;
+  // Compared as instants: ISO strings only sort alike with the same offset and precision
+  const sinceTime = since === undefined ? null : Date.parse(since);
+  if (Number.isNaN(sinceTime)) {
+    throw new Error("since must be an ISO 8601 timestamp");
+  }
+  const matches = [];
+  for (let index = recentEntries.length - 1; index >= 0; index -= 1) {
+    const entry = recentEntries[index];
+    if (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime) break;
+    if (
+      (caller === undefined || entry.caller === caller) &&
+      (tool === undefined || entry.tool === tool) &&
+      (dbKey === undefined ||
+        (entry.dbKey || "").toLowerCase() === dbKey.toLowerCase()) &&
+      (status === undefined || entry.status === status) &&
+      include(entry)
+    ) {
+      matches.push(entry);
+      if (matches.length >= limit) break;
+    }
+  }
+  return matches;
+}
+
+module.exports = {
+  createFileSink,
+  setAuditSink,
+  recordAuditEntry,
+  audited,
+  getRecentAuditEntries,
+};
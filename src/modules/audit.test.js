@@ -0,0 +1,227 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createFileSink,
+  setAuditSink,
+  audited,
+  getRecentAuditEntries,
+} = require("./audit");
+
+jest.mock("../config", () => ({
+  dbConfigs: { maindb: { database: "main" } },
+  auditConfig: { redactParameters: true, recentEntries: 1000 },
+}));
+
+function toolResponse(payload, isError = false) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(payload) }],
+    isError,
+  };
+}
+
+describe("audited", () => {
+  const written = [];
+
+  beforeAll(() => {
+    setAuditSink({ write: (entry) => written.push(entry) });
+  });
+
+  afterAll(() => {
+    setAuditSink(null);
+  });
+
+  it("should record the caller, query, redacted parameters and row counts", async () => {
+    const executeSql = audited(
+      "execute_sql",
+      async () =>
+        toolResponse({ resultSets: [{ rowCount: 2 }], rowsAffected: [2] }),
+      (query, dbKey, parameters, options) => ({
+        dbKey,
+        query,
+        parameters,
+        options,
+      }),
+    );
+
+    await executeSql(
+      "SELECT * FROM users WHERE id = @id",
+      undefined,
+      [{ name: "id", type: "Int", value: 42 }],
+      { principal: { name: "reporting" }, sessionId: "abc", transport: "http" },
+    );
+
+    expect(written[written.length - 1]).toMatchObject({
+      caller: "reporting",
+      sessionId: "abc",
+      transport: "http",
+      tool: "execute_sql",
+      dbKey: "maindb",
+      query: "SELECT * FROM users WHERE id = @id",
+      parameters: [{ name: "id", type: "Int", value: "[redacted]" }],
+      status: "allowed",
+      rowCounts: [2],
+      rowsAffected: [2],
+    });
+    expect(written[written.length - 1].durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it("should record blocked queries and errors with their reason and number", async () => {
+    const describeCall = (query, options) => ({
+      dbKey: "MainDB",
+      query,
+      options,
+    });
+    const blocked = audited(
+      "execute_sql",
+      async () =>
+        toolResponse(
+          { error: "DELETE is not allowed", blockedStatements: ["DELETE"] },
+          true,
+        ),
+      describeCall,
+    );
+    const failing = audited(
+      "execute_sql",
+      async () =>
+        toolResponse({ error: "Invalid object name", errorNumber: 208 }, true),
+      describeCall,
+    );
+
+    await blocked("DELETE FROM users");
+    await failing("SELECT * FROM missing");
+
+    const [error, block] = getRecentAuditEntries({ limit: 2 });
+    expect(block).toMatchObject({
+      transport: "stdio",
+      caller: null,
+      dbKey: "maindb",
+      status: "blocked",
+      reason: "DELETE is not allowed",
+    });
+    expect(error).toMatchObject({
+      status: "error",
+      error: { message: "Invalid object name", number: 208 },
+    });
+  });
+});
+
+describe("getRecentAuditEntries", () => {
+  it("should filter entries newest first", async () => {
+    const listDatabases = audited(
+      "list_databases",
+      async () => toolResponse({ databases: [] }),
+      (options) => ({ options, database: false }),
+    );
+    await listDatabases({ principal: { name: "admin" } });
+    await listDatabases({ principal: { name: "admin" } });
+
+    const entries = getRecentAuditEntries({ caller: "admin" });
+    expect(entries).toHaveLength(2);
+    expect(entries[0].timestamp >= entries[1].timestamp).toBe(true);
+    expect(entries[0].dbKey).toBeNull();
+    expect(
+      getRecentAuditEntries({ tool: "list_databases", limit: 1 }),
+    ).toHaveLength(1);
+    expect(getRecentAuditEntries({ status: "blocked" })).toHaveLength(1);
+    expect(
+      getRecentAuditEntries({
+        since: new Date(Date.now() + 60000).toISOString(),
+      }),
+    ).toEqual([]);
+  });
+
+  it("should compare since as an instant, whatever its offset", () => {
+    const [newest] = getRecentAuditEntries({ caller: "admin" });
+    // Whole seconds at +02:00, e.g. 2026-10-19T11:00:00+02:00
+    const atOffset = (time) =>
+      new Date(time + 2 * 3600000).toISOString().replace(/\.\d{3}Z$/, "+02:00");
+    const newestTime = Date.parse(newest.timestamp);
+
+    expect(
+      getRecentAuditEntries({
+        caller: "admin",
+        since: atOffset(newestTime - 1000),
+      })[0],
+    ).toBe(newest);
+    expect(
+      getRecentAuditEntries({ since: atOffset(newestTime + 1000) }),
+    ).toEqual([]);
+    expect(() => getRecentAuditEntries({ since: "yesterday" })).toThrow(
+      "since must be an ISO 8601 timestamp",
+    );
+  });
+});
+
+describe("audited policy denials", () => {
+  it("should record policy denials as blocked", async () => {
+    const describeCall = (name) => ({ dbKey: "MainDB", query: name });
+    const denied = audited(
+      "execute_procedure",
+      async () =>
+        toolResponse(
+          {
+            error: "procedure 'dbo.Purge' is not in the allowed procedures",
+            code: "denied",
+          },
+          true,
+        ),
+      describeCall,
+    );
+    const throwing = audited(
+      "read_resource",
+      async () => {
+        const error = new Error("schema 'hr' is denied");
+        error.code = "EPOLICY";
+        throw error;
+      },
+      describeCall,
+    );
+
+    await denied("dbo.Purge");
+    await expect(throwing("mssql://hr.Salaries/data")).rejects.toThrow();
+
+    const [resource, procedure] = getRecentAuditEntries({ limit: 2 });
+    expect(procedure).toMatchObject({
+      status: "blocked",
+      reason: "procedure 'dbo.Purge' is not in the allowed procedures",
+    });
+    expect(resource).toMatchObject({
+      status: "blocked",
+      reason: "schema 'hr' is denied",
+    });
+  });
+});
+
+describe("createFileSink", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should append JSON Lines and rotate when the file is full", () => {
+    const file = path.join(dir, "audit.log");
+    const sink = createFileSink({ file, maxBytes: 40, maxFiles: 2 });
+
+    for (let index = 1; index <= 4; index += 1) {
+      sink.write({ index, padding: "x".repeat(10) });
+    }
+
+    const readIndexes = (name) =>
+      fs
+        .readFileSync(path.join(dir, name), "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line).index);
+    expect(readIndexes("audit.log")).toEqual([4]);
+    expect(readIndexes("audit.log.1")).toEqual([3]);
+    expect(readIndexes("audit.log.2")).toEqual([2]);
+    // Only maxFiles rotated files are kept
+    expect(fs.existsSync(path.join(dir, "audit.log.3"))).toBe(false);
+  });
+});
@@ -0,0 +1,334 @@
+const {
+  dbConfigs,
+  queryLimits = {},
+  rateLimitPerMinute = 0,
+} = require("../config");
+const { decodeContinuationToken } = require("../db/paging");
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Request counts per client for the current one-minute window.
+ * @type {Map<string, { windowStart: number, count: number }>}
+ */
+const rateWindows = new Map();
+let rateLimitedRequests = 0;
+
+/**
+ * Concurrent query state per database key.
+ * @type {Object<string, Object>}
+ */
+const queues = {};
+
+// Set once shutdown begins; new queries are refused from then on
+let draining = false;
+
+/**
+ * Callbacks waiting for the running queries to finish, for shutdown.
+ * @type {Set<Function>}
+ */
+const idleWaiters = new Set();
+
+/**
+ * Creates the error returned when a limit is hit. The HTTP error handler
+ * sends it as 429 with a Retry-After header.
+ * @param {string} message - The error message.
+ * @param {number} retryAfterMs - When the client may try again.
+ * @returns {Error} The error.
+ */
+function limitError(message, retryAfterMs) {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return error;
+}
+
+/**
+ * Creates the error returned for queries once the server is shutting down.
+ * The HTTP error handler sends it as 503.
+ * @returns {Error} The error.
+ */
+function shutdownError() {
+  const error = new Error("Server is shutting down. Try again later.");
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * Identifies the client a request is counted against: its API key, else its
+ * MCP session, else its address.
+ * @param {Object} caller
+ * @param {Object} [caller.principal] - The API key principal.
+ * @param {string} [caller.sessionId] - The MCP session ID.
+ * @param {string} [caller.ip] - The remote address.
+ * @returns {string} The client ID, e.g. "key:reporting".
+ */
+function getClientId({ principal, sessionId, ip }) {
+  if (principal) return `key:${principal.name}`;
+  if (sessionId) return `session:${sessionId}`;
+  if (ip) return `ip:${ip}`;
+  return "stdio";
+}
+
+/**
+ * Counts a request against its client's per-minute limit.
+ * The limit is the API key's rateLimitPerMinute, else MSSQL_RATE_LIMIT_PER_MINUTE;
+ * 0 means unlimited.
+ * @param {string} clientId - From getClientId().
+ * @param {Object} [principal] - The API key principal.
+ * @throws {Error} A 429 error when the client is over its limit.
+ */
+function checkRateLimit(clientId, principal) {
+  const limit = principal?.rateLimitPerMinute ?? rateLimitPerMinute;
+  if (!limit) {
+    return;
+  }
+
+  const now = Date.now();
+  if (rateWindows.size > 1000) {
+    for (const [id, window] of rateWindows) {
+      if (now - window.windowStart >= RATE_WINDOW_MS) rateWindows.delete(id);
+    }
+  }
+
+  let window = rateWindows.get(clientId);
+  if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(clientId, window);
+  }
+  if (window.count >= limit) {
+    rateLimitedRequests += 1;
+    throw limitError(
+      `Rate limit exceeded: ${limit} requests per minute. Try again later.`,
+      window.windowStart + RATE_WINDOW_MS - now,
+    );
+  }
+  window.count += 1;
+}
+
+/**
+ * Resolves a dbKey to the configured key it selects, like getDbConfig().
+ * @param {string} [dbKey] - The database key.
+ * @returns {string} The lower-case key, or the first configured key.
+ */
+function resolveDbKey(dbKey) {
+  return dbKey ? dbKey.toLowerCase() : Object.keys(dbConfigs)[0];
+}
+
+/**
+ * Finds the database a call will query: its dbKey argument, else the
+ * database in its continuation token or relationships URI.
+ * @param {Object} args
+ * @param {string} [args.dbKey] - The dbKey argument.
+ * @param {string} [args.continuationToken] - A fetch_next_page token.
+ * @param {string} [args.uri] - A resource URI.
+ * @returns {string|undefined} The database key, or undefined for the default.
+ */
+function findDbKey({ dbKey, continuationToken, uri }) {
+  if (dbKey) return dbKey;
+  if (typeof continuationToken === "string") {
+    try {
+      return decodeContinuationToken(continuationToken).dbKey;
+    } catch {
+      // The tool reports malformed tokens
+      return undefined;
+    }
+  }
+  const match =
+    typeof uri === "string" && /^mssql:\/\/([^/?#]+)\/relationships$/.exec(uri);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Returns the query queue of a database, creating it on first use.
+ */
+function getQueue(dbKey) {
+  if (!queues[dbKey]) {
+    queues[dbKey] = {
+      limits: queryLimits[dbKey] || {
+        maxConcurrentQueries: 10,
+        maxQueuedQueries: 100,
+        queueTimeoutMs: 30000,
+      },
+      active: 0,
+      waiting: [],
+      completed: 0,
+      rejected: 0,
+      timedOut: 0,
+    };
+  }
+  return queues[dbKey];
+}
+
+/**
+ * Waits for a query slot on a database. Queries beyond maxConcurrentQueries
+ * wait in order; when the queue is full, or the wait exceeds queueTimeoutMs,
+ * the query is refused instead of tying up the connection pool.
+ * @param {string} [dbKey] - The database key.
+ * @returns {Promise<Function>} Releases the slot; call it exactly once.
+ * @throws {Error} A 429 error when the queue is full or the wait times out,
+ *   or a 503 error once the server is shutting down.
+ */
+async function acquireQuerySlot(dbKey) {
+  if (draining) {
+    throw shutdownError();
+  }
+  const key = resolveDbKey(dbKey);
+  if (!dbConfigs[key]) {
+    // Unknown databases are refused by the tools without querying
+    return () => {};
+  }
+  const queue = getQueue(key);
+  const { maxConcurrentQueries, maxQueuedQueries, queueTimeoutMs } =
+    queue.limits;
+
+  const release = () => {
+    queue.completed += 1;
+    const next = queue.waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve(release);
+    } else {
+      queue.active -= 1;
+      if (countRunningQueries() === 0) {
+        idleWaiters.forEach((resolve) => resolve());
+      }
+    }
+  };
+
+  if (queue.active < maxConcurrentQueries) {
+    queue.active += 1;
+    return release;
+  }
+  if (queue.waiting.length >= maxQueuedQueries) {
+    queue.rejected += 1;
+    throw limitError(
+      `Too many queries for database '${key}': ${queue.active} running and ${queue.waiting.length} waiting. Try again later.`,
+      1000,
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = { resolve, reject };
+    entry.timer = setTimeout(() => {
+      queue.waiting.splice(queue.waiting.indexOf(entry), 1);
+      queue.timedOut += 1;
+      reject(
+        limitError(
+          `Timed out after ${queueTimeoutMs} ms waiting for a query slot on database '${key}'`,
+          1000,
+        ),
+      );
+    }, queueTimeoutMs);
+    queue.waiting.push(entry);
+  });
+}
+
+/**
+ * Counts the queries holding a slot, across all databases.
+ * @returns {number} The running queries.
+ */
+function countRunningQueries() {
+  return Object.values(queues).reduce(
+    (count, queue) => count + queue.active,
+    0,
+  );
+}
+
+/**
+ * Refuses new queries from now on, and queued ones that have not started,
+ * with a 503 error. Running queries are left to finish.
+ */
+function stopAcceptingQueries() {
+  draining = true;
+  for (const queue of Object.values(queues)) {
+    for (const entry of queue.waiting.splice(0)) {
+      clearTimeout(entry.timer);
+      queue.rejected += 1;
+      entry.reject(shutdownError());
+    }
+  }
+}
+
+/**
+ * Waits for the running queries to finish.
+ * @param {number} timeoutMs - How long to wait.
+ * @returns {Promise<boolean>} True once none are running, false if some
+ *   still are when the time is up.
+ */
+function waitForRunningQueries(timeoutMs) {
+  if (countRunningQueries() === 0) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const done = (idle) => {
+      clearTimeout(timer);
+      idleWaiters.delete(onIdle);
+      resolve(idle);
+    };
+    const onIdle = () => done(true);
+    const timer = setTimeout(() => done(false), timeoutMs);
+    idleWaiters.add(onIdle);
+  });
+}
+
+/**
+ * Runs a task while holding a query slot on a database.
+ * @param {string} [dbKey] - The database key.
+ * @param {Function} task - Async function to run.
+ * @returns {Promise<any>} The task's result.
+ */
+async function runWithQuerySlot(dbKey, task) {
+  const release = await acquireQuerySlot(dbKey);
+  try {
+    return await task();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Returns current query and rate limit usage.
+ * @returns {Object} databases (per dbKey: limits, running, queued and
+ *   counters) and rateLimit (limit per minute, clients and refused requests).
+ */
+function getLimitStats() {
+  const databases = {};
+  for (const dbKey of Object.keys(dbConfigs)) {
+    const queue = getQueue(dbKey);
+    databases[dbKey] = {
+      ...queue.limits,
+      running: queue.active,
+      queued: queue.waiting.length,
+      completed: queue.completed,
+      rejected: queue.rejected,
+      timedOut: queue.timedOut,
+    };
+  }
+
+  const now = Date.now();
+  const activeClients = [...rateWindows.values()].filter(
+    (window) => now - window.windowStart < RATE_WINDOW_MS,
+  ).length;
+
+  return {
+    databases,
+    rateLimit: {
+      requestsPerMinute: rateLimitPerMinute,
+      activeClients,
+      limitedRequests: rateLimitedRequests,
+    },
+  };
+}
+
+module.exports = {
+  getClientId,
+  checkRateLimit,
+  findDbKey,
+  acquireQuerySlot,
+  runWithQuerySlot,
+  getLimitStats,
+  countRunningQueries,
+  stopAcceptingQueries,
+  waitForRunningQueries,
+};
@@ -0,0 +1,136 @@
+const {
+  getClientId,
+  checkRateLimit,
+  findDbKey,
+  acquireQuerySlot,
+  runWithQuerySlot,
+  getLimitStats,
+  stopAcceptingQueries,
+  waitForRunningQueries,
+} = require("./limits");
+const { encodeContinuationToken } = require("../db/paging");
+
+jest.mock("../config", () => ({
+  dbConfigs: { maindb: { database: "main" } },
+  queryLimits: {
+    maindb: {
+      maxConcurrentQueries: 1,
+      maxQueuedQueries: 1,
+      queueTimeoutMs: 50,
+    },
+  },
+  rateLimitPerMinute: 2,
+}));
+
+describe("checkRateLimit", () => {
+  it("should refuse requests over the per-minute limit with a retry delay", () => {
+    const clientId = getClientId({ ip: "10.0.0.1" });
+
+    checkRateLimit(clientId);
+    checkRateLimit(clientId);
+    let error;
+    try {
+      checkRateLimit(clientId);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.statusCode).toBe(429);
+    expect(error.retryAfter).toBeGreaterThan(0);
+    expect(error.retryAfter).toBeLessThanOrEqual(60);
+    // Other clients have their own window
+    expect(() => checkRateLimit(getClientId({ ip: "10.0.0.2" }))).not.toThrow();
+  });
+
+  it("should let an API key override the limit", () => {
+    const principal = { name: "batch", rateLimitPerMinute: 0 };
+    const clientId = getClientId({ principal, sessionId: "abc" });
+
+    expect(clientId).toBe("key:batch");
+    for (let i = 0; i < 5; i += 1) {
+      checkRateLimit(clientId, principal);
+    }
+  });
+});
+
+describe("acquireQuerySlot", () => {
+  it("should queue queries beyond the concurrency limit and refuse a full queue", async () => {
+    const release = await acquireQuerySlot("MainDb");
+    const waiting = acquireQuerySlot();
+
+    await expect(acquireQuerySlot("maindb")).rejects.toMatchObject({
+      statusCode: 429,
+      message: expect.stringMatching(/1 running and 1 waiting/),
+    });
+    expect(getLimitStats().databases.maindb).toMatchObject({
+      running: 1,
+      queued: 1,
+      rejected: 1,
+    });
+
+    release();
+    const releaseNext = await waiting;
+    releaseNext();
+    expect(getLimitStats().databases.maindb).toMatchObject({
+      running: 0,
+      queued: 0,
+      completed: 2,
+    });
+  });
+
+  it("should time out queued queries", async () => {
+    let started = false;
+    const running = runWithQuerySlot("maindb", async () => {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    });
+
+    await expect(
+      runWithQuerySlot("maindb", async () => {
+        started = true;
+      }),
+    ).rejects.toThrow(/Timed out after 50 ms/);
+    await running;
+
+    expect(started).toBe(false);
+    expect(getLimitStats().databases.maindb.timedOut).toBe(1);
+  });
+});
+
+describe("findDbKey", () => {
+  it("should read the database from a continuation token or relationships URI", () => {
+    const continuationToken = encodeContinuationToken({
+      dbKey: "reportingdb",
+      query: "SELECT 1",
+      resultSet: 0,
+      offset: 10,
+      pageSize: 10,
+    });
+
+    expect(findDbKey({ continuationToken })).toBe("reportingdb");
+    expect(findDbKey({ uri: "mssql://scratch/relationships" })).toBe("scratch");
+    expect(findDbKey({ continuationToken: "garbage" })).toBe(undefined);
+    expect(findDbKey({ dbKey: "maindb", uri: "mssql://dbo.Orders/data" })).toBe(
+      "maindb",
+    );
+  });
+});
+
+// Runs last: the module stays shut down afterwards
+describe("stopAcceptingQueries", () => {
+  it("should refuse new and queued queries and let running ones finish", async () => {
+    const release = await acquireQuerySlot("maindb");
+    const queued = acquireQuerySlot("maindb");
+
+    stopAcceptingQueries();
+
+    await expect(queued).rejects.toMatchObject({ statusCode: 503 });
+    await expect(acquireQuerySlot("maindb")).rejects.toThrow(
+      "Server is shutting down",
+    );
+    expect(await waitForRunningQueries(10)).toBe(false);
+
+    const idle = waitForRunningQueries(1000);
+    release();
+    expect(await idle).toBe(true);
+  });
+});
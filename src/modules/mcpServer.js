@@ -0,0 +1,351 @@
+const Server = require("@modelcontextprotocol/sdk/server/index.js").Server;
+
+const {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+} = require("@modelcontextprotocol/sdk/types.js");
+
+const packageJson = require("../../package.json");
+const {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  getResourceMimeType,
+} = require("./resources");
+const { listPrompts, getPrompt } = require("./prompts");
+const {
+  listTools,
+  executeSql,
+  explainQuery,
+  fetchNextPage,
+  getTableSchema,
+  listViews,
+  listProcedures,
+  listFunctions,
+  getObjectDefinition,
+  getRelationships,
+  executeProcedure,
+  listDatabases,
+  checkDatabaseHealth,
+  getAuditLog,
+} = require("./tools");
+const { getPrincipalDenialReason } = require("./policy");
+const {
+  getClientId,
+  checkRateLimit,
+  findDbKey,
+  runWithQuerySlot,
+} = require("./limits");
+
+/**
+ * Returns the API key principal of an MCP request. The HTTP transports pass
+ * it as auth info; stdio requests have none.
+ * @param {Object} [extra] - The request handler's extra argument.
+ * @returns {Object|undefined} The principal.
+ */
+function getPrincipal(extra) {
+  return extra?.authInfo?.extra?.principal;
+}
+
+/**
+ * Describes who made an MCP request, for the audit log.
+ * @param {Object} [extra] - The request handler's extra argument.
+ * @returns {{ principal: Object, sessionId: string, transport: string }} The caller.
+ */
+function getCaller(extra) {
+  return {
+    principal: getPrincipal(extra),
+    sessionId: extra?.sessionId,
+    transport: extra?.requestInfo ? "http" : "stdio",
+  };
+}
+
+/**
+ * Throws if the principal may not use a tool, "resources" or "prompts".
+ * @param {Object} [principal] - The API key principal.
+ * @param {string} tool - The tool name or endpoint group.
+ * @throws {Error} If access is denied.
+ */
+function requireScope(principal, tool) {
+  const reason = getPrincipalDenialReason(principal, { tool });
+  if (reason) {
+    throw new Error(reason);
+  }
+}
+
+/**
+ * Counts a request against its caller's rate limit.
+ * @param {Object} [principal] - The API key principal.
+ * @param {Object} [extra] - The request handler's extra argument.
+ * @throws {Error} A 429 error when the caller is over its limit.
+ */
+function checkCallerLimits(principal, extra) {
+  checkRateLimit(
+    getClientId({ principal, sessionId: extra?.sessionId }),
+    principal,
+  );
+}
+
+/**
+ * Builds the tool error for a call refused by a rate or concurrency limit.
+ * @param {Error} error - The 429 error from the limits module.
+ * @returns {Object} Response object with content array and isError flag.
+ */
+function limitResponse(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            error: error.message,
+            code: "rate_limited",
+            retryAfterSeconds: error.retryAfter,
+          },
+          null,
+          2,
+        ),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Calls a tool with the arguments of a CallTool request.
+ * @param {string} name - The tool name.
+ * @param {Object} toolArgs - The tool arguments.
+ * @param {Object} caller - From getCaller(), passed to the tool as options.
+ * @param {AbortSignal} [signal] - Aborted when the client cancels the request.
+ * @returns {Promise<Object>} The tool response.
+ * @throws {Error} If the tool is unknown.
+ */
+async function callTool(name, toolArgs, caller, signal) {
+  if (name === "execute_sql") {
+    return await executeSql(
+      toolArgs.query,
+      toolArgs.dbKey,
+      toolArgs.parameters,
+      {
+        maxRows: toolArgs.maxRows,
+        timeoutMs: toolArgs.timeoutMs,
+        format: toolArgs.format,
+        signal,
+        ...caller,
+      },
+    );
+  } else if (name === "explain_query") {
+    return await explainQuery(
+      toolArgs.query,
+      toolArgs.dbKey,
+      toolArgs.parameters,
+      { includeXml: toolArgs.includeXml, ...caller },
+    );
+  } else if (name === "fetch_next_page") {
+    return await fetchNextPage(toolArgs.continuationToken, {
+      timeoutMs: toolArgs.timeoutMs,
+      signal,
+      ...caller,
+    });
+  } else if (name === "get_table_schema") {
+    return await getTableSchema(toolArgs.table, toolArgs.dbKey, {
+      compact: toolArgs.compact,
+      ...caller,
+    });
+  } else if (name === "list_views") {
+    return await listViews(toolArgs.dbKey, toolArgs.schema, caller);
+  } else if (name === "list_procedures") {
+    return await listProcedures(toolArgs.dbKey, toolArgs.schema, caller);
+  } else if (name === "list_functions") {
+    return await listFunctions(toolArgs.dbKey, toolArgs.schema, caller);
+  } else if (name === "get_object_definition") {
+    return await getObjectDefinition(toolArgs.name, toolArgs.dbKey, caller);
+  } else if (name === "get_relationships") {
+    return await getRelationships(toolArgs.dbKey, {
+      schema: toolArgs.schema,
+      tables: toolArgs.tables,
+      mermaid: toolArgs.mermaid,
+      ...caller,
+    });
+  } else if (name === "execute_procedure") {
+    return await executeProcedure(
+      toolArgs.procedure,
+      toolArgs.dbKey,
+      toolArgs.parameters,
+      toolArgs.outputParameters,
+      {
+        maxRows: toolArgs.maxRows,
+        timeoutMs: toolArgs.timeoutMs,
+        signal,
+        ...caller,
+      },
+    );
+  } else if (name === "list_databases") {
+    return await listDatabases(caller);
+  } else if (name === "check_database_health") {
+    return await checkDatabaseHealth(toolArgs.dbKey, caller);
+  } else if (name === "get_audit_log") {
+    return await getAuditLog(
+      {
+        limit: toolArgs.limit,
+        caller: toolArgs.caller,
+        tool: toolArgs.tool,
+        dbKey: toolArgs.dbKey,
+        status: toolArgs.status,
+        since: toolArgs.since,
+      },
+      caller,
+    );
+  } else {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
+/**
+ * Creates an MCP server with the resource, tool and prompt handlers.
+ * The stdio entry point and each HTTP session connect their own server
+ * instance to a transport; all of them share the same connection pools.
+ * @returns {Server} The MCP server, not yet connected.
+ */
+function createMcpServer() {
+  const server = new Server(
+    {
+      name: "mssql-mcp-node",
+      version: packageJson.version,
+    },
+    {
+      capabilities: {
+        resources: {},
+        tools: {},
+        prompts: {},
+      },
+    },
+  );
+
+  // List available resources
+  server.setRequestHandler(
+    ListResourcesRequestSchema,
+    async function (request, extra) {
+      const principal = getPrincipal(extra);
+      requireScope(principal, "resources");
+      checkCallerLimits(principal, extra);
+      // Accept dbKey as an optional argument for multi-database support
+      const dbKey = request?.params?.arguments?.dbKey;
+      const resources = await runWithQuerySlot(dbKey, () =>
+        listResources(dbKey, getCaller(extra)),
+      );
+      return { resources };
+    },
+  );
+
+  // Describe the query parameters of table resource URIs
+  server.setRequestHandler(
+    ListResourceTemplatesRequestSchema,
+    function (_request, extra) {
+      requireScope(getPrincipal(extra), "resources");
+      return { resourceTemplates: listResourceTemplates() };
+    },
+  );
+
+  // Read resource contents
+  server.setRequestHandler(
+    ReadResourceRequestSchema,
+    async function (request, extra) {
+      const principal = getPrincipal(extra);
+      requireScope(principal, "resources");
+      checkCallerLimits(principal, extra);
+      const uri = request.params.uri;
+      // Accept dbKey and format as optional arguments
+      const dbKey = request?.params?.arguments?.dbKey;
+      const format = request?.params?.arguments?.format;
+      const data = await runWithQuerySlot(findDbKey({ dbKey, uri }), () =>
+        readResource(uri, dbKey, { format, ...getCaller(extra) }),
+      );
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: getResourceMimeType(uri, format),
+            text: data,
+          },
+        ],
+      };
+    },
+  );
+
+  // Define available tools, hiding those the caller may not use
+  server.setRequestHandler(ListToolsRequestSchema, function (_request, extra) {
+    const principal = getPrincipal(extra);
+    const tools = listTools().filter(
+      (tool) =>
+        getPrincipalDenialReason(principal, { tool: tool.name }) === null,
+    );
+    return { tools };
+  });
+
+  // Define available prompts
+  server.setRequestHandler(
+    ListPromptsRequestSchema,
+    function (_request, extra) {
+      requireScope(getPrincipal(extra), "prompts");
+      const prompts = listPrompts();
+      return { prompts };
+    },
+  );
+
+  // Fill in a prompt with live schema context
+  server.setRequestHandler(
+    GetPromptRequestSchema,
+    async function (request, extra) {
+      const principal = getPrincipal(extra);
+      requireScope(principal, "prompts");
+      checkCallerLimits(principal, extra);
+      const args = request.params.arguments || {};
+      return await runWithQuerySlot(args.dbKey, () =>
+        getPrompt(request.params.name, args, getCaller(extra)),
+      );
+    },
+  );
+
+  // Handle tool execution
+  server.setRequestHandler(
+    CallToolRequestSchema,
+    async function (request, extra) {
+      const name = request.params.name;
+      const toolArgs = request.params.arguments || {};
+      const caller = getCaller(extra);
+      requireScope(caller.principal, name);
+
+      try {
+        checkCallerLimits(caller.principal, extra);
+        // These do not take a query slot; a health check must not wait behind
+        // the queries it is meant to diagnose
+        if (
+          name === "list_databases" ||
+          name === "check_database_health" ||
+          name === "get_audit_log"
+        ) {
+          return await callTool(name, toolArgs, caller);
+        }
+        // extra.signal is aborted by a notifications/cancelled for this request
+        return await runWithQuerySlot(findDbKey(toolArgs), () =>
+          callTool(name, toolArgs, caller, extra.signal),
+        );
+      } catch (error) {
+        if (error.statusCode === 429) {
+          return limitResponse(error);
+        }
+        throw error;
+      }
+    },
+  );
+
+  return server;
+}
+
+module.exports = { createMcpServer };
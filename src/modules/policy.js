@@ -0,0 +1,285 @@
+const {
+  checkQuery,
+  describeVerdict,
+  extractTableReferences,
+  DEFAULT_ALLOWED_CATEGORIES,
+} = require("../validation/queryClassifier");
+
+/**
+ * Schema SQL Server falls back to for unqualified object names
+ */
+const DEFAULT_SCHEMA = "dbo";
+
+/**
+ * Explains why a policy denies access to a table, if it does.
+ * Deny rules always win; when any allow list is set, the table must match one of them.
+ * SQL Server resolves an unqualified name in the login's default schema and
+ * then in dbo, so it must be allowed in both.
+ * @param {Object} policy - Access policy (see accessPolicySchema).
+ * @param {string} [schema] - The table's schema, if the name is qualified.
+ * @param {string} table - The table name.
+ * @param {string} [defaultSchema] - The login's default schema. Defaults to dbo.
+ * @returns {string|null} The reason access is denied, or null if allowed.
+ */
+function getTableDenialReason(
+  policy,
+  schema,
+  table,
+  defaultSchema = DEFAULT_SCHEMA,
+) {
+  if (!schema) {
+    return (
+      getTableDenialReason(policy, defaultSchema, table) ??
+      getTableDenialReason(policy, DEFAULT_SCHEMA, table)
+    );
+  }
+  const schemaName = schema.toLowerCase();
+  const tableName = table.toLowerCase();
+  const qualifiedName = `${schemaName}.${tableName}`;
+  const matches = (rule) => {
+    const lowerRule = rule.toLowerCase();
+    return lowerRule.includes(".")
+      ? lowerRule === qualifiedName
+      : lowerRule === tableName;
+  };
+  const hasSchema = (rules) =>
+    rules.some((rule) => rule.toLowerCase() === schemaName);
+
+  if (hasSchema(policy.deniedSchemas)) {
+    return `schema '${schemaName}' is denied`;
+  }
+  if (policy.deniedTables.some(matches)) {
+    return `table '${qualifiedName}' is denied`;
+  }
+  if (policy.allowedSchemas.length === 0 && policy.allowedTables.length === 0) {
+    return null;
+  }
+  if (hasSchema(policy.allowedSchemas) || policy.allowedTables.some(matches)) {
+    return null;
+  }
+  return `table '${qualifiedName}' is not in the allowed schemas or tables`;
+}
+
+/**
+ * Whether a policy allows access to a table
+ * @param {Object} policy - Access policy.
+ * @param {string} [schema] - The table's schema. Defaults to dbo.
+ * @param {string} table - The table name.
+ * @returns {boolean}
+ */
+function isTableAllowed(policy, schema, table) {
+  return getTableDenialReason(policy, schema, table) === null;
+}
+
+/**
+ * Explains why a policy hides a view, procedure or function, if it does.
+ * Views follow the table rules. Procedures and functions follow the schema
+ * rules only, since allowedTables and deniedTables name tables.
+ * @param {Object} policy - Access policy.
+ * @param {string} type - sys.objects type_desc, e.g. "VIEW" or "SQL_STORED_PROCEDURE".
+ * @param {string} schema - The object's schema.
+ * @param {string} name - The object name.
+ * @returns {string|null} The reason access is denied, or null if allowed.
+ */
+function getObjectDenialReason(policy, type, schema, name) {
+  if (type === "VIEW") {
+    return getTableDenialReason(policy, schema, name);
+  }
+  const schemaName = schema.toLowerCase();
+  const hasSchema = (rules) =>
+    rules.some((rule) => rule.toLowerCase() === schemaName);
+  if (hasSchema(policy.deniedSchemas)) {
+    return `schema '${schemaName}' is denied`;
+  }
+  if (policy.allowedSchemas.length > 0 && !hasSchema(policy.allowedSchemas)) {
+    return `schema '${schemaName}' is not in the allowed schemas`;
+  }
+  return null;
+}
+
+/**
+ * Whether a procedure matches an allowedProcedures entry. Entries are
+ * "schema.procedure" or "procedure" (any schema), case-insensitive,
+ * and "*" matches any run of characters ("reports.*", "dbo.Get*").
+ * @param {string} pattern - The allowedProcedures entry.
+ * @param {string} schema - The procedure's schema.
+ * @param {string} name - The procedure name.
+ * @returns {boolean}
+ */
+function matchesProcedurePattern(pattern, schema, name) {
+  const regex = new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`,
+    "i",
+  );
+  return regex.test(pattern.includes(".") ? `${schema}.${name}` : name);
+}
+
+/**
+ * Explains why a policy refuses to run a procedure, if it does.
+ * The schema rules apply, and the procedure must match allowedProcedures.
+ * @param {Object} policy - Access policy.
+ * @param {string} schema - The procedure's schema.
+ * @param {string} name - The procedure name.
+ * @returns {string|null} The reason execution is denied, or null if allowed.
+ */
+function getProcedureDenialReason(policy, schema, name) {
+  const schemaReason = getObjectDenialReason(
+    policy,
+    "SQL_STORED_PROCEDURE",
+    schema,
+    name,
+  );
+  if (schemaReason) {
+    return schemaReason;
+  }
+  if (
+    !policy.allowedProcedures.some((pattern) =>
+      matchesProcedurePattern(pattern, schema, name),
+    )
+  ) {
+    return `procedure '${schema}.${name}' is not in the allowed procedures`;
+  }
+  return null;
+}
+
+/**
+ * Checks a query against a database's access policy: statement categories
+ * and every table or view it references.
+ * @param {string} query - The T-SQL text.
+ * @param {Object} policy - Access policy.
+ * @param {string} database - Name of the database the query runs in.
+ * @param {string} [defaultSchema] - The login's default schema. Defaults to dbo.
+ * @returns {Object} The classifier verdict with deniedReferences added.
+ */
+function checkQueryAccess(query, policy, database, defaultSchema) {
+  const verdict = checkQuery(query, {
+    allowedCategories: policy.allowedCategories,
+  });
+
+  const deniedReferences = [];
+  for (const ref of extractTableReferences(query)) {
+    const name = [ref.server, ref.database, ref.schema, ref.name]
+      .filter((part) => part !== null)
+      .join(".");
+    let reason = null;
+    if (ref.unresolved) {
+      // Fail closed: the tables behind this source are unknown
+      reason = "could not determine the tables the query reads";
+    } else if (
+      !policy.crossDatabaseAccess &&
+      (ref.server !== null ||
+        (ref.database !== null &&
+          ref.database.toLowerCase() !== database.toLowerCase()))
+    ) {
+      reason = "cross-database references are not allowed";
+    } else {
+      reason = getTableDenialReason(
+        policy,
+        ref.schema,
+        ref.name,
+        defaultSchema,
+      );
+    }
+    if (reason) {
+      deniedReferences.push({ name, reason });
+    }
+  }
+
+  return {
+    ...verdict,
+    allowed: verdict.allowed && deniedReferences.length === 0,
+    deniedReferences,
+  };
+}
+
+/**
+ * Builds a one-line explanation of a verdict from checkQueryAccess()
+ * @param {Object} verdict - The verdict.
+ * @returns {string} The explanation.
+ */
+function describeAccessVerdict(verdict) {
+  const messages = [];
+  if (verdict.blocked.length > 0 || verdict.statements.length === 0) {
+    messages.push(describeVerdict(verdict));
+  }
+  for (const ref of verdict.deniedReferences) {
+    messages.push(`Access to '${ref.name}' was blocked: ${ref.reason}`);
+  }
+  return messages.join(". ");
+}
+
+/**
+ * Explains why an API key may not use a database or tool, if it may not.
+ * Calls without a principal (stdio, or HTTP without API keys) are not restricted.
+ * @param {Object} [principal] - The authenticated API key (see apiKeySchema).
+ * @param {Object} scope - What the caller wants to use.
+ * @param {string} [scope.dbKey] - A database key.
+ * @param {string} [scope.tool] - A tool name, "resources" or "prompts".
+ * @returns {string|null} The reason access is denied, or null if allowed.
+ */
+function getPrincipalDenialReason(principal, scope) {
+  if (!principal) {
+    return null;
+  }
+  const allows = (list, value) =>
+    !list ||
+    list.some(
+      (entry) => entry === "*" || entry.toLowerCase() === value.toLowerCase(),
+    );
+  if (scope.dbKey !== undefined && !allows(principal.databases, scope.dbKey)) {
+    return `API key '${principal.name}' may not use database '${scope.dbKey}'`;
+  }
+  if (scope.tool !== undefined && !allows(principal.tools, scope.tool)) {
+    return `API key '${principal.name}' may not use '${scope.tool}'`;
+  }
+  return null;
+}
+
+/**
+ * Narrows a database's access policy to what an API key allows. Read-only
+ * keys get a read-only policy and cannot run procedures, which may write.
+ * @param {Object} policy - Access policy.
+ * @param {Object} [principal] - The authenticated API key.
+ * @returns {Object} The narrowed policy.
+ */
+function scopePolicyToPrincipal(policy, principal) {
+  if (!principal || principal.access !== "readonly") {
+    return policy;
+  }
+  return {
+    ...policy,
+    mode: "readonly",
+    allowedCategories: policy.allowedCategories.filter((category) =>
+      DEFAULT_ALLOWED_CATEGORIES.readonly.includes(category),
+    ),
+    allowedProcedures: [],
+  };
+}
+
+/**
+ * Creates the error for a request the access policy refuses. Its code,
+ * EPOLICY, sets it apart from failures of the server or the database.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function accessDeniedError(message) {
+  const error = new Error(message);
+  error.code = "EPOLICY";
+  return error;
+}
+
+module.exports = {
+  DEFAULT_SCHEMA,
+  getTableDenialReason,
+  isTableAllowed,
+  getObjectDenialReason,
+  getProcedureDenialReason,
+  checkQueryAccess,
+  describeAccessVerdict,
+  getPrincipalDenialReason,
+  scopePolicyToPrincipal,
+  accessDeniedError,
+};
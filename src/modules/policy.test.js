@@ -0,0 +1,300 @@
+const {
+  checkQueryAccess,
+  getObjectDenialReason,
+  getProcedureDenialReason,
+  getPrincipalDenialReason,
+  isTableAllowed,
+  scopePolicyToPrincipal,
+} = require("./policy");
+
+const basePolicy = {
+  mode: "readwrite",
+  allowedSchemas: [],
+  deniedSchemas: [],
+  allowedTables: [],
+  deniedTables: [],
+  allowedCategories: ["control", "read", "dml"],
+  crossDatabaseAccess: false,
+  allowedProcedures: [],
+};
+
+describe("isTableAllowed", () => {
+  it("should allow everything when no rules are set", () => {
+    expect(isTableAllowed(basePolicy, "sales", "Orders")).toBe(true);
+  });
+
+  it("should let deny rules win over allow rules", () => {
+    const policy = {
+      ...basePolicy,
+      allowedSchemas: ["sales"],
+      deniedTables: ["sales.CardNumbers"],
+    };
+
+    expect(isTableAllowed(policy, "sales", "Orders")).toBe(true);
+    expect(isTableAllowed(policy, "Sales", "cardnumbers")).toBe(false);
+    expect(isTableAllowed(policy, "hr", "Employees")).toBe(false);
+  });
+
+  it("should match unqualified table rules in any schema", () => {
+    const policy = { ...basePolicy, allowedTables: ["Customers"] };
+
+    expect(isTableAllowed(policy, "sales", "Customers")).toBe(true);
+    expect(isTableAllowed(policy, undefined, "Customers")).toBe(true);
+    expect(isTableAllowed(policy, "sales", "Orders")).toBe(false);
+  });
+});
+
+describe("getObjectDenialReason", () => {
+  const policy = {
+    ...basePolicy,
+    allowedSchemas: ["reports"],
+    allowedTables: ["sales.Orders"],
+  };
+
+  it("should apply table rules to views", () => {
+    expect(getObjectDenialReason(policy, "VIEW", "sales", "Orders")).toBe(null);
+    expect(getObjectDenialReason(policy, "VIEW", "sales", "Totals")).toMatch(
+      /not in the allowed schemas or tables/,
+    );
+  });
+
+  it("should apply only schema rules to procedures and functions", () => {
+    expect(
+      getObjectDenialReason(policy, "SQL_STORED_PROCEDURE", "reports", "Run"),
+    ).toBe(null);
+    expect(
+      getObjectDenialReason(policy, "SQL_SCALAR_FUNCTION", "sales", "Orders"),
+    ).toMatch(/not in the allowed schemas/);
+  });
+});
+
+describe("getProcedureDenialReason", () => {
+  it("should only allow procedures matching allowedProcedures", () => {
+    const policy = {
+      ...basePolicy,
+      allowedProcedures: ["dbo.GetCustomerSummary", "reports.*", "usp_Get*"],
+    };
+
+    expect(getProcedureDenialReason(basePolicy, "dbo", "Anything")).toMatch(
+      /not in the allowed procedures/,
+    );
+    expect(getProcedureDenialReason(policy, "DBO", "getcustomersummary")).toBe(
+      null,
+    );
+    expect(getProcedureDenialReason(policy, "reports", "Monthly")).toBe(null);
+    expect(getProcedureDenialReason(policy, "sales", "usp_GetOrders")).toBe(
+      null,
+    );
+    expect(getProcedureDenialReason(policy, "dbo", "DeleteCustomer")).toMatch(
+      /not in the allowed procedures/,
+    );
+  });
+
+  it("should apply the schema rules first", () => {
+    const policy = {
+      ...basePolicy,
+      deniedSchemas: ["hr"],
+      allowedProcedures: ["*"],
+    };
+
+    expect(getProcedureDenialReason(policy, "hr", "Payroll")).toMatch(
+      /schema 'hr' is denied/,
+    );
+  });
+});
+
+describe("checkQueryAccess", () => {
+  it("should block statement categories the policy does not allow", () => {
+    const policy = { ...basePolicy, allowedCategories: ["control", "read"] };
+    const verdict = checkQueryAccess("DELETE FROM Orders", policy, "main");
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.blocked[0].category).toBe("dml");
+  });
+
+  it("should block denied tables and cross-database references", () => {
+    const policy = { ...basePolicy, deniedSchemas: ["hr"] };
+    const verdict = checkQueryAccess(
+      "SELECT * FROM hr.Salaries s JOIN other.dbo.Users u ON s.Id = u.Id",
+      policy,
+      "main",
+    );
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.deniedReferences).toEqual([
+      { name: "hr.Salaries", reason: "schema 'hr' is denied" },
+      {
+        name: "other.dbo.Users",
+        reason: "cross-database references are not allowed",
+      },
+    ]);
+  });
+
+  it.each([
+    "SELECT * FROM dbo.a JOIN dbo.b ON a.id=b.id, dbo.Secret s",
+    "SELECT * FROM (dbo.Secret CROSS JOIN dbo.a)",
+  ])("should find denied tables in %s", (query) => {
+    const policy = { ...basePolicy, deniedTables: ["dbo.Secret"] };
+    const verdict = checkQueryAccess(query, policy, "main");
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.deniedReferences).toEqual([
+      { name: "dbo.Secret", reason: "table 'dbo.secret' is denied" },
+    ]);
+  });
+
+  it.each([
+    "SELECT 1 FROM Orders Salaries; SELECT * FROM Salaries",
+    "SELECT * FROM Orders AS Salaries WHERE EXISTS (SELECT 1 FROM Salaries)",
+    "UPDATE Salaries SET a = 1 WHERE EXISTS (SELECT 1 FROM Orders Salaries)",
+    "WITH Salaries AS (SELECT 1 AS a) SELECT 1; SELECT * FROM Salaries",
+  ])("should not mistake a denied table for an alias in %s", (query) => {
+    const policy = { ...basePolicy, deniedTables: ["Salaries"] };
+    const verdict = checkQueryAccess(query, policy, "main");
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.deniedReferences).toEqual([
+      { name: "Salaries", reason: "table 'dbo.salaries' is denied" },
+    ]);
+  });
+
+  it("should skip CTE names and UPDATE targets that name an alias", () => {
+    const policy = { ...basePolicy, deniedTables: ["s", "c"] };
+
+    expect(
+      checkQueryAccess(
+        "UPDATE s SET a = 1 FROM dbo.Orders s WHERE s.Id = 1",
+        policy,
+        "main",
+      ).allowed,
+    ).toBe(true);
+    expect(
+      checkQueryAccess(
+        "WITH c AS (SELECT 1 AS a) SELECT * FROM c",
+        policy,
+        "main",
+      ).allowed,
+    ).toBe(true);
+  });
+
+  it("should read an unqualified INSERT target that has a column list", () => {
+    const policy = { ...basePolicy, deniedTables: ["dbo.Secret"] };
+    const verdict = checkQueryAccess(
+      "INSERT INTO Secret (a, b) VALUES (1, 2)",
+      policy,
+      "main",
+    );
+
+    expect(verdict.deniedReferences).toEqual([
+      { name: "Secret", reason: "table 'dbo.secret' is denied" },
+    ]);
+  });
+
+  it("should block table sources it cannot resolve", () => {
+    const verdict = checkQueryAccess(
+      "SELECT * FROM dbo.a, WHERE 1 = 1",
+      basePolicy,
+      "main",
+    );
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.deniedReferences).toEqual([
+      {
+        name: "WHERE",
+        reason: "could not determine the tables the query reads",
+      },
+    ]);
+  });
+
+  it("should check unqualified names in the default schema and dbo", () => {
+    const policy = { ...basePolicy, deniedTables: ["hr.Secret"] };
+
+    expect(
+      checkQueryAccess("SELECT * FROM Secret", policy, "main").allowed,
+    ).toBe(true);
+    expect(
+      checkQueryAccess("SELECT * FROM Secret", policy, "main", "hr")
+        .deniedReferences,
+    ).toEqual([{ name: "Secret", reason: "table 'hr.secret' is denied" }]);
+
+    const dboOnly = { ...basePolicy, deniedTables: ["dbo.Secret"] };
+    expect(
+      checkQueryAccess("SELECT * FROM Secret", dboOnly, "main", "hr").allowed,
+    ).toBe(false);
+  });
+
+  it("should allow three-part names in the current database", () => {
+    const verdict = checkQueryAccess(
+      "SELECT * FROM main.dbo.Orders",
+      basePolicy,
+      "main",
+    );
+
+    expect(verdict.allowed).toBe(true);
+  });
+});
+
+describe("getPrincipalDenialReason", () => {
+  const principal = {
+    name: "reporting",
+    databases: ["ReportingDb"],
+    access: "readonly",
+    tools: ["execute_sql", "resources"],
+  };
+
+  it("should not restrict calls without a principal", () => {
+    expect(
+      getPrincipalDenialReason(undefined, { dbKey: "maindb", tool: "x" }),
+    ).toBe(null);
+  });
+
+  it("should check databases case-insensitively and tools exactly", () => {
+    expect(
+      getPrincipalDenialReason(principal, {
+        dbKey: "reportingdb",
+        tool: "execute_sql",
+      }),
+    ).toBe(null);
+    expect(getPrincipalDenialReason(principal, { dbKey: "maindb" })).toBe(
+      "API key 'reporting' may not use database 'maindb'",
+    );
+    expect(getPrincipalDenialReason(principal, { tool: "prompts" })).toBe(
+      "API key 'reporting' may not use 'prompts'",
+    );
+  });
+
+  it("should allow everything when a scope is omitted or has a wildcard", () => {
+    const open = { name: "admin", databases: ["*"], access: "readwrite" };
+
+    expect(
+      getPrincipalDenialReason(open, {
+        dbKey: "maindb",
+        tool: "execute_procedure",
+      }),
+    ).toBe(null);
+  });
+});
+
+describe("scopePolicyToPrincipal", () => {
+  const policy = { ...basePolicy, allowedProcedures: ["dbo.usp_*"] };
+
+  it("should make the policy read-only for read-only keys", () => {
+    const scoped = scopePolicyToPrincipal(policy, {
+      name: "reader",
+      access: "readonly",
+    });
+
+    expect(scoped.mode).toBe("readonly");
+    expect(scoped.allowedCategories).toEqual(["control", "read"]);
+    expect(scoped.allowedProcedures).toEqual([]);
+    expect(
+      checkQueryAccess("DELETE FROM dbo.Orders", scoped, "main").allowed,
+    ).toBe(false);
+  });
+
+  it("should leave the policy unchanged for read-write keys", () => {
+    expect(
+      scopePolicyToPrincipal(policy, { name: "writer", access: "readwrite" }),
+    ).toBe(policy);
+  });
+});
@@ -0,0 +1,275 @@
+const { promptTemplates } = require("../config");
+const { listResources } = require("./resources");
+const {
+  getTableSchema,
+  getRelationships,
+  listViews,
+  listProcedures,
+  explainQuery,
+} = require("./tools");
+const { getPrincipalDenialReason } = require("./policy");
+
+const DB_KEY_ARGUMENT = {
+  name: "dbKey",
+  description:
+    "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
+  required: false,
+};
+
+/**
+ * Built-in prompt templates. Custom templates from MSSQL_PROMPTS_FILE use the
+ * same shape and replace built-ins with the same name.
+ */
+const BUILT_IN_PROMPTS = [
+  {
+    name: "explore_database",
+    description:
+      "Explore a database: its tables, views, procedures and how they relate",
+    arguments: [DB_KEY_ARGUMENT],
+    template:
+      "Help me explore this SQL Server database. Using the schema context below, summarize what the database is for, describe its main entities and how they relate, and suggest a few questions worth asking it. Use get_table_schema for table details and read-only execute_sql queries for sample data.",
+    context: ["tables", "views", "procedures", "relationships"],
+  },
+  {
+    name: "write_query",
+    description: "Write a T-SQL query that answers a question about a table",
+    arguments: [
+      {
+        name: "question",
+        description: "The question the query should answer",
+        required: true,
+      },
+      {
+        name: "table",
+        description: "The main table, optionally schema-qualified",
+        required: true,
+      },
+      DB_KEY_ARGUMENT,
+    ],
+    template:
+      "Write a T-SQL query for SQL Server that answers this question: {{question}}\n\nStart from the table {{table}}. Use the schema and relationships below for exact column names and joins. Pass literal values as @name parameters, then run the query with execute_sql and check that the result answers the question.",
+    context: ["table_schema", "relationships"],
+  },
+  {
+    name: "explain_table",
+    description:
+      "Explain what a table stores, its keys and constraints, and how it relates to other tables",
+    arguments: [
+      {
+        name: "table",
+        description: "The table, optionally schema-qualified",
+        required: true,
+      },
+      DB_KEY_ARGUMENT,
+    ],
+    template:
+      "Explain the table {{table}} using the schema context below: what each row represents, what its columns, keys, constraints, indexes and triggers mean, and how it relates to other tables. Point out anything unusual, such as untrusted constraints or missing descriptions.",
+    context: ["table_schema", "relationships"],
+  },
+  {
+    name: "review_query",
+    description:
+      "Review a query for performance using its estimated execution plan",
+    arguments: [
+      {
+        name: "query",
+        description: "The T-SQL query to review",
+        required: true,
+      },
+      DB_KEY_ARGUMENT,
+    ],
+    template:
+      "Review this query for performance:\n\n```sql\n{{query}}\n```\n\nUse the estimated execution plan below. Point out scans that could be seeks, missing indexes, implicit conversions and plan warnings, and suggest a rewritten query or new indexes where they would help.",
+    context: ["query_plan"],
+  },
+];
+
+/**
+ * Parses the JSON payload of a tool response, throwing its error if it failed.
+ * @param {Object} response - A tool response with content and isError.
+ * @returns {Object} The parsed JSON payload.
+ */
+function parseToolResponse(response) {
+  const payload = JSON.parse(response.content[0].text);
+  if (response.isError) {
+    throw new Error(payload.error);
+  }
+  return payload;
+}
+
+/**
+ * Formats a list of views or procedures.
+ * @param {Array<Object>} objects - Objects from listViews() or listProcedures().
+ * @returns {string} One line per object.
+ */
+function formatObjectList(objects) {
+  if (objects.length === 0) return "(none)";
+  return objects
+    .map(
+      (object) =>
+        `- ${object.schema}.${object.name}${object.description ? `: ${object.description}` : ""}`,
+    )
+    .join("\n");
+}
+
+/**
+ * Loads each kind of live schema context, as a titled markdown section,
+ * on behalf of the caller (principal, sessionId and transport). tool is the
+ * scope an API key needs for it, as when calling that tool directly.
+ */
+const CONTEXT_PROVIDERS = {
+  tables: {
+    tool: "resources",
+    load: async ({ dbKey }, caller) => {
+      const tables = (await listResources(dbKey, caller))
+        .filter((resource) => resource.uri.endsWith("/data"))
+        .map((resource) => `- ${resource.name.replace(/^Table: /, "")}`);
+      return ["Tables", tables.length > 0 ? tables.join("\n") : "(none)"];
+    },
+  },
+  views: {
+    tool: "list_views",
+    load: async ({ dbKey }, caller) => [
+      "Views",
+      formatObjectList(
+        parseToolResponse(await listViews(dbKey, undefined, caller)).views,
+      ),
+    ],
+  },
+  procedures: {
+    tool: "list_procedures",
+    load: async ({ dbKey }, caller) => [
+      "Stored procedures",
+      formatObjectList(
+        parseToolResponse(await listProcedures(dbKey, undefined, caller))
+          .procedures,
+      ),
+    ],
+  },
+  table_schema: {
+    tool: "get_table_schema",
+    load: async ({ dbKey, table }, caller) => [
+      `Schema of ${table}`,
+      `\`\`\`json\n${JSON.stringify(parseToolResponse(await getTableSchema(table, dbKey, caller)), null, 2)}\n\`\`\``,
+    ],
+  },
+  relationships: {
+    tool: "get_relationships",
+    load: async ({ dbKey, table }, caller) => {
+      const graph = parseToolResponse(
+        await getRelationships(dbKey, {
+          tables: table ? [table] : undefined,
+          mermaid: true,
+          ...caller,
+        }),
+      );
+      return [
+        table ? `Relationships of ${table}` : "Relationships",
+        `\`\`\`mermaid\n${graph.mermaid}\n\`\`\``,
+      ];
+    },
+  },
+  query_plan: {
+    tool: "explain_query",
+    load: async ({ dbKey, query }, caller) => [
+      "Estimated execution plan",
+      `\`\`\`json\n${JSON.stringify(parseToolResponse(await explainQuery(query, dbKey, undefined, caller)).statements, null, 2)}\n\`\`\``,
+    ],
+  },
+};
+
+/**
+ * Returns built-in and custom prompt templates by name.
+ * @returns {Map<string, Object>} The templates.
+ */
+function getPromptTemplates() {
+  const templates = new Map();
+  for (const template of [...BUILT_IN_PROMPTS, ...(promptTemplates || [])]) {
+    templates.set(template.name, template);
+  }
+  return templates;
+}
+
+/**
+ * Lists the available prompts.
+ * @returns {Array<Object>} name, description and arguments per prompt.
+ */
+function listPrompts() {
+  return [...getPromptTemplates().values()].map((template) => ({
+    name: template.name,
+    description: template.description,
+    arguments: template.arguments.map((argument) => ({
+      name: argument.name,
+      description: argument.description,
+      required: argument.required,
+    })),
+  }));
+}
+
+/**
+ * Fills in a prompt template and appends its live schema context.
+ * Context that cannot be loaded is reported in the prompt instead of failing it.
+ * @param {string} name - The prompt name.
+ * @param {Object} [args] - Argument values by name.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @param {string} [options.sessionId] - The MCP session, for the audit log.
+ * @param {string} [options.transport] - "stdio" or "http", for the audit log.
+ * @returns {Promise<Object>} description and messages for the prompt.
+ * @throws {Error} If the prompt is unknown or a required argument is missing.
+ */
+async function getPrompt(name, args = {}, options = {}) {
+  const template = getPromptTemplates().get(name);
+  if (!template) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  for (const argument of template.arguments) {
+    if (argument.required && !args[argument.name]) {
+      throw new Error(
+        `Missing required argument '${argument.name}' for prompt '${name}'`,
+      );
+    }
+  }
+
+  const text = template.template.replace(
+    /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g,
+    (_match, key) => (args[key] === undefined ? "" : String(args[key])),
+  );
+
+  const sections = [text];
+  for (const context of template.context) {
+    const provider = CONTEXT_PROVIDERS[context];
+    let title = context;
+    let body;
+    // A key that may use prompts but not the tool behind a context does not get that context
+    const reason = getPrincipalDenialReason(options.principal, {
+      tool: provider.tool,
+    });
+    if (reason) {
+      body = `(unavailable: ${reason})`;
+    } else {
+      try {
+        [title, body] = await provider.load(args, options);
+      } catch (error) {
+        body = `(unavailable: ${error.message})`;
+      }
+    }
+    sections.push(`## ${title}\n\n${body}`);
+  }
+
+  return {
+    description: template.description,
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text: sections.join("\n\n") },
+      },
+    ],
+  };
+}
+
+module.exports = {
+  BUILT_IN_PROMPTS,
+  listPrompts,
+  getPrompt,
+};
@@ -0,0 +1,115 @@
+const { getTableSchema, getRelationships } = require("./tools");
+const { listPrompts, getPrompt } = require("./prompts");
+
+jest.mock("./tools");
+jest.mock("./resources");
+jest.mock("../config", () => ({
+  promptTemplates: [
+    {
+      name: "explain_table",
+      description: "Team version",
+      arguments: [{ name: "table", required: true }],
+      template: "Document {{ table }} for the wiki.",
+      context: ["table_schema"],
+    },
+    {
+      name: "audit_columns",
+      description: "Find audit columns",
+      arguments: [{ name: "table", required: false }],
+      template: "Which columns of {{table}} are audit columns?",
+      context: [],
+    },
+  ],
+}));
+
+const toolResponse = (payload, isError = false) => ({
+  content: [{ type: "text", text: JSON.stringify(payload) }],
+  isError,
+});
+
+describe("prompts", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("should list built-in and custom prompts, custom ones replacing built-ins", () => {
+    const prompts = listPrompts();
+
+    expect(prompts.map((prompt) => prompt.name)).toEqual([
+      "explore_database",
+      "write_query",
+      "explain_table",
+      "review_query",
+      "audit_columns",
+    ]);
+    expect(prompts[2].description).toBe("Team version");
+  });
+
+  it("should fill in arguments and append live schema context", async () => {
+    getTableSchema.mockResolvedValue(toolResponse({ table: "sales.Orders" }));
+    getRelationships.mockResolvedValue(
+      toolResponse({ mermaid: "erDiagram\n    sales_Orders" }),
+    );
+
+    const principal = { name: "analyst", access: "readonly" };
+    const prompt = await getPrompt(
+      "write_query",
+      {
+        question: "Orders per month?",
+        table: "sales.Orders",
+        dbKey: "maindb",
+      },
+      { principal },
+    );
+    const { text } = prompt.messages[0].content;
+
+    expect(getTableSchema).toHaveBeenCalledWith("sales.Orders", "maindb", {
+      principal,
+    });
+    expect(getRelationships).toHaveBeenCalledWith("maindb", {
+      tables: ["sales.Orders"],
+      mermaid: true,
+      principal,
+    });
+    expect(text).toMatch(/answers this question: Orders per month\?/);
+    expect(text).toMatch(/## Schema of sales\.Orders\n\n```json/);
+    expect(text).toMatch(/```mermaid\nerDiagram\n {4}sales_Orders\n```/);
+  });
+
+  it("should report context that cannot be loaded", async () => {
+    getTableSchema.mockResolvedValue(
+      toolResponse({ error: "Table 'Nope' not found" }, true),
+    );
+
+    const prompt = await getPrompt("explain_table", { table: "Nope" });
+
+    expect(prompt.messages[0].content.text).toBe(
+      "Document Nope for the wiki.\n\n## table_schema\n\n(unavailable: Table 'Nope' not found)",
+    );
+  });
+
+  it("should leave out context from tools the API key may not use", async () => {
+    getRelationships.mockResolvedValue(toolResponse({ mermaid: "erDiagram" }));
+    const principal = {
+      name: "prompter",
+      tools: ["prompts", "get_relationships"],
+    };
+
+    const prompt = await getPrompt(
+      "write_query",
+      { question: "Totals?", table: "dbo.Orders" },
+      { principal },
+    );
+
+    expect(getTableSchema).not.toHaveBeenCalled();
+    expect(getRelationships).toHaveBeenCalled();
+    expect(prompt.messages[0].content.text).toMatch(
+      "## table_schema\n\n(unavailable: API key 'prompter' may not use 'get_table_schema')",
+    );
+  });
+
+  it("should reject unknown prompts and missing arguments", async () => {
+    await expect(getPrompt("nope")).rejects.toThrow(/Unknown prompt/);
+    await expect(getPrompt("review_query", {})).rejects.toThrow(
+      /Missing required argument 'query'/,
+    );
+  });
+});
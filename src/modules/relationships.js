@@ -0,0 +1,126 @@
+const { formatTableName } = require("../db/identifiers");
+const { isTableAllowed } = require("./policy");
+
+/**
+ * Builds the foreign-key graph of a database from loadForeignKeys() rows.
+ * Keys that touch a table the policy denies are left out.
+ * @param {Array<Object>} rows - Rows from loadForeignKeys().
+ * @param {Object} policy - Access policy.
+ * @param {Object} [filters]
+ * @param {string} [filters.schema] - Only keys that touch a table in this schema.
+ * @param {Array<{ schema: string|null, name: string }>} [filters.tables] - Only keys
+ *   that touch one of these tables; unqualified names match any schema.
+ * @returns {{ nodes: Array<Object>, edges: Array<Object> }} Tables and the keys between them.
+ */
+function buildRelationshipGraph(rows, policy, filters = {}) {
+  const edges = new Map();
+  for (const row of rows) {
+    const key = `${row.parent_schema}.${row.name}`;
+    if (!edges.has(key)) {
+      edges.set(key, {
+        name: row.name,
+        from: { schema: row.parent_schema, name: row.parent_table },
+        fromColumns: [],
+        to: { schema: row.referenced_schema, name: row.referenced_table },
+        toColumns: [],
+        optional: false,
+        onDelete: row.delete_referential_action_desc,
+        onUpdate: row.update_referential_action_desc,
+      });
+    }
+    const edge = edges.get(key);
+    edge.fromColumns.push(row.parent_column);
+    edge.toColumns.push(row.referenced_column);
+    // A nullable referencing column means the relationship is optional
+    edge.optional = edge.optional || Boolean(row.parent_nullable);
+  }
+
+  const lower = (value) => value.toLowerCase();
+  const matchesTable = (table) =>
+    filters.tables.some(
+      (filter) =>
+        lower(filter.name) === lower(table.name) &&
+        (filter.schema === null ||
+          lower(filter.schema) === lower(table.schema)),
+    );
+  const touches = (edge, predicate) =>
+    predicate(edge.from) || predicate(edge.to);
+
+  const selected = [...edges.values()].filter(
+    (edge) =>
+      isTableAllowed(policy, edge.from.schema, edge.from.name) &&
+      isTableAllowed(policy, edge.to.schema, edge.to.name) &&
+      (!filters.schema ||
+        touches(
+          edge,
+          (table) => lower(table.schema) === lower(filters.schema),
+        )) &&
+      (!filters.tables || touches(edge, matchesTable)),
+  );
+
+  const nodes = new Map();
+  const addNode = (table) => {
+    const id = formatTableName(table);
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, schema: table.schema, name: table.name });
+    }
+    return id;
+  };
+  for (const table of filters.tables || []) {
+    // Named tables are listed even when they have no keys
+    if (
+      table.schema !== null &&
+      isTableAllowed(policy, table.schema, table.name)
+    ) {
+      addNode(table);
+    }
+  }
+
+  const graphEdges = selected.map(({ from, to, ...edge }) => ({
+    ...edge,
+    from: addNode(from),
+    to: addNode(to),
+  }));
+
+  return {
+    nodes: [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+    edges: graphEdges,
+  };
+}
+
+/**
+ * Turns a table id into a Mermaid entity name, e.g. "sales.Order Lines" -> "sales_Order_Lines".
+ */
+function toMermaidEntity(id) {
+  return id.replace(/[^\w]/g, "_");
+}
+
+/**
+ * Renders a relationship graph as a Mermaid erDiagram.
+ * Each edge reads "referenced table has many referencing rows"; nullable
+ * foreign keys are drawn as optional on the referenced side.
+ * @param {{ nodes: Array<Object>, edges: Array<Object> }} graph - From buildRelationshipGraph().
+ * @returns {string} The diagram source.
+ */
+function renderMermaidErDiagram(graph) {
+  const lines = ["erDiagram"];
+  const related = new Set(graph.edges.flatMap((edge) => [edge.from, edge.to]));
+  for (const node of graph.nodes) {
+    if (!related.has(node.id)) {
+      lines.push(`    ${toMermaidEntity(node.id)}`);
+    }
+  }
+  for (const edge of graph.edges) {
+    const cardinality = edge.optional ? "|o--o{" : "||--o{";
+    const label = `${edge.fromColumns.join(", ")} -> ${edge.toColumns.join(", ")}`;
+    lines.push(
+      `    ${toMermaidEntity(edge.to)} ${cardinality} ${toMermaidEntity(edge.from)} : "${label.replace(/"/g, "'")}"`,
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  buildRelationshipGraph,
+  renderMermaidErDiagram,
+};
@@ -0,0 +1,110 @@
+const {
+  buildRelationshipGraph,
+  renderMermaidErDiagram,
+} = require("./relationships");
+
+const policy = {
+  allowedSchemas: [],
+  deniedSchemas: ["hr"],
+  allowedTables: [],
+  deniedTables: [],
+};
+
+const key = (name, parent, referenced, column, extra = {}) => ({
+  name,
+  parent_schema: parent[0],
+  parent_table: parent[1],
+  parent_column: column,
+  parent_nullable: false,
+  referenced_schema: referenced[0],
+  referenced_table: referenced[1],
+  referenced_column: "Id",
+  delete_referential_action_desc: "NO_ACTION",
+  update_referential_action_desc: "NO_ACTION",
+  ...extra,
+});
+
+const rows = [
+  key(
+    "FK_Orders_Customers",
+    ["sales", "Orders"],
+    ["sales", "Customers"],
+    "CustomerId",
+  ),
+  key("FK_Orders_Reps", ["sales", "Orders"], ["dbo", "Sales Reps"], "RepId", {
+    parent_nullable: true,
+  }),
+  key(
+    "FK_Lines_Orders",
+    ["sales", "Order Lines"],
+    ["sales", "Orders"],
+    "OrderId",
+  ),
+  key("FK_Payroll_Reps", ["hr", "Payroll"], ["dbo", "Sales Reps"], "RepId"),
+];
+
+describe("buildRelationshipGraph", () => {
+  it("should group key columns into edges and leave out denied tables", () => {
+    const graph = buildRelationshipGraph(rows, policy);
+
+    expect(graph.edges).toHaveLength(3);
+    expect(graph.edges[1]).toEqual({
+      name: "FK_Orders_Reps",
+      from: "sales.Orders",
+      fromColumns: ["RepId"],
+      to: "dbo.Sales Reps",
+      toColumns: ["Id"],
+      optional: true,
+      onDelete: "NO_ACTION",
+      onUpdate: "NO_ACTION",
+    });
+    expect(graph.nodes.map((node) => node.id)).toEqual([
+      "dbo.Sales Reps",
+      "sales.Customers",
+      "sales.Order Lines",
+      "sales.Orders",
+    ]);
+  });
+
+  it("should keep only keys that touch the given schema or tables", () => {
+    expect(
+      buildRelationshipGraph(rows, policy, { schema: "DBO" }).edges.map(
+        (edge) => edge.name,
+      ),
+    ).toEqual(["FK_Orders_Reps"]);
+    expect(
+      buildRelationshipGraph(rows, policy, {
+        tables: [
+          { schema: null, name: "customers" },
+          { schema: "sales", name: "Returns" },
+        ],
+      }),
+    ).toMatchObject({
+      nodes: [
+        { id: "sales.Customers" },
+        { id: "sales.Orders" },
+        { id: "sales.Returns" },
+      ],
+      edges: [{ name: "FK_Orders_Customers" }],
+    });
+  });
+});
+
+describe("renderMermaidErDiagram", () => {
+  it("should draw each key from the referenced table to the referencing one", () => {
+    const graph = buildRelationshipGraph(rows, policy, {
+      tables: [
+        { schema: "sales", name: "Orders" },
+        { schema: "sales", name: "Returns" },
+      ],
+    });
+
+    expect(renderMermaidErDiagram(graph).split("\n")).toEqual([
+      "erDiagram",
+      "    sales_Returns",
+      '    sales_Customers ||--o{ sales_Orders : "CustomerId -> Id"',
+      '    dbo_Sales_Reps |o--o{ sales_Orders : "RepId -> Id"',
+      '    sales_Orders ||--o{ sales_Order_Lines : "OrderId -> Id"',
+    ]);
+  });
+});
@@ -1,38 +1,313 @@
-const { getPool } = require("../db/connection");
-const { resourceUriSchema, dbKeySchema, validate } = require("../validation");
+const { getPool, getDefaultSchema } = require("../db/connection");
+const {
+  resourceUriSchema,
+  resourceQuerySchema,
+  dbKeySchema,
+  outputFormatSchema,
+  validate,
+  invalidInputError,
+} = require("../validation");
+const {
+  getAccessPolicy,
+  dbConfigs,
+  serializationConfig,
+} = require("../config/dbConfig");
+const {
+  quoteIdentifier,
+  quoteTableName,
+  formatTableName,
+} = require("../db/identifiers");
+const { loadForeignKeys, loadTableColumns } = require("../db/catalog");
+const { describeColumns } = require("../db/results");
+const { serializeRows } = require("../db/serialize");
+const { FORMAT_MIME_TYPES, formatRows } = require("../db/formats");
+const {
+  buildRelationshipGraph,
+  renderMermaidErDiagram,
+} = require("./relationships");
+const {
+  getTableDenialReason,
+  isTableAllowed,
+  accessDeniedError,
+} = require("./policy");
+const { audited } = require("./audit");
+const { findDbKey } = require("./limits");
+
+const DEFAULT_RESOURCE_ROWS = 100;
+const DEFAULT_RESOURCE_FORMAT = "csv";
 
 const resourceCache = new Map();
 
 /**
- * Lists available tables (resources) from the SQL Server database.
+ * Encodes one part of a table name for a resource URI.
+ * Dots are encoded too, since they separate the schema from the table.
+ */
+function encodeUriPart(part) {
+  return encodeURIComponent(part).replace(/\./g, "%2E");
+}
+
+/**
+ * Builds the resource URI for a table, e.g. "mssql://sales.Order%20Details/data"
+ * @param {string} schema - The table's schema.
+ * @param {string} name - The table name.
+ * @returns {string} The resource URI.
+ */
+function buildTableUri(schema, name) {
+  return `mssql://${encodeUriPart(schema)}.${encodeUriPart(name)}/data`;
+}
+
+/**
+ * Parses a table resource URI. The schema is optional ("mssql://Orders/data").
+ * @param {string} uri - A URI validated by resourceUriSchema.
+ * @returns {{ schema: string|null, name: string }} The table.
+ * @throws {Error} If the table part is malformed.
+ */
+function parseTableUri(uri) {
+  const parts = uri.slice("mssql://".length, -"/data".length).split(".");
+  if (parts.length > 2) {
+    throw invalidInputError(
+      `Invalid table in URI: ${uri}. Use mssql://<schema>.<table>/data`,
+    );
+  }
+  const [schema, name] = parts.map((part) => {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(part);
+    } catch {
+      throw invalidInputError(`Invalid percent-encoding in URI: ${uri}`);
+    }
+    if (decoded.length === 0 || decoded.length > 128) {
+      throw invalidInputError(`Invalid table in URI: ${uri}`);
+    }
+    return decoded;
+  });
+  return name === undefined ? { schema: null, name: schema } : { schema, name };
+}
+
+/**
+ * Splits a table resource URI into the table URI and its query string.
+ * @param {string} uri - A URI validated by resourceUriSchema.
+ * @returns {{ baseUri: string, search: string }} e.g. "mssql://dbo.Orders/data" and "top=10".
+ */
+function splitResourceUri(uri) {
+  const index = uri.indexOf("?");
+  return index === -1
+    ? { baseUri: uri, search: "" }
+    : { baseUri: uri.slice(0, index), search: uri.slice(index + 1) };
+}
+
+/**
+ * Parses the query string of a table resource URI:
+ * top, offset, columns (comma-separated), orderBy (comma-separated, each
+ * optionally followed by asc or desc), format, and where.<column>=<value>
+ * equality filters.
+ * @param {string} search - The query string, without "?".
+ * @returns {Object} The validated parameters, with the filters in where.
+ * @throws {Error} If a parameter is unknown, repeated or invalid.
+ */
+function parseResourceQuery(search) {
+  const params = {};
+  const where = {};
+  for (const [key, value] of new URLSearchParams(search)) {
+    const isFilter = key.startsWith("where.");
+    const target = isFilter ? where : params;
+    const name = isFilter ? key.slice("where.".length) : key;
+    if (Object.hasOwn(target, name)) {
+      throw invalidInputError(`URI parameter '${key}' is given more than once`);
+    }
+    target[name] = value;
+  }
+  return { ...validate(resourceQuerySchema, params), where };
+}
+
+/**
+ * Finds a column of a table by name, case-insensitively.
+ * @param {Array<Object>} tableColumns - Columns from loadTableColumns().
+ * @param {string} name - The column name from the URI.
+ * @returns {string} The column's real name.
+ * @throws {Error} If the table has no such column.
+ */
+function resolveColumn(tableColumns, name) {
+  const wanted = name.trim().toLowerCase();
+  const column = tableColumns.find(
+    (candidate) => candidate.name.toLowerCase() === wanted,
+  );
+  if (!column) {
+    throw invalidInputError(
+      `Unknown column '${name.trim()}'. Available columns: ${tableColumns.map((candidate) => candidate.name).join(", ")}`,
+    );
+  }
+  return column.name;
+}
+
+/**
+ * Builds the SELECT for a table resource with query parameters. Only column
+ * names found in the table are put in the SQL text, always bracket-quoted;
+ * filter values, top and offset are bound as parameters.
+ * @param {string} quotedTable - The bracket-quoted table name.
+ * @param {Object} query - Parameters from parseResourceQuery().
+ * @param {Array<Object>} tableColumns - Columns from loadTableColumns().
+ * @param {sql.Request} request - Receives the filter and offset parameters.
+ * @returns {string} The SQL text.
+ */
+function buildTableQuery(quotedTable, query, tableColumns, request) {
+  const select = query.columns
+    ? query.columns
+        .split(",")
+        .map((name) => quoteIdentifier(resolveColumn(tableColumns, name)))
+        .join(", ")
+    : "*";
+
+  const filters = Object.entries(query.where).map(([name, value], index) => {
+    request.input(`where${index}`, value);
+    return `${quoteIdentifier(resolveColumn(tableColumns, name))} = @where${index}`;
+  });
+
+  let orderBy = query.orderBy
+    ? query.orderBy.split(",").map((item) => {
+        const match = /^(.*?)(?:\s+(asc|desc))?$/i.exec(item.trim());
+        const direction = match[2] ? ` ${match[2].toUpperCase()}` : "";
+        return `${quoteIdentifier(resolveColumn(tableColumns, match[1]))}${direction}`;
+      })
+    : [];
+  if (orderBy.length === 0 && query.offset !== undefined) {
+    // Page in primary key order, so that pages neither overlap nor skip rows
+    orderBy = tableColumns
+      .filter((column) => column.primary_key_ordinal != null)
+      .sort((a, b) => a.primary_key_ordinal - b.primary_key_ordinal)
+      .map((column) => quoteIdentifier(column.name));
+    if (orderBy.length === 0) {
+      orderBy = ["(SELECT NULL)"];
+    }
+  }
+
+  let queryText =
+    query.offset === undefined
+      ? `SELECT TOP (@top) ${select} FROM ${quotedTable}`
+      : `SELECT ${select} FROM ${quotedTable}`;
+  if (filters.length > 0) {
+    queryText += ` WHERE ${filters.join(" AND ")}`;
+  }
+  if (orderBy.length > 0) {
+    queryText += ` ORDER BY ${orderBy.join(", ")}`;
+  }
+  if (query.offset !== undefined) {
+    request.input("offset", query.offset);
+    queryText += " OFFSET @offset ROWS FETCH NEXT @top ROWS ONLY";
+  }
+  return queryText;
+}
+
+/**
+ * Describes the table resource URI syntax as an MCP resource template.
+ * @returns {Array<Object>} The resource templates.
+ */
+function listResourceTemplates() {
+  return [
+    {
+      uriTemplate:
+        "mssql://{schema}.{table}/data{?top,offset,columns,orderBy,format}",
+      name: "Table rows",
+      description:
+        "Rows of a table. top: rows to return (default 100, capped by the database's maxRows). offset: rows to skip, in orderBy or primary key order. columns: comma-separated column names. orderBy: comma-separated columns, each optionally followed by asc or desc. format: json (rows with column metadata), json_compact, ndjson, csv (default), tsv or markdown. Add where.<column>=<value> parameters to keep only rows whose column equals the value.",
+      mimeType: FORMAT_MIME_TYPES[DEFAULT_RESOURCE_FORMAT],
+    },
+  ];
+}
+
+/**
+ * Builds the URI of a database's relationship diagram, e.g. "mssql://maindb/relationships"
+ * @param {string} dbKey - The database key.
+ * @returns {string} The resource URI.
+ */
+function buildRelationshipsUri(dbKey) {
+  return `mssql://${dbKey}/relationships`;
+}
+
+/**
+ * Renders the foreign keys of a database as a Mermaid erDiagram.
+ * @param {string} uri - A relationships URI validated by resourceUriSchema.
+ * @param {Object} [principal] - The API key making the call, over HTTP.
+ * @returns {Promise<string>} The diagram source.
+ */
+async function readRelationships(uri, principal) {
+  const dbKey = uri.slice("mssql://".length, -"/relationships".length);
+  validate(dbKeySchema, { dbKey });
+  const policy = getAccessPolicy(dbKey, principal);
+  const pool = await getPool(dbKey.toLowerCase());
+  const graph = buildRelationshipGraph(await loadForeignKeys(pool), policy);
+  return renderMermaidErDiagram(graph);
+}
+
+/**
+ * Returns the MIME type of what readResource() returns for a URI.
+ * @param {string} uri - The resource URI.
+ * @param {string} [format="csv"] - The format option passed to readResource(),
+ *   unless the URI has a format parameter.
+ * @returns {string} The MIME type.
+ */
+function getResourceMimeType(uri, format = DEFAULT_RESOURCE_FORMAT) {
+  if (uri.endsWith("/relationships")) {
+    return "text/plain";
+  }
+  const uriFormat = new URLSearchParams(splitResourceUri(uri).search).get(
+    "format",
+  );
+  return FORMAT_MIME_TYPES[uriFormat ?? format] || "text/plain";
+}
+
+/**
+ * Lists available tables (resources) from the SQL Server database,
+ * followed by the database's relationship diagram.
  * Accepts optional dbKey for multi-database support.
  * @param {string} [dbKey] - Optional database key.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
  * @returns {Promise<Array<Object>>} An array of resource objects.
  */
-async function listResources(dbKey) {
+async function listResources(dbKey, options = {}) {
   const cacheKey = dbKey || "default";
-  if (resourceCache.has(cacheKey)) {
-    return resourceCache.get(cacheKey);
-  }
 
   try {
     if (dbKey) {
       validate(dbKeySchema, { dbKey });
     }
 
+    // Checked before the cache, which all callers share
+    const policy = getAccessPolicy(dbKey, options.principal);
+    if (resourceCache.has(cacheKey)) {
+      return resourceCache.get(cacheKey);
+    }
+
     const pool = await getPool(dbKey);
     const result = await pool.request().query(`
-      SELECT TABLE_NAME
+      SELECT TABLE_SCHEMA, TABLE_NAME
       FROM INFORMATION_SCHEMA.TABLES
       WHERE TABLE_TYPE = 'BASE TABLE'
     `);
 
-    const resources = result.recordset.map((row) => ({
-      uri: `mssql://${row.TABLE_NAME}/data`,
-      name: `Table: ${row.TABLE_NAME}`,
-      description: `Data in table: ${row.TABLE_NAME}`,
+    const resources = result.recordset
+      .filter((row) => isTableAllowed(policy, row.TABLE_SCHEMA, row.TABLE_NAME))
+      .map((row) => {
+        const table = formatTableName({
+          schema: row.TABLE_SCHEMA,
+          name: row.TABLE_NAME,
+        });
+        return {
+          uri: buildTableUri(row.TABLE_SCHEMA, row.TABLE_NAME),
+          name: `Table: ${table}`,
+          description: `Data in table: ${table}`,
+          mimeType: FORMAT_MIME_TYPES[DEFAULT_RESOURCE_FORMAT],
+        };
+      });
+
+    const relationshipsKey = (dbKey || Object.keys(dbConfigs)[0]).toLowerCase();
+    resources.push({
+      uri: buildRelationshipsUri(relationshipsKey),
+      name: `Relationships: ${relationshipsKey}`,
+      description: `Foreign-key relationships of database '${relationshipsKey}' as a Mermaid erDiagram`,
       mimeType: "text/plain",
-    }));
+    });
 
     resourceCache.set(cacheKey, resources);
     // Invalidate cache after 5 minutes
@@ -46,14 +321,21 @@ async function listResources(dbKey) {
 }
 
 /**
- * Reads data from a specified table.
+ * Reads data from a specified table, or a database's relationship diagram.
  * Accepts optional dbKey for multi-database support.
- * @param {string} uri - The resource URI (format: "mssql://<table>/data").
+ * @param {string} uri - The resource URI ("mssql://<schema>.<table>/data", parts percent-encoded,
+ *   optionally followed by query parameters (see parseResourceQuery()),
+ *   or "mssql://<dbKey>/relationships", which ignores the dbKey argument).
  * @param {string} [dbKey] - Optional database key.
- * @returns {Promise<string>} CSV-formatted data including headers.
+ * @param {Object} [options]
+ * @param {string} [options.format="csv"] - Output format of table rows, one of
+ *   OUTPUT_FORMATS. A format parameter in the URI takes precedence.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<string>} The rows in the requested format, or the Mermaid
+ *   diagram. json holds { columns, rows }, with each column's SQL type.
  * @throws {Error} If the URI is invalid or the query fails.
  */
-async function readResource(uri, dbKey) {
+async function readResource(uri, dbKey, options = {}) {
   try {
     const validUri = validate(resourceUriSchema, uri);
 
@@ -62,47 +344,94 @@ async function readResource(uri, dbKey) {
     }
 
     if (!validUri.startsWith("mssql://")) {
-      throw new Error(`Invalid URI scheme: ${validUri}`);
+      throw invalidInputError(`Invalid URI scheme: ${validUri}`);
     }
 
-    const parts = validUri.slice(8).split("/");
-    const table = parts[0];
+    if (validUri.endsWith("/relationships")) {
+      return await readRelationships(validUri, options.principal);
+    }
+
+    const { baseUri, search } = splitResourceUri(validUri);
+    const table = parseTableUri(baseUri);
+    const query = parseResourceQuery(search);
+    // A format in the URI wins over the format option
+    const format =
+      query.format ??
+      (options.format === undefined
+        ? DEFAULT_RESOURCE_FORMAT
+        : validate(outputFormatSchema, { format: options.format }).format);
+
+    // Unqualified tables resolve to the login's default schema, then dbo
+    const policy = getAccessPolicy(dbKey, options.principal);
+    const denialReason = getTableDenialReason(
+      policy,
+      table.schema,
+      table.name,
+      table.schema ? undefined : await getDefaultSchema(dbKey),
+    );
+    if (denialReason) {
+      throw accessDeniedError(
+        `Access denied by the database policy: ${denialReason}`,
+      );
+    }
+    const top = Math.min(
+      query.top ?? DEFAULT_RESOURCE_ROWS,
+      policy.maxRows ?? DEFAULT_RESOURCE_ROWS,
+    );
 
     const pool = await getPool(dbKey);
-    const result = await pool
-      .request()
-      .query(`SELECT TOP 100 * FROM [${table}]`);
-
-    const columns =
-      result.recordset.length > 0 ? Object.keys(result.recordset[0]) : [];
-    const csvRows = [];
-
-    csvRows.push(columns.join(","));
-
-    result.recordset.forEach((row) => {
-      const rowValues = columns.map((col) => {
-        const value = row[col];
-        if (value === null || value === undefined) {
-          return "";
-        }
-        if (
-          typeof value === "string" &&
-          (value.includes(",") || value.includes('"') || value.includes("\n"))
-        ) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      });
-      csvRows.push(rowValues.join(","));
-    });
-    return csvRows.join("\n");
+    const request = pool.request().input("top", top);
+    const quotedTable = quoteTableName(table);
+    let queryText = `SELECT TOP (@top) * FROM ${quotedTable}`;
+    if (
+      query.columns ||
+      query.orderBy ||
+      query.offset !== undefined ||
+      Object.keys(query.where).length > 0
+    ) {
+      const tableColumns = await loadTableColumns(pool, quotedTable);
+      if (tableColumns.length === 0) {
+        throw new Error(`Table not found: ${formatTableName(table)}`);
+      }
+      queryText = buildTableQuery(quotedTable, query, tableColumns, request);
+    }
+    const result = await request.query(queryText);
+
+    const columns = describeColumns(result.recordset.columns);
+    const rows = serializeRows(result.recordset, columns, serializationConfig);
+    if (format === "json") {
+      return JSON.stringify({ columns, rows }, null, 2);
+    }
+    return formatRows(
+      columns.map((column) => column.name),
+      rows,
+      format,
+    );
   } catch (error) {
     console.error(`Database error reading resource ${uri}: ${error.message}`);
+    // Invalid input, policy denials and driver errors keep their code
+    if (error.code) {
+      throw error;
+    }
     throw new Error(`Database error: ${error.message}`);
   }
 }
 
 module.exports = {
   listResources,
-  readResource,
+  listResourceTemplates,
+  getResourceMimeType,
+  readResource: audited(
+    "read_resource",
+    readResource,
+    (uri, dbKey, options) => ({
+      dbKey: findDbKey({ dbKey, uri }),
+      query: uri,
+      options,
+    }),
+  ),
+  buildTableUri,
+  parseTableUri,
+  parseResourceQuery,
+  buildRelationshipsUri,
 };
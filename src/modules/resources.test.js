@@ -0,0 +1,146 @@
+const { getPool } = require("../db/connection");
+const { getAccessPolicy } = require("../config");
+const { readResource, parseResourceQuery } = require("./resources");
+
+jest.mock("../db/connection");
+jest.mock("../config", () => {
+  const policy = {
+    mode: "readonly",
+    allowedSchemas: [],
+    deniedSchemas: [],
+    allowedTables: [],
+    deniedTables: [],
+    allowedCategories: ["control", "read"],
+    crossDatabaseAccess: false,
+    allowedProcedures: [],
+    maxRows: 1000,
+  };
+  return {
+    dbConfigs: { maindb: { database: "main" } },
+    getAccessPolicy: () => policy,
+  };
+});
+
+const tableColumns = [
+  { name: "Id", primary_key_ordinal: 1 },
+  { name: "Name", primary_key_ordinal: null },
+  { name: "CreatedAt", primary_key_ordinal: null },
+];
+
+/**
+ * Mocks a pool whose requests answer loadTableColumns() or return the given
+ * rows, recording what each request was sent. The data request comes first.
+ */
+function mockPool(rows) {
+  const requests = [];
+  const request = () => {
+    const fake = {
+      inputs: {},
+      input(name, value) {
+        this.inputs[name] = value;
+        return this;
+      },
+      async query(text) {
+        this.text = text;
+        const recordset = text.includes("sys.columns")
+          ? tableColumns
+          : Object.assign([...rows], {
+              columns: { Id: { index: 0, name: "Id" } },
+            });
+        return { recordset };
+      },
+    };
+    requests.push(fake);
+    return fake;
+  };
+  getPool.mockResolvedValue({ request });
+  return requests;
+}
+
+describe("parseResourceQuery", () => {
+  it("should separate where filters from the other parameters", () => {
+    expect(
+      parseResourceQuery("top=5&offset=10&where.Name=Ann%20Lee&format=tsv"),
+    ).toEqual({
+      top: 5,
+      offset: 10,
+      format: "tsv",
+      where: { Name: "Ann Lee" },
+    });
+  });
+
+  it("should reject unknown, repeated and invalid parameters", () => {
+    expect(() => parseResourceQuery("limit=5")).toThrow(/Unrecognized key/);
+    expect(() => parseResourceQuery("top=1&top=2")).toThrow(
+      /given more than once/,
+    );
+    expect(() => parseResourceQuery("top=-1")).toThrow(/top must be positive/);
+  });
+});
+
+describe("readResource", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("should read the top rows without parameters", async () => {
+    const requests = mockPool([{ Id: 1 }]);
+
+    const csv = await readResource("mssql://dbo.Orders/data");
+
+    const [request] = requests;
+    expect(requests).toHaveLength(1);
+    expect(request.text).toBe("SELECT TOP (@top) * FROM [dbo].[Orders]");
+    expect(request.inputs).toEqual({ top: 100 });
+    expect(csv).toBe("Id\r\n1");
+  });
+
+  it("should build a query from columns, filters, ordering and paging", async () => {
+    const requests = mockPool([{ Id: 3 }]);
+
+    await readResource(
+      "mssql://dbo.Orders/data?top=2&offset=4&columns=id,NAME&orderBy=createdat%20desc,Id&where.Name=Ann",
+    );
+
+    const [request] = requests;
+    expect(request.text).toBe(
+      "SELECT [Id], [Name] FROM [dbo].[Orders] WHERE [Name] = @where0 ORDER BY [CreatedAt] DESC, [Id] OFFSET @offset ROWS FETCH NEXT @top ROWS ONLY",
+    );
+    expect(request.inputs).toEqual({ top: 2, where0: "Ann", offset: 4 });
+  });
+
+  it("should page in primary key order when no order is given", async () => {
+    const requests = mockPool([]);
+
+    await readResource("mssql://dbo.Orders/data?offset=100");
+
+    const [request] = requests;
+    expect(request.text).toMatch(/ORDER BY \[Id\] OFFSET @offset ROWS/);
+  });
+
+  it("should refuse columns the table does not have", async () => {
+    mockPool([]);
+
+    await expect(
+      readResource("mssql://dbo.Orders/data?orderBy=Id;DROP TABLE Orders"),
+    ).rejects.toThrow(/Unknown column 'Id;DROP TABLE Orders'/);
+  });
+
+  it("should keep the code of invalid input and policy denials", async () => {
+    mockPool([]);
+    const policy = getAccessPolicy();
+    policy.deniedSchemas.push("hr");
+
+    try {
+      await expect(
+        readResource("mssql://dbo.Orders/data?columns=Nope"),
+      ).rejects.toMatchObject({ code: "EVALIDATION" });
+      await expect(
+        readResource("mssql://hr.Salaries/data"),
+      ).rejects.toMatchObject({
+        code: "EPOLICY",
+        message: expect.stringMatching(/schema 'hr' is denied/),
+      });
+    } finally {
+      policy.deniedSchemas.pop();
+    }
+  });
+});
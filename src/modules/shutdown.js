@@ -0,0 +1,119 @@
+const { shutdownGraceMs = 10000 } = require("../config");
+const { stopAcceptingQueries, waitForRunningQueries } = require("./limits");
+const { closeAllPools } = require("../db/connection");
+
+// How long cancelled queries and closing pools get before the process exits anyway
+const CLOSE_TIMEOUT_MS = 5000;
+
+const shutdownController = new AbortController();
+let shutdownPromise = null;
+
+/**
+ * Tells whether shutdown has begun.
+ * @returns {boolean} True once shutdown() has been called.
+ */
+function isShuttingDown() {
+  return shutdownPromise !== null;
+}
+
+/**
+ * Combines a request's signal with the shutdown signal, so the request's
+ * query is cancelled either way.
+ * @param {AbortSignal} [signal] - The request's signal.
+ * @returns {AbortSignal} A signal aborted by either.
+ */
+function withShutdownSignal(signal) {
+  return signal
+    ? AbortSignal.any([signal, shutdownController.signal])
+    : shutdownController.signal;
+}
+
+/**
+ * Shuts down in order: stops taking requests, waits up to the grace period
+ * for running queries, cancels those still running, closes every pool and
+ * finally the transports. Later calls return the first call's result.
+ * Progress is logged to stderr, which is safe for the stdio transport.
+ * @param {Object} [options]
+ * @param {string} [options.reason] - What triggered the shutdown, for the log.
+ * @param {number} [options.graceMs] - Defaults to MSSQL_SHUTDOWN_GRACE_MS.
+ * @param {Function} [options.stopIntake] - Stops taking new requests.
+ * @param {Function} [options.close] - Closes the transports, once the pools are closed.
+ * @returns {Promise<number>} The exit code: 0 if every query finished in
+ *   time and everything closed, else 1.
+ */
+function shutdown(options = {}) {
+  if (!shutdownPromise) {
+    shutdownPromise = runShutdown(options);
+  }
+  return shutdownPromise;
+}
+
+/**
+ * Runs the steps of shutdown().
+ */
+async function runShutdown({
+  reason = "shutdown",
+  graceMs = shutdownGraceMs,
+  stopIntake = () => {},
+  close = () => {},
+}) {
+  console.error(
+    `Received ${reason}. Shutting down; running queries have ${graceMs} ms to finish.`,
+  );
+  let exitCode = 0;
+
+  try {
+    stopAcceptingQueries();
+    await stopIntake();
+
+    if (!(await waitForRunningQueries(graceMs))) {
+      exitCode = 1;
+      console.error("Cancelling the queries still running.");
+      shutdownController.abort(
+        new Error("Query was cancelled because the server is shutting down"),
+      );
+      await waitForRunningQueries(CLOSE_TIMEOUT_MS);
+    }
+
+    if (!(await closeAllPools(CLOSE_TIMEOUT_MS))) {
+      exitCode = 1;
+      console.error("Not every connection pool closed in time.");
+    }
+    await close();
+  } catch (error) {
+    exitCode = 1;
+    console.error(`Error during shutdown: ${error.message}`);
+  }
+
+  console.error(`Shutdown complete, exiting with code ${exitCode}.`);
+  return exitCode;
+}
+
+/**
+ * Shuts down and exits on SIGINT and SIGTERM. A second signal exits at once.
+ * @param {Object} options - As for shutdown(), without reason.
+ * @returns {Function} Shuts down and exits for another reason, e.g. stdin closing.
+ */
+function handleShutdown(options) {
+  const exitAfterShutdown = (reason) =>
+    shutdown({ ...options, reason }).then((exitCode) => process.exit(exitCode));
+
+  const onSignal = (signal) => {
+    if (isShuttingDown()) {
+      console.error(`Received ${signal} again. Exiting now.`);
+      process.exit(1);
+    }
+    exitAfterShutdown(signal);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  return exitAfterShutdown;
+}
+
+module.exports = {
+  isShuttingDown,
+  withShutdownSignal,
+  shutdown,
+  handleShutdown,
+};
@@ -0,0 +1,70 @@
+jest.mock("../config", () => ({ shutdownGraceMs: 1000 }));
+jest.mock("./limits");
+jest.mock("../db/connection");
+
+describe("shutdown", () => {
+  let shutdown, withShutdownSignal, isShuttingDown, limits, connection;
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    // Shutdown happens once per process, so each test loads it afresh
+    jest.isolateModules(() => {
+      ({
+        shutdown,
+        withShutdownSignal,
+        isShuttingDown,
+      } = require("./shutdown"));
+      limits = require("./limits");
+      connection = require("../db/connection");
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should stop intake, wait for running queries, then close pools and transports", async () => {
+    const calls = [];
+    limits.stopAcceptingQueries.mockImplementation(() => calls.push("stop"));
+    limits.waitForRunningQueries.mockImplementation(async (timeoutMs) => {
+      calls.push(`wait ${timeoutMs}`);
+      return true;
+    });
+    connection.closeAllPools.mockImplementation(async () => {
+      calls.push("pools");
+      return true;
+    });
+    const signal = withShutdownSignal(new AbortController().signal);
+
+    const exitCode = await shutdown({
+      reason: "SIGTERM",
+      stopIntake: () => calls.push("intake"),
+      close: () => calls.push("close"),
+    });
+
+    expect(exitCode).toBe(0);
+    expect(calls).toEqual(["stop", "intake", "wait 1000", "pools", "close"]);
+    expect(signal.aborted).toBe(false);
+    expect(isShuttingDown()).toBe(true);
+    expect(await shutdown()).toBe(0);
+    expect(limits.stopAcceptingQueries).toHaveBeenCalledTimes(1);
+  });
+
+  it("should cancel queries still running after the grace period", async () => {
+    limits.waitForRunningQueries
+      .mockResolvedValueOnce(false)
+      .mockResolvedValueOnce(true);
+    connection.closeAllPools.mockResolvedValue(true);
+    const signal = withShutdownSignal();
+
+    const exitCode = await shutdown({ reason: "SIGINT", graceMs: 50 });
+
+    expect(exitCode).toBe(1);
+    expect(limits.waitForRunningQueries).toHaveBeenCalledWith(50);
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.message).toBe(
+      "Query was cancelled because the server is shutting down",
+    );
+    expect(connection.closeAllPools).toHaveBeenCalled();
+  });
+});
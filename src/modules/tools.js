@@ -1,10 +1,85 @@
-const { getPool } = require("../db/connection");
-const { dbConfigs, getConnectionStatus } = require("../config/dbConfig");
+const { getPool, getDefaultSchema } = require("../db/connection");
 const {
+  bindParameters,
+  bindOutputParameters,
+  buildProcedureParameters,
+  serializeOutputParameters,
+} = require("../db/parameters");
+const { formatTableName, quoteTableName } = require("../db/identifiers");
+const {
+  OBJECT_TYPES,
+  loadTableDetails,
+  listObjects,
+  findObjects,
+  loadParameters,
+  loadObjectDefinition,
+  loadForeignKeys,
+} = require("../db/catalog");
+const {
+  buildRelationshipGraph,
+  renderMermaidErDiagram,
+} = require("./relationships");
+const {
+  collectMessages,
+  describeColumns,
+  normalizeResult,
+} = require("../db/results");
+const { serializeRows } = require("../db/serialize");
+const { captureShowplan, summarizeShowplan } = require("../db/showplan");
+const { checkHealth } = require("../db/health");
+const {
+  OUTPUT_FORMATS,
+  formatResultSets,
+  compactResultSet,
+} = require("../db/formats");
+const {
+  streamQuery,
+  runCancellable,
+  buildOffsetFetchQuery,
+  encodeContinuationToken,
+  decodeContinuationToken,
+} = require("../db/paging");
+const {
+  dbConfigs,
+  getDbConfig,
+  getConnectionStatus,
+  getAccessPolicy,
+  serializationConfig,
+} = require("../config/dbConfig");
+const {
+  dbKeySchema,
   dbKeyTableSchema,
+  dbKeyObjectNameSchema,
+  schemaFilterSchema,
+  relationshipOptionsSchema,
   dbKeyQuerySchema,
+  sqlParametersSchema,
+  outputParametersSchema,
+  maxRowsSchema,
+  timeoutMsSchema,
+  outputFormatSchema,
+  auditLogFiltersSchema,
+  compactSchema,
+  includeXmlSchema,
+  continuationTokenSchema,
+  parseSqlType,
   validate,
 } = require("../validation");
+const { describeAuthentication } = require("../config/authentication");
+const { getLimitStats } = require("./limits");
+const { withShutdownSignal } = require("./shutdown");
+const { audited, getRecentAuditEntries } = require("./audit");
+const {
+  checkQueryAccess,
+  describeAccessVerdict,
+  isTableAllowed,
+  getObjectDenialReason,
+  getProcedureDenialReason,
+  getPrincipalDenialReason,
+  accessDeniedError,
+} = require("./policy");
+
+const INT_TYPE = parseSqlType("Int");
 
 /**
  * Lists available SQL Server tools.
@@ -15,43 +90,284 @@ function listTools() {
     {
       name: "execute_sql",
       description:
-        "Execute an SQL query on the SQL Server (multi-database support)",
+        "Execute an SQL query on the SQL Server (multi-database support). Returns every result set with its column metadata, the rows affected by each statement and any PRINT/info messages.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description:
+              "The SQL query to execute. Reference bound parameters as @name.",
+          },
+          parameters: {
+            description:
+              "Optional values to bind to @name placeholders in the query. Either an array of { name, value, type } or an object mapping names to values. 'type' is an optional SQL Server type such as 'NVarChar(50)', 'Int', 'DateTime2' or 'Decimal(18,4)'.",
+            oneOf: [
+              {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    value: {
+                      type: ["string", "number", "boolean", "null"],
+                    },
+                    type: { type: "string" },
+                  },
+                  required: ["name", "value"],
+                },
+              },
+              { type: "object" },
+            ],
+          },
+          dbKey: {
+            type: "string",
+            description:
+              "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
+          },
+          maxRows: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Maximum rows to return per result set, capped by the database's maxRows. Truncated result sets of read-only queries include a continuationToken for fetch_next_page.",
+          },
+          timeoutMs: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Cancel the query if it runs longer than this many milliseconds, capped by the database's request timeout (default: the request timeout)",
+          },
+          format: {
+            type: "string",
+            enum: OUTPUT_FORMATS,
+            description:
+              "Output format of the rows (default 'json'). 'json_compact' lists column names once and rows as arrays, saving tokens. 'ndjson', 'csv', 'tsv' and 'markdown' return the rows as a second text item after the JSON summary.",
+          },
+        },
+        required: ["query"],
+      },
+    },
+    {
+      name: "explain_query",
+      description:
+        "Return the estimated execution plan of an SQL query without running it: operators with estimated rows and cost, scans and seeks, missing index suggestions, implicit conversions and warnings (multi-database support)",
       inputSchema: {
         type: "object",
         properties: {
           query: {
             type: "string",
-            description: "The SQL query to execute",
+            description:
+              "The SQL query to explain. Reference bound parameters as @name.",
+          },
+          parameters: {
+            description:
+              "Optional values to bind to @name placeholders, in the same format as execute_sql",
+            oneOf: [{ type: "array" }, { type: "object" }],
           },
           dbKey: {
             type: "string",
             description:
               "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
           },
+          includeXml: {
+            type: "boolean",
+            description: "Also return the raw showplan XML. Defaults to false.",
+          },
         },
         required: ["query"],
       },
     },
+    {
+      name: "fetch_next_page",
+      description:
+        "Fetch the next page of a truncated execute_sql result set using its continuationToken",
+      inputSchema: {
+        type: "object",
+        properties: {
+          continuationToken: {
+            type: "string",
+            description:
+              "The continuationToken from a truncated result set or a previous page",
+          },
+          timeoutMs: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Cancel the page fetch if it runs longer than this many milliseconds, capped by the database's request timeout (default: the request timeout)",
+          },
+        },
+        required: ["continuationToken"],
+      },
+    },
     {
       name: "get_table_schema",
       description:
-        "Retrieve the schema of a specified table (multi-database support)",
+        "Retrieve the schema of a specified table (multi-database support): columns with types, nullability, defaults, identity, computed definitions, collation and descriptions, plus the primary key, foreign keys, unique and check constraints, indexes, triggers and approximate row count",
       inputSchema: {
         type: "object",
         properties: {
           table: {
             type: "string",
-            description: "The name of the table",
+            description:
+              "The table name, optionally schema-qualified (e.g., 'Orders', 'sales.Orders' or '[sales].[Order Details]')",
           },
           dbKey: {
             type: "string",
             description:
               "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
           },
+          compact: {
+            type: "boolean",
+            description:
+              "Return only column names, data types and maximum lengths to save tokens. Defaults to false.",
+          },
         },
         required: ["table"],
       },
     },
+    ...["view", "procedure", "function"].map((kind) => ({
+      name: `list_${kind}s`,
+      description: `List the user-defined ${kind}s of a database with their schema, type and description (multi-database support)`,
+      inputSchema: {
+        type: "object",
+        properties: {
+          schema: {
+            type: "string",
+            description: `Only list ${kind}s in this schema`,
+          },
+          dbKey: {
+            type: "string",
+            description:
+              "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
+          },
+        },
+        required: [],
+      },
+    })),
+    {
+      name: "get_object_definition",
+      description:
+        "Retrieve a view, stored procedure or function: its parameters with types and directions, its result columns and its SQL definition (multi-database support)",
+      inputSchema: {
+        type: "object",
+        properties: {
+          name: {
+            type: "string",
+            description:
+              "The object name, optionally schema-qualified (e.g., 'usp_MonthlySales' or 'reports.vw_Revenue')",
+          },
+          dbKey: {
+            type: "string",
+            description:
+              "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
+          },
+        },
+        required: ["name"],
+      },
+    },
+    {
+      name: "get_relationships",
+      description:
+        "Get the foreign-key graph of a database, a schema or a set of tables as nodes and edges, optionally rendered as a Mermaid erDiagram (multi-database support)",
+      inputSchema: {
+        type: "object",
+        properties: {
+          schema: {
+            type: "string",
+            description:
+              "Only keys that reference or are declared in this schema",
+          },
+          tables: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              "Only keys that touch these tables (e.g., ['sales.Orders', 'Customers'])",
+          },
+          mermaid: {
+            type: "boolean",
+            description:
+              "Also return the graph as a Mermaid erDiagram. Defaults to false.",
+          },
+          dbKey: {
+            type: "string",
+            description:
+              "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
+          },
+        },
+        required: [],
+      },
+    },
+    {
+      name: "execute_procedure",
+      description:
+        "Execute an allow-listed stored procedure with named input and OUTPUT parameters (multi-database support). Returns every result set, the output values and the return value.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          procedure: {
+            type: "string",
+            description:
+              "The procedure name, optionally schema-qualified (e.g., 'dbo.GetCustomerSummary')",
+          },
+          parameters: {
+            description:
+              "Input values, as an object mapping parameter names to values or an array of { name, value }. Types come from the procedure's declaration. Also sets the initial value of OUTPUT parameters.",
+            oneOf: [
+              {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    value: {
+                      type: ["string", "number", "boolean", "null"],
+                    },
+                  },
+                  required: ["name", "value"],
+                },
+              },
+              { type: "object" },
+            ],
+          },
+          outputParameters: {
+            type: "array",
+            description:
+              "OUTPUT parameters to return, as names or { name, type } objects",
+            items: {
+              oneOf: [
+                { type: "string" },
+                {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    type: { type: "string" },
+                  },
+                  required: ["name"],
+                },
+              ],
+            },
+          },
+          dbKey: {
+            type: "string",
+            description:
+              "The database key to use (e.g., 'maindb', 'reportingdb', etc.). Optional in single-db mode.",
+          },
+          maxRows: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Maximum rows to return per result set, capped by the database's maxRows",
+          },
+          timeoutMs: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Cancel the procedure if it runs longer than this many milliseconds, capped by the database's request timeout (default: the request timeout)",
+          },
+        },
+        required: ["procedure"],
+      },
+    },
     {
       name: "list_databases",
       description: "List all configured databases in the application",
@@ -61,93 +377,369 @@ function listTools() {
         required: [],
       },
     },
+    {
+      name: "check_database_health",
+      description:
+        "Check whether databases can be reached: runs SELECT 1 and reports the round-trip latency, server version and edition, database state (ONLINE, RESTORING, read-only), connection pool usage, the last connection error and reconnect backoff",
+      inputSchema: {
+        type: "object",
+        properties: {
+          dbKey: {
+            type: "string",
+            description:
+              "The database key to check. Omit to check every database.",
+          },
+        },
+        required: [],
+      },
+    },
+    {
+      name: "get_audit_log",
+      description:
+        "Get recent audit log entries, newest first: who called which tool against which database, the SQL, the verdict, duration, row counts and errors",
+      inputSchema: {
+        type: "object",
+        properties: {
+          limit: {
+            type: "integer",
+            minimum: 1,
+            maximum: 1000,
+            description: "Maximum entries to return (default 100)",
+          },
+          caller: {
+            type: "string",
+            description: "Only calls made with this API key name",
+          },
+          tool: {
+            type: "string",
+            description: "Only calls of this tool (e.g., 'execute_sql')",
+          },
+          dbKey: {
+            type: "string",
+            description: "Only calls against this database key",
+          },
+          status: {
+            type: "string",
+            enum: ["allowed", "blocked", "error"],
+            description: "Only calls with this outcome",
+          },
+          since: {
+            type: "string",
+            description: "Only entries at or after this ISO 8601 timestamp",
+          },
+        },
+        required: [],
+      },
+    },
   ];
 }
 
 /**
- * Determines if a SQL query is safe to execute
- * @param {string} query - The SQL query to check
- * @returns {boolean} - Whether the query is considered safe
+ * Validates a query and its parameters and checks them against the database's access policy.
+ * Unqualified names are checked in the login's default schema, which takes a
+ * connection the first time.
+ * @param {string} query - The SQL query.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {Array<Object>|Object} [parameters] - Values to bind to @name placeholders.
+ * @param {Object} [principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} validQuery, validParameters, policy and verdict.
+ * @throws {Error} If validation fails, the caller may not use the database
+ *   or the default schema cannot be read.
  */
-function isSafeQuery(query) {
-  const upperQuery = query.trim().toUpperCase();
-  const unsafePatterns = [
-    /\s*DROP\s+/i,
-    /\s*TRUNCATE\s+/i,
-    /\s*ALTER\s+ROLE\s+/i,
-    /\s*CREATE\s+LOGIN\s+/i,
-    /\s*ALTER\s+LOGIN\s+/i,
-    /\s*CREATE\s+USER\s+/i,
-    /\s*ALTER\s+USER\s+/i,
-    /\s*EXEC(\s+|\s*\()/i,
-    /\s*EXECUTE(\s+|\s*\()/i,
-    /\s*xp_cmdshell/i,
-    /\s*sp_configure/i,
-    /\s*RECONFIGURE\s*/i,
-    /\s*GRANT\s+/i,
-    /\s*REVOKE\s+/i,
-    /\s*DENY\s+/i,
-  ];
+async function prepareQuery(query, dbKey, parameters, principal) {
+  const validationInput = { query };
+  if (dbKey) {
+    validationInput.dbKey = dbKey;
+  }
+
+  const validSchema = dbKey
+    ? validate(dbKeyQuerySchema, validationInput)
+    : validate(dbKeyQuerySchema.partial({ dbKey: true }), validationInput);
+  const { query: validQuery } = validSchema;
+  const validParameters =
+    parameters === undefined
+      ? []
+      : validate(sqlParametersSchema, { parameters }).parameters;
+
+  const policy = getAccessPolicy(dbKey, principal);
+  const verdict = checkQueryAccess(
+    validQuery,
+    policy,
+    getDbConfig(dbKey).database,
+    await getDefaultSchema(dbKey),
+  );
+
+  return { validQuery, validParameters, policy, verdict };
+}
+
+/**
+ * Builds the error response for a query the policy blocked.
+ * @param {Object} verdict - Verdict from checkQueryAccess().
+ * @returns {Object} Response object with content array and isError flag.
+ */
+function blockedQueryResponse(verdict) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            error: `Query was blocked for security. ${describeAccessVerdict(verdict)}`,
+            code: ERROR_CODES.EPOLICY,
+            allowedCategories: verdict.allowedCategories,
+            blockedStatements: verdict.blocked,
+            deniedReferences: verdict.deniedReferences,
+          },
+          null,
+          2,
+        ),
+      },
+    ],
+    isError: true,
+  };
+}
 
-  if (process.env.IS_READONLY === "true") {
-    unsafePatterns.push(/\s*INSERT\s+/i, /\s*UPDATE\s+/i, /\s*DELETE\s+/i);
+/**
+ * Whether re-running a query cannot change data, which continuation tokens rely on.
+ * @param {Object} verdict - Verdict from checkQueryAccess().
+ * @returns {boolean}
+ */
+function isRepeatable(verdict) {
+  return verdict.statements.every((stmt) =>
+    ["read", "control"].includes(stmt.category),
+  );
+}
+
+/**
+ * Builds the response of a successful query in an output format. Text formats
+ * return the JSON summary without rows, followed by the formatted rows.
+ * @param {Object} normalizedResult - The result, from normalizeResult().
+ * @param {string} format - One of OUTPUT_FORMATS.
+ * @returns {Object} Response object with content array and isError flag.
+ */
+function formatQueryResponse(normalizedResult, format) {
+  if (format === "json") {
+    return {
+      content: [
+        { type: "text", text: JSON.stringify(normalizedResult, null, 2) },
+      ],
+      isError: false,
+    };
+  }
+  if (format === "json_compact") {
+    const compact = {
+      ...normalizedResult,
+      resultSets: normalizedResult.resultSets.map(compactResultSet),
+    };
+    return {
+      content: [{ type: "text", text: JSON.stringify(compact) }],
+      isError: false,
+    };
   }
 
-  // Check if the query contains unsafe patterns
-  for (const pattern of unsafePatterns) {
-    if (pattern.test(upperQuery)) {
-      return false;
-    }
+  const summary = {
+    ...normalizedResult,
+    format,
+    resultSets: normalizedResult.resultSets.map(
+      ({ rows: _rows, ...resultSet }) => resultSet,
+    ),
+  };
+  return {
+    content: [
+      { type: "text", text: JSON.stringify(summary, null, 2) },
+      {
+        type: "text",
+        text: formatResultSets(normalizedResult.resultSets, format),
+      },
+    ],
+    isError: false,
+  };
+}
+
+/**
+ * Codes of errors that are not failures of the server or the database, as
+ * reported to the caller: invalid input, requests the access policy refuses,
+ * and queries that were stopped. The driver's own requestTimeout also raises
+ * ETIMEOUT.
+ */
+const ERROR_CODES = {
+  EVALIDATION: "invalid",
+  EPOLICY: "denied",
+  ETIMEOUT: "timeout",
+  ECANCEL: "cancelled",
+};
+
+/**
+ * Validates a caller's timeoutMs and caps it by the database's requestTimeout.
+ * @param {number} [timeoutMs] - The requested timeout.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @returns {number|undefined} The timeout, or undefined to use requestTimeout.
+ * @throws {Error} If timeoutMs is invalid.
+ */
+function resolveTimeoutMs(timeoutMs, dbKey) {
+  if (timeoutMs === undefined) {
+    return undefined;
   }
+  return Math.min(
+    validate(timeoutMsSchema, { timeoutMs }).timeoutMs,
+    getDbConfig(dbKey).requestTimeout,
+  );
+}
 
-  return true;
+/**
+ * Builds the error response of a tool, with the error's code from
+ * ERROR_CODES if it has one.
+ * @param {Error} error - The error.
+ * @returns {Object} Response object with content array and isError flag.
+ */
+function toolErrorResponse(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            error: error.message,
+            errorNumber: error.number,
+            code: ERROR_CODES[error.code],
+          },
+          null,
+          2,
+        ),
+      },
+    ],
+    isError: true,
+  };
 }
 
 /**
  * Executes an SQL query and formats the results.
+ * Each result set is capped at maxRows; truncated result sets of read-only
+ * queries carry a continuation token for fetch_next_page.
  * @param {string} query - The SQL query to execute.
  * @param {string} [dbKey] - The database key to select the config.
+ * @param {Array<Object>|Object} [parameters] - Values to bind to @name placeholders.
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows per result set, capped by the database policy.
+ * @param {number} [options.timeoutMs] - Cancel the query after this long, capped
+ *   by the database's requestTimeout.
+ * @param {AbortSignal} [options.signal] - Cancels the query when aborted, e.g.
+ *   on an MCP cancel notification or an HTTP client disconnect. A shutdown
+ *   also cancels the query once its grace period is over.
+ * @param {string} [options.format="json"] - One of OUTPUT_FORMATS.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
  * @returns {Promise<Object>} Response object with content array and isError flag.
+ *   A query that timed out or was cancelled has code "timeout" or "cancelled".
  */
-async function executeSql(query, dbKey) {
+async function executeSql(query, dbKey, parameters, options = {}) {
   try {
-    const validationInput = { query };
-    if (dbKey) {
-      validationInput.dbKey = dbKey;
+    const { validQuery, validParameters, policy, verdict } = await prepareQuery(
+      query,
+      dbKey,
+      parameters,
+      options.principal,
+    );
+    if (!verdict.allowed) {
+      return blockedQueryResponse(verdict);
     }
 
-    const validSchema = dbKey
-      ? validate(dbKeyQuerySchema, validationInput)
-      : validate(dbKeyQuerySchema.partial({ dbKey: true }), validationInput);
-    const { query: validQuery } = validSchema;
+    const maxRows =
+      options.maxRows === undefined
+        ? policy.maxRows
+        : Math.min(
+            validate(maxRowsSchema, { maxRows: options.maxRows }).maxRows,
+            policy.maxRows,
+          );
 
-    if (!isSafeQuery(validQuery)) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(
-              {
-                error:
-                  "Query contains potentially unsafe operations and was blocked for security",
-              },
-              null,
-              2,
-            ),
-          },
-        ],
-        isError: true,
-      };
-    }
+    const format =
+      options.format === undefined
+        ? "json"
+        : validate(outputFormatSchema, { format: options.format }).format;
+
+    const timeoutMs = resolveTimeoutMs(options.timeoutMs, dbKey);
 
     const pool = await getPool(dbKey);
-    const result = await pool.request().query(validQuery);
+    const request = bindParameters(pool.request(), validParameters);
+    const messages = collectMessages(request);
+    const result = await streamQuery(request, validQuery, {
+      maxRows,
+      timeoutMs,
+      signal: withShutdownSignal(options.signal),
+    });
 
     const normalizedResult = {
       message: "Query executed successfully",
-      rowsAffected: result.rowsAffected[0],
-      recordset: result.recordset,
+      ...normalizeResult(result, messages, {
+        serialization: serializationConfig,
+      }),
+    };
+
+    const truncatedSets = normalizedResult.resultSets.filter(
+      (resultSet) => resultSet.truncated,
+    );
+    if (truncatedSets.length > 0) {
+      normalizedResult.maxRows = maxRows;
+      if (isRepeatable(verdict)) {
+        truncatedSets.forEach((resultSet) => {
+          resultSet.continuationToken = encodeContinuationToken({
+            dbKey,
+            query: validQuery,
+            parameters,
+            resultSet: resultSet.index,
+            offset: resultSet.rows.length,
+            pageSize: maxRows,
+          });
+        });
+      } else {
+        normalizedResult.note =
+          "Rows beyond maxRows were discarded. Continuation tokens are only issued for read-only queries, because fetching a page re-runs the query.";
+      }
+    }
+
+    return formatQueryResponse(normalizedResult, format);
+  } catch (error) {
+    console.error(`Error executing SQL query: ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Returns a summary of a query's estimated execution plan. The query is
+ * compiled under SET SHOWPLAN_XML ON, so it is never run, but it still has
+ * to pass the same validation and policy checks as executeSql.
+ * @param {string} query - The SQL query to explain.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {Array<Object>|Object} [parameters] - Values to bind to @name placeholders.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeXml=false] - Also return the raw showplan XML.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+async function explainQuery(query, dbKey, parameters, options = {}) {
+  try {
+    const { validQuery, validParameters, verdict } = await prepareQuery(
+      query,
+      dbKey,
+      parameters,
+      options.principal,
+    );
+    if (!verdict.allowed) {
+      return blockedQueryResponse(verdict);
+    }
+    const includeXml =
+      options.includeXml !== undefined &&
+      validate(includeXmlSchema, { includeXml: options.includeXml }).includeXml;
+
+    const pool = await getPool(dbKey);
+    const plans = await captureShowplan(pool, validQuery, validParameters);
+
+    const normalizedResult = {
+      message: "Estimated plan generated; the query was not executed",
+      statements: summarizeShowplan(plans),
     };
+    if (includeXml) {
+      normalizedResult.planXml = plans;
+    }
 
     return {
       content: [
@@ -156,26 +748,146 @@ async function executeSql(query, dbKey) {
       isError: false,
     };
   } catch (error) {
-    console.error(`Error executing SQL query: ${error.message}`);
+    console.error(`Error explaining SQL query: ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Fetches the next page of a truncated result set.
+ * Single SELECT statements with a top-level ORDER BY are re-run with OFFSET/FETCH;
+ * anything else is re-run in streaming mode, skipping the rows already returned.
+ * The token's query is checked again, so a caller can only page through what it may read.
+ * @param {string} continuationToken - Token from a previous execute_sql or fetch_next_page call.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - As for executeSql.
+ * @param {AbortSignal} [options.signal] - As for executeSql.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ *   A page fetch that timed out or was cancelled has code "timeout" or "cancelled".
+ */
+async function fetchNextPage(continuationToken, options = {}) {
+  try {
+    const { continuationToken: validToken } = validate(
+      continuationTokenSchema,
+      { continuationToken },
+    );
+    const page = decodeContinuationToken(validToken);
+    const { validQuery, validParameters, policy, verdict } = await prepareQuery(
+      page.query,
+      page.dbKey,
+      page.parameters,
+      options.principal,
+    );
+    if (!verdict.allowed) {
+      return blockedQueryResponse(verdict);
+    }
+    if (!isRepeatable(verdict)) {
+      throw new Error(
+        "Continuation tokens are only valid for read-only queries",
+      );
+    }
+
+    const pageSize = Math.min(page.pageSize, policy.maxRows);
+    const stopOptions = {
+      timeoutMs: resolveTimeoutMs(options.timeoutMs, page.dbKey),
+      signal: withShutdownSignal(options.signal),
+    };
+    const pool = await getPool(page.dbKey);
+    const request = bindParameters(pool.request(), validParameters);
+
+    const offsetFetchQuery =
+      page.resultSet === 0 &&
+      verdict.statements.length === 1 &&
+      !validParameters.some((param) => /^mcp_/i.test(param.name))
+        ? buildOffsetFetchQuery(validQuery)
+        : null;
+
+    let resultSet;
+    let hasMore;
+    if (offsetFetchQuery) {
+      // Fetch one extra row to learn whether another page exists
+      bindParameters(request, [
+        { name: "mcp_offset", value: page.offset, type: INT_TYPE },
+        { name: "mcp_fetch", value: pageSize + 1, type: INT_TYPE },
+      ]);
+      const result = await runCancellable(
+        request,
+        () => request.query(offsetFetchQuery),
+        stopOptions,
+      );
+      const recordset = result.recordset || [];
+      const columns = describeColumns(recordset.columns);
+      hasMore = recordset.length > pageSize;
+      resultSet = {
+        index: page.resultSet,
+        columns,
+        pagingMode: "offset_fetch",
+        rows: serializeRows(
+          recordset.slice(0, pageSize),
+          columns,
+          serializationConfig,
+        ),
+      };
+    } else {
+      const result = await streamQuery(request, validQuery, {
+        maxRows: pageSize,
+        resultSet: page.resultSet,
+        offset: page.offset,
+        ...stopOptions,
+      });
+      const recordset = result.recordsets[page.resultSet];
+      if (!recordset) {
+        throw new Error(
+          `Result set ${page.resultSet} is no longer returned by the query`,
+        );
+      }
+      hasMore = recordset.totalRows > page.offset + recordset.length;
+      const columns = describeColumns(recordset.columns);
+      resultSet = {
+        index: page.resultSet,
+        columns,
+        pagingMode: "stream",
+        rowCount: recordset.totalRows,
+        rows: serializeRows(recordset, columns, serializationConfig),
+      };
+    }
+
+    const normalizedResult = {
+      message: "Page fetched successfully",
+      offset: page.offset,
+      resultSet,
+    };
+    if (hasMore) {
+      normalizedResult.continuationToken = encodeContinuationToken({
+        ...page,
+        offset: page.offset + resultSet.rows.length,
+        pageSize,
+      });
+    }
+
     return {
       content: [
-        {
-          type: "text",
-          text: JSON.stringify({ error: error.message }, null, 2),
-        },
+        { type: "text", text: JSON.stringify(normalizedResult, null, 2) },
       ],
-      isError: true,
+      isError: false,
     };
+  } catch (error) {
+    console.error(`Error fetching next page: ${error.message}`);
+    return toolErrorResponse(error);
   }
 }
 
 /**
  * Retrieves schema information for a specified table.
- * @param {string} table - The name of the table to get schema for.
+ * @param {string} table - The table to get schema for, optionally schema-qualified ("sales.Orders").
  * @param {string} [dbKey] - The database key to select the config.
+ * @param {Object} [options]
+ * @param {boolean} [options.compact=false] - Only return column names, data types and maximum lengths.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
  * @returns {Promise<Object>} Response object with content array and isError flag.
  */
-async function getTableSchema(table, dbKey) {
+async function getTableSchema(table, dbKey, options = {}) {
   try {
     const validationInput = { table };
     if (dbKey) {
@@ -187,22 +899,69 @@ async function getTableSchema(table, dbKey) {
       : validate(dbKeyTableSchema.partial({ dbKey: true }), validationInput);
 
     const { table: validTable } = validSchema;
+    const tableName = formatTableName(validTable);
+    const compact =
+      options.compact !== undefined &&
+      validate(compactSchema, { compact: options.compact }).compact;
 
+    const policy = getAccessPolicy(dbKey, options.principal);
+    // A denied table is refused before it reaches the database. An unqualified
+    // name is checked in each schema it is found in.
+    if (
+      validTable.schema &&
+      !isTableAllowed(policy, validTable.schema, validTable.name)
+    ) {
+      throw accessDeniedError(
+        `Access to table '${tableName}' is denied by the database policy`,
+      );
+    }
     const pool = await getPool(dbKey);
-    const result = await pool.request().input("tableName", validTable).query(`
-        SELECT COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH
+    const result = await pool
+      .request()
+      .input("tableName", validTable.name)
+      .input("schemaName", validTable.schema).query(`
+        SELECT TABLE_SCHEMA, COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH
         FROM INFORMATION_SCHEMA.COLUMNS
         WHERE TABLE_NAME = @tableName
-        ORDER BY ORDINAL_POSITION
+          AND (@schemaName IS NULL OR TABLE_SCHEMA = @schemaName)
+        ORDER BY TABLE_SCHEMA, ORDINAL_POSITION
       `);
 
     if (result.recordset.length === 0) {
-      throw new Error(`Table '${validTable}' not found or has no columns`);
+      throw new Error(`Table '${tableName}' not found or has no columns`);
+    }
+
+    const accessibleRows = result.recordset.filter((row) =>
+      isTableAllowed(policy, row.TABLE_SCHEMA, validTable.name),
+    );
+    if (accessibleRows.length === 0) {
+      throw accessDeniedError(
+        `Access to table '${tableName}' is denied by the database policy`,
+      );
     }
 
+    // An unqualified name can match tables in several schemas
+    const schemas = [...new Set(accessibleRows.map((row) => row.TABLE_SCHEMA))];
+    if (schemas.length > 1) {
+      throw new Error(
+        `Table name '${tableName}' is ambiguous. Qualify it with a schema: ${schemas
+          .map((schema) => formatTableName({ schema, name: validTable.name }))
+          .join(", ")}`,
+      );
+    }
+
+    const resolvedTable = { schema: schemas[0], name: validTable.name };
     const normalizedResult = {
-      table: validTable,
-      columns: result.recordset,
+      table: formatTableName(resolvedTable),
+      schema: resolvedTable.schema,
+      name: resolvedTable.name,
+      ...(compact
+        ? {
+            columns: accessibleRows.map(
+              ({ TABLE_SCHEMA: _schema, ...column }) => column,
+            ),
+          }
+        : await loadTableDetails(pool, resolvedTable)),
     };
 
     return {
@@ -215,42 +974,383 @@ async function getTableSchema(table, dbKey) {
     console.error(
       `Error retrieving schema for table '${table}': ${error.message}`,
     );
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Lists the views, procedures or functions the database's access policy allows.
+ * @param {string} kind - "view", "procedure" or "function".
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {string} [schema] - Only list objects in this schema.
+ * @param {Object} [principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+async function listProgrammableObjects(kind, dbKey, schema, principal) {
+  try {
+    if (dbKey) {
+      validate(dbKeySchema, { dbKey });
+    }
+    const validSchema =
+      schema === undefined
+        ? null
+        : validate(schemaFilterSchema, { schema }).schema;
+
+    const policy = getAccessPolicy(dbKey, principal);
+    const pool = await getPool(dbKey);
+    const objects = (await listObjects(pool, kind, validSchema)).filter(
+      (object) =>
+        getObjectDenialReason(
+          policy,
+          object.type,
+          object.schema,
+          object.name,
+        ) === null,
+    );
+
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ error: error.message }, null, 2),
+          text: JSON.stringify(
+            { [`${kind}s`]: objects, count: objects.length },
+            null,
+            2,
+          ),
         },
       ],
-      isError: true,
+      isError: false,
     };
+  } catch (error) {
+    console.error(`Error listing ${kind}s: ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Lists the views of a database.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {string} [schema] - Only list views in this schema.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+function listViews(dbKey, schema, options = {}) {
+  return listProgrammableObjects("view", dbKey, schema, options.principal);
+}
+
+/**
+ * Lists the stored procedures of a database.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {string} [schema] - Only list procedures in this schema.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+function listProcedures(dbKey, schema, options = {}) {
+  return listProgrammableObjects("procedure", dbKey, schema, options.principal);
+}
+
+/**
+ * Lists the user-defined functions of a database.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {string} [schema] - Only list functions in this schema.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+function listFunctions(dbKey, schema, options = {}) {
+  return listProgrammableObjects("function", dbKey, schema, options.principal);
+}
+
+/**
+ * Retrieves the parameters, result columns and definition of a view, procedure or function.
+ * @param {string} name - The object name, optionally schema-qualified ("reports.usp_Sales").
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+async function getObjectDefinition(name, dbKey, options = {}) {
+  try {
+    const validationInput = { name };
+    if (dbKey) {
+      validationInput.dbKey = dbKey;
+    }
+
+    const { name: validName } = dbKey
+      ? validate(dbKeyObjectNameSchema, validationInput)
+      : validate(
+          dbKeyObjectNameSchema.partial({ dbKey: true }),
+          validationInput,
+        );
+    const objectName = formatTableName(validName);
+
+    const policy = getAccessPolicy(dbKey, options.principal);
+    const pool = await getPool(dbKey);
+    const matches = await findObjects(pool, validName);
+    if (matches.length === 0) {
+      throw new Error(`View, procedure or function '${objectName}' not found`);
+    }
+
+    const accessible = matches.filter(
+      (object) =>
+        getObjectDenialReason(
+          policy,
+          object.type_desc,
+          object.schema_name,
+          object.name,
+        ) === null,
+    );
+    if (accessible.length === 0) {
+      throw accessDeniedError(
+        `Access to '${objectName}' is denied by the database policy`,
+      );
+    }
+    if (accessible.length > 1) {
+      throw new Error(
+        `Object name '${objectName}' is ambiguous. Qualify it with a schema: ${accessible
+          .map((object) => `${object.schema_name}.${object.name}`)
+          .join(", ")}`,
+      );
+    }
+
+    const definition = await loadObjectDefinition(pool, accessible[0]);
+
+    return {
+      content: [{ type: "text", text: JSON.stringify(definition, null, 2) }],
+      isError: false,
+    };
+  } catch (error) {
+    console.error(`Error retrieving definition of '${name}': ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Builds the foreign-key graph of a database, optionally narrowed to a schema or tables.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {Object} [options]
+ * @param {string} [options.schema] - Only keys that touch a table in this schema.
+ * @param {Array<string>} [options.tables] - Only keys that touch these tables.
+ * @param {boolean} [options.mermaid=false] - Also render a Mermaid erDiagram.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+async function getRelationships(dbKey, options = {}) {
+  try {
+    if (dbKey) {
+      validate(dbKeySchema, { dbKey });
+    }
+    const { principal, ...filters } = options;
+    const validOptions = validate(relationshipOptionsSchema, filters);
+
+    const policy = getAccessPolicy(dbKey, principal);
+    const pool = await getPool(dbKey);
+    const graph = buildRelationshipGraph(
+      await loadForeignKeys(pool),
+      policy,
+      validOptions,
+    );
+
+    const normalizedResult = {
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      ...graph,
+    };
+    if (validOptions.mermaid) {
+      normalizedResult.mermaid = renderMermaidErDiagram(graph);
+    }
+
+    return {
+      content: [
+        { type: "text", text: JSON.stringify(normalizedResult, null, 2) },
+      ],
+      isError: false,
+    };
+  } catch (error) {
+    console.error(`Error building relationship graph: ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Executes a stored procedure the database's allowedProcedures permit.
+ * Arguments are matched to the procedure's sys.parameters and coerced to the declared types.
+ * @param {string} procedure - The procedure name, optionally schema-qualified.
+ * @param {string} [dbKey] - The database key to select the config.
+ * @param {Array<Object>|Object} [parameters] - Input values by parameter name.
+ * @param {Array<string|Object>} [outputParameters] - OUTPUT parameters to return.
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Rows per result set, capped by the database policy.
+ * @param {number} [options.timeoutMs] - As for executeSql.
+ * @param {AbortSignal} [options.signal] - As for executeSql.
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ *   A call that timed out or was cancelled has code "timeout" or "cancelled".
+ */
+async function executeProcedure(
+  procedure,
+  dbKey,
+  parameters,
+  outputParameters,
+  options = {},
+) {
+  try {
+    const validationInput = { name: procedure };
+    if (dbKey) {
+      validationInput.dbKey = dbKey;
+    }
+
+    const { name: validName } = dbKey
+      ? validate(dbKeyObjectNameSchema, validationInput)
+      : validate(
+          dbKeyObjectNameSchema.partial({ dbKey: true }),
+          validationInput,
+        );
+    const validParameters =
+      parameters === undefined
+        ? []
+        : validate(sqlParametersSchema, { parameters }).parameters;
+    const validOutputs =
+      outputParameters === undefined
+        ? []
+        : validate(outputParametersSchema, { outputParameters })
+            .outputParameters;
+    const procedureName = formatTableName(validName);
+
+    const policy = getAccessPolicy(dbKey, options.principal);
+    const maxRows =
+      options.maxRows === undefined
+        ? policy.maxRows
+        : Math.min(
+            validate(maxRowsSchema, { maxRows: options.maxRows }).maxRows,
+            policy.maxRows,
+          );
+    const timeoutMs = resolveTimeoutMs(options.timeoutMs, dbKey);
+
+    const pool = await getPool(dbKey);
+    const candidates = (await findObjects(pool, validName)).filter((object) =>
+      OBJECT_TYPES.procedure.includes(object.type),
+    );
+    if (candidates.length === 0) {
+      throw new Error(`Stored procedure '${procedureName}' not found`);
+    }
+    const allowed = candidates.filter(
+      (object) =>
+        getProcedureDenialReason(policy, object.schema_name, object.name) ===
+        null,
+    );
+    if (allowed.length === 0) {
+      const reason =
+        candidates.length === 1
+          ? getProcedureDenialReason(
+              policy,
+              candidates[0].schema_name,
+              candidates[0].name,
+            )
+          : "no matching procedure is allowed";
+      throw accessDeniedError(
+        `Execution of '${procedureName}' is denied by the database policy: ${reason}`,
+      );
+    }
+    if (allowed.length > 1) {
+      throw new Error(
+        `Procedure name '${procedureName}' is ambiguous. Qualify it with a schema: ${allowed
+          .map((object) => `${object.schema_name}.${object.name}`)
+          .join(", ")}`,
+      );
+    }
+
+    const [target] = allowed;
+    const metadata = await loadParameters(pool, target.object_id);
+    const { inputs, outputs } = buildProcedureParameters(
+      metadata,
+      validParameters,
+      validOutputs,
+    );
+
+    const request = pool.request();
+    bindParameters(request, inputs);
+    bindOutputParameters(request, outputs);
+    const messages = collectMessages(request);
+    const result = await runCancellable(
+      request,
+      () =>
+        request.execute(
+          quoteTableName({ schema: target.schema_name, name: target.name }),
+        ),
+      { timeoutMs, signal: withShutdownSignal(options.signal) },
+    );
+
+    const normalizedResult = {
+      message: "Procedure executed successfully",
+      procedure: `${target.schema_name}.${target.name}`,
+      returnValue: result.returnValue,
+      output: serializeOutputParameters(
+        result.output || {},
+        outputs,
+        serializationConfig,
+      ),
+      ...normalizeResult(result, messages, {
+        maxRows,
+        serialization: serializationConfig,
+      }),
+    };
+    if (normalizedResult.resultSets.some((resultSet) => resultSet.truncated)) {
+      normalizedResult.maxRows = maxRows;
+    }
+
+    return {
+      content: [
+        { type: "text", text: JSON.stringify(normalizedResult, null, 2) },
+      ],
+      isError: false,
+    };
+  } catch (error) {
+    console.error(`Error executing procedure '${procedure}': ${error.message}`);
+    return toolErrorResponse(error);
   }
 }
 
 /**
  * Lists all configured databases and their connection information.
- * Masks sensitive information like passwords.
+ * Masks sensitive information like passwords. An API key only sees the
+ * databases it may use, with their policies narrowed to its access.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
  * @returns {Promise<Object>} Response object with database configurations.
  */
-async function listDatabases() {
+async function listDatabases(options = {}) {
   try {
-    // Create a sanitized copy of configurations (without passwords)
+    // Create a sanitized copy of configurations (without passwords, secrets or tokens)
     const sanitizedConfigs = {};
+    const limitStats = getLimitStats();
+    const visibleConfigs = Object.entries(dbConfigs).filter(
+      ([key]) =>
+        getPrincipalDenialReason(options.principal, { dbKey: key }) === null,
+    );
 
-    for (const [key, config] of Object.entries(dbConfigs)) {
+    for (const [key, config] of visibleConfigs) {
       sanitizedConfigs[key] = {
         server: config.server,
         port: config.port || 1433,
         database: config.database,
-        user: config.user,
+        authentication: describeAuthentication(config),
         options: {
           encrypt: config.options.encrypt,
           trustServerCertificate: config.options.trustServerCertificate,
         },
+        accessPolicy: getAccessPolicy(key, options.principal),
+        queryLimits: limitStats.databases[key],
       };
     }
 
-    const statusInfo = getConnectionStatus();
+    const statusInfo = Object.fromEntries(
+      Object.entries(getConnectionStatus()).filter(
+        ([key]) => key in sanitizedConfigs,
+      ),
+    );
 
     return {
       content: [
@@ -258,10 +1358,10 @@ async function listDatabases() {
           type: "text",
           text: JSON.stringify(
             {
-              availableDatabases: Object.keys(dbConfigs),
+              availableDatabases: Object.keys(sanitizedConfigs),
               configurations: sanitizedConfigs,
               connectionStatus: statusInfo,
-              count: Object.keys(dbConfigs).length,
+              count: Object.keys(sanitizedConfigs).length,
               defaultDatabase: Object.keys(dbConfigs)[0],
             },
             null,
@@ -273,21 +1373,179 @@ async function listDatabases() {
     };
   } catch (error) {
     console.error(`Error listing databases: ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Checks the health of one database, or of every database the caller may
+ * use. Unhealthy databases are reported, not raised as a tool error.
+ * @param {string} [dbKey] - The database key; all databases if omitted.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with the overall status and each database's check.
+ */
+async function checkDatabaseHealth(dbKey, options = {}) {
+  try {
+    let dbKeys;
+    if (dbKey) {
+      validate(dbKeySchema, { dbKey });
+      getDbConfig(dbKey);
+      const reason = getPrincipalDenialReason(options.principal, {
+        dbKey: dbKey.toLowerCase(),
+      });
+      if (reason) {
+        throw accessDeniedError(reason);
+      }
+      dbKeys = [dbKey.toLowerCase()];
+    } else {
+      dbKeys = Object.keys(dbConfigs).filter(
+        (key) =>
+          getPrincipalDenialReason(options.principal, { dbKey: key }) === null,
+      );
+    }
+
+    const health = await checkHealth(dbKeys);
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ error: error.message }, null, 2),
+          text: JSON.stringify(health, null, 2),
         },
       ],
-      isError: true,
+      isError: false,
     };
+  } catch (error) {
+    console.error(`Error checking database health: ${error.message}`);
+    return toolErrorResponse(error);
+  }
+}
+
+/**
+ * Returns recent audit log entries. An API key only sees entries for the
+ * databases it may use.
+ * @param {Object} [filters] - limit, caller, tool, dbKey, status and since.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - The API key making the call, over HTTP.
+ * @returns {Promise<Object>} Response object with content array and isError flag.
+ */
+async function getAuditLog(filters = {}, options = {}) {
+  try {
+    const validFilters = validate(auditLogFiltersSchema, filters);
+    const entries = getRecentAuditEntries({
+      ...validFilters,
+      include: (entry) =>
+        entry.dbKey === null ||
+        getPrincipalDenialReason(options.principal, {
+          dbKey: entry.dbKey,
+        }) === null,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ entries, count: entries.length }, null, 2),
+        },
+      ],
+      isError: false,
+    };
+  } catch (error) {
+    console.error(`Error reading audit log: ${error.message}`);
+    return toolErrorResponse(error);
   }
 }
 
 module.exports = {
   listTools,
-  executeSql,
-  getTableSchema,
-  listDatabases,
+  executeSql: audited(
+    "execute_sql",
+    executeSql,
+    (query, dbKey, parameters, options) => ({
+      dbKey,
+      query,
+      parameters,
+      options,
+    }),
+  ),
+  explainQuery: audited(
+    "explain_query",
+    explainQuery,
+    (query, dbKey, parameters, options) => ({
+      dbKey,
+      query,
+      parameters,
+      options,
+    }),
+  ),
+  fetchNextPage: audited(
+    "fetch_next_page",
+    fetchNextPage,
+    (continuationToken, options) => {
+      try {
+        const page = decodeContinuationToken(continuationToken);
+        return {
+          dbKey: page.dbKey,
+          query: page.query,
+          parameters: page.parameters,
+          options,
+        };
+      } catch {
+        // The tool reports malformed tokens
+        return { options };
+      }
+    },
+  ),
+  getTableSchema: audited(
+    "get_table_schema",
+    getTableSchema,
+    (table, dbKey, options) => ({ dbKey, query: table, options }),
+  ),
+  listViews: audited("list_views", listViews, (dbKey, schema, options) => ({
+    dbKey,
+    options,
+  })),
+  listProcedures: audited(
+    "list_procedures",
+    listProcedures,
+    (dbKey, schema, options) => ({ dbKey, options }),
+  ),
+  listFunctions: audited(
+    "list_functions",
+    listFunctions,
+    (dbKey, schema, options) => ({ dbKey, options }),
+  ),
+  getObjectDefinition: audited(
+    "get_object_definition",
+    getObjectDefinition,
+    (name, dbKey, options) => ({ dbKey, query: name, options }),
+  ),
+  getRelationships: audited(
+    "get_relationships",
+    getRelationships,
+    (dbKey, options) => ({ dbKey, options }),
+  ),
+  executeProcedure: audited(
+    "execute_procedure",
+    executeProcedure,
+    (procedure, dbKey, parameters, outputParameters, options) => ({
+      dbKey,
+      query: procedure,
+      parameters,
+      options,
+    }),
+  ),
+  listDatabases: audited("list_databases", listDatabases, (options) => ({
+    options,
+    database: false,
+  })),
+  checkDatabaseHealth: audited(
+    "check_database_health",
+    checkDatabaseHealth,
+    (dbKey, options) => ({ dbKey, options, database: false }),
+  ),
+  getAuditLog: audited("get_audit_log", getAuditLog, (filters, options) => ({
+    options,
+    database: false,
+  })),
 };
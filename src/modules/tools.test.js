@@ -0,0 +1,674 @@
+const { EventEmitter } = require("events");
+const { getPool } = require("../db/connection");
+const { getAccessPolicy } = require("../config");
+const {
+  executeSql,
+  explainQuery,
+  fetchNextPage,
+  getTableSchema,
+  getObjectDefinition,
+  executeProcedure,
+  getAuditLog,
+} = require("./tools");
+const { recordAuditEntry } = require("./audit");
+
+jest.mock("../db/connection");
+jest.mock("../config", () => {
+  const policy = {
+    mode: "readwrite",
+    allowedSchemas: [],
+    deniedSchemas: [],
+    allowedTables: [],
+    deniedTables: [],
+    allowedCategories: ["control", "read", "dml"],
+    crossDatabaseAccess: false,
+    allowedProcedures: ["dbo.GetCustomerSummary"],
+    maxRows: 1000,
+  };
+  const dbConfigs = {
+    maindb: { database: "main", options: {}, requestTimeout: 50 },
+  };
+  return {
+    dbConfigs,
+    accessPolicies: { maindb: policy },
+    getDbConfig: () => dbConfigs.maindb,
+    getAccessPolicy: () => policy,
+    getConnectionStatus: () => ({}),
+  };
+});
+
+/**
+ * A stand-in for mssql's Request that replays scripted result sets,
+ * in streaming mode through events and otherwise as a resolved result.
+ */
+class FakeRequest extends EventEmitter {
+  constructor(recordsets) {
+    super();
+    this.recordsets = recordsets;
+    this.inputs = {};
+    this.stream = false;
+  }
+
+  input(name, type, value) {
+    this.inputs[name] = arguments.length === 2 ? type : value;
+    return this;
+  }
+
+  output(name, type, value) {
+    this.outputs = { ...this.outputs, [name]: value };
+    return this;
+  }
+
+  async execute(procedure) {
+    this.executed = procedure;
+    return {
+      ...(await this.query(procedure)),
+      output: this.outputValues,
+      returnValue: 0,
+    };
+  }
+
+  query(query, callback) {
+    this.executed = query;
+    if (this.stream) {
+      setImmediate(() => {
+        // An entry without columns stands for a statement without a result set
+        for (const { columns, rows, rowsAffected } of this.recordsets) {
+          if (columns) {
+            this.emit("recordset", columns);
+            rows.forEach((row) => this.emit("row", row));
+          }
+          this.emit("rowsaffected", rowsAffected ?? rows.length);
+        }
+        this.emit("done", {});
+        callback(null);
+      });
+      return this;
+    }
+    const recordsets = this.recordsets.map(({ columns, rows }) =>
+      Object.assign([...rows], { columns }),
+    );
+    return Promise.resolve({
+      recordsets,
+      recordset: recordsets[0],
+      rowsAffected: recordsets.map((set) => set.length),
+    });
+  }
+}
+
+/**
+ * A request that runs until it is cancelled, like a long-running query.
+ */
+class HangingRequest extends FakeRequest {
+  query(query) {
+    this.executed = query;
+    if (this.stream) {
+      return this;
+    }
+    return new Promise((_resolve, reject) => {
+      this.reject = reject;
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+    setImmediate(() => {
+      const error = new Error("Canceled.");
+      error.code = "ECANCEL";
+      if (this.stream) {
+        this.emit("error", error);
+        this.emit("done", {});
+      } else {
+        this.reject(error);
+      }
+    });
+  }
+}
+
+const idColumns = { Id: { index: 0, name: "Id", nullable: false } };
+const rows = (count, start = 1) =>
+  Array.from({ length: count }, (_, i) => ({ Id: start + i }));
+
+function mockRequests(...scripts) {
+  const requests = scripts.map((recordsets) => new FakeRequest(recordsets));
+  const request = jest.fn();
+  requests.forEach((fake) => request.mockReturnValueOnce(fake));
+  getPool.mockResolvedValue({ request });
+  return requests;
+}
+
+const parse = (response) => JSON.parse(response.content[0].text);
+
+describe("executeSql paging", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("should cap result sets and return a continuation token", async () => {
+    mockRequests([{ columns: idColumns, rows: rows(5) }]);
+
+    const result = parse(
+      await executeSql("SELECT Id FROM Orders", undefined, undefined, {
+        maxRows: 2,
+      }),
+    );
+
+    expect(result.maxRows).toBe(2);
+    expect(result.resultSets[0]).toMatchObject({
+      rowCount: 5,
+      rows: rows(2),
+      truncated: true,
+    });
+    expect(typeof result.resultSets[0].continuationToken).toBe("string");
+  });
+
+  it("should give each result set the count of its own statement", async () => {
+    mockRequests([
+      { rowsAffected: 4 },
+      { columns: idColumns, rows: rows(3) },
+      { rowsAffected: 1 },
+      { columns: idColumns, rows: rows(2) },
+    ]);
+
+    const result = parse(
+      await executeSql(
+        "UPDATE Orders SET Flag = 1; SELECT Id FROM Orders; DELETE FROM Carts WHERE Id = 1; SELECT Id FROM Carts",
+      ),
+    );
+
+    expect(result.rowsAffected).toEqual([4, 3, 1, 2]);
+    expect(
+      result.resultSets.map(({ rowCount, rowsAffected }) => ({
+        rowCount,
+        rowsAffected,
+      })),
+    ).toEqual([
+      { rowCount: 3, rowsAffected: 3 },
+      { rowCount: 2, rowsAffected: 2 },
+    ]);
+  });
+
+  it("should not issue continuation tokens for queries that write", async () => {
+    mockRequests([{ columns: idColumns, rows: rows(3) }]);
+
+    const result = parse(
+      await executeSql(
+        "UPDATE Orders SET Flag = 1 OUTPUT inserted.Id",
+        undefined,
+        undefined,
+        { maxRows: 1 },
+      ),
+    );
+
+    expect(result.resultSets[0].continuationToken).toBeUndefined();
+    expect(result.note).toMatch(/only issued for read-only queries/);
+  });
+
+  it("should page with OFFSET/FETCH when the query has an ORDER BY", async () => {
+    const [, pageRequest] = mockRequests(
+      [{ columns: idColumns, rows: rows(5) }],
+      [{ columns: idColumns, rows: rows(3, 3) }],
+    );
+    const first = parse(
+      await executeSql(
+        "SELECT Id FROM Orders ORDER BY Id",
+        undefined,
+        undefined,
+        {
+          maxRows: 2,
+        },
+      ),
+    );
+
+    const page = parse(
+      await fetchNextPage(first.resultSets[0].continuationToken),
+    );
+
+    expect(pageRequest.executed).toMatch(
+      /ORDER BY Id OFFSET @mcp_offset ROWS FETCH NEXT @mcp_fetch ROWS ONLY$/,
+    );
+    expect(pageRequest.inputs).toEqual({ mcp_offset: 2, mcp_fetch: 3 });
+    expect(page.resultSet.pagingMode).toBe("offset_fetch");
+    expect(page.resultSet.rows).toEqual(rows(2, 3));
+    expect(page.continuationToken).toBeDefined();
+  });
+
+  it("should page by streaming when the query cannot be rewritten", async () => {
+    mockRequests(
+      [{ columns: idColumns, rows: rows(3) }],
+      [{ columns: idColumns, rows: rows(3) }],
+    );
+    const first = parse(
+      await executeSql("SELECT Id FROM Orders", undefined, undefined, {
+        maxRows: 2,
+      }),
+    );
+
+    const page = parse(
+      await fetchNextPage(first.resultSets[0].continuationToken),
+    );
+
+    expect(page.resultSet.pagingMode).toBe("stream");
+    expect(page.resultSet.rows).toEqual([{ Id: 3 }]);
+    expect(page.continuationToken).toBeUndefined();
+  });
+
+  it("should reject malformed continuation tokens", async () => {
+    const result = await fetchNextPage("not-a-token");
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).error).toMatch(/Invalid continuation token/);
+  });
+});
+
+describe("executeSql formats", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("should return a summary followed by the rows in text formats", async () => {
+    mockRequests([{ columns: idColumns, rows: rows(3) }]);
+
+    const result = await executeSql(
+      "SELECT Id FROM Orders",
+      undefined,
+      undefined,
+      { maxRows: 2, format: "csv" },
+    );
+
+    const summary = parse(result);
+    expect(summary.format).toBe("csv");
+    expect(summary.resultSets[0]).toMatchObject({
+      rowCount: 3,
+      truncated: true,
+    });
+    expect(summary.resultSets[0].rows).toBeUndefined();
+    expect(result.content[1].text).toBe("Id\r\n1\r\n2");
+  });
+
+  it("should return rows as arrays in json_compact", async () => {
+    mockRequests([{ columns: idColumns, rows: rows(2) }]);
+
+    const result = await executeSql(
+      "SELECT Id FROM Orders",
+      undefined,
+      undefined,
+      {
+        format: "json_compact",
+      },
+    );
+
+    expect(result.content).toHaveLength(1);
+    expect(parse(result).resultSets[0]).toMatchObject({
+      columns: ["Id"],
+      rows: [[1], [2]],
+    });
+  });
+
+  it("should reject unknown formats", async () => {
+    const result = await executeSql("SELECT 1", undefined, undefined, {
+      format: "xml",
+    });
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).error).toMatch(/format must be one of/);
+  });
+});
+
+describe("executeSql cancellation", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  function mockHangingRequest() {
+    const request = new HangingRequest([]);
+    getPool.mockResolvedValue({ request: () => request });
+    return request;
+  }
+
+  it("should cancel queries that exceed timeoutMs, capped by the request timeout", async () => {
+    const request = mockHangingRequest();
+
+    const result = await executeSql("SELECT 1", undefined, undefined, {
+      timeoutMs: 60000,
+    });
+
+    expect(request.cancelled).toBe(true);
+    expect(result.isError).toBe(true);
+    expect(parse(result)).toMatchObject({
+      code: "timeout",
+      error: "Query timed out after 50 ms and was cancelled",
+    });
+  });
+
+  it("should cancel the query when the signal is aborted", async () => {
+    const request = mockHangingRequest();
+    const controller = new AbortController();
+
+    const pending = executeSql("SELECT 1", undefined, undefined, {
+      signal: controller.signal,
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+    const result = await pending;
+
+    expect(request.cancelled).toBe(true);
+    expect(parse(result)).toMatchObject({
+      code: "cancelled",
+      error: "Query was cancelled by the client",
+    });
+  });
+
+  it("should cancel page fetches when the signal is aborted", async () => {
+    const hanging = new HangingRequest([]);
+    const request = jest
+      .fn()
+      .mockReturnValueOnce(
+        new FakeRequest([{ columns: idColumns, rows: rows(5) }]),
+      )
+      .mockReturnValueOnce(hanging);
+    getPool.mockResolvedValue({ request });
+    const first = parse(
+      await executeSql("SELECT Id FROM Orders ORDER BY Id", undefined, [], {
+        maxRows: 2,
+      }),
+    );
+    const controller = new AbortController();
+
+    const pending = fetchNextPage(first.resultSets[0].continuationToken, {
+      signal: controller.signal,
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+    const result = await pending;
+
+    expect(hanging.cancelled).toBe(true);
+    expect(parse(result)).toMatchObject({
+      code: "cancelled",
+      error: "Query was cancelled by the client",
+    });
+  });
+
+  it("should reject invalid timeouts", async () => {
+    const result = await executeSql("SELECT 1", undefined, undefined, {
+      timeoutMs: 0,
+    });
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).error).toMatch(/timeoutMs must be positive/);
+    expect(parse(result).code).toBe("invalid");
+  });
+});
+
+describe("getTableSchema", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const columnRow = (schema) => ({
+    TABLE_SCHEMA: schema,
+    COLUMN_NAME: "Id",
+    DATA_TYPE: "int",
+    CHARACTER_MAXIMUM_LENGTH: null,
+  });
+
+  it("should look up schema-qualified tables", async () => {
+    const [request] = mockRequests([{ rows: [columnRow("sales")] }]);
+
+    const result = parse(
+      await getTableSchema("sales.Orders", undefined, { compact: true }),
+    );
+
+    expect(request.inputs).toEqual({
+      tableName: "Orders",
+      schemaName: "sales",
+    });
+    expect(result).toMatchObject({ table: "sales.Orders", schema: "sales" });
+    expect(result.columns[0]).toEqual({
+      COLUMN_NAME: "Id",
+      DATA_TYPE: "int",
+      CHARACTER_MAXIMUM_LENGTH: null,
+    });
+  });
+
+  it("should add keys, indexes and constraints unless compact", async () => {
+    const [, detailsRequest] = mockRequests(
+      [{ rows: [columnRow("sales")] }],
+      [
+        { rows: [{ description: "Orders", approximate_row_count: "42" }] },
+        { rows: [] },
+        { rows: [] },
+        { rows: [] },
+        { rows: [] },
+        { rows: [] },
+      ],
+    );
+
+    const result = parse(await getTableSchema("Orders"));
+
+    expect(detailsRequest.inputs).toEqual({
+      schemaName: "sales",
+      tableName: "Orders",
+    });
+    expect(result).toMatchObject({
+      table: "sales.Orders",
+      description: "Orders",
+      approximateRowCount: 42,
+      primaryKey: null,
+      foreignKeys: [],
+      indexes: [],
+    });
+  });
+
+  it("should refuse a denied table without querying the database", async () => {
+    const policy = getAccessPolicy();
+    policy.deniedSchemas.push("hr");
+
+    try {
+      const result = await getTableSchema("hr.Salaries");
+
+      expect(result.isError).toBe(true);
+      expect(parse(result)).toMatchObject({
+        error: "Access to table 'hr.Salaries' is denied by the database policy",
+        code: "denied",
+      });
+      expect(getPool).not.toHaveBeenCalled();
+    } finally {
+      policy.deniedSchemas.pop();
+    }
+  });
+
+  it("should report unqualified names found in several schemas", async () => {
+    mockRequests([{ rows: [columnRow("dbo"), columnRow("sales")] }]);
+
+    const result = await getTableSchema("Orders");
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).error).toMatch(
+      /ambiguous.*dbo\.Orders, sales\.Orders/,
+    );
+  });
+});
+
+describe("getObjectDefinition", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("should describe a procedure's parameters and first result set", async () => {
+    mockRequests(
+      [
+        {
+          rows: [
+            {
+              object_id: 7,
+              schema_name: "reports",
+              name: "usp_Sales",
+              type: "P",
+              type_desc: "SQL_STORED_PROCEDURE",
+              definition: "CREATE PROCEDURE reports.usp_Sales ...",
+              is_encrypted: false,
+            },
+          ],
+        },
+      ],
+      [
+        {
+          rows: [
+            {
+              parameter_id: 1,
+              name: "@year",
+              system_type: "int",
+              user_type: "int",
+              is_output: false,
+            },
+            {
+              parameter_id: 2,
+              name: "@total",
+              system_type: "decimal",
+              user_type: "decimal",
+              precision: 18,
+              scale: 2,
+              is_output: true,
+            },
+          ],
+        },
+        { rows: [] },
+      ],
+      [
+        {
+          rows: [
+            { name: "Month", system_type_name: "int", is_nullable: false },
+          ],
+        },
+      ],
+    );
+
+    const result = parse(await getObjectDefinition("reports.usp_Sales"));
+
+    expect(result).toMatchObject({
+      object: "reports.usp_Sales",
+      type: "SQL_STORED_PROCEDURE",
+      parameters: [
+        { name: "@year", type: "int", direction: "IN" },
+        { name: "@total", type: "decimal(18,2)", direction: "OUTPUT" },
+      ],
+      resultColumns: [{ name: "Month", type: "int", nullable: false }],
+      definition: "CREATE PROCEDURE reports.usp_Sales ...",
+    });
+  });
+});
+
+describe("executeProcedure", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const procedureRow = (name) => ({
+    object_id: 9,
+    schema_name: "dbo",
+    name,
+    type: "P",
+    type_desc: "SQL_STORED_PROCEDURE",
+  });
+
+  it("should run allow-listed procedures with typed parameters", async () => {
+    const [, , call] = mockRequests(
+      [{ rows: [procedureRow("GetCustomerSummary")] }],
+      [
+        {
+          rows: [
+            {
+              name: "@CustomerId",
+              system_type: "int",
+              user_type: "int",
+              is_output: false,
+            },
+            {
+              name: "@OrderCount",
+              system_type: "int",
+              user_type: "int",
+              is_output: true,
+            },
+          ],
+        },
+      ],
+      [{ columns: idColumns, rows: rows(1) }],
+    );
+    call.outputValues = { OrderCount: 3 };
+
+    const result = parse(
+      await executeProcedure(
+        "GetCustomerSummary",
+        undefined,
+        { CustomerId: "42" },
+        ["OrderCount"],
+      ),
+    );
+
+    expect(call.executed).toBe("[dbo].[GetCustomerSummary]");
+    expect(call.inputs).toEqual({ CustomerId: 42 });
+    expect(call.outputs).toEqual({ OrderCount: null });
+    expect(result).toMatchObject({
+      procedure: "dbo.GetCustomerSummary",
+      returnValue: 0,
+      output: { OrderCount: 3 },
+      resultSets: [{ rows: [{ Id: 1 }] }],
+    });
+  });
+
+  it("should cancel procedures that exceed timeoutMs", async () => {
+    const call = new HangingRequest([]);
+    const request = jest
+      .fn()
+      .mockReturnValueOnce(
+        new FakeRequest([{ rows: [procedureRow("GetCustomerSummary")] }]),
+      )
+      .mockReturnValueOnce(new FakeRequest([{ rows: [] }]))
+      .mockReturnValueOnce(call);
+    getPool.mockResolvedValue({ request });
+
+    const result = await executeProcedure(
+      "GetCustomerSummary",
+      undefined,
+      undefined,
+      undefined,
+      { timeoutMs: 10 },
+    );
+
+    expect(call.cancelled).toBe(true);
+    expect(parse(result)).toMatchObject({
+      code: "timeout",
+      error: "Query timed out after 10 ms and was cancelled",
+    });
+  });
+
+  it("should refuse procedures outside the allow-list", async () => {
+    mockRequests([{ rows: [procedureRow("DeleteCustomer")] }]);
+
+    const result = await executeProcedure("dbo.DeleteCustomer");
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).error).toMatch(/not in the allowed procedures/);
+    expect(parse(result).code).toBe("denied");
+  });
+});
+
+describe("explainQuery", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("should apply the same safety checks as execute_sql", async () => {
+    const result = await explainQuery("DROP TABLE Orders");
+
+    expect(result.isError).toBe(true);
+    expect(parse(result).error).toMatch(/blocked for security/);
+    expect(parse(result).code).toBe("denied");
+    expect(getPool).not.toHaveBeenCalled();
+  });
+});
+
+describe("getAuditLog", () => {
+  it("should filter by the caller's databases before applying the limit", async () => {
+    for (let index = 0; index < 300; index += 1) {
+      recordAuditEntry({ tool: "execute_sql", dbKey: "maindb" });
+      recordAuditEntry({ tool: "execute_sql", dbKey: "other" });
+    }
+
+    const response = await getAuditLog(
+      { tool: "execute_sql", limit: 250 },
+      { principal: { name: "scoped", databases: ["maindb"] } },
+    );
+
+    const { entries, count } = JSON.parse(response.content[0].text);
+    expect(count).toBe(250);
+    expect(entries.every((entry) => entry.dbKey === "maindb")).toBe(true);
+  });
+});
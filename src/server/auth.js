@@ -0,0 +1,149 @@
+const { createHash, timingSafeEqual } = require("crypto");
+const { authConfig, dbConfigs } = require("../config");
+const { getPrincipalDenialReason } = require("../modules/policy");
+
+const { apiKeys = [], publicHealth = false } = authConfig || {};
+
+/**
+ * Hashes an API key, so keys are compared as fixed-length digests.
+ * @param {string} key - The API key.
+ * @returns {Buffer} Its SHA-256 digest.
+ */
+function hashKey(key) {
+  return createHash("sha256").update(key).digest();
+}
+
+const knownKeys = apiKeys.map((apiKey) => ({
+  digest: apiKey.key
+    ? hashKey(apiKey.key)
+    : Buffer.from(apiKey.keySha256, "hex"),
+  principal: {
+    name: apiKey.name,
+    databases: apiKey.databases,
+    access: apiKey.access,
+    tools: apiKey.tools,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  },
+}));
+
+/**
+ * Tells whether a path is one of the health endpoints, which
+ * MSSQL_AUTH_PUBLIC_HEALTH leaves open and rate limiting skips.
+ * @param {string} path - The request path.
+ * @returns {boolean} True for /health, /health/live and /health/ready.
+ */
+function isHealthPath(path) {
+  return /^\/health(\/live|\/ready)?$/.test(path);
+}
+
+/**
+ * Tells whether a request got past authentication without an API key while
+ * keys are configured, as on a public health endpoint.
+ * @param {express.Request} req - The request.
+ * @returns {boolean} True for such anonymous callers.
+ */
+function isAnonymous(req) {
+  return knownKeys.length > 0 && !req.principal;
+}
+
+/**
+ * Reads the API key of a request from "Authorization: Bearer <key>" or "X-API-Key".
+ * @param {express.Request} req - The request.
+ * @returns {string|undefined} The key.
+ */
+function readApiKey(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1].trim() : req.get("x-api-key");
+}
+
+/**
+ * Creates an error that the error handler sends with the given status.
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Authenticates a request by its API key and stores the key's principal as
+ * req.principal, and as req.auth for the MCP transports. Without configured
+ * API keys every request is let through; the health endpoints can be left
+ * public for callers without a key.
+ */
+function authenticate(req, res, next) {
+  if (knownKeys.length === 0) {
+    return next();
+  }
+
+  const key = readApiKey(req);
+  // Public health endpoints answer callers without a key, with less detail
+  if (!key && publicHealth && isHealthPath(req.path)) {
+    return next();
+  }
+  if (!key) {
+    res.set("WWW-Authenticate", 'Bearer realm="mssql-mcp"');
+    return next(
+      httpError(
+        401,
+        "Authentication required. Send an API key as 'Authorization: Bearer <key>' or 'X-API-Key: <key>'",
+      ),
+    );
+  }
+
+  const digest = hashKey(key);
+  const match = knownKeys.find((known) =>
+    timingSafeEqual(known.digest, digest),
+  );
+  if (!match) {
+    res.set(
+      "WWW-Authenticate",
+      'Bearer realm="mssql-mcp", error="invalid_token"',
+    );
+    console.error(
+      `[auth] Rejected an invalid API key for ${req.method} ${req.path}`,
+    );
+    return next(httpError(401, "Invalid API key"));
+  }
+
+  req.principal = match.principal;
+  req.auth = {
+    token: key,
+    clientId: match.principal.name,
+    scopes: match.principal.tools || ["*"],
+    extra: { principal: match.principal },
+  };
+  next();
+}
+
+/**
+ * Creates middleware that lets a request through only if its principal may use
+ * the tool (or "resources" or "prompts") and the database named by its dbKey,
+ * or the default database when it has none.
+ * @param {string} tool - The tool name or endpoint group.
+ * @param {Object} [options]
+ * @param {boolean} [options.database=true] - Check the request's database.
+ *   Routes whose database is not in dbKey are checked by the tools instead.
+ * @returns {Function} Express middleware.
+ */
+function requireScope(tool, options = {}) {
+  return (req, _res, next) => {
+    const dbKey =
+      options.database === false
+        ? undefined
+        : req.query?.dbKey || req.body?.dbKey || Object.keys(dbConfigs)[0];
+    const reason = getPrincipalDenialReason(req.principal, { tool, dbKey });
+    if (reason) {
+      console.error(`[auth] ${reason} (${req.method} ${req.path})`);
+      return next(httpError(403, reason));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  isHealthPath,
+  isAnonymous,
+};
@@ -4,9 +4,14 @@
 const request = require("supertest");
 const { app } = require("./index");
 const { getPool } = require("../db/connection");
+const { executeSql } = require("../modules/tools");
 
 // Mock the modules that the server depends on
 jest.mock("../db/connection");
+jest.mock("../modules/tools", () => ({
+  ...jest.requireActual("../modules/tools"),
+  executeSql: jest.fn(),
+}));
 jest.mock("../config", () => ({
   // Provide a mock config so the server can load without a real .env file
   dbConfigs: {
@@ -25,8 +30,44 @@ jest.mock("../config", () => ({
       options: {},
     },
   },
+  getConnectionStatus: () => ({}),
 }));
 
+/**
+ * Mocks a pool that answers the health check's queries for an ONLINE database.
+ */
+function mockHealthyPool() {
+  return {
+    size: 2,
+    available: 1,
+    borrowed: 1,
+    pending: 0,
+    request: () => ({
+      cancel: jest.fn(),
+      query: jest.fn(async (query) =>
+        query.includes("SERVERPROPERTY")
+          ? {
+              recordset: [
+                {
+                  server_name: "sql01",
+                  product_version: "16.0.4135.4",
+                  product_level: "RTM",
+                  edition: "Developer Edition (64-bit)",
+                  engine_edition: 3,
+                  database_name: "test",
+                  state_desc: "ONLINE",
+                  user_access_desc: "MULTI_USER",
+                  is_read_only: false,
+                  updateability: "READ_WRITE",
+                },
+              ],
+            }
+          : { recordset: [{ ok: 1 }] },
+      ),
+    }),
+  };
+}
+
 describe("GET /health", () => {
   beforeEach(() => {
     // Clear mock history before each test to ensure clean assertions
@@ -35,7 +76,7 @@ describe("GET /health", () => {
 
   it('should return 200 OK and a status of "ok" when all database connections are healthy', async () => {
     // Arrange: Mock getPool to simulate successful connections for all DBs
-    getPool.mockResolvedValue({ connected: true });
+    getPool.mockResolvedValue(mockHealthyPool());
 
     // Act: Make the HTTP request to the /health endpoint
     const response = await request(app).get("/health");
@@ -47,6 +88,13 @@ describe("GET /health", () => {
       maindb: "connected",
       reportingdb: "connected",
     });
+    expect(response.body.checks.maindb).toMatchObject({
+      status: "ok",
+      latencyMs: expect.any(Number),
+      server: { version: "16.0.4135.4", edition: "Developer Edition (64-bit)" },
+      database: { name: "test", state: "ONLINE", readOnly: false },
+      pool: { size: 2, available: 1, borrowed: 1, pending: 0 },
+    });
     // Verify that the connection was attempted for each configured database
     expect(getPool).toHaveBeenCalledTimes(2);
   });
@@ -54,7 +102,7 @@ describe("GET /health", () => {
   it("should return 503 Service Unavailable if any database connection fails", async () => {
     // Arrange: Mock getPool to fail for the second database
     getPool
-      .mockResolvedValueOnce({ connected: true }) // First call succeeds
+      .mockResolvedValueOnce(mockHealthyPool()) // First call succeeds
       .mockRejectedValueOnce(new Error("Connection error")); // Second call fails
 
     // Act: Make the HTTP request
@@ -71,4 +119,176 @@ describe("GET /health", () => {
   });
 });
 
+describe("GET /health/live and /health/ready", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should report liveness without touching the databases", async () => {
+    const response = await request(app).get("/health/live");
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.status).toBe("ok");
+    expect(getPool).not.toHaveBeenCalled();
+  });
+
+  it("should be ready only when every database answers", async () => {
+    getPool.mockResolvedValue(mockHealthyPool());
+    expect((await request(app).get("/health/ready")).statusCode).toBe(200);
+
+    getPool
+      .mockResolvedValueOnce(mockHealthyPool())
+      .mockRejectedValueOnce(new Error("Login failed"));
+    const response = await request(app).get("/health/ready");
+    expect(response.statusCode).toBe(503);
+    expect(response.body.databases).toEqual({
+      maindb: "connected",
+      reportingdb: "error",
+    });
+  });
+});
+
+describe("POST /execute-sql", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should send the summary of a text-format result as headers", async () => {
+    const summary = {
+      message: "Query executed successfully",
+      resultSets: [
+        {
+          index: 0,
+          columns: [{ name: "id" }],
+          rowCount: 2,
+          truncated: true,
+          continuationToken: "eyJ2IjoxfQ",
+        },
+      ],
+      rowsAffected: [2],
+      totalRowsAffected: 2,
+      messages: ["Warning: Null value is eliminated"],
+      maxRows: 2,
+      format: "csv",
+    };
+    executeSql.mockResolvedValue({
+      content: [
+        { type: "text", text: JSON.stringify(summary, null, 2) },
+        { type: "text", text: "id\r\n1\r\n2" },
+      ],
+      isError: false,
+    });
+
+    const response = await request(app)
+      .post("/execute-sql")
+      .send({ query: "SELECT id FROM dbo.t", format: "csv", maxRows: 2 });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.type).toBe("text/csv");
+    expect(response.text).toBe("id\r\n1\r\n2");
+    expect(response.headers["x-truncated"]).toBe("true");
+    expect(response.headers["x-continuation-token"]).toBe("eyJ2IjoxfQ");
+    expect(response.headers["x-rows-affected"]).toBe("2");
+    expect(
+      JSON.parse(decodeURIComponent(response.headers["x-result-summary"])),
+    ).toEqual(summary);
+    expect(response.headers["x-summary-omitted"]).toBeUndefined();
+  });
+
+  it("should leave out summary headers that do not fit the cap", async () => {
+    const textResult = (summary) => ({
+      content: [
+        { type: "text", text: JSON.stringify(summary) },
+        { type: "text", text: "id\r\n1" },
+      ],
+      isError: false,
+    });
+    const summary = {
+      resultSets: [{ rowCount: 1, truncated: true, continuationToken: "t" }],
+      rowsAffected: [1],
+      messages: ["x".repeat(5000)],
+    };
+    executeSql.mockResolvedValueOnce(textResult(summary));
+
+    const response = await request(app)
+      .post("/execute-sql")
+      .send({ query: "SELECT id FROM dbo.t", format: "csv" });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers["x-continuation-token"]).toBe("t");
+    expect(response.headers["x-result-summary"]).toBeUndefined();
+    expect(response.headers["x-summary-omitted"]).toBe("X-Result-Summary");
+
+    summary.resultSets[0].continuationToken = "t".repeat(5000);
+    executeSql.mockResolvedValueOnce(textResult(summary));
+
+    const longToken = await request(app)
+      .post("/execute-sql")
+      .send({ query: "SELECT id FROM dbo.t", format: "csv" });
+
+    expect(longToken.headers["x-truncated"]).toBe("true");
+    expect(longToken.headers["x-continuation-token"]).toBeUndefined();
+    expect(longToken.headers["x-summary-omitted"]).toBe(
+      "X-Continuation-Token,X-Result-Summary",
+    );
+  });
+});
+
+describe("POST /execute-sql errors", () => {
+  const toolError = (body) => ({
+    content: [{ type: "text", text: JSON.stringify(body) }],
+    isError: true,
+  });
+
+  it("should answer a query the access policy blocks with 403", async () => {
+    executeSql.mockResolvedValue(
+      toolError({
+        error:
+          "Query was blocked for security. Access to 'dbo.secret' was blocked: table 'dbo.secret' is denied",
+        code: "denied",
+        deniedReferences: [
+          { name: "dbo.secret", reason: "table 'dbo.secret' is denied" },
+        ],
+      }),
+    );
+
+    const response = await request(app)
+      .post("/execute-sql")
+      .send({ query: "SELECT * FROM dbo.Secret" });
+
+    expect(response.statusCode).toBe(403);
+    expect(response.body.error).toMatch(/blocked for security/);
+  });
+
+  it.each([
+    ["invalid", 400],
+    ["cancelled", 499],
+    ["timeout", 504],
+    [undefined, 500],
+  ])("should answer a %s error with %i", async (code, statusCode) => {
+    executeSql.mockResolvedValue(toolError({ error: "Failed", code }));
+
+    const response = await request(app)
+      .post("/execute-sql")
+      .send({ query: "SELECT 1" });
+
+    expect(response.statusCode).toBe(statusCode);
+  });
+});
+
+describe("GET /audit-log", () => {
+  it("should accept since with an offset and reject one that is not a timestamp", async () => {
+    const accepted = await request(app)
+      .get("/audit-log")
+      .query({ since: "2026-10-19T09:00:00+02:00" });
+    expect(accepted.statusCode).toBe(200);
+
+    const rejected = await request(app)
+      .get("/audit-log")
+      .query({ since: "yesterday" });
+    expect(rejected.statusCode).toBe(400);
+    expect(rejected.body.error).toMatch(/since must be an ISO 8601 timestamp/);
+  });
+});
+
 // TODO: Add test suites for other endpoints like /resources, /tools, etc.
@@ -1,25 +1,199 @@
 const express = require("express");
 const bodyParser = require("body-parser");
-const { listResources, readResource } = require("../modules/resources");
+const {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  getResourceMimeType,
+} = require("../modules/resources");
+const { listPrompts, getPrompt } = require("../modules/prompts");
 const {
   listTools,
   executeSql,
+  explainQuery,
+  fetchNextPage,
   getTableSchema,
+  listViews,
+  listProcedures,
+  listFunctions,
+  getObjectDefinition,
+  getRelationships,
+  executeProcedure,
   listDatabases,
+  getAuditLog,
 } = require("../modules/tools");
 const { validate, dbKeySchema } = require("../validation");
-const { dbConfigs } = require("../config");
-const { getPool } = require("../db/connection");
+const { dbConfigs, authConfig } = require("../config");
+const { checkHealth } = require("../db/health");
+const { OUTPUT_FORMATS, FORMAT_MIME_TYPES } = require("../db/formats");
+const { createMcpRouter } = require("./mcpTransport");
+const { isShuttingDown } = require("../modules/shutdown");
+const {
+  authenticate,
+  requireScope,
+  isHealthPath,
+  isAnonymous,
+} = require("./auth");
+const { getPrincipalDenialReason } = require("../modules/policy");
+const {
+  getClientId,
+  checkRateLimit,
+  findDbKey,
+  acquireQuerySlot,
+  getLimitStats,
+} = require("../modules/limits");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Bytes of result summary headers per response; proxies commonly reject 8 KB of headers
+const MAX_SUMMARY_HEADER_BYTES = 4096;
+
 app.use(bodyParser.json());
 
+// Once shutdown begins, only the health endpoints answer, so load balancers see readiness drop
+app.use((req, res, next) => {
+  if (isShuttingDown() && !isHealthPath(req.path)) {
+    res.set("Connection", "close");
+    const error = new Error("Server is shutting down. Try again later.");
+    error.statusCode = 503;
+    return next(error);
+  }
+  next();
+});
+
+// API-key authentication, when API keys are configured
+app.use(authenticate);
+
+// MCP protocol over Streamable HTTP (/mcp) and HTTP+SSE (/sse, /messages)
+app.use(createMcpRouter());
+
+/**
+ * Describes who made a request, for the tools and the audit log.
+ * @param {express.Request} req - The request.
+ * @returns {{ principal: Object, transport: string }} The caller.
+ */
+function getCaller(req) {
+  return { principal: req.principal, transport: "http" };
+}
+
+/**
+ * Creates a signal that is aborted when the client disconnects before the
+ * response has been sent, so a running query can be cancelled.
+ * @param {express.Response} res - The response.
+ * @returns {AbortSignal} The signal.
+ */
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Sets the summary of a text-format result as response headers, since the
+ * body only holds the rows. X-Truncated tells whether any result set was cut
+ * at maxRows, X-Rows-Affected lists the counts per statement,
+ * X-Continuation-Token pages the first truncated set, and X-Result-Summary
+ * holds the whole summary (every token, messages) as percent-encoded JSON.
+ * Together they take at most MAX_SUMMARY_HEADER_BYTES: a header that does
+ * not fit is left out and named in X-Summary-Omitted.
+ * @param {Object} res - Express response.
+ * @param {Object} summary - The JSON summary of the result.
+ */
+function setResultSummaryHeaders(res, summary) {
+  const truncatedSet = summary.resultSets.find(
+    (resultSet) => resultSet.truncated,
+  );
+  const headers = [
+    ["X-Truncated", String(Boolean(truncatedSet))],
+    ["X-Rows-Affected", summary.rowsAffected.join(",")],
+    ["X-Continuation-Token", truncatedSet?.continuationToken],
+    ["X-Result-Summary", encodeURIComponent(JSON.stringify(summary))],
+  ];
+  let remaining = MAX_SUMMARY_HEADER_BYTES;
+  const omitted = [];
+  for (const [name, value] of headers) {
+    if (value === undefined) continue;
+    // Header values here are ASCII, so their length is their size in bytes
+    const bytes = name.length + value.length;
+    if (bytes > remaining) {
+      omitted.push(name);
+      continue;
+    }
+    res.set(name, value);
+    remaining -= bytes;
+  }
+  if (omitted.length > 0) {
+    res.set("X-Summary-Omitted", omitted.join(","));
+  }
+}
+
+/**
+ * Picks the output format of a request: its format parameter, else the best
+ * match for its Accept header, else the default.
+ * @param {express.Request} req - The request.
+ * @param {string} [format] - The format parameter.
+ * @param {string} defaultFormat - The route's default format.
+ * @returns {string} The format. An invalid format parameter is passed on for the tool to reject.
+ */
+function negotiateFormat(req, format, defaultFormat) {
+  if (format || !req.get("accept")) {
+    return format || defaultFormat;
+  }
+  // Offer the default first, so */* and ties keep it
+  const formats = [
+    defaultFormat,
+    ...OUTPUT_FORMATS.filter((name) => name !== defaultFormat),
+  ];
+  const accepted = req.accepts(formats.map((name) => FORMAT_MIME_TYPES[name]));
+  return (
+    formats.find((name) => FORMAT_MIME_TYPES[name] === accepted) ||
+    defaultFormat
+  );
+}
+
+/**
+ * HTTP status of a tool error by its code: invalid input, a request the
+ * access policy refused, and a query that was cancelled (499, as for a
+ * client that closed the request) or timed out. Other errors are 500.
+ */
+const TOOL_ERROR_STATUS = {
+  invalid: 400,
+  denied: 403,
+  cancelled: 499,
+  timeout: 504,
+};
+
+// Status of errors thrown by the modules, by their code
+const ERROR_CODE_STATUS = {
+  EVALIDATION: 400,
+  EPOLICY: 403,
+};
+
+/**
+ * Turns a tool's error response into an error for the error handler.
+ * @param {Object} result - The tool response, with isError set.
+ * @returns {Error} The error, with statusCode set from its code.
+ */
+function toolError(result) {
+  const { error: message, code } = JSON.parse(result.content[0].text);
+  const error = new Error(message);
+  error.statusCode = TOOL_ERROR_STATUS[code] ?? 500;
+  return error;
+}
+
 // Error handling middleware
 const errorHandler = (err, req, res, _next) => {
-  console.error(`Error processing request: ${err.message}`);
-  const statusCode = err.statusCode || 500;
+  const caller = req.principal ? ` for API key '${req.principal.name}'` : "";
+  console.error(`Error processing request${caller}: ${err.message}`);
+  const statusCode = err.statusCode || ERROR_CODE_STATUS[err.code] || 500;
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
   res.status(statusCode).json({
     error: err.message,
     path: req.path,
@@ -47,177 +221,612 @@ const validateDbKey = (req, _res, next) => {
 // Apply validation middleware to all routes
 app.use(validateDbKey);
 
+// Rate limiting per API key, or per address without one. MCP requests are
+// limited per tool call instead, so they get a tool error rather than a 429.
+const rateLimit = (req, _res, next) => {
+  if (isHealthPath(req.path)) {
+    return next();
+  }
+  try {
+    checkRateLimit(
+      getClientId({ principal: req.principal, ip: req.ip }),
+      req.principal,
+    );
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.use(rateLimit);
+
+// Holds a query slot on the request's database until the response is done
+const limitQueries = async (req, res, next) => {
+  try {
+    const release = await acquireQuerySlot(
+      findDbKey({
+        dbKey:
+          req.query?.dbKey || req.body?.dbKey || req.body?.arguments?.dbKey,
+        continuationToken: req.body?.continuationToken,
+        uri: req.query?.uri,
+      }),
+    );
+    let released = false;
+    const releaseOnce = () => {
+      if (!released) {
+        released = true;
+        release();
+      }
+    };
+    res.on("finish", releaseOnce);
+    res.on("close", releaseOnce);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * GET /resources
  * Lists SQL Server tables as resources.
  * Accepts optional dbKey as a query parameter.
  */
-app.get("/resources", async (req, res, next) => {
-  const dbKey = req.query.dbKey;
+app.get(
+  "/resources",
+  requireScope("resources"),
+  limitQueries,
+  async (req, res, next) => {
+    const dbKey = req.query.dbKey;
 
-  try {
-    const resources = await listResources(dbKey);
-    res.json(resources);
-  } catch (error) {
-    next(error);
-  }
-});
+    try {
+      const resources = await listResources(dbKey, getCaller(req));
+      res.json(resources);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /resource-templates
+ * Describes the query parameters of table resource URIs.
+ */
+app.get(
+  "/resource-templates",
+  requireScope("resources", { database: false }),
+  (_req, res, next) => {
+    try {
+      res.json(listResourceTemplates());
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 /**
  * GET /resource
  * Reads data from a resource.
- * Expects query parameter "uri" and optional "dbKey".
- */
-app.get("/resource", async (req, res, next) => {
-  const uri = req.query.uri;
-  const dbKey = req.query.dbKey;
-  if (!uri) {
-    const error = new Error("Parameter 'uri' is required");
-    error.statusCode = 400;
-    return next(error);
-  }
+ * Expects query parameter "uri" and optional "dbKey" and "format" (else chosen by the Accept header).
+ */
+app.get(
+  "/resource",
+  requireScope("resources"),
+  limitQueries,
+  async (req, res, next) => {
+    const uri = req.query.uri;
+    const dbKey = req.query.dbKey;
+    if (!uri) {
+      const error = new Error("Parameter 'uri' is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+    const format = negotiateFormat(req, req.query.format, "csv");
 
-  try {
-    const data = await readResource(uri, dbKey);
-    res.type("text/plain").send(data);
-  } catch (error) {
-    next(error);
-  }
-});
+    try {
+      const data = await readResource(uri, dbKey, {
+        format,
+        ...getCaller(req),
+      });
+      res.type(getResourceMimeType(uri, format)).send(data);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 /**
  * GET /tools
  * Lists available MSSQL tools.
  */
-app.get("/tools", (_req, res, next) => {
+app.get("/tools", (req, res, next) => {
   try {
-    const tools = listTools();
+    const tools = listTools().filter(
+      (tool) =>
+        getPrincipalDenialReason(req.principal, { tool: tool.name }) === null,
+    );
     res.json(tools);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /prompts
+ * Lists available prompt templates.
+ */
+app.get(
+  "/prompts",
+  requireScope("prompts", { database: false }),
+  (_req, res, next) => {
+    try {
+      res.json(listPrompts());
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /get-prompt
+ * Fills in a prompt template with live schema context.
+ * Expects a JSON body with "name" and optional "arguments" properties.
+ */
+app.post(
+  "/get-prompt",
+  requireScope("prompts", { database: false }),
+  limitQueries,
+  async (req, res, next) => {
+    const { name, arguments: args } = req.body;
+    if (!name) {
+      const error = new Error("Parameter 'name' is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    try {
+      res.json(await getPrompt(name, args, getCaller(req)));
+    } catch (error) {
+      error.statusCode = 400;
+      next(error);
+    }
+  },
+);
+
 /**
  * GET /databases
  * Lists all configured databases in the system.
  */
-app.get("/databases", async (_req, res, next) => {
-  try {
-    const result = await listDatabases();
-    if (result.isError) {
-      const error = new Error(JSON.parse(result.content[0].text).error);
-      error.statusCode = 500;
-      return next(error);
+app.get(
+  "/databases",
+  requireScope("list_databases", { database: false }),
+  async (req, res, next) => {
+    try {
+      const result = await listDatabases(getCaller(req));
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
     }
-    const parsedResult = JSON.parse(result.content[0].text);
-    res.json(parsedResult);
-  } catch (error) {
-    next(error);
-  }
-});
+  },
+);
 
 /**
  * POST /execute-sql
  * Executes an SQL query.
- * Expects a JSON body with "query" and optional "dbKey" properties.
+ * Expects a JSON body with "query" and optional "dbKey", "parameters", "maxRows", "timeoutMs" and "format" properties.
+ * Without "format", the Accept header picks the format. The query is cancelled if the client disconnects first.
  */
-app.post("/execute-sql", async (req, res, next) => {
-  const { query, dbKey } = req.body;
-  if (!query) {
-    const error = new Error("Parameter 'query' is required");
-    error.statusCode = 400;
-    return next(error);
-  }
+app.post(
+  "/execute-sql",
+  requireScope("execute_sql"),
+  limitQueries,
+  async (req, res, next) => {
+    const { query, dbKey, parameters, maxRows, timeoutMs } = req.body;
+    if (!query) {
+      const error = new Error("Parameter 'query' is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+    const format = negotiateFormat(req, req.body.format, "json");
 
-  try {
-    const result = await executeSql(query, dbKey);
-    if (result.isError) {
-      const error = new Error(JSON.parse(result.content[0].text).error);
-      error.statusCode = 500;
+    try {
+      const result = await executeSql(query, dbKey, parameters, {
+        maxRows,
+        timeoutMs,
+        format,
+        signal: disconnectSignal(res),
+        ...getCaller(req),
+      });
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      // Text formats carry the rows in a second item, after the JSON summary
+      if (result.content.length > 1) {
+        setResultSummaryHeaders(res, JSON.parse(result.content[0].text));
+        return res.type(FORMAT_MIME_TYPES[format]).send(result.content[1].text);
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /explain-query
+ * Returns the estimated execution plan of an SQL query without running it.
+ * Expects a JSON body with "query" and optional "dbKey", "parameters" and "includeXml" properties.
+ */
+app.post(
+  "/explain-query",
+  requireScope("explain_query"),
+  limitQueries,
+  async (req, res, next) => {
+    const { query, dbKey, parameters, includeXml } = req.body;
+    if (!query) {
+      const error = new Error("Parameter 'query' is required");
+      error.statusCode = 400;
       return next(error);
     }
-    const parsedResult = JSON.parse(result.content[0].text);
-    res.json(parsedResult);
-  } catch (error) {
-    next(error);
-  }
-});
+
+    try {
+      const result = await explainQuery(query, dbKey, parameters, {
+        includeXml,
+        ...getCaller(req),
+      });
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /fetch-next-page
+ * Fetches the next page of a truncated result set.
+ * Expects a JSON body with a "continuationToken" and an optional "timeoutMs" property.
+ * The fetch is cancelled if the client disconnects first.
+ */
+app.post(
+  "/fetch-next-page",
+  requireScope("fetch_next_page", { database: false }),
+  limitQueries,
+  async (req, res, next) => {
+    const { continuationToken, timeoutMs } = req.body;
+    if (!continuationToken) {
+      const error = new Error("Parameter 'continuationToken' is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    try {
+      const result = await fetchNextPage(continuationToken, {
+        timeoutMs,
+        signal: disconnectSignal(res),
+        ...getCaller(req),
+      });
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 /**
  * POST /get-table-schema
  * Retrieves schema information for a specified table.
- * Expects a JSON body with "table" and optional "dbKey" properties.
+ * Expects a JSON body with "table" and optional "dbKey" and "compact" properties.
  */
-app.post("/get-table-schema", async (req, res, next) => {
-  const { table, dbKey } = req.body;
-  if (!table) {
-    const error = new Error("Parameter 'table' is required");
-    error.statusCode = 400;
-    return next(error);
-  }
+app.post(
+  "/get-table-schema",
+  requireScope("get_table_schema"),
+  limitQueries,
+  async (req, res, next) => {
+    const { table, dbKey, compact } = req.body;
+    if (!table) {
+      const error = new Error("Parameter 'table' is required");
+      error.statusCode = 400;
+      return next(error);
+    }
 
-  try {
-    const result = await getTableSchema(table, dbKey);
-    if (result.isError) {
-      const error = new Error(JSON.parse(result.content[0].text).error);
-      error.statusCode = 500;
+    try {
+      const result = await getTableSchema(table, dbKey, {
+        compact,
+        ...getCaller(req),
+      });
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /views, GET /procedures, GET /functions
+ * Lists the views, stored procedures or functions of a database.
+ * Accepts optional "dbKey" and "schema" query parameters.
+ */
+for (const [path, tool, list] of [
+  ["/views", "list_views", listViews],
+  ["/procedures", "list_procedures", listProcedures],
+  ["/functions", "list_functions", listFunctions],
+]) {
+  app.get(path, requireScope(tool), limitQueries, async (req, res, next) => {
+    try {
+      const result = await list(
+        req.query.dbKey,
+        req.query.schema,
+        getCaller(req),
+      );
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * POST /get-object-definition
+ * Retrieves the parameters, result columns and definition of a view, procedure or function.
+ * Expects a JSON body with "name" and optional "dbKey" properties.
+ */
+app.post(
+  "/get-object-definition",
+  requireScope("get_object_definition"),
+  limitQueries,
+  async (req, res, next) => {
+    const { name, dbKey } = req.body;
+    if (!name) {
+      const error = new Error("Parameter 'name' is required");
+      error.statusCode = 400;
       return next(error);
     }
-    const parsedResult = JSON.parse(result.content[0].text);
-    res.json(parsedResult);
-  } catch (error) {
-    next(error);
-  }
-});
+
+    try {
+      const result = await getObjectDefinition(name, dbKey, getCaller(req));
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /get-relationships
+ * Builds the foreign-key graph of a database.
+ * Expects a JSON body with optional "dbKey", "schema", "tables" and "mermaid" properties.
+ */
+app.post(
+  "/get-relationships",
+  requireScope("get_relationships"),
+  limitQueries,
+  async (req, res, next) => {
+    const { dbKey, schema, tables, mermaid } = req.body || {};
+
+    try {
+      const result = await getRelationships(dbKey, {
+        schema,
+        tables,
+        mermaid,
+        ...getCaller(req),
+      });
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /execute-procedure
+ * Executes an allow-listed stored procedure.
+ * Expects a JSON body with "procedure" and optional "dbKey", "parameters",
+ * "outputParameters", "maxRows" and "timeoutMs" properties.
+ * The procedure is cancelled if the client disconnects first.
+ */
+app.post(
+  "/execute-procedure",
+  requireScope("execute_procedure"),
+  limitQueries,
+  async (req, res, next) => {
+    const {
+      procedure,
+      dbKey,
+      parameters,
+      outputParameters,
+      maxRows,
+      timeoutMs,
+    } = req.body;
+    if (!procedure) {
+      const error = new Error("Parameter 'procedure' is required");
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    try {
+      const result = await executeProcedure(
+        procedure,
+        dbKey,
+        parameters,
+        outputParameters,
+        {
+          maxRows,
+          timeoutMs,
+          signal: disconnectSignal(res),
+          ...getCaller(req),
+        },
+      );
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /audit-log
+ * Returns the latest audit entries, newest first.
+ * Accepts optional "limit", "caller", "tool", "dbKey", "status" and "since" query parameters.
+ */
+app.get(
+  "/audit-log",
+  requireScope("get_audit_log", { database: false }),
+  async (req, res, next) => {
+    const { limit, caller, tool, dbKey, status, since } = req.query;
+
+    try {
+      const result = await getAuditLog(
+        {
+          limit: limit === undefined ? undefined : Number(limit),
+          caller,
+          tool,
+          dbKey,
+          status,
+          since,
+        },
+        getCaller(req),
+      );
+      if (result.isError) {
+        return next(toolError(result));
+      }
+      const parsedResult = JSON.parse(result.content[0].text);
+      res.json(parsedResult);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 /**
  * GET /health
- * Checks the health of the database connections.
+ * Checks each database with SELECT 1 and reports its latency, server
+ * version, database state and pool, with 503 if any check fails.
+ * An API key only sees its own databases. A caller without one, where
+ * MSSQL_AUTH_PUBLIC_HEALTH leaves the endpoint open, only gets the status.
  */
 app.get("/health", async (req, res, next) => {
-  const dbKeys = Object.keys(dbConfigs);
-  if (dbKeys.length === 0) {
+  if (Object.keys(dbConfigs).length === 0) {
     return res.status(503).json({
       status: "error",
       message: "No databases configured.",
     });
   }
+  const dbKeys = Object.keys(dbConfigs).filter(
+    (dbKey) => getPrincipalDenialReason(req.principal, { dbKey }) === null,
+  );
 
   try {
-    const healthChecks = await Promise.allSettled(
-      dbKeys.map((key) => getPool(key)),
-    );
+    const health = await checkHealth(dbKeys);
 
     const results = {};
-    let isHealthy = true;
-
-    healthChecks.forEach((result, index) => {
-      const dbKey = dbKeys[index];
-      if (result.status === "fulfilled") {
-        results[dbKey] = "connected";
-      } else {
-        results[dbKey] = "error";
-        isHealthy = false;
-        console.error(
-          `Health check failed for ${dbKey}:`,
-          result.reason.message,
-        );
+    for (const [dbKey, check] of Object.entries(health.databases)) {
+      results[dbKey] = check.status === "ok" ? "connected" : "error";
+      if (check.status !== "ok") {
+        console.error(`Health check failed for ${dbKey}:`, check.error.message);
       }
+    }
+
+    const statusCode = health.status === "ok" ? 200 : 503;
+    if (isAnonymous(req)) {
+      return res.status(statusCode).json({ status: health.status });
+    }
+    const limits = getLimitStats();
+    res.status(statusCode).json({
+      status: health.status,
+      ...(health.status === "ok"
+        ? {}
+        : { message: "One or more database connections failed." }),
+      databases: results,
+      checks: health.databases,
+      limits: {
+        ...limits,
+        databases: Object.fromEntries(
+          dbKeys.map((dbKey) => [dbKey, limits.databases[dbKey]]),
+        ),
+      },
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (isHealthy) {
-      res.status(200).json({
-        status: "ok",
-        databases: results,
-      });
-    } else {
-      res.status(503).json({
-        status: "error",
-        message: "One or more database connections failed.",
-        databases: results,
-      });
+/**
+ * GET /health/live
+ * Liveness: answers as long as the process is serving requests, without
+ * touching the databases.
+ */
+app.get("/health/live", (req, res) => {
+  res.json({ status: "ok", uptimeSeconds: Math.floor(process.uptime()) });
+});
+
+/**
+ * GET /health/ready
+ * Readiness: 200 once every database answers its health check, else 503.
+ * Always 503 once shutdown has begun. Databases are listed as for /health.
+ */
+app.get("/health/ready", async (req, res, next) => {
+  if (isShuttingDown()) {
+    return res.status(503).json({
+      status: "error",
+      message: "Server is shutting down.",
+    });
+  }
+
+  try {
+    const dbKeys = Object.keys(dbConfigs);
+    const health = await checkHealth(dbKeys);
+    const ready = dbKeys.length > 0 && health.status === "ok";
+    if (isAnonymous(req)) {
+      return res
+        .status(ready ? 200 : 503)
+        .json({ status: ready ? "ok" : "error" });
     }
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ok" : "error",
+      databases: Object.fromEntries(
+        Object.entries(health.databases)
+          .filter(
+            ([dbKey]) =>
+              getPrincipalDenialReason(req.principal, { dbKey }) === null,
+          )
+          .map(([dbKey, check]) => [
+            dbKey,
+            check.status === "ok" ? "connected" : "error",
+          ]),
+      ),
+    });
   } catch (error) {
     next(error);
   }
@@ -230,21 +839,47 @@ module.exports = {
   app,
   /**
    * Starts the Express server on the specified port.
+   * @returns {http.Server} The server, for shutdown.
    */
   startServer: () => {
     const availableDatabases = Object.keys(dbConfigs);
     const defaultDatabase = availableDatabases[0] || "maindb";
 
-    app.listen(port, () => {
+    return app.listen(port, () => {
       console.log(`MSSQL MCP server is running on port ${port}`);
       console.log(`Available endpoints:`);
+      console.log(`- POST|GET|DELETE /mcp - MCP over Streamable HTTP`);
+      console.log(`- GET /sse, POST /messages - MCP over HTTP+SSE`);
       console.log(`- GET /resources - List all tables as resources`);
+      console.log(
+        `- GET /resource-templates - Describe resource URI parameters`,
+      );
       console.log(`- GET /resource?uri=<uri> - Read resource data`);
       console.log(`- GET /tools - List available tools`);
+      console.log(`- GET /prompts - List available prompts`);
+      console.log(`- POST /get-prompt - Get a prompt with schema context`);
       console.log(`- GET /databases - List all configured databases`);
       console.log(`- POST /execute-sql - Execute SQL query`);
+      console.log(`- POST /explain-query - Get an estimated query plan`);
+      console.log(`- POST /fetch-next-page - Fetch the next page of a result`);
       console.log(`- POST /get-table-schema - Get table schema`);
+      console.log(`- GET /views - List views`);
+      console.log(`- GET /procedures - List stored procedures`);
+      console.log(`- GET /functions - List functions`);
+      console.log(
+        `- POST /get-object-definition - Get a view, procedure or function definition`,
+      );
+      console.log(`- POST /get-relationships - Get the foreign-key graph`);
+      console.log(
+        `- POST /execute-procedure - Execute an allow-listed stored procedure`,
+      );
+      console.log(`- GET /audit-log - Read recent audit log entries`);
       console.log(`\nConfigured databases: ${availableDatabases.join(", ")}`);
+      if (!authConfig?.apiKeys?.length) {
+        console.warn(
+          "Warning: no API keys are configured (MSSQL_API_KEYS_FILE), so every endpoint is open to anyone who can reach this port.",
+        );
+      }
       console.log(`Default database: ${defaultDatabase}`);
     });
   },
@@ -0,0 +1,232 @@
+const { randomUUID } = require("crypto");
+const express = require("express");
+const {
+  StreamableHTTPServerTransport,
+} = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+const {
+  SSEServerTransport,
+} = require("@modelcontextprotocol/sdk/server/sse.js");
+const { isInitializeRequest } = require("@modelcontextprotocol/sdk/types.js");
+const { createMcpServer } = require("../modules/mcpServer");
+const { sessionIdleTimeoutMs = 1800000 } = require("../config");
+
+/**
+ * Open MCP sessions by session ID. Each session has its own MCP server and
+ * transport; the connection pools behind the tools are shared by all of them.
+ * openRequests and idleTimer track when the session was last used.
+ * @type {Map<string, { transport: Object, server: Object, idleTimeoutMs: number,
+ *   openRequests: number, idleTimer: Object|null }>}
+ */
+const sessions = new Map();
+
+/**
+ * Adds a session, closed once it has had no open request for idleTimeoutMs.
+ * @param {string} sessionId - The session ID.
+ * @param {Object} transport - The session's transport.
+ * @param {Object} server - The session's MCP server.
+ * @param {number} idleTimeoutMs - Idle time before it is closed; 0 never closes it.
+ * @returns {Object} The session.
+ */
+function addSession(sessionId, transport, server, idleTimeoutMs) {
+  const session = {
+    transport,
+    server,
+    idleTimeoutMs,
+    openRequests: 0,
+    idleTimer: null,
+  };
+  sessions.set(sessionId, session);
+  return session;
+}
+
+/**
+ * Counts a request as open on its session until its response closes, and
+ * starts the idle timer once no request is open. Notification streams stay
+ * open, so a session with one is never idle.
+ * @param {Object} session - The session.
+ * @param {express.Response} res - The request's response.
+ */
+function trackRequest(session, res) {
+  session.openRequests += 1;
+  clearTimeout(session.idleTimer);
+  session.idleTimer = null;
+  res.on("close", () => {
+    session.openRequests -= 1;
+    if (
+      session.openRequests > 0 ||
+      !session.idleTimeoutMs ||
+      sessions.get(session.transport.sessionId) !== session
+    ) {
+      return;
+    }
+    session.idleTimer = setTimeout(() => {
+      // Closing the transport removes the session (see connectSession)
+      session.transport.close().catch((error) => {
+        console.error(`Failed to close idle MCP session: ${error.message}`);
+      });
+    }, session.idleTimeoutMs);
+    session.idleTimer.unref();
+  });
+}
+
+/**
+ * Sends a JSON-RPC error response, for requests the transport never sees.
+ * @param {express.Response} res - The response.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} message - The error message.
+ */
+function sendJsonRpcError(res, statusCode, message) {
+  res.status(statusCode).json({
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+/**
+ * Finds the session a request belongs to.
+ * @param {string|undefined} sessionId - The session ID sent by the client.
+ * @param {Function} Transport - The transport class the session must use.
+ * @param {express.Response} res - Receives an error when there is no such session.
+ * @returns {Object|undefined} The session's transport.
+ */
+function findTransport(sessionId, Transport, res) {
+  if (!sessionId) {
+    sendJsonRpcError(res, 400, "Bad Request: No valid session ID provided");
+    return undefined;
+  }
+  const session = sessions.get(sessionId);
+  if (!session || !(session.transport instanceof Transport)) {
+    sendJsonRpcError(res, 404, `Session not found: ${sessionId}`);
+    return undefined;
+  }
+  trackRequest(session, res);
+  return session.transport;
+}
+
+/**
+ * Connects a new MCP server to a transport and tracks the session until it closes.
+ * @param {Object} transport - A Streamable HTTP or SSE server transport.
+ * @returns {Promise<Object>} The connected MCP server.
+ */
+async function connectSession(transport) {
+  const server = createMcpServer();
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      clearTimeout(sessions.get(transport.sessionId)?.idleTimer);
+      sessions.delete(transport.sessionId);
+    }
+  };
+  await server.connect(transport);
+  return server;
+}
+
+/**
+ * Handles a Streamable HTTP request for an open session.
+ */
+async function handleSessionRequest(req, res, next) {
+  const transport = findTransport(
+    req.get("mcp-session-id"),
+    StreamableHTTPServerTransport,
+    res,
+  );
+  if (!transport) return;
+
+  try {
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Creates a router that serves the MCP protocol over HTTP:
+ *
+ * - Streamable HTTP at /mcp: POST an initialize request to open a session, then
+ *   send its Mcp-Session-Id header with every POST, GET (notification stream)
+ *   and DELETE (close session) request.
+ * - The older HTTP+SSE transport for clients that do not support Streamable
+ *   HTTP: GET /sse opens a session stream, and messages are POSTed to
+ *   /messages?sessionId=<id>.
+ *
+ * Sessions with no open request for idleTimeoutMs are closed, and later
+ * requests for them get 404.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.idleTimeoutMs] - Idle time before a session is
+ *   closed; 0 never closes it. Defaults to MSSQL_SESSION_IDLE_TIMEOUT_MS.
+ * @returns {express.Router} The router.
+ */
+function createMcpRouter({ idleTimeoutMs = sessionIdleTimeoutMs } = {}) {
+  const router = express.Router();
+
+  router.post("/mcp", async (req, res, next) => {
+    const sessionId = req.get("mcp-session-id");
+    if (sessionId || !isInitializeRequest(req.body)) {
+      return handleSessionRequest(req, res, next);
+    }
+
+    try {
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          trackRequest(addSession(id, transport, server, idleTimeoutMs), res);
+        },
+      });
+      const server = await connectSession(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/mcp", handleSessionRequest);
+  router.delete("/mcp", handleSessionRequest);
+
+  router.get("/sse", async (_req, res, next) => {
+    try {
+      const transport = new SSEServerTransport("/messages", res);
+      const server = await connectSession(transport);
+      trackRequest(
+        addSession(transport.sessionId, transport, server, idleTimeoutMs),
+        res,
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post("/messages", async (req, res, next) => {
+    const transport = findTransport(
+      req.query.sessionId,
+      SSEServerTransport,
+      res,
+    );
+    if (!transport) return;
+
+    try {
+      await transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Closes every open MCP session, for shutdown.
+ * @returns {Promise<void>} Resolves once every transport has closed.
+ */
+async function closeSessions() {
+  const open = [...sessions.values()];
+  open.forEach(({ idleTimer }) => clearTimeout(idleTimer));
+  sessions.clear();
+  await Promise.allSettled(open.map(({ transport }) => transport.close()));
+}
+
+module.exports = {
+  createMcpRouter,
+  closeSessions,
+  sessions,
+};
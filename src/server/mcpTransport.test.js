@@ -0,0 +1,148 @@
+const request = require("supertest");
+const express = require("express");
+const { createMcpRouter, sessions } = require("./mcpTransport");
+
+jest.mock("../db/connection");
+jest.mock("../config", () => ({
+  dbConfigs: { maindb: { database: "main" } },
+  promptTemplates: [],
+}));
+
+const ACCEPT = "application/json, text/event-stream";
+
+const app = express();
+app.use(express.json());
+app.use(createMcpRouter({ idleTimeoutMs: 0 }));
+
+/**
+ * POSTs a JSON-RPC message to /mcp and reads the messages of the response,
+ * which the transport sends as SSE events.
+ */
+async function postMcp(message, sessionId, target = app) {
+  const req = request(target).post("/mcp").set("Accept", ACCEPT);
+  if (sessionId) {
+    req.set("Mcp-Session-Id", sessionId);
+    req.set("Mcp-Protocol-Version", "2025-03-26");
+  }
+  const response = await req
+    .send(message)
+    .buffer(true)
+    .parse((res, done) => {
+      let text = "";
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => done(null, text));
+    });
+  response.messages = response.body
+    .split("\n")
+    .filter((line) => line.startsWith("data: "))
+    .map((line) => JSON.parse(line.slice("data: ".length)));
+  return response;
+}
+
+function openSession(target = app) {
+  return postMcp(
+    {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: {
+        protocolVersion: "2025-03-26",
+        capabilities: {},
+        clientInfo: { name: "test", version: "1.0.0" },
+      },
+    },
+    undefined,
+    target,
+  );
+}
+
+describe("Streamable HTTP transport", () => {
+  afterEach(async () => {
+    for (const { transport } of sessions.values()) {
+      await transport.close();
+    }
+  });
+
+  it("opens a session with an initialize request and serves the shared handlers", async () => {
+    const init = await openSession();
+    expect(init.statusCode).toBe(200);
+    const sessionId = init.headers["mcp-session-id"];
+    expect(sessionId).toBeTruthy();
+    expect(init.messages[0].result.serverInfo.name).toBe("mssql-mcp-node");
+    expect(sessions.has(sessionId)).toBe(true);
+
+    const response = await postMcp(
+      { jsonrpc: "2.0", id: 2, method: "tools/list" },
+      sessionId,
+    );
+    expect(response.statusCode).toBe(200);
+    const names = response.messages[0].result.tools.map((tool) => tool.name);
+    expect(names).toContain("execute_sql");
+  });
+
+  it("rejects requests without a session and requests for unknown sessions", async () => {
+    const missing = await request(app)
+      .post("/mcp")
+      .set("Accept", ACCEPT)
+      .send({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+    expect(missing.statusCode).toBe(400);
+
+    const unknown = await request(app)
+      .post("/mcp")
+      .set("Accept", ACCEPT)
+      .set("Mcp-Session-Id", "no-such-session")
+      .send({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+    expect(unknown.statusCode).toBe(404);
+    expect(unknown.body.error.message).toMatch(/Session not found/);
+  });
+
+  it("closes a session on DELETE", async () => {
+    const init = await openSession();
+    const sessionId = init.headers["mcp-session-id"];
+
+    const response = await request(app)
+      .delete("/mcp")
+      .set("Mcp-Session-Id", sessionId)
+      .set("Mcp-Protocol-Version", "2025-03-26");
+    expect(response.statusCode).toBe(200);
+    expect(sessions.has(sessionId)).toBe(false);
+  });
+
+  it("does not accept SSE messages for a Streamable HTTP session", async () => {
+    const init = await openSession();
+    const sessionId = init.headers["mcp-session-id"];
+
+    const response = await request(app)
+      .post(`/messages?sessionId=${sessionId}`)
+      .send({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+    expect(response.statusCode).toBe(404);
+  });
+});
+
+describe("idle sessions", () => {
+  const idleApp = express();
+  idleApp.use(express.json());
+  idleApp.use(createMcpRouter({ idleTimeoutMs: 200 }));
+
+  afterEach(async () => {
+    for (const { transport } of sessions.values()) {
+      await transport.close();
+    }
+  });
+
+  it("closes and forgets a session after it goes without requests", async () => {
+    const init = await openSession(idleApp);
+    const sessionId = init.headers["mcp-session-id"];
+    expect(sessions.has(sessionId)).toBe(true);
+
+    await new Promise((resolve) => setTimeout(resolve, 400));
+
+    expect(sessions.has(sessionId)).toBe(false);
+    const response = await postMcp(
+      { jsonrpc: "2.0", id: 2, method: "tools/list" },
+      sessionId,
+      idleApp,
+    );
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -1,4 +1,5 @@
 const { z } = require("zod");
+const { OUTPUT_FORMATS } = require("../db/formats");
 
 /**
  * Schema for SQL query validation
@@ -11,17 +12,113 @@ const sqlQuerySchema = z.object({
 });
 
 /**
- * Schema for table name validation
+ * Parses a table name such as "Orders", "sales.Orders" or "[sales].[Order Details]".
+ * Parts may be bracketed (with "]]" escaping "]"); unbracketed parts cannot contain dots or brackets.
+ * @param {string} input - The table name
+ * @param {string} [label="Table name"] - What the name is, for error messages
+ * @returns {{ schema: string|null, name: string }} The schema (null if not given) and table name
+ * @throws {Error} If the name is malformed
+ */
+function parseTableName(input, label = "Table name") {
+  const parts = [];
+  let i = 0;
+
+  for (;;) {
+    let part = "";
+    if (input[i] === "[") {
+      let j = i + 1;
+      for (; j < input.length; j++) {
+        if (input[j] === "]") {
+          if (input[j + 1] !== "]") break;
+          j++;
+        }
+        part += input[j];
+      }
+      if (j >= input.length) {
+        throw new Error(`${label} has an unclosed '['`);
+      }
+      i = j + 1;
+    } else {
+      const end =
+        input.indexOf(".", i) === -1 ? input.length : input.indexOf(".", i);
+      part = input.slice(i, end).trim();
+      if (/[[\]]/.test(part)) {
+        throw new Error(`${label} parts containing brackets must be bracketed`);
+      }
+      i = end;
+    }
+
+    if (part.length === 0 || part.length > 128) {
+      throw new Error(
+        `Each part of a ${label.toLowerCase()} must be 1-128 characters`,
+      );
+    }
+    if ([...part].some((char) => char.charCodeAt(0) < 0x20)) {
+      throw new Error(`${label} cannot contain control characters`);
+    }
+    parts.push(part);
+
+    if (i >= input.length) break;
+    if (input[i] !== ".") {
+      throw new Error(
+        `Unexpected character '${input[i]}' in ${label.toLowerCase()}`,
+      );
+    }
+    i++;
+  }
+
+  if (parts.length > 2) {
+    throw new Error(`${label} can have at most two parts: schema.name`);
+  }
+  return parts.length === 2
+    ? { schema: parts[0], name: parts[1] }
+    : { schema: null, name: parts[0] };
+}
+
+/**
+ * Builds a field that accepts "name" or "schema.name" and produces { schema, name }.
+ * @param {string} label - What the name is, for error messages
+ * @returns {z.ZodType} The field schema
+ */
+function qualifiedNameField(label) {
+  return z
+    .string()
+    .min(1, { message: `${label} cannot be empty` })
+    .max(261, { message: `${label} is too long` })
+    .transform((input, ctx) => {
+      try {
+        return parseTableName(input, label);
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        return z.NEVER;
+      }
+    });
+}
+
+/**
+ * Schema for table name validation.
+ * Accepts "table" or "schema.table" and produces { schema, name }.
  */
 const tableNameSchema = z.object({
-  table: z
+  table: qualifiedNameField("Table name"),
+});
+
+/**
+ * Schema for view, procedure and function names.
+ * Accepts "name" or "schema.name" and produces { schema, name }.
+ */
+const objectNameSchema = z.object({
+  name: qualifiedNameField("Object name"),
+});
+
+/**
+ * Schema for an optional schema filter
+ */
+const schemaFilterSchema = z.object({
+  schema: z
     .string()
-    .min(1, { message: "Table name cannot be empty" })
-    .max(128, { message: "Table name is too long" })
-    .regex(/^[a-zA-Z0-9_]+$/, {
-      message:
-        "Table name can only contain alphanumeric characters and underscores",
-    }),
+    .min(1, { message: "Schema name cannot be empty" })
+    .max(128, { message: "Schema name is too long" }),
 });
 
 /**
@@ -43,18 +140,355 @@ const dbKeySchema = z.object({
  */
 const dbKeyTableSchema = dbKeySchema.merge(tableNameSchema);
 
+/**
+ * Schema for get_relationships options
+ */
+const relationshipOptionsSchema = z.object({
+  schema: schemaFilterSchema.shape.schema.optional(),
+  tables: z
+    .array(qualifiedNameField("Table name"))
+    .min(1, { message: "tables cannot be empty" })
+    .max(500, { message: "At most 500 tables can be given" })
+    .optional(),
+  mermaid: z.boolean({ message: "mermaid must be a boolean" }).optional(),
+});
+
+/**
+ * Schema for both dbKey and object name validation
+ */
+const dbKeyObjectNameSchema = dbKeySchema.merge(objectNameSchema);
+
 /**
  * Schema for both dbKey and query validation
  */
 const dbKeyQuerySchema = dbKeySchema.merge(sqlQuerySchema);
 
 /**
- * Schema for database resource URI validation
+ * SQL Server types accepted for bound query parameters, keyed by lower-cased name.
+ * `args` describes the arguments the type accepts: a length (or MAX),
+ * a precision and scale, or a fractional-seconds scale. Lengths go up to
+ * maxLength, 8000 unless set (Unicode types count characters of two bytes).
+ */
+const SQL_PARAMETER_TYPES = {
+  bit: { name: "Bit", args: "none" },
+  tinyint: { name: "TinyInt", args: "none" },
+  smallint: { name: "SmallInt", args: "none" },
+  int: { name: "Int", args: "none" },
+  bigint: { name: "BigInt", args: "none" },
+  float: { name: "Float", args: "none" },
+  real: { name: "Real", args: "none" },
+  decimal: { name: "Decimal", args: "precision" },
+  numeric: { name: "Numeric", args: "precision" },
+  money: { name: "Money", args: "none" },
+  smallmoney: { name: "SmallMoney", args: "none" },
+  char: { name: "Char", args: "length" },
+  nchar: { name: "NChar", args: "length", maxLength: 4000 },
+  varchar: { name: "VarChar", args: "length" },
+  nvarchar: { name: "NVarChar", args: "length", maxLength: 4000 },
+  text: { name: "Text", args: "none" },
+  ntext: { name: "NText", args: "none" },
+  xml: { name: "Xml", args: "none" },
+  date: { name: "Date", args: "none" },
+  time: { name: "Time", args: "scale" },
+  datetime: { name: "DateTime", args: "none" },
+  datetime2: { name: "DateTime2", args: "scale" },
+  datetimeoffset: { name: "DateTimeOffset", args: "scale" },
+  smalldatetime: { name: "SmallDateTime", args: "none" },
+  uniqueidentifier: { name: "UniqueIdentifier", args: "none" },
+  binary: { name: "Binary", args: "length" },
+  varbinary: { name: "VarBinary", args: "length" },
+  image: { name: "Image", args: "none" },
+  sql_variant: { name: "Variant", args: "none" },
+  variant: { name: "Variant", args: "none" },
+};
+
+/**
+ * Parses a SQL type declaration such as "NVarChar(50)", "Decimal(18,4)" or "Int"
+ * @param {string} typeSpec - The type declaration
+ * @returns {{ name: string, args: Array<number|string> }} Canonical type name and its arguments
+ * @throws {Error} If the type name is unknown or its arguments are invalid
+ */
+function parseSqlType(typeSpec) {
+  const match = /^\s*([a-zA-Z_0-9]+)\s*(?:\(\s*([^)]*?)\s*\))?\s*$/.exec(
+    typeSpec,
+  );
+  const entry = match && SQL_PARAMETER_TYPES[match[1].toLowerCase()];
+  if (!entry) {
+    const supported = [
+      ...new Set(Object.values(SQL_PARAMETER_TYPES).map((type) => type.name)),
+    ].join(", ");
+    throw new Error(
+      `Unknown SQL type '${typeSpec}'. Supported types: ${supported}`,
+    );
+  }
+
+  const rawArgs = match[2] ? match[2].split(/\s*,\s*/) : [];
+  const isInteger = (value) => /^\d+$/.test(value);
+
+  if (entry.args === "none" && rawArgs.length > 0) {
+    throw new Error(`SQL type '${entry.name}' does not take arguments`);
+  }
+  if (entry.args === "length") {
+    if (rawArgs.length > 1) {
+      throw new Error(`SQL type '${entry.name}' takes a single length`);
+    }
+    if (rawArgs.length === 1) {
+      if (rawArgs[0].toUpperCase() === "MAX") {
+        return { name: entry.name, args: ["MAX"] };
+      }
+      const length = Number(rawArgs[0]);
+      const maxLength = entry.maxLength ?? 8000;
+      if (!isInteger(rawArgs[0]) || length < 1 || length > maxLength) {
+        throw new Error(
+          `Invalid length '${rawArgs[0]}' for SQL type '${entry.name}'. Use 1-${maxLength} or MAX`,
+        );
+      }
+      return { name: entry.name, args: [length] };
+    }
+  }
+  if (entry.args === "precision") {
+    if (rawArgs.length > 2 || !rawArgs.every(isInteger)) {
+      throw new Error(
+        `SQL type '${entry.name}' takes (precision) or (precision, scale)`,
+      );
+    }
+    const [precision, scale] = rawArgs.map(Number);
+    if (rawArgs.length > 0 && (precision < 1 || precision > 38)) {
+      throw new Error(
+        `Invalid precision '${precision}' for SQL type '${entry.name}'. Use 1-38`,
+      );
+    }
+    if (rawArgs.length > 1 && scale > precision) {
+      throw new Error(
+        `Invalid scale '${scale}' for SQL type '${entry.name}'. Scale cannot exceed precision`,
+      );
+    }
+  }
+  if (entry.args === "scale") {
+    if (
+      rawArgs.length > 1 ||
+      !rawArgs.every(isInteger) ||
+      rawArgs.some((value) => Number(value) > 7)
+    ) {
+      throw new Error(`SQL type '${entry.name}' takes an optional scale 0-7`);
+    }
+  }
+
+  return { name: entry.name, args: rawArgs.map(Number) };
+}
+
+/**
+ * Schema for a single bound query parameter
  */
-const resourceUriSchema = z.string().regex(/^mssql:\/\/[a-zA-Z0-9_]+\/data$/, {
-  message: "URI must match the pattern mssql://<table_name>/data",
+const sqlParameterSchema = z.object({
+  name: z
+    .string()
+    .regex(/^@?[a-zA-Z_][a-zA-Z0-9_]{0,127}$/, {
+      message:
+        "Parameter name must start with a letter or underscore and contain only alphanumeric characters and underscores",
+    })
+    .transform((name) => name.replace(/^@/, "")),
+  value: z.union([z.string(), z.number(), z.boolean(), z.null()]),
+  type: z
+    .string()
+    .optional()
+    .transform((type, ctx) => {
+      if (type === undefined) {
+        return undefined;
+      }
+      try {
+        return parseSqlType(type);
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        return z.NEVER;
+      }
+    }),
+});
+
+/**
+ * Schema for query parameters, given either as an array of { name, value, type }
+ * or as an object mapping names to values (or to { value, type } objects).
+ * Always produces the array form.
+ */
+const sqlParametersSchema = z.object({
+  parameters: z
+    .union([
+      z.array(z.any()),
+      z
+        .record(z.any())
+        .transform((params) =>
+          Object.entries(params).map(([name, spec]) =>
+            spec !== null && typeof spec === "object" && !Array.isArray(spec)
+              ? { ...spec, name }
+              : { name, value: spec },
+          ),
+        ),
+    ])
+    .pipe(
+      z
+        .array(sqlParameterSchema)
+        .max(2100, { message: "SQL Server allows at most 2100 parameters" })
+        .refine(
+          (params) =>
+            new Set(params.map((param) => param.name.toLowerCase())).size ===
+            params.length,
+          { message: "Parameter names must be unique" },
+        ),
+    ),
+});
+
+/**
+ * Schema for the OUTPUT parameters of a procedure call.
+ * Accepts names ("total" or "@total") or { name, type } objects.
+ * An initial value for an OUTPUT parameter is passed with the input parameters.
+ */
+const outputParametersSchema = z.object({
+  outputParameters: z
+    .array(
+      z.preprocess(
+        (param) => (typeof param === "string" ? { name: param } : param),
+        sqlParameterSchema.omit({ value: true }),
+      ),
+    )
+    .max(2100, { message: "SQL Server allows at most 2100 parameters" })
+    .refine(
+      (params) =>
+        new Set(params.map((param) => param.name.toLowerCase())).size ===
+        params.length,
+      { message: "Output parameter names must be unique" },
+    ),
+});
+
+/**
+ * Schema for per-call row limits
+ */
+const maxRowsSchema = z.object({
+  maxRows: z
+    .number()
+    .int({ message: "maxRows must be an integer" })
+    .positive({ message: "maxRows must be positive" }),
+});
+
+/**
+ * Schema for the output format of rows
+ */
+const outputFormatSchema = z.object({
+  format: z.enum(OUTPUT_FORMATS, {
+    errorMap: () => ({
+      message: `format must be one of: ${OUTPUT_FORMATS.join(", ")}`,
+    }),
+  }),
+});
+
+/**
+ * Schema for per-call query timeouts
+ */
+const timeoutMsSchema = z.object({
+  timeoutMs: z
+    .number()
+    .int({ message: "timeoutMs must be an integer" })
+    .positive({ message: "timeoutMs must be positive" }),
+});
+
+/**
+ * Schema for get_audit_log's filters
+ */
+const auditLogFiltersSchema = z.object({
+  limit: z
+    .number()
+    .int({ message: "limit must be an integer" })
+    .min(1, { message: "limit must be at least 1" })
+    .max(1000, { message: "limit must be at most 1000" })
+    .default(100),
+  caller: z.string().min(1).max(256).optional(),
+  tool: z.string().min(1).max(64).optional(),
+  dbKey: dbKeySchema.shape.dbKey.optional(),
+  status: z.enum(["allowed", "blocked", "error"]).optional(),
+  since: z
+    .string()
+    .datetime({
+      offset: true,
+      message: "since must be an ISO 8601 timestamp",
+    })
+    .optional(),
+});
+
+/**
+ * Schema for get_table_schema's output mode
+ */
+const compactSchema = z.object({
+  compact: z.boolean({ message: "compact must be a boolean" }),
+});
+
+/**
+ * Schema for explain_query's raw plan option
+ */
+const includeXmlSchema = z.object({
+  includeXml: z.boolean({ message: "includeXml must be a boolean" }),
+});
+
+/**
+ * Schema for continuation token input
+ */
+const continuationTokenSchema = z.object({
+  continuationToken: z
+    .string()
+    .min(1, { message: "Continuation token cannot be empty" })
+    .max(100000, { message: "Continuation token is too long" }),
+});
+
+/**
+ * Schema for the payload of a result set continuation token
+ */
+const continuationTokenPayloadSchema = z.object({
+  v: z.literal(1, { message: "Unsupported continuation token version" }),
+  dbKey: z.string().optional(),
+  query: z.string(),
+  parameters: z.any().optional(),
+  resultSet: z.number().int().nonnegative(),
+  offset: z.number().int().nonnegative(),
+  pageSize: z.number().int().positive(),
 });
 
+/**
+ * Schema for database resource URI validation
+ */
+const resourceUriSchema = z
+  .string()
+  .max(4000, { message: "URI is too long" })
+  .regex(/^mssql:\/\/[^/?#]+\/(data(\?[^#]*)?|relationships)$/, {
+    message:
+      "URI must match the pattern mssql://<schema>.<table_name>/data[?<query>] or mssql://<dbKey>/relationships",
+  });
+
+/**
+ * Schema for the query parameters of a table resource URI, other than
+ * where.<column> filters. Column names are checked against the table later.
+ */
+const resourceQuerySchema = z
+  .object({
+    top: z.coerce
+      .number()
+      .int({ message: "top must be an integer" })
+      .positive({ message: "top must be positive" })
+      .optional(),
+    offset: z.coerce
+      .number()
+      .int({ message: "offset must be an integer" })
+      .min(0, { message: "offset cannot be negative" })
+      .optional(),
+    columns: z
+      .string()
+      .min(1, { message: "columns cannot be empty" })
+      .optional(),
+    orderBy: z
+      .string()
+      .min(1, { message: "orderBy cannot be empty" })
+      .optional(),
+    format: z.enum(OUTPUT_FORMATS).optional(),
+  })
+  .strict();
+
 /**
  * Schema for database configuration validation
  */
@@ -81,23 +515,54 @@ function validate(schema, data) {
   try {
     return schema.parse(data);
   } catch (error) {
-    if (error.errors && error.errors.length > 0) {
-      const messages = error.errors
-        .map((err) => `${err.path.join(".")}: ${err.message}`)
-        .join(", ");
-      throw new Error(`Validation failed: ${messages}`);
-    }
-    throw new Error("Validation failed");
+    const messages = (error.errors || [])
+      .map((err) => `${err.path.join(".")}: ${err.message}`)
+      .join(", ");
+    throw invalidInputError(
+      messages ? `Validation failed: ${messages}` : "Validation failed",
+    );
   }
 }
 
+/**
+ * Creates the error for input that fails validation. Its code, EVALIDATION,
+ * sets it apart from failures of the server or the database.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function invalidInputError(message) {
+  const error = new Error(message);
+  error.code = "EVALIDATION";
+  return error;
+}
+
 module.exports = {
+  invalidInputError,
   sqlQuerySchema,
   tableNameSchema,
   dbKeySchema,
   dbKeyTableSchema,
+  objectNameSchema,
+  dbKeyObjectNameSchema,
+  schemaFilterSchema,
+  relationshipOptionsSchema,
   dbKeyQuerySchema,
   resourceUriSchema,
+  resourceQuerySchema,
   dbConfigSchema,
+  sqlParameterSchema,
+  sqlParametersSchema,
+  outputParametersSchema,
+  maxRowsSchema,
+  timeoutMsSchema,
+  outputFormatSchema,
+  auditLogFiltersSchema,
+  compactSchema,
+  includeXmlSchema,
+  continuationTokenSchema,
+  continuationTokenPayloadSchema,
+  SQL_PARAMETER_TYPES,
+  parseSqlType,
+  parseTableName,
   validate,
 };
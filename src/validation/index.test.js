@@ -0,0 +1,97 @@
+const {
+  parseSqlType,
+  parseTableName,
+  sqlParametersSchema,
+  validate,
+} = require("./index");
+
+describe("parseSqlType", () => {
+  it("should parse types with and without arguments", () => {
+    expect(parseSqlType("Int")).toEqual({ name: "Int", args: [] });
+    expect(parseSqlType("nvarchar(50)")).toEqual({
+      name: "NVarChar",
+      args: [50],
+    });
+    expect(parseSqlType("NVarChar(4000)")).toEqual({
+      name: "NVarChar",
+      args: [4000],
+    });
+    expect(parseSqlType("VARBINARY(max)")).toEqual({
+      name: "VarBinary",
+      args: ["MAX"],
+    });
+    expect(parseSqlType("Decimal(18, 4)")).toEqual({
+      name: "Decimal",
+      args: [18, 4],
+    });
+  });
+
+  it("should reject unknown types and invalid arguments", () => {
+    expect(() => parseSqlType("Integer")).toThrow(/Unknown SQL type 'Integer'/);
+    expect(() => parseSqlType("Int(4)")).toThrow(/does not take arguments/);
+    expect(() => parseSqlType("VarChar(9000)")).toThrow(/Use 1-8000 or MAX/);
+    expect(() => parseSqlType("NVarChar(5000)")).toThrow(/Use 1-4000 or MAX/);
+    expect(() => parseSqlType("NChar(4001)")).toThrow(/Use 1-4000 or MAX/);
+    expect(() => parseSqlType("Decimal(4,8)")).toThrow(/Scale cannot exceed/);
+  });
+});
+
+describe("sqlParametersSchema", () => {
+  it("should normalize the object form to an array", () => {
+    const { parameters } = validate(sqlParametersSchema, {
+      parameters: { id: 5, name: { value: "Ann", type: "NVarChar(50)" } },
+    });
+
+    expect(parameters).toEqual([
+      { name: "id", value: 5 },
+      { name: "name", value: "Ann", type: { name: "NVarChar", args: [50] } },
+    ]);
+  });
+
+  it("should strip a leading @ and reject duplicate names", () => {
+    const { parameters } = validate(sqlParametersSchema, {
+      parameters: [{ name: "@id", value: 1 }],
+    });
+    expect(parameters[0].name).toBe("id");
+
+    expect(() =>
+      validate(sqlParametersSchema, {
+        parameters: [
+          { name: "id", value: 1 },
+          { name: "@ID", value: 2 },
+        ],
+      }),
+    ).toThrow(/Parameter names must be unique/);
+  });
+
+  it("should report the offending parameter type", () => {
+    expect(() =>
+      validate(sqlParametersSchema, {
+        parameters: [{ name: "id", value: 1, type: "Number" }],
+      }),
+    ).toThrow(/parameters\.0\.type: Unknown SQL type 'Number'/);
+  });
+});
+
+describe("parseTableName", () => {
+  it("should parse unqualified and schema-qualified names", () => {
+    expect(parseTableName("Orders")).toEqual({ schema: null, name: "Orders" });
+    expect(parseTableName("sales.Orders")).toEqual({
+      schema: "sales",
+      name: "Orders",
+    });
+  });
+
+  it("should unescape bracketed parts", () => {
+    expect(parseTableName("[sales.eu].[Order]]Details]")).toEqual({
+      schema: "sales.eu",
+      name: "Order]Details",
+    });
+  });
+
+  it("should reject malformed names", () => {
+    expect(() => parseTableName("a.b.c")).toThrow(/at most two parts/);
+    expect(() => parseTableName("[sales.Orders")).toThrow(/unclosed/);
+    expect(() => parseTableName("sales.")).toThrow(/1-128 characters/);
+  });
+});
@@ -0,0 +1,1041 @@
+/**
+ * Statement categories, ordered from least to most privileged.
+ * A statement's category is the most privileged one detected in it.
+ */
+const CATEGORIES = [
+  "control",
+  "read",
+  "dml",
+  "ddl",
+  "exec",
+  "server_config",
+  "security",
+  "unknown",
+];
+
+/**
+ * Categories allowed by default in read-only and read-write mode
+ */
+const DEFAULT_ALLOWED_CATEGORIES = {
+  readonly: ["control", "read"],
+  readwrite: ["control", "read", "dml"],
+};
+
+const CONTROL_KEYWORDS = new Set([
+  "DECLARE",
+  "SET",
+  "IF",
+  "ELSE",
+  "WHILE",
+  "BEGIN",
+  "END",
+  "PRINT",
+  "RETURN",
+  "THROW",
+  "RAISERROR",
+  "BREAK",
+  "CONTINUE",
+  "GOTO",
+  "OPEN",
+  "CLOSE",
+  "FETCH",
+  "DEALLOCATE",
+  "COMMIT",
+  "ROLLBACK",
+  "SAVE",
+]);
+
+const SERVER_KEYWORDS = {
+  RECONFIGURE: "RECONFIGURE changes server configuration",
+  SHUTDOWN: "SHUTDOWN stops the server",
+  KILL: "KILL terminates other sessions",
+  BACKUP: "BACKUP writes to the server file system",
+  RESTORE: "RESTORE overwrites databases",
+  DBCC: "DBCC runs server maintenance commands",
+  USE: "USE switches to another database",
+  CHECKPOINT: "CHECKPOINT forces a server checkpoint",
+  WAITFOR: "WAITFOR holds the connection open",
+  OPENROWSET: "OPENROWSET reads external data sources",
+  OPENDATASOURCE: "OPENDATASOURCE reads external data sources",
+  OPENQUERY: "OPENQUERY runs queries on linked servers",
+};
+
+/**
+ * Statements the classifier has no category for, by leading keyword, with
+ * the words that must follow it (null when the keyword is reserved and always
+ * starts a statement). They are classified as unknown wherever they appear.
+ */
+const UNCLASSIFIED_STATEMENTS = {
+  WRITETEXT: null,
+  UPDATETEXT: null,
+  READTEXT: null,
+  DUMP: null,
+  LOAD: null,
+  LINENO: null,
+  DISABLE: ["TRIGGER"],
+  ENABLE: ["TRIGGER"],
+  SEND: ["ON CONVERSATION"],
+  GET: ["CONVERSATION GROUP"],
+  MOVE: ["CONVERSATION"],
+  ADD: ["SIGNATURE", "COUNTER SIGNATURE"],
+  BEGIN: ["DIALOG", "CONVERSATION TIMER"],
+  END: ["CONVERSATION"],
+};
+
+const SECURITY_OBJECTS = new Set([
+  "LOGIN",
+  "USER",
+  "ROLE",
+  "APPLICATION",
+  "CERTIFICATE",
+  "CREDENTIAL",
+  "ASYMMETRIC",
+  "SYMMETRIC",
+  "MASTER",
+  "AUTHORIZATION",
+]);
+
+const SERVER_OBJECTS = new Set(["DATABASE", "SERVER", "ENDPOINT"]);
+
+/**
+ * Procedures that are classified by name wherever they appear,
+ * with or without EXEC and with or without brackets.
+ */
+const SPECIAL_PROCEDURES = [
+  {
+    pattern: /^sp_executesql$/i,
+    category: "exec",
+    reason: "sp_executesql runs dynamic SQL",
+  },
+  {
+    pattern: /^(xp_\w+|sp_configure|sp_oa\w+)$/i,
+    category: "server_config",
+    reason: "extended and configuration procedures reach the server itself",
+  },
+  {
+    pattern:
+      /^sp_(add|drop|change|grant|revoke|deny)\w*(login|user|role|rolemember|owner|srvrolemember)$|^sp_password$/i,
+    category: "security",
+    reason: "changes logins, users or role membership",
+  },
+];
+
+/**
+ * Splits T-SQL text into tokens, skipping whitespace and comments.
+ * String literals and quoted identifiers are kept whole so that
+ * keywords inside them are never mistaken for statements.
+ * @param {string} text - The T-SQL text.
+ * @returns {Array<Object>} Tokens with type, value, upper, start, end and line.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  const advanceTo = (end) => {
+    for (let j = i; j < end; j++) {
+      if (text[j] === "\n") line++;
+    }
+    i = end;
+  };
+
+  // Finds the end of a delimited token where a doubled closing delimiter is an escape
+  const delimitedEnd = (from, close) => {
+    let j = from;
+    while (j < text.length) {
+      if (text[j] === close) {
+        if (text[j + 1] === close) {
+          j += 2;
+          continue;
+        }
+        return j + 1;
+      }
+      j++;
+    }
+    return text.length;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    const start = i;
+    const startLine = line;
+    const push = (type, end, value) => {
+      tokens.push({
+        type,
+        value,
+        upper: type === "word" ? value.toUpperCase() : value,
+        start,
+        end,
+        line: startLine,
+      });
+      advanceTo(end);
+    };
+
+    if (/\s/.test(ch)) {
+      advanceTo(i + 1);
+    } else if (ch === "-" && next === "-") {
+      const end = text.indexOf("\n", i);
+      advanceTo(end === -1 ? text.length : end);
+    } else if (ch === "/" && next === "*") {
+      // Block comments nest in T-SQL
+      let depth = 0;
+      let j = i;
+      while (j < text.length) {
+        if (text[j] === "/" && text[j + 1] === "*") {
+          depth++;
+          j += 2;
+        } else if (text[j] === "*" && text[j + 1] === "/") {
+          depth--;
+          j += 2;
+          if (depth === 0) break;
+        } else {
+          j++;
+        }
+      }
+      advanceTo(j);
+    } else if (ch === "'" || ((ch === "N" || ch === "n") && next === "'")) {
+      const quote = text.indexOf("'", i);
+      const end = delimitedEnd(quote + 1, "'");
+      push("string", end, text.slice(quote + 1, end - 1).replace(/''/g, "'"));
+    } else if (ch === "[") {
+      const end = delimitedEnd(i + 1, "]");
+      push("identifier", end, text.slice(i + 1, end - 1).replace(/]]/g, "]"));
+    } else if (ch === '"') {
+      const end = delimitedEnd(i + 1, '"');
+      push("identifier", end, text.slice(i + 1, end - 1).replace(/""/g, '"'));
+    } else if (ch === "@" || ch === "#") {
+      const match = /^[@#]{1,2}[\p{L}\p{N}_$#@]*/u.exec(text.slice(i));
+      push(
+        ch === "@" ? "variable" : "identifier",
+        i + match[0].length,
+        match[0],
+      );
+    } else if (/[\p{L}_]/u.test(ch)) {
+      const match = /^[\p{L}\p{N}_$#@]+/u.exec(text.slice(i));
+      push("word", i + match[0].length, match[0]);
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next || ""))) {
+      const match = /^(0x[0-9a-fA-F]*|[0-9]*\.?[0-9]+(e[+-]?[0-9]+)?)/i.exec(
+        text.slice(i),
+      );
+      push("number", i + match[0].length, match[0]);
+    } else {
+      push("punct", i + 1, ch);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Groups tokens into batches (separated by GO on its own line)
+ * and statements (separated by semicolons).
+ * @param {Array<Object>} tokens - Tokens from tokenize().
+ * @returns {Array<Array<Array<Object>>>} Batches of statements of tokens.
+ */
+function splitStatements(tokens) {
+  const batches = [[[]]];
+  const isAlone = (index) =>
+    (index === 0 || tokens[index - 1].line < tokens[index].line) &&
+    (index === tokens.length - 1 ||
+      tokens[index + 1].line > tokens[index].line ||
+      (tokens[index + 1].type === "number" &&
+        (index + 1 === tokens.length - 1 ||
+          tokens[index + 2].line > tokens[index].line)));
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const batch = batches[batches.length - 1];
+
+    if (token.type === "word" && token.upper === "GO" && isAlone(i)) {
+      if (tokens[i + 1] && tokens[i + 1].line === token.line) i++;
+      batches.push([[]]);
+    } else if (token.type === "punct" && token.value === ";") {
+      batch.push([]);
+    } else {
+      batch[batch.length - 1].push(token);
+    }
+  }
+
+  return batches.map((batch) => batch.filter((stmt) => stmt.length > 0));
+}
+
+/**
+ * Returns the name (last part of a possibly dotted name) that starts at tokens[index]
+ */
+function readObjectName(tokens, index) {
+  let name = null;
+  let i = index;
+  while (tokens[i] && ["word", "identifier"].includes(tokens[i].type)) {
+    name = tokens[i].value;
+    if (tokens[i + 1]?.value !== ".") break;
+    i += 2;
+    while (tokens[i]?.value === ".") i++; // db..object
+  }
+  return name;
+}
+
+/**
+ * Detects the operations a statement performs
+ * @param {Array<Object>} tokens - The statement's tokens.
+ * @param {boolean} firstInBatch - Whether the statement opens its batch.
+ * @returns {Array<Object>} Detections with category, keyword and reason.
+ */
+function detectOperations(tokens, firstInBatch) {
+  const detections = [];
+  const add = (category, keyword, reason) =>
+    detections.push({ category, keyword, reason });
+  let lastVerb = null;
+
+  const first = tokens[0];
+  if (
+    firstInBatch &&
+    (first.type === "identifier" ||
+      (first.type === "word" && !isKeyword(first.upper)))
+  ) {
+    add(
+      "exec",
+      readObjectName(tokens, 0),
+      "calls a procedure without EXEC at the start of a batch",
+    );
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+    const nextToken = tokens[i + 1];
+    const nextWord = nextToken?.type === "word" ? nextToken.upper : null;
+
+    if (token.type === "word" || token.type === "identifier") {
+      const special = SPECIAL_PROCEDURES.find((proc) =>
+        proc.pattern.test(token.value),
+      );
+      if (special) {
+        add(special.category, token.value, special.reason);
+      }
+    }
+    if (token.type !== "word") continue;
+
+    const word = token.upper;
+    const prevWord = prev?.type === "word" ? prev.upper : null;
+
+    switch (word) {
+      case "SELECT":
+        lastVerb = word;
+        add("read", word, "reads data");
+        break;
+      case "INSERT":
+        lastVerb = word;
+        if (prevWord === "BULK") {
+          add("server_config", "BULK INSERT", "BULK INSERT reads server files");
+        } else {
+          add("dml", word, "modifies data");
+        }
+        break;
+      case "UPDATE":
+      case "DELETE":
+        // FOR UPDATE cursors, ON UPDATE/DELETE foreign key actions and the
+        // UPDATE() trigger function. Any other ON UPDATE/DELETE, such as
+        // after SET NOCOUNT ON, is a statement.
+        if (
+          prevWord === "FOR" ||
+          isReferentialAction(tokens, i) ||
+          nextToken?.value === "("
+        )
+          break;
+        lastVerb = word;
+        add("dml", word, "modifies data");
+        break;
+      case "MERGE":
+        lastVerb = word;
+        add("dml", word, "modifies data");
+        break;
+      case "OUTPUT":
+      case "FETCH":
+        lastVerb = word;
+        break;
+      case "INTO":
+        if (lastVerb === "SELECT") {
+          if (nextToken?.type === "identifier" && nextToken.value[0] === "#") {
+            add("read", "SELECT ... INTO", "creates a temporary table");
+          } else {
+            add("ddl", "SELECT ... INTO", "creates a new table");
+          }
+        }
+        break;
+      case "CREATE":
+      case "ALTER":
+      case "DROP": {
+        const keyword = nextWord ? `${word} ${nextWord}` : word;
+        if (SECURITY_OBJECTS.has(nextWord)) {
+          add("security", keyword, "manages logins, users, roles or keys");
+        } else if (SERVER_OBJECTS.has(nextWord)) {
+          add("server_config", keyword, "changes databases or the server");
+        } else if (isTempTableTarget(tokens, i + 1)) {
+          add("control", keyword, "manages a temporary table");
+        } else {
+          add("ddl", keyword, "changes the schema");
+        }
+        break;
+      }
+      case "TRUNCATE":
+        add("ddl", word, "removes all rows from a table");
+        break;
+      case "GRANT":
+      case "REVOKE":
+      case "DENY":
+      case "REVERT":
+      case "SETUSER":
+        add("security", word, "changes permissions or impersonation");
+        break;
+      case "EXEC":
+      case "EXECUTE": {
+        // GRANT EXECUTE ON ... and WITH EXECUTE AS in module definitions
+        if (["GRANT", "REVOKE", "DENY", "WITH"].includes(prevWord)) break;
+        if (prev?.value === ",") break;
+        if (nextWord === "AS") {
+          add("security", `${word} AS`, "impersonates another principal");
+        } else if (
+          nextToken?.value === "(" ||
+          (nextToken?.type === "variable" && tokens[i + 2]?.value !== "=")
+        ) {
+          add("exec", word, "runs dynamic SQL");
+        } else if (nextToken?.type === "variable") {
+          add(
+            "exec",
+            `${word} ${readObjectName(tokens, i + 3) || ""}`.trim(),
+            "executes a procedure",
+          );
+        } else {
+          const procedure = readObjectName(tokens, i + 1);
+          // Specially classified procedures are reported by name above
+          if (
+            !SPECIAL_PROCEDURES.some((proc) => proc.pattern.test(procedure))
+          ) {
+            add(
+              "exec",
+              `${word} ${procedure || ""}`.trim(),
+              "executes a procedure",
+            );
+          }
+        }
+        break;
+      }
+      default:
+        if (SERVER_KEYWORDS[word]) {
+          add("server_config", word, SERVER_KEYWORDS[word]);
+        } else if (unclassifiedStatement(tokens, i)) {
+          add(
+            "unknown",
+            unclassifiedStatement(tokens, i),
+            "is not a statement the classifier recognizes",
+          );
+        } else if (CONTROL_KEYWORDS.has(word) && i === 0) {
+          add("control", word, "controls flow or session state");
+        } else if (word === "WITH" && i === 0) {
+          add("read", word, "defines a common table expression");
+        }
+    }
+  }
+
+  return detections;
+}
+
+/**
+ * Returns the leading words of the unclassified statement starting at
+ * tokens[index] (see UNCLASSIFIED_STATEMENTS), or null if none starts there.
+ * ALTER TABLE ... ENABLE/DISABLE TRIGGER is part of the ALTER statement.
+ */
+function unclassifiedStatement(tokens, index) {
+  const word = tokens[index].upper;
+  if (!Object.hasOwn(UNCLASSIFIED_STATEMENTS, word)) return null;
+  const followers = UNCLASSIFIED_STATEMENTS[word];
+  if (followers === null) return word;
+
+  const follower = followers.find((phrase) =>
+    phrase
+      .split(" ")
+      .every(
+        (part, offset) =>
+          tokens[index + 1 + offset]?.type === "word" &&
+          tokens[index + 1 + offset].upper === part,
+      ),
+  );
+  if (!follower) return null;
+  if (["ENABLE", "DISABLE"].includes(word)) {
+    // Back over the table name to ALTER TABLE
+    let i = index - 1;
+    while (
+      ["word", "identifier"].includes(tokens[i]?.type) &&
+      tokens[i - 1]?.value === "."
+    ) {
+      i -= 2;
+    }
+    if (tokens[i - 1]?.upper === "TABLE" && tokens[i - 2]?.upper === "ALTER") {
+      return null;
+    }
+  }
+  return `${word} ${follower}`;
+}
+
+/**
+ * Words that may sit between REFERENCES and a foreign key's ON UPDATE/DELETE
+ */
+const REFERENCES_CLAUSE_WORDS = new Set([
+  "ON",
+  "UPDATE",
+  "DELETE",
+  "CASCADE",
+  "SET",
+  "NULL",
+  "DEFAULT",
+  "NO",
+  "ACTION",
+]);
+
+/**
+ * Whether the UPDATE or DELETE at tokens[index] is a foreign key action:
+ * ON UPDATE/DELETE followed by CASCADE, SET NULL, SET DEFAULT or NO ACTION,
+ * within a REFERENCES clause
+ */
+function isReferentialAction(tokens, index) {
+  // Quoted identifiers such as [REFERENCES] or [CASCADE] are not keywords
+  const wordAt = (i) => (tokens[i]?.type === "word" ? tokens[i].upper : null);
+  if (wordAt(index - 1) !== "ON") return false;
+  const next = wordAt(index + 1);
+  const after = wordAt(index + 2);
+  const action =
+    next === "CASCADE" ||
+    (next === "SET" && (after === "NULL" || after === "DEFAULT")) ||
+    (next === "NO" && after === "ACTION");
+  if (!action) return false;
+
+  // Back to REFERENCES over the referenced table, its columns and earlier actions
+  for (let i = index - 2; i >= 0; i--) {
+    const token = tokens[i];
+    if (wordAt(i) === "REFERENCES") return true;
+    const inClause =
+      token.type === "identifier" ||
+      [".", ",", "(", ")"].includes(token.value) ||
+      (token.type === "word" &&
+        (REFERENCES_CLAUSE_WORDS.has(token.upper) || !isKeyword(token.upper)));
+    if (!inClause) return false;
+  }
+  return false;
+}
+
+/**
+ * Whether the object named at tokens[index] (after CREATE/DROP TABLE [IF EXISTS]) is a #temp table
+ */
+function isTempTableTarget(tokens, index) {
+  if (tokens[index]?.upper !== "TABLE") return false;
+  let i = index + 1;
+  if (tokens[i]?.upper === "IF" && tokens[i + 1]?.upper === "EXISTS") i += 2;
+  return tokens[i]?.type === "identifier" && tokens[i].value[0] === "#";
+}
+
+function isKeyword(word) {
+  return (
+    CONTROL_KEYWORDS.has(word) ||
+    Boolean(SERVER_KEYWORDS[word]) ||
+    [
+      "SELECT",
+      "INSERT",
+      "UPDATE",
+      "DELETE",
+      "MERGE",
+      "WITH",
+      "CREATE",
+      "ALTER",
+      "DROP",
+      "TRUNCATE",
+      "GRANT",
+      "REVOKE",
+      "DENY",
+      "REVERT",
+      "SETUSER",
+      "EXEC",
+      "EXECUTE",
+      "BULK",
+    ].includes(word)
+  );
+}
+
+const REFERENCE_KEYWORDS = new Set([
+  "FROM",
+  "JOIN",
+  "UPDATE",
+  "INTO",
+  "MERGE",
+  "TABLE",
+  "USING",
+  "INSERT",
+  "DELETE",
+]);
+
+// Words that can follow a table reference and are never aliases
+const CLAUSE_KEYWORDS = new Set([
+  "WHERE",
+  "JOIN",
+  "INNER",
+  "LEFT",
+  "RIGHT",
+  "FULL",
+  "CROSS",
+  "OUTER",
+  "ON",
+  "SET",
+  "GROUP",
+  "ORDER",
+  "HAVING",
+  "UNION",
+  "EXCEPT",
+  "INTERSECT",
+  "OUTPUT",
+  "VALUES",
+  "SELECT",
+  "USING",
+  "WHEN",
+  "OPTION",
+  "FOR",
+  "WITH",
+  "FROM",
+  "DEFAULT",
+  "EXEC",
+  "EXECUTE",
+  "PIVOT",
+  "UNPIVOT",
+  "TABLESAMPLE",
+  ...CONTROL_KEYWORDS,
+]);
+
+// Words that can sit between FROM and a later comma without ending the FROM clause
+const FROM_CLAUSE_WORDS = new Set([
+  "JOIN",
+  "INNER",
+  "LEFT",
+  "RIGHT",
+  "FULL",
+  "CROSS",
+  "OUTER",
+  "ON",
+  "WITH",
+  "PIVOT",
+  "UNPIVOT",
+  "TABLESAMPLE",
+]);
+
+/**
+ * Whether the comma at tokens[index] separates table sources of a FROM
+ * clause, as in FROM a, b or FROM a JOIN b ON ..., c. Parenthesized groups
+ * before it are skipped; it must not be inside one.
+ */
+function isFromClauseComma(tokens, index) {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (token.type === "punct" && token.value === ")") {
+      depth++;
+    } else if (token.type === "punct" && token.value === "(") {
+      if (depth === 0) return false;
+      depth--;
+    } else if (depth > 0) {
+      continue;
+    } else if (token.value === ";") {
+      return false;
+    } else if (token.type === "word") {
+      if (token.upper === "FROM") return true;
+      if (
+        token.upper === "GO" ||
+        ((CLAUSE_KEYWORDS.has(token.upper) || isKeyword(token.upper)) &&
+          !FROM_CLAUSE_WORDS.has(token.upper))
+      ) {
+        return false;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads a possibly qualified name ([server].[db].[schema].[object]) at tokens[index]
+ * @returns {{ parts: Array<string|null>, end: number }|null} The parts (null for
+ *   an omitted part as in db..object) and the index after the name.
+ */
+function readQualifiedName(tokens, index) {
+  const isName = (token) =>
+    token && (token.type === "word" || token.type === "identifier");
+  if (!isName(tokens[index])) return null;
+
+  const parts = [tokens[index].value];
+  let i = index + 1;
+  while (tokens[i]?.value === ".") {
+    if (tokens[i + 1]?.value === ".") {
+      parts.push(null);
+      i += 1;
+    } else if (isName(tokens[i + 1])) {
+      parts.push(tokens[i + 1].value);
+      i += 2;
+    } else {
+      break;
+    }
+  }
+  return { parts, end: i };
+}
+
+/**
+ * Lists the tables and views a query references (after FROM, JOIN, INTO,
+ * UPDATE, MERGE, TABLE, ...). Variables, #temp tables and the names of CTEs
+ * defined in the same statement are left out, as are UPDATE and DELETE
+ * targets that name an alias from the statement's own FROM clause. A FROM or
+ * JOIN source that cannot be read as a name, a subquery or a variable is
+ * listed with unresolved set, so callers can fail closed.
+ * @param {string} query - The T-SQL text.
+ * @returns {Array<{ server: string|null, database: string|null, schema: string|null, name: string, unresolved?: boolean }>}
+ *   The referenced objects, in order of appearance.
+ */
+function extractTableReferences(query) {
+  return splitStatements(tokenize(query))
+    .flat()
+    .flatMap((tokens) => extractStatementReferences(tokens));
+}
+
+/**
+ * Lists the tables and views one statement references (see extractTableReferences)
+ */
+function extractStatementReferences(tokens) {
+  const references = [];
+  const cteNames = new Set();
+  // Token indexes of table aliases, and UPDATE/DELETE targets by token index
+  const aliases = [];
+  const targets = new Map();
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const fromComma = token.value === "," && isFromClauseComma(tokens, i);
+    if (token.type !== "word" && !fromComma) continue;
+
+    // CTE definitions: WITH name [(cols)] AS ( / , name AS (
+    if (
+      (token.upper === "WITH" || tokens[i - 1]?.value === ",") &&
+      ["word", "identifier"].includes(tokens[i + 1]?.type)
+    ) {
+      let j = i + 2;
+      if (tokens[j]?.value === "(") {
+        while (tokens[j] && tokens[j].value !== ")") j++;
+        j++;
+      }
+      if (tokens[j]?.upper === "AS" && tokens[j + 1]?.value === "(") {
+        cteNames.add(tokens[i + 1].value.toLowerCase());
+      }
+    }
+
+    if (!fromComma && !REFERENCE_KEYWORDS.has(token.upper)) continue;
+    const prevWord = tokens[i - 1]?.type === "word" ? tokens[i - 1].upper : "";
+    // FETCH ... FROM cursor, ON DELETE/UPDATE actions, FOR UPDATE
+    if (
+      (token.upper === "FROM" &&
+        ["NEXT", "PRIOR", "FIRST", "LAST", "FETCH"].includes(prevWord)) ||
+      (["UPDATE", "DELETE"].includes(token.upper) &&
+        ["ON", "FOR"].includes(prevWord))
+    ) {
+      continue;
+    }
+
+    let j = i + 1;
+    const tableSource = fromComma || ["FROM", "JOIN"].includes(token.upper);
+    if (tableSource) {
+      // Parenthesized joins: FROM (a JOIN b ON ...)
+      while (tokens[j]?.value === "(") j++;
+      const next = tokens[j];
+      // Subqueries are read through their own FROM; variables and
+      // strings (BULK INSERT ... FROM 'file') are not tables
+      if (
+        !next ||
+        ["SELECT", "WITH", "VALUES"].includes(next.upper) ||
+        ["variable", "string"].includes(next.type)
+      ) {
+        continue;
+      }
+      const name = readQualifiedName(tokens, j);
+      if (
+        !name ||
+        (name.parts.length === 1 &&
+          next.type === "word" &&
+          tokens[name.end]?.value !== "(" &&
+          (isKeyword(next.upper) || CLAUSE_KEYWORDS.has(next.upper)))
+      ) {
+        references.push({
+          server: null,
+          database: null,
+          schema: null,
+          name: next.value,
+          unresolved: true,
+        });
+        continue;
+      }
+    } else if (tokens[j]?.value === "(") {
+      continue;
+    }
+
+    while (j < tokens.length) {
+      if (tokens[j].type === "word" && tokens[j].upper === "TOP") {
+        // UPDATE TOP (n) / DELETE TOP (n)
+        j++;
+        while (tokens[j] && tokens[j].value !== ")") j++;
+        j++;
+      }
+      const name = readQualifiedName(tokens, j);
+      if (!name || name.parts[0]?.[0] === "#") break;
+      const lastPart = name.parts[name.parts.length - 1];
+      if (
+        name.parts.length === 1 &&
+        tokens[name.end]?.value !== "(" &&
+        (isKeyword(lastPart.toUpperCase()) ||
+          CLAUSE_KEYWORDS.has(lastPart.toUpperCase()) ||
+          REFERENCE_KEYWORDS.has(lastPart.toUpperCase())) &&
+        tokens[j].type === "word"
+      ) {
+        break;
+      }
+      // Unqualified function calls (OPENJSON(...), STRING_SPLIT(...)) are
+      // built-ins, but INSERT [INTO] t (...) is a table and its column list
+      if (
+        name.parts.length === 1 &&
+        tokens[name.end]?.value === "(" &&
+        !["INSERT", "INTO"].includes(token.upper)
+      ) {
+        break;
+      }
+
+      const [server, database, schema] = [null, null, null, ...name.parts]
+        .slice(-4)
+        .slice(0, 3);
+      const reference = { server, database, schema, name: lastPart };
+      references.push(reference);
+      // UPDATE s ..., DELETE s ... and DELETE FROM s ... may name an alias
+      if (
+        ["UPDATE", "DELETE"].includes(token.upper) ||
+        (token.upper === "FROM" && prevWord === "DELETE")
+      ) {
+        targets.set(reference, name.end - 1);
+      }
+
+      j = name.end;
+      if (tokens[j]?.value === "(") {
+        // Table-valued function arguments or column list
+        let depth = 0;
+        do {
+          if (tokens[j].value === "(") depth++;
+          if (tokens[j].value === ")") depth--;
+          j++;
+        } while (j < tokens.length && depth > 0);
+      }
+      // Optional alias
+      if (tokens[j]?.type === "word" && tokens[j].upper === "AS") j++;
+      if (
+        (tokens[j]?.type === "identifier" ||
+          (tokens[j]?.type === "word" &&
+            !CLAUSE_KEYWORDS.has(tokens[j].upper))) &&
+        tokens[j].value[0] !== "#"
+      ) {
+        aliases.push(j);
+        j++;
+      }
+      // Table hints
+      if (tokens[j]?.upper === "WITH" && tokens[j + 1]?.value === "(") {
+        while (tokens[j] && tokens[j].value !== ")") j++;
+        j++;
+      }
+      // Further sources after a comma are read from the comma
+      break;
+    }
+  }
+
+  const depths = parenthesisDepths(tokens);
+  return references.filter((ref) => {
+    if (ref.unresolved || ref.schema !== null || ref.database !== null) {
+      return true;
+    }
+    if (cteNames.has(ref.name.toLowerCase())) {
+      return false;
+    }
+    return (
+      !targets.has(ref) ||
+      !isTargetAlias(tokens, depths, targets.get(ref), aliases)
+    );
+  });
+}
+
+/**
+ * How many parentheses enclose each token
+ */
+function parenthesisDepths(tokens) {
+  let depth = 0;
+  return tokens.map((token) => {
+    if (token.type === "punct" && token.value === ")") depth--;
+    const tokenDepth = depth;
+    if (token.type === "punct" && token.value === "(") depth++;
+    return tokenDepth;
+  });
+}
+
+/**
+ * Whether the UPDATE or DELETE target at tokens[index] is one of the aliases
+ * defined in the statement's own FROM clause, as in
+ * UPDATE s SET ... FROM dbo.Salaries s. Aliases in subqueries or in a later
+ * statement without a ';' before it do not count.
+ */
+function isTargetAlias(tokens, depths, index, aliases) {
+  const depth = depths[index];
+  let from = -1;
+  let end = tokens.length;
+  let seenSet = false;
+  for (let i = index + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (depths[i] < depth) {
+      end = i;
+      break;
+    }
+    if (depths[i] > depth || token.type !== "word") continue;
+    if (from === -1 && token.upper === "FROM") {
+      from = i;
+      continue;
+    }
+    // UPDATE's own SET, CASE ... END and table hints do not end the statement
+    const ownSet = token.upper === "SET" && from === -1 && !seenSet;
+    const hint = token.upper === "WITH" && tokens[i + 1]?.value === "(";
+    if (token.upper === "SET") seenSet = true;
+    if (
+      ["WHERE", "OPTION"].includes(token.upper) ||
+      (isKeyword(token.upper) && token.upper !== "END" && !ownSet && !hint)
+    ) {
+      end = i;
+      break;
+    }
+  }
+  if (from === -1 || from >= end) return false;
+
+  const name = tokens[index].value.toLowerCase();
+  return aliases.some(
+    (i) =>
+      i > from &&
+      i < end &&
+      depths[i] === depth &&
+      tokens[i].value.toLowerCase() === name,
+  );
+}
+
+/**
+ * Classifies every statement in a T-SQL text.
+ * Statements that are not separated by ';' are classified together, so an
+ * operation cannot hide behind a missing separator.
+ * @param {string} query - The T-SQL text.
+ * @returns {Array<Object>} One entry per statement with batch, index, text,
+ *   category, categories and detections.
+ */
+function classifyQuery(query) {
+  const tokens = tokenize(query);
+  const statements = [];
+
+  splitStatements(tokens).forEach((batch, batchIndex) => {
+    batch.forEach((stmtTokens, stmtIndex) => {
+      const detections = detectOperations(stmtTokens, stmtIndex === 0);
+      const categories = [...new Set(detections.map((d) => d.category))];
+      if (categories.length === 0) {
+        categories.push("unknown");
+      }
+      const category = categories.reduce((a, b) =>
+        CATEGORIES.indexOf(a) >= CATEGORIES.indexOf(b) ? a : b,
+      );
+      statements.push({
+        index: statements.length + 1,
+        batch: batchIndex + 1,
+        text: query.slice(
+          stmtTokens[0].start,
+          stmtTokens[stmtTokens.length - 1].end,
+        ),
+        category,
+        categories,
+        detections,
+      });
+    });
+  });
+
+  return statements;
+}
+
+/**
+ * Checks a query against a set of allowed statement categories.
+ * @param {string} query - The T-SQL text.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedCategories] - Categories that may run.
+ *   Defaults to read-only or read-write according to options.readonly.
+ * @param {boolean} [options.readonly] - Use the read-only defaults.
+ * @returns {{ allowed: boolean, statements: Array<Object>, blocked: Array<Object> }}
+ *   The verdict. `blocked` lists each blocked statement with the reasons.
+ */
+function checkQuery(query, options = {}) {
+  const allowedCategories =
+    options.allowedCategories ||
+    DEFAULT_ALLOWED_CATEGORIES[options.readonly ? "readonly" : "readwrite"];
+
+  const statements = classifyQuery(query).map((stmt) => {
+    const denied = stmt.detections.filter(
+      (d) => !allowedCategories.includes(d.category),
+    );
+    const reasons =
+      stmt.categories.includes("unknown") &&
+      !allowedCategories.includes("unknown")
+        ? ["statement type could not be determined"]
+        : denied.map(
+            (d) =>
+              `${d.keyword} (${d.category}) ${d.reason}, which is not allowed`,
+          );
+    return {
+      index: stmt.index,
+      batch: stmt.batch,
+      text:
+        stmt.text.length > 200 ? `${stmt.text.slice(0, 200)}...` : stmt.text,
+      category: stmt.category,
+      categories: stmt.categories,
+      allowed: reasons.length === 0,
+      reasons: [...new Set(reasons)],
+    };
+  });
+
+  const blocked = statements.filter((stmt) => !stmt.allowed);
+
+  return {
+    allowed: statements.length > 0 && blocked.length === 0,
+    allowedCategories,
+    statements,
+    blocked,
+  };
+}
+
+/**
+ * Builds a one-line explanation of a blocked verdict
+ * @param {Object} verdict - Result of checkQuery().
+ * @returns {string} The explanation.
+ */
+function describeVerdict(verdict) {
+  if (verdict.statements.length === 0) {
+    return "Query contains no statements";
+  }
+  return verdict.blocked
+    .map(
+      (stmt) =>
+        `Statement ${stmt.index} (${stmt.category}) was blocked: ${stmt.reasons.join("; ")}`,
+    )
+    .join(". ");
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_ALLOWED_CATEGORIES,
+  tokenize,
+  classifyQuery,
+  extractTableReferences,
+  checkQuery,
+  describeVerdict,
+};
@@ -0,0 +1,127 @@
+const { checkQuery, classifyQuery, tokenize } = require("./queryClassifier");
+
+describe("tokenize", () => {
+  it("should skip comments and keep strings and bracketed identifiers whole", () => {
+    const tokens = tokenize(
+      "SELECT [drop table], N'it''s' -- EXEC x\n/* DROP /* nested */ TABLE */ FROM t",
+    );
+
+    expect(tokens.map((t) => [t.type, t.value])).toEqual([
+      ["word", "SELECT"],
+      ["identifier", "drop table"],
+      ["punct", ","],
+      ["string", "it's"],
+      ["word", "FROM"],
+      ["word", "t"],
+    ]);
+  });
+});
+
+describe("classifyQuery", () => {
+  it("should split batches on GO and statements on semicolons", () => {
+    const statements = classifyQuery(
+      "SELECT 1; UPDATE t SET a = 1\nGO\nDELETE FROM t",
+    );
+
+    expect(
+      statements.map((s) => [s.batch, s.category, s.text.split(" ")[0]]),
+    ).toEqual([
+      [1, "read", "SELECT"],
+      [1, "dml", "UPDATE"],
+      [2, "dml", "DELETE"],
+    ]);
+  });
+
+  it.each([
+    ["SELECT * INTO Archive FROM Orders", "ddl"],
+    ["SELECT * INTO #tmp FROM Orders", "read"],
+    ["MERGE t USING s ON t.id = s.id WHEN MATCHED THEN DELETE;", "dml"],
+    ["BULK INSERT t FROM 'c:\\data.csv'", "server_config"],
+    ["SELECT * FROM OPENROWSET('SQLNCLI', 'x', 'SELECT 1')", "server_config"],
+    ["WAITFOR DELAY '00:01:00'", "server_config"],
+    ["EXEC sp_executesql N'SELECT 1'", "exec"],
+    ["EXEC('DROP TABLE t')", "exec"],
+    ["EXEC [master]..[xp_cmdshell] 'dir'", "server_config"],
+    ["sp_who2", "exec"],
+    ["GRANT SELECT ON t TO public", "security"],
+    ["CREATE LOGIN x WITH PASSWORD = 'p'", "security"],
+    ["ALTER TABLE t ADD c INT", "ddl"],
+    ["CREATE TABLE #t (a INT)", "control"],
+    ["WITH c AS (SELECT 1 AS a) SELECT * FROM c", "read"],
+  ])("should classify %s as %s", (query, category) => {
+    expect(classifyQuery(query)[0].category).toBe(category);
+  });
+});
+
+describe("checkQuery", () => {
+  it("should allow harmless queries the old regexes rejected", () => {
+    expect(checkQuery("SELECT 'drop table' AS note").allowed).toBe(true);
+    expect(checkQuery("SELECT Executed FROM Jobs").allowed).toBe(true);
+  });
+
+  it("should block operations hidden behind comments or missing separators", () => {
+    const verdict = checkQuery("SELECT 1 /* harmless */ DROP TABLE Orders");
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.blocked).toHaveLength(1);
+    expect(verdict.blocked[0].reasons[0]).toMatch(/^DROP TABLE \(ddl\)/);
+  });
+
+  it("should report which statement was blocked", () => {
+    const verdict = checkQuery("SELECT 1; DELETE FROM Orders", {
+      readonly: true,
+    });
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.blocked.map((s) => s.index)).toEqual([2]);
+    expect(verdict.statements[0].allowed).toBe(true);
+  });
+
+  it.each([
+    "SET NOCOUNT ON UPDATE dbo.t SET x=1",
+    "SET XACT_ABORT ON\nDELETE FROM dbo.Secrets",
+    "IF 1=1 BEGIN SET ANSI_NULLS ON DELETE FROM dbo.x END",
+    "SELECT 1 AS [REFERENCES] SET NOCOUNT ON DELETE [CASCADE]",
+  ])("should see DML after SET ... ON in %j", (query) => {
+    const verdict = checkQuery(query, { readonly: true });
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.statements[0].category).toBe("dml");
+  });
+
+  it.each([
+    "SELECT 1 DISABLE TRIGGER ALL ON dbo.Orders",
+    "SELECT 1 ENABLE TRIGGER trg ON dbo.Orders",
+    "SELECT 1 UPDATETEXT dbo.Notes.Body @ptr 0 NULL 'x'",
+    "SELECT 1 WRITETEXT dbo.Notes.Body @ptr 'x'",
+  ])("should classify unrecognized statements in %j as unknown", (query) => {
+    const verdict = checkQuery(query, { readonly: true });
+
+    expect(verdict.allowed).toBe(false);
+    expect(verdict.statements[0].category).toBe("unknown");
+  });
+
+  it("should leave ENABLE TRIGGER inside ALTER TABLE to the ALTER", () => {
+    expect(
+      classifyQuery("ALTER TABLE dbo.Orders ENABLE TRIGGER ALL")[0].category,
+    ).toBe("ddl");
+    expect(checkQuery("SELECT enable, disable FROM t").allowed).toBe(true);
+  });
+
+  it("should not count foreign key actions as DML", () => {
+    const [statement] = classifyQuery(
+      "ALTER TABLE o ADD CONSTRAINT fk FOREIGN KEY (c) REFERENCES dbo.c (id) ON DELETE CASCADE ON UPDATE NO ACTION",
+    );
+
+    expect(statement.category).toBe("ddl");
+    expect(statement.detections.map((d) => d.category)).toEqual(["ddl"]);
+  });
+
+  it("should honor explicit allowed categories", () => {
+    expect(
+      checkQuery("CREATE TABLE t (a INT)", {
+        allowedCategories: ["read", "ddl"],
+      }).allowed,
+    ).toBe(true);
+  });
+});